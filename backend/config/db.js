@@ -46,7 +46,24 @@ if (connectionString) {
   });
 }
 
+// Run fn(client) inside BEGIN/COMMIT on one connection, rolling back if it throws
+const transaction = async (fn) => {
+  const client = await pool.connect();
+  try {
+    await client.query('BEGIN');
+    const result = await fn(client);
+    await client.query('COMMIT');
+    return result;
+  } catch (error) {
+    await client.query('ROLLBACK');
+    throw error;
+  } finally {
+    client.release();
+  }
+};
+
 module.exports = {
   query: (text, params) => pool.query(text, params),
+  transaction,
   pool,
 };
@@ -1,4 +1,5 @@
-const whatsappService = require('../services/whatsappService');
+const inboundQueueService = require('../services/inboundQueueService');
+const OutboundMessage = require('../models/OutboundMessage');
 
 // Handle webhook verification
 const verifyWebhook = (req, res) => {
@@ -29,64 +30,52 @@ const verifyWebhook = (req, res) => {
 };
 
 // Handle incoming webhook events
+// Messages are queued (deduplicated by WhatsApp message id) and processed by
+// inboundQueueService, so Meta gets its 200 without waiting on the AI pipeline
 const handleWebhook = async (req, res) => {
   try {
     const body = req.body;
     
     console.log('=== INCOMING WEBHOOK REQUEST ===');
-    console.log('Method:', req.method);
-    console.log('Headers:', JSON.stringify(req.headers, null, 2));
-    console.log('Body:', JSON.stringify(body, null, 2));
 
     // Check if this is an event from a page subscription
     if (body.object === 'whatsapp_business_account') {
-      console.log('Processing WhatsApp Business Account event');
-      
-      // Check if this is a message event
-      if (body.entry && body.entry.length > 0) {
-        console.log(`Processing ${body.entry.length} entries`);
-        
-        // Iterate over each entry - there may be multiple if batched
-        for (const entry of body.entry) {
-          console.log('Processing entry:', entry.id);
-          
-          if (entry.changes && entry.changes.length > 0) {
-            for (const change of entry.changes) {
-              console.log('Processing change:', change.field);
-              
-              // Check for a message object
-              if (change.value && change.value.messages && change.value.messages.length > 0) {
-                const message = change.value.messages[0];
-                console.log('Processing message from:', message.from);
-                
-                if (message) {
-                  try {
-                    // Process the incoming message
-                    await whatsappService.handleIncomingMessage(message);
-                    console.log('Successfully processed message');
-                  } catch (error) {
-                    console.error('Error processing message:', error);
-                    console.error('Message that caused error:', JSON.stringify(message, null, 2));
-                  }
-                }
-              } else {
-                console.log('No messages in this change, metadata:', 
-                  JSON.stringify({
-                    hasMessages: !!(change.value && change.value.messages),
-                    messageCount: (change.value && change.value.messages) ? change.value.messages.length : 0,
-                    changeValue: change.value ? Object.keys(change.value) : 'no change value'
-                  }, null, 2)
-                );
-              }
+      let queued = 0;
+      let duplicates = 0;
+      let statusUpdates = 0;
+
+      // Iterate over every entry and change - Meta may batch several messages
+      for (const entry of body.entry || []) {
+        for (const change of entry.changes || []) {
+          const value = change.value || {};
+          const messages = value.messages || [];
+          const statuses = value.statuses || [];
+
+          // Delivery status callbacks for messages we sent
+          for (const status of statuses) {
+            const updated = await OutboundMessage.applyStatus(status);
+            if (updated) {
+              statusUpdates++;
+            } else {
+              console.log(`No outbound message for status ${status.status} of ${status.id}`);
+            }
+            if (status.status === 'failed') {
+              console.warn(`⚠️ WhatsApp message ${status.id} to ${status.recipient_id} failed:`, JSON.stringify(status.errors));
             }
-          } else {
-            console.log('No changes in this entry');
           }
+
+          if (messages.length === 0) {
+            continue;
+          }
+
+          const result = await inboundQueueService.enqueue(messages, value.metadata?.phone_number_id);
+          queued += result.queued;
+          duplicates += result.duplicates;
         }
-      } else {
-        console.log('No entries in webhook payload');
       }
 
+      console.log(`Queued ${queued} message(s), skipped ${duplicates} duplicate(s), applied ${statusUpdates} status update(s)`);
+
       // Return a '200 OK' response to let Meta know you've received the callback
       console.log('=== WEBHOOK PROCESSING COMPLETE ===\n');
       res.sendStatus(200);
@@ -96,8 +85,9 @@ const handleWebhook = async (req, res) => {
       res.sendStatus(404);
     }
   } catch (error) {
+    // Not acknowledging makes Meta retry (rejectReplayedWebhooks drops this
+    // payload's receipt on a 5xx); messages queued before the error are deduplicated
     console.error('ERROR in handleWebhook:', error);
-    console.error('Request body that caused the error:', JSON.stringify(req.body, null, 2));
     res.status(500).send('Internal Server Error');
   }
 };
@@ -1,3 +1,7 @@
+-- gen_random_uuid() (admin session IDs) is built in from PostgreSQL 13;
+-- older servers get it from pgcrypto
+CREATE EXTENSION IF NOT EXISTS pgcrypto;
+
 -- ===================================
 -- USERS TABLE
 -- ===================================
@@ -8,10 +12,17 @@ CREATE TABLE IF NOT EXISTS users (
   email VARCHAR(100),
   role VARCHAR(20) DEFAULT 'user', -- 'user', 'landlord', 'agent', 'admin'
   verified BOOLEAN DEFAULT FALSE,
+  password_hash TEXT, -- scrypt hash, admins only (second login factor)
+  otp_channel VARCHAR(20), -- preferred OTP channel: 'whatsapp' or 'sms' (NULL = default)
+  language VARCHAR(10), -- bot reply language: 'en', 'pcm', 'yo', 'ha' or 'ig' (NULL = English)
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   last_active TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE users ADD COLUMN IF NOT EXISTS password_hash TEXT;
+ALTER TABLE users ADD COLUMN IF NOT EXISTS otp_channel VARCHAR(20);
+ALTER TABLE users ADD COLUMN IF NOT EXISTS language VARCHAR(10);
+
 -- ===================================
 -- PROPERTIES TABLE (ENHANCED)
 -- ===================================
@@ -26,14 +37,29 @@ CREATE TABLE IF NOT EXISTS properties (
   area DECIMAL(10, 2), -- in square meters
   features TEXT,
   amenities JSONB, -- ['parking', 'pool', 'gym', 'security', 'power', 'water']
-  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'active', 'rented', 'sold', 'inactive'
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'active', 'rented', 'sold', 'inactive', 'rejected'
   verified BOOLEAN DEFAULT FALSE,
   owner_id VARCHAR(100), -- legacy field for backward compatibility
   coordinates POINT, -- For map integration (latitude, longitude)
+  -- Moderation
+  verified_at TIMESTAMP WITH TIME ZONE,
+  verified_by VARCHAR(20), -- admin phone
+  admin_notes TEXT,
+  rejected_at TIMESTAMP WITH TIME ZONE,
+  rejected_by VARCHAR(20), -- admin phone
+  rejection_reason TEXT,
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- Moderation columns for databases created before they were added
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS verified_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS verified_by VARCHAR(20);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS admin_notes TEXT;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS rejected_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS rejected_by VARCHAR(20);
+ALTER TABLE properties ADD COLUMN IF NOT EXISTS rejection_reason TEXT;
+
 -- ===================================
 -- PROPERTY IMAGES TABLE
 -- ===================================
@@ -64,12 +90,29 @@ CREATE TABLE IF NOT EXISTS inquiries (
   property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
   user_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
   phone VARCHAR(20) NOT NULL,
-  message TEXT,
+  owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- property owner when the inquiry was made
+  message TEXT, -- first message; the full thread is in inquiry_messages
   status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'responded', 'closed'
+  source VARCHAR(20) DEFAULT 'web', -- 'web' or 'whatsapp'
+  last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  closed_at TIMESTAMP WITH TIME ZONE,
+  tenant_shared_contact_at TIMESTAMP WITH TIME ZONE, -- phone numbers are shown once both sides agree
+  owner_shared_contact_at TIMESTAMP WITH TIME ZONE,
+  accepted_offer_id INTEGER, -- offers(id); no FK since offers references inquiries
+  agreed_price DECIMAL(15, 2), -- yearly price from the accepted offer
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL;
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS source VARCHAR(20) DEFAULT 'web';
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW();
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS closed_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS tenant_shared_contact_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS owner_shared_contact_at TIMESTAMP WITH TIME ZONE;
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS accepted_offer_id INTEGER;
+ALTER TABLE inquiries ADD COLUMN IF NOT EXISTS agreed_price DECIMAL(15, 2);
+
 -- ===================================
 -- CONVERSATIONS TABLE
 -- ===================================
@@ -78,11 +121,16 @@ CREATE TABLE IF NOT EXISTS conversations (
   phone VARCHAR(20) NOT NULL,
   message TEXT,
   intent VARCHAR(50),
-  response JSONB,
+  entities JSONB, -- what the bot understood, e.g. { "location": "Lekki", "maxPrice": 3000000 }
+  response JSONB, -- text sent, or { type, summary, propertyIds } for structured replies
+  result_count INTEGER, -- properties shown, for searches
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
   updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS entities JSONB;
+ALTER TABLE conversations ADD COLUMN IF NOT EXISTS result_count INTEGER;
+
 -- ===================================
 -- OTP TABLE (for phone authentication)
 -- ===================================
@@ -92,9 +140,271 @@ CREATE TABLE IF NOT EXISTS otp_codes (
   code VARCHAR(6) NOT NULL,
   expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
   verified BOOLEAN DEFAULT FALSE,
+  attempts INT DEFAULT 0, -- failed + successful guesses; locked at OTP_MAX_ATTEMPTS
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+ALTER TABLE otp_codes ADD COLUMN IF NOT EXISTS attempts INT DEFAULT 0;
+
+-- ===================================
+-- OTP REQUESTS TABLE (resend cooldown and daily caps)
+-- ===================================
+CREATE TABLE IF NOT EXISTS otp_requests (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  ip_address VARCHAR(45),
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- OTP OUTBOX TABLE (local delivery provider, OTP_OUTBOX_TARGET=table)
+-- ===================================
+CREATE TABLE IF NOT EXISTS otp_outbox (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  channel VARCHAR(20),
+  code VARCHAR(6) NOT NULL,
+  body TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- WEBHOOK RECEIPTS TABLE (replay protection)
+-- ===================================
+CREATE TABLE IF NOT EXISTS webhook_receipts (
+  payload_hash CHAR(64) PRIMARY KEY, -- sha256 of the raw request body
+  received_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- INBOUND MESSAGES TABLE (queued WhatsApp messages)
+-- ===================================
+CREATE TABLE IF NOT EXISTS inbound_messages (
+  id SERIAL PRIMARY KEY,
+  wa_message_id VARCHAR(128) UNIQUE NOT NULL, -- WhatsApp message id, deduplicates Meta retries
+  phone VARCHAR(20) NOT NULL,
+  type VARCHAR(30),
+  payload JSONB NOT NULL,
+  phone_number_id VARCHAR(50),
+  status VARCHAR(20) DEFAULT 'queued', -- 'queued', 'processing', 'processed', 'failed', 'dead'
+  attempts INT DEFAULT 0,
+  last_error TEXT,
+  next_attempt_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  sent_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  processed_at TIMESTAMP WITH TIME ZONE,
+  conversation_id INTEGER, -- steps done so far, so retries don't repeat them
+  result JSONB,
+  replies_sent INT DEFAULT 0,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- OUTBOUND MESSAGES TABLE (WhatsApp delivery tracking)
+-- ===================================
+CREATE TABLE IF NOT EXISTS outbound_messages (
+  id SERIAL PRIMARY KEY,
+  wamid VARCHAR(128) UNIQUE, -- id returned by the WhatsApp API; NULL when the API rejected the send
+  phone VARCHAR(20) NOT NULL,
+  type VARCHAR(30),
+  payload JSONB,
+  status VARCHAR(20) DEFAULT 'accepted', -- 'accepted', 'sent', 'delivered', 'read', 'failed'
+  error_code VARCHAR(20),
+  error_title TEXT,
+  sent_at TIMESTAMP WITH TIME ZONE,
+  delivered_at TIMESTAMP WITH TIME ZONE,
+  read_at TIMESTAMP WITH TIME ZONE,
+  failed_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- LISTING DRAFTS TABLE (listings in progress over WhatsApp)
+-- ===================================
+CREATE TABLE IF NOT EXISTS listing_drafts (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  status VARCHAR(20) DEFAULT 'open', -- 'open', 'submitted', 'cancelled'
+  step VARCHAR(20) DEFAULT 'location', -- current question in the listing flow, or 'paused'
+  resume_step VARCHAR(20), -- step to return to after 'paused' or an edit
+  data JSONB DEFAULT '{}', -- listing fields collected so far
+  photos JSONB DEFAULT '[]', -- Cloudinary URLs
+  property_id INTEGER REFERENCES properties(id) ON DELETE SET NULL, -- set once submitted
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- VIEWING AVAILABILITY TABLE (weekly windows set by the landlord/agent)
+-- ===================================
+CREATE TABLE IF NOT EXISTS viewing_availability (
+  id SERIAL PRIMARY KEY,
+  property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+  day_of_week SMALLINT NOT NULL CHECK (day_of_week BETWEEN 0 AND 6), -- 0 = Sunday
+  start_time TIME NOT NULL, -- Nigerian time (WAT)
+  end_time TIME NOT NULL,
+  slot_minutes INTEGER DEFAULT 30,
+  created_by INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- VIEWINGS TABLE
+-- ===================================
+CREATE TABLE IF NOT EXISTS viewings (
+  id SERIAL PRIMARY KEY,
+  property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+  tenant_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  tenant_phone VARCHAR(20) NOT NULL,
+  landlord_id INTEGER REFERENCES users(id) ON DELETE SET NULL, -- user who listed the property (landlord or agent)
+  scheduled_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  duration_minutes INTEGER DEFAULT 30,
+  status VARCHAR(20) DEFAULT 'requested', -- 'requested', 'confirmed', 'cancelled', 'completed', 'no_show', 'expired'
+  tenant_confirmed_at TIMESTAMP WITH TIME ZONE,
+  landlord_confirmed_at TIMESTAMP WITH TIME ZONE,
+  cancelled_by VARCHAR(20), -- 'tenant' or 'landlord'
+  cancel_reason TEXT,
+  no_show_party VARCHAR(20), -- 'tenant' or 'landlord'
+  reschedule_count INTEGER DEFAULT 0,
+  reminder_sent_at TIMESTAMP WITH TIME ZONE,
+  notes TEXT,
+  source VARCHAR(20) DEFAULT 'web', -- 'web' or 'whatsapp'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- INQUIRY MESSAGES TABLE (threads between tenant and owner)
+-- ===================================
+CREATE TABLE IF NOT EXISTS inquiry_messages (
+  id SERIAL PRIMARY KEY,
+  inquiry_id INTEGER REFERENCES inquiries(id) ON DELETE CASCADE,
+  sender_role VARCHAR(20) NOT NULL, -- 'tenant' or 'owner'
+  sender_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  channel VARCHAR(20) DEFAULT 'web', -- 'web' or 'whatsapp'
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- RELAY SESSIONS TABLE (masked WhatsApp chats between tenant and owner)
+-- ===================================
+CREATE TABLE IF NOT EXISTS relay_sessions (
+  id SERIAL PRIMARY KEY,
+  inquiry_id INTEGER REFERENCES inquiries(id) ON DELETE CASCADE,
+  tenant_phone VARCHAR(20) NOT NULL, -- digits only, as WhatsApp sends them
+  owner_phone VARCHAR(20) NOT NULL,
+  status VARCHAR(20) DEFAULT 'active', -- 'active' or 'ended'
+  started_by VARCHAR(20), -- 'tenant' or 'owner'
+  ended_by VARCHAR(20), -- 'tenant', 'owner' or 'system'
+  message_count INTEGER DEFAULT 0,
+  started_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_message_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  ended_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ===================================
+-- OFFERS TABLE (price negotiation; counters chain through parent_offer_id)
+-- ===================================
+CREATE TABLE IF NOT EXISTS offers (
+  id SERIAL PRIMARY KEY,
+  property_id INTEGER REFERENCES properties(id) ON DELETE CASCADE,
+  inquiry_id INTEGER REFERENCES inquiries(id) ON DELETE CASCADE,
+  tenant_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  owner_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  parent_offer_id INTEGER REFERENCES offers(id) ON DELETE SET NULL, -- offer this one counters
+  proposed_by VARCHAR(20) NOT NULL, -- 'tenant' or 'owner'
+  amount DECIMAL(15, 2) NOT NULL, -- yearly price in Naira
+  asking_price DECIMAL(15, 2) NOT NULL, -- listing price when the negotiation started
+  terms TEXT,
+  status VARCHAR(20) DEFAULT 'pending', -- 'pending', 'accepted', 'countered', 'declined', 'withdrawn'
+  source VARCHAR(20) DEFAULT 'web', -- 'web' or 'whatsapp'
+  responded_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- CONVERSATION SESSIONS TABLE (bot memory per phone, expires after silence)
+-- ===================================
+CREATE TABLE IF NOT EXISTS conversation_sessions (
+  phone VARCHAR(20) PRIMARY KEY,
+  turns JSONB NOT NULL DEFAULT '[]', -- last few { message, intent, entities, response }
+  last_criteria JSONB, -- entities of the last search
+  last_result_ids INTEGER[] NOT NULL DEFAULT '{}', -- property IDs in the order they were shown
+  flow_state JSONB, -- e.g. { "awaiting": "propertyId", "intent": "schedule_viewing" }
+  language VARCHAR(10), -- reply language; the only place web chat keeps it
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  updated_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- HANDOFFS TABLE (conversations passed from the bot to a human agent)
+-- ===================================
+CREATE TABLE IF NOT EXISTS handoffs (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL, -- digits only, as WhatsApp sends them
+  status VARCHAR(20) DEFAULT 'queued', -- 'queued', 'active' (agent has taken over) or 'released'
+  reason VARCHAR(30) NOT NULL, -- 'requested', 'angry', 'negotiation' or 'repeated_other'
+  trigger_message TEXT, -- the message that caused the handoff
+  agent_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  taken_at TIMESTAMP WITH TIME ZONE,
+  released_at TIMESTAMP WITH TIME ZONE
+);
+
+-- ===================================
+-- HANDOFF MESSAGES TABLE (replies typed by agents)
+-- ===================================
+CREATE TABLE IF NOT EXISTS handoff_messages (
+  id SERIAL PRIMARY KEY,
+  handoff_id INTEGER REFERENCES handoffs(id) ON DELETE CASCADE,
+  agent_id INTEGER REFERENCES users(id) ON DELETE SET NULL,
+  body TEXT NOT NULL,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- FLAGGED MESSAGES TABLE (bot messages refused by the guardrails, for admin review)
+-- ===================================
+CREATE TABLE IF NOT EXISTS flagged_messages (
+  id SERIAL PRIMARY KEY,
+  phone VARCHAR(20) NOT NULL,
+  message TEXT NOT NULL, -- truncated to the first 2000 characters
+  message_length INTEGER NOT NULL,
+  reason VARCHAR(30) NOT NULL, -- 'too_long', 'injection', 'data_extraction' or 'off_topic'
   created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
 );
 
+-- ===================================
+-- REFRESH TOKENS TABLE (rotating, revocable)
+-- ===================================
+CREATE TABLE IF NOT EXISTS refresh_tokens (
+  id SERIAL PRIMARY KEY,
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  token_hash VARCHAR(64) UNIQUE NOT NULL, -- SHA-256 of the raw token
+  family_id UUID NOT NULL, -- All tokens rotated from the same login
+  replaced_by_hash VARCHAR(64),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW()
+);
+
+-- ===================================
+-- ADMIN SESSIONS TABLE
+-- ===================================
+CREATE TABLE IF NOT EXISTS admin_sessions (
+  id UUID PRIMARY KEY DEFAULT gen_random_uuid(),
+  user_id INTEGER REFERENCES users(id) ON DELETE CASCADE,
+  ip_address VARCHAR(45),
+  user_agent TEXT,
+  created_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  last_used_at TIMESTAMP WITH TIME ZONE DEFAULT NOW(),
+  expires_at TIMESTAMP WITH TIME ZONE NOT NULL,
+  revoked_at TIMESTAMP WITH TIME ZONE
+);
+
 -- ===================================
 -- INDEXES FOR PERFORMANCE
 -- ===================================
@@ -125,14 +435,50 @@ CREATE INDEX IF NOT EXISTS idx_inquiries_property ON inquiries(property_id);
 CREATE INDEX IF NOT EXISTS idx_inquiries_user ON inquiries(user_id);
 CREATE INDEX IF NOT EXISTS idx_inquiries_status ON inquiries(status);
 CREATE INDEX IF NOT EXISTS idx_inquiries_phone ON inquiries(phone);
+CREATE INDEX IF NOT EXISTS idx_inquiries_owner ON inquiries(owner_id, status, last_message_at);
+CREATE INDEX IF NOT EXISTS idx_inquiry_messages_inquiry ON inquiry_messages(inquiry_id, created_at);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_relay_sessions_active ON relay_sessions(inquiry_id) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_relay_sessions_tenant_phone ON relay_sessions(tenant_phone) WHERE status = 'active';
+CREATE INDEX IF NOT EXISTS idx_relay_sessions_owner_phone ON relay_sessions(owner_phone) WHERE status = 'active';
+CREATE UNIQUE INDEX IF NOT EXISTS idx_offers_pending ON offers(inquiry_id) WHERE status = 'pending';
+CREATE INDEX IF NOT EXISTS idx_offers_tenant ON offers(tenant_id);
+CREATE INDEX IF NOT EXISTS idx_offers_owner ON offers(owner_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_handoffs_open ON handoffs(phone) WHERE status IN ('queued', 'active');
+CREATE INDEX IF NOT EXISTS idx_handoffs_status ON handoffs(status, created_at);
+CREATE INDEX IF NOT EXISTS idx_handoff_messages_handoff ON handoff_messages(handoff_id, created_at);
+CREATE INDEX IF NOT EXISTS idx_flagged_messages_created_at ON flagged_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_conversation_sessions_expires ON conversation_sessions(expires_at);
 
 -- Conversations indexes
 CREATE INDEX IF NOT EXISTS idx_conversations_phone ON conversations(phone);
 CREATE INDEX IF NOT EXISTS idx_conversations_created_at ON conversations(created_at);
+CREATE INDEX IF NOT EXISTS idx_conversations_intent ON conversations(intent, created_at);
 
 -- OTP indexes
 CREATE INDEX IF NOT EXISTS idx_otp_phone ON otp_codes(phone);
 CREATE INDEX IF NOT EXISTS idx_otp_expires ON otp_codes(expires_at);
+CREATE INDEX IF NOT EXISTS idx_otp_requests_phone ON otp_requests(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_otp_requests_ip ON otp_requests(ip_address, created_at);
+CREATE INDEX IF NOT EXISTS idx_otp_outbox_phone ON otp_outbox(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_webhook_receipts_received ON webhook_receipts(received_at);
+CREATE INDEX IF NOT EXISTS idx_inbound_pending ON inbound_messages(phone, sent_at, id) WHERE status IN ('queued', 'processing', 'failed');
+CREATE INDEX IF NOT EXISTS idx_inbound_status ON inbound_messages(status, updated_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_phone ON outbound_messages(phone, created_at);
+CREATE INDEX IF NOT EXISTS idx_outbound_created ON outbound_messages(created_at);
+CREATE INDEX IF NOT EXISTS idx_listing_drafts_phone ON listing_drafts(phone, status);
+CREATE INDEX IF NOT EXISTS idx_viewing_availability_property ON viewing_availability(property_id);
+CREATE UNIQUE INDEX IF NOT EXISTS idx_viewings_active_slot ON viewings(property_id, scheduled_at) WHERE status IN ('requested', 'confirmed');
+CREATE INDEX IF NOT EXISTS idx_viewings_tenant ON viewings(tenant_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_viewings_landlord ON viewings(landlord_id, scheduled_at);
+CREATE INDEX IF NOT EXISTS idx_viewings_reminders ON viewings(scheduled_at) WHERE status = 'confirmed' AND reminder_sent_at IS NULL;
+
+-- Refresh token indexes
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_user ON refresh_tokens(user_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_family ON refresh_tokens(family_id);
+CREATE INDEX IF NOT EXISTS idx_refresh_tokens_expires ON refresh_tokens(expires_at);
+
+-- Admin session indexes
+CREATE INDEX IF NOT EXISTS idx_admin_sessions_user ON admin_sessions(user_id);
 
 -- Enable full-text search for properties
 ALTER TABLE properties 
@@ -1,12 +1,6 @@
 require('dotenv').config();
 const { Pool } = require('pg');
 
-// Database connection configuration
-const pool = new Pool({
-  connectionString: process.env.DATABASE_URL,
-  ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
-});
-
 // Sample property data - 50 realistic Nigerian properties
 const sampleProperties = [
   // ABUJA PROPERTIES (Wuse 2 Area)
@@ -91,7 +85,8 @@ const sampleProperties = [
 ];
 
 // Function to seed the database
-async function seedDatabase() {
+// Property IDs follow the order of sampleProperties (1-50), so tests can rely on them
+async function seedDatabase(pool) {
   const client = await pool.connect();
   
   try {
@@ -132,7 +127,7 @@ async function seedDatabase() {
     // Insert sample properties
     console.log('🏠 Inserting 50 properties...');
     let insertedCount = 0;
-    for (const property of sampleProperties) {
+    for (const [index, property] of sampleProperties.entries()) {
       const query = {
         text: `
           INSERT INTO properties (
@@ -154,7 +149,7 @@ async function seedDatabase() {
           property.status,
           property.verified,
           property.owner_id,
-          new Date(Date.now() - Math.random() * 30 * 24 * 60 * 60 * 1000) // Random date within last 30 days
+          new Date(Date.now() - ((index * 7) % 30) * 24 * 60 * 60 * 1000 - index * 60 * 1000) // Spread over the last 30 days
         ]
       };
       
@@ -170,7 +165,7 @@ async function seedDatabase() {
     let totalImageCount = 0;
     for (let i = 1; i <= Math.min(insertedCount, 20); i++) {
       // Add 2-3 images per property
-      const imagesPerProperty = Math.floor(Math.random() * 2) + 2; // 2-3 images
+      const imagesPerProperty = 2 + (i % 2); // 2-3 images
       for (let j = 0; j < imagesPerProperty; j++) {
         const isPrimary = j === 0; // First image is primary
         const imageUrl = `https://picsum.photos/800/600?random=${i}${j}`; // Random placeholder images
@@ -196,9 +191,20 @@ async function seedDatabase() {
     throw error;
   } finally {
     client.release();
-    await pool.end();
   }
 }
 
-// Run the seed function
-seedDatabase().catch(console.error);
+module.exports = { sampleProperties, seedDatabase };
+
+// Run the seed function when called directly (npm run seed)
+if (require.main === module) {
+  // Database connection configuration
+  const pool = new Pool({
+    connectionString: process.env.DATABASE_URL,
+    ssl: process.env.NODE_ENV === 'production' ? { rejectUnauthorized: false } : false,
+  });
+
+  seedDatabase(pool)
+    .catch(console.error)
+    .finally(() => pool.end());
+}
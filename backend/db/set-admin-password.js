@@ -0,0 +1,32 @@
+require('dotenv').config();
+const { pool } = require('../config/db');
+const adminAuthService = require('../services/adminAuthService');
+
+// Usage: npm run admin:password -- +234XXXXXXXXXX "new password"
+async function setAdminPassword() {
+  const [phone, password] = process.argv.slice(2);
+
+  if (!phone || !password) {
+    console.error('Usage: npm run admin:password -- +234XXXXXXXXXX "new password"');
+    process.exitCode = 1;
+    return;
+  }
+
+  try {
+    const updated = await adminAuthService.setPassword(phone, password);
+
+    if (updated) {
+      console.log(`✅ Password set for admin ${phone} (existing sessions revoked)`);
+    } else {
+      console.error(`❌ No admin user found with phone ${phone}`);
+      process.exitCode = 1;
+    }
+  } catch (error) {
+    console.error('❌ Error setting admin password:', error.message);
+    process.exitCode = 1;
+  } finally {
+    await pool.end();
+  }
+}
+
+setAdminPassword();
@@ -8,6 +8,9 @@ const path = require('path');
 const app = express();
 const PORT = process.env.PORT || 5000;
 
+// Trust the first proxy (Render/Vercel) so req.ip is the client IP used for rate limiting
+app.set('trust proxy', 1);
+
 // Middleware
 const corsOptions = {
   origin: [
@@ -28,7 +31,14 @@ const corsOptions = {
 };
 
 app.use(cors(corsOptions));
-app.use(bodyParser.json());
+app.use(bodyParser.json({
+  // Keep the exact bytes of webhook bodies for X-Hub-Signature-256 verification
+  verify: (req, res, buf) => {
+    if (req.originalUrl.startsWith('/api/v1/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
 app.use(bodyParser.urlencoded({ extended: true }));
 
 // Serve static files from the frontend directory
@@ -42,15 +52,33 @@ app.get('/', (req, res) => {
 // API Routes
 const whatsappRoutes = require('./routes/whatsapp');
 const authRoutes = require('./routes/auth');
+const adminAuthRoutes = require('./routes/adminAuth');
 const propertiesRoutes = require('./routes/properties');
+const viewingsRoutes = require('./routes/viewings');
+const inquiriesRoutes = require('./routes/inquiries');
+const offersRoutes = require('./routes/offers');
+const conversationsRoutes = require('./routes/conversations');
+const inboundQueueService = require('./services/inboundQueueService');
+const viewingService = require('./services/viewingService');
 
 app.use('/api/v1', whatsappRoutes);
+app.use('/api/v1/auth/admin', adminAuthRoutes);
 app.use('/api/v1/auth', authRoutes);
 app.use('/api/v1/properties', propertiesRoutes);
+app.use('/api/v1/viewings', viewingsRoutes);
+app.use('/api/v1/inquiries', inquiriesRoutes);
+app.use('/api/v1/offers', offersRoutes);
+app.use('/api/v1/conversations', conversationsRoutes);
 
 // Start the server
-app.listen(PORT, () => {
+const server = app.listen(PORT, () => {
   console.log(`Server is running on port ${PORT}`);
+
+  // Process queued inbound WhatsApp messages in the background
+  inboundQueueService.start();
+
+  // Day-before viewing reminders
+  viewingService.start();
 });
 
 // Handle unhandled promise rejections
@@ -0,0 +1,59 @@
+/**
+ * English bot replies (the reference catalog)
+ * Every other catalog uses the same keys; a key missing there falls back to
+ * this one. {name} placeholders are filled in by languageService.t, and keys
+ * ending in _one / _other are picked by the `count` parameter.
+ */
+module.exports = {
+  greeting: "👋 Hello! I'm your Propabridge assistant.\n\nI can help you:\n• Find properties in Nigeria\n• Schedule viewings\n• List your property\n\nWhat would you like to do?",
+  languageSet: "👍 OK, I'll reply in English from now on.",
+
+  nearbyNone: "😔 I couldn't find any listed properties near that location yet.\n\nTry telling me the area instead (e.g., '2 bedroom flat in Lekki').",
+  nearbyResults_one: 'Found {count} property near {place}!',
+  nearbyResults_other: 'Found {count} properties near {place}!',
+  yourLocation: 'your location',
+  searchResults_one: 'Found {count} property matching your search!',
+  searchResults_other: 'Found {count} properties matching your search!',
+  noMatches: '😔 No exact matches found for your criteria.\n\n',
+  nearbyAreas: '🔍 *Nearby Areas:*\n',
+  cheaperOptions: '💡 *More Affordable Options:*\n',
+  searchTips: 'Try:\n• Different location\n• Adjusting your budget\n• Fewer bedrooms\n\nWhat would you like to search for?',
+  searchError: "⚠️ I'm having trouble searching right now. Please try again in a moment.",
+
+  ambiguous: '🤔 A few of those match. Which one did you mean?\n\n{options}\n\nReply with the Property ID.',
+  ambiguousOption: '• Property {id}: {bedrooms}-bed {type} in {location}',
+  detailsFollowUp: 'Would you like to book a viewing or message the landlord?',
+  propertyNotFound: "😕 I couldn't find Property {id}. Check the ID, or tell me which result you mean (1st, 2nd, etc.).",
+  askPropertyDetails: "I'd be happy to share details about that property! Could you tell me the Property ID or which one you're interested in (1st, 2nd, etc.)?",
+
+  askViewingProperty: "📅 Great! Let's book a viewing.\n\nWhich property are you interested in? (Send the Property ID, or tap 'Book viewing' under a result)",
+  contactLandlord: '💬 To message the landlord of Property {id}, open the property on propabridge.ng and tap Contact Landlord.',
+  askLandlordProperty: '💬 Which property would you like to ask the landlord about? (Send the Property ID)',
+  makeOffer: '💰 To offer {amount}/year on Property {id}, open the property on propabridge.ng and tap Make Offer.',
+  askOfferAmount: "💰 How much would you like to offer for Property {id}? Reply e.g. 'offer 1.8M for property {id}'.",
+  askOffer: "💬 I understand! Property prices are often negotiable. I can send the landlord your offer.\n\nWhich property, and how much? e.g. 'offer 1.8M for property 12'",
+  listProperty: "🏠 Excellent! I can help you list your property.\n\nTo get started, I'll need:\n1. Property location\n2. Number of bedrooms\n3. Annual rent price\n4. Photos (optional - you can send them right here)\n\nReply with these details or visit our website to list: propabridge.ng/list",
+  fallback: "🤔 I'm not quite sure what you mean. I can help you:\n\n• *Search* for properties (e.g., '3 bedroom flat in Lekki under 3M')\n• *Schedule viewings*\n• *List your property*\n\nWhat would you like to do?",
+  error: 'Sorry, I encountered an error processing your request. Please try again later.',
+
+  handoffQueued: "🙋 No problem — I've asked a Propabridge agent to join this chat. They'll reply here as soon as one is free.",
+  handoffAlreadyQueued: "⏳ You're already in the queue for an agent. They'll reply here as soon as one is free.",
+  handoffEscalated: "🙋 I've asked a Propabridge agent to join this chat and help you further. They'll reply here shortly.",
+  handoffJoined: "👋 A Propabridge agent has joined the chat. You're now talking to a person.",
+  handoffReleased: "🤖 The agent has left the chat. You're back with the Propabridge assistant — how can I help?",
+
+  refused: "🙅 Sorry, I can't help with that. I can only help you find, view and list properties on Propabridge, and I never share other people's details.",
+  offTopic: "🏠 I can only help with property: finding a place to rent, booking viewings, contacting landlords and listing your property. What are you looking for?",
+  tooLong: "✂️ That message is too long for me (over {max} characters). Please send a shorter one, e.g. '2 bedroom flat in Lekki under 3M'.",
+
+  // Questions for when the NLU isn't sure; YES goes ahead with the guessed intent
+  clarify: {
+    search: "🤔 Just to check: are you looking for a property to rent? Reply YES, or tell me the area, bedrooms and budget (e.g. '2 bed flat in Lekki under 3M').",
+    inquire_specific: '🤔 Do you want the details of a property? Reply YES, or send its Property ID or its number in the list (1st, 2nd, etc.).',
+    schedule_viewing: "🤔 Would you like to book a viewing? Reply YES, or send the Property ID you'd like to see.",
+    contact_landlord: '🤔 Should I pass a message to the landlord? Reply YES, or tell me the Property ID and your question.',
+    price_negotiation: "🤔 Do you want to make an offer? Reply YES, or send e.g. 'offer 1.8M for property 12'.",
+    list_property: '🤔 Do you want to list a property on Propabridge? Reply YES to start.',
+    show_more: '🤔 Do you want more results from your last search? Reply YES to see them.'
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Hausa bot replies (keys as in en.js)
+ */
+module.exports = {
+  greeting: '👋 Sannu! Ni ne mataimakin ku na Propabridge.\n\nZan iya taimaka muku:\n• Nemo gidaje a Najeriya\n• Shirya lokacin ganin gida\n• Saka gidan ku a kasuwa\n\nMe kuke so ku yi?',
+  languageSet: '👍 To, daga yanzu zan amsa muku da Hausa.',
+
+  nearbyNone: "😔 Ban sami wani gida da aka saka kusa da wurin ba tukuna.\n\nKu gaya min unguwar maimakon haka (misali: 'gida mai dakuna biyu a Lekki').",
+  nearbyResults_one: 'Na sami gida {count} kusa da {place}!',
+  nearbyResults_other: 'Na sami gidaje {count} kusa da {place}!',
+  yourLocation: 'inda kuke',
+  searchResults_one: 'Na sami gida {count} da ya dace da bukatarku!',
+  searchResults_other: 'Na sami gidaje {count} da suka dace da bukatarku!',
+  noMatches: '😔 Ban sami gidan da ya dace da bukatarku daidai ba.\n\n',
+  nearbyAreas: '🔍 *Unguwannin da ke kusa:*\n',
+  cheaperOptions: '💡 *Gidaje masu rahusa:*\n',
+  searchTips: 'Ku gwada:\n• Wata unguwa\n• Canza kasafin kudinku\n• Rage yawan dakuna\n\nMe kuke so ku nema?',
+  searchError: '⚠️ Ina samun matsala wajen nema yanzu. Don Allah ku sake gwadawa nan gaba kadan.',
+
+  ambiguous: '🤔 Da yawa daga cikinsu sun dace. Wanne kuke nufi?\n\n{options}\n\nKu aiko da Property ID.',
+  ambiguousOption: '• Property {id}: {type} mai dakuna {bedrooms} a {location}',
+  detailsFollowUp: 'Kuna so ku shirya ganin gidan ko ku aika wa mai gida sako?',
+  propertyNotFound: '😕 Ban sami Property {id} ba. Ku duba ID din, ko ku gaya min wanne a jerin (1st, 2nd, da sauransu).',
+  askPropertyDetails: 'Zan yi farin cikin gaya muku game da gidan! Ku aiko da Property ID ko wanne a jerin (1st, 2nd, da sauransu).',
+
+  askViewingProperty: "📅 Madalla! Mu shirya lokacin ganin gida.\n\nWanne gida kuke so ku gani? (Ku aiko da Property ID, ko ku danna 'Book viewing' a karkashin gidan)",
+  contactLandlord: '💬 Don aika wa mai gidan Property {id} sako, ku bude gidan a propabridge.ng ku danna Contact Landlord.',
+  askLandlordProperty: '💬 Game da wanne gida kuke so ku tambayi mai gida? (Ku aiko da Property ID)',
+  makeOffer: '💰 Don bayar da {amount}/shekara kan Property {id}, ku bude gidan a propabridge.ng ku danna Make Offer.',
+  askOfferAmount: "💰 Nawa kuke so ku bayar kan Property {id}? Ku amsa kamar 'offer 1.8M for property {id}'.",
+  askOffer: "💬 Na gane! Ana yawan rage kudin gida. Zan iya aika wa mai gida tayinku.\n\nWanne gida, kuma nawa? misali: 'offer 1.8M for property 12'",
+  listProperty: '🏠 Madalla! Zan taimaka muku saka gidanku.\n\nDon farawa, ina bukatar:\n1. Inda gidan yake\n2. Yawan dakuna\n3. Kudin haya na shekara\n4. Hotuna (ba dole ba - kuna iya aikowa nan)\n\nKu aiko da wadannan bayanai ko ku ziyarci shafinmu: propabridge.ng/list',
+  fallback: "🤔 Ban gane abin da kuke nufi sosai ba. Zan iya taimaka muku:\n\n• *Nemo* gidaje (misali: 'gida mai dakuna uku a Lekki bai wuce 3M ba')\n• *Shirya* ganin gida\n• *Saka* gidanku\n\nMe kuke so ku yi?",
+  error: 'Yi hakuri, an sami matsala. Don Allah ku sake gwadawa daga baya.',
+
+  handoffQueued: '🙋 Ba matsala — na nemi wakilin Propabridge ya shiga wannan hira. Za su amsa muku a nan da zarar sun samu dama.',
+  handoffAlreadyQueued: '⏳ Kun riga kun shiga layin jiran wakili. Za su amsa muku a nan da zarar sun samu dama.',
+  handoffEscalated: '🙋 Na nemi wakilin Propabridge ya shiga wannan hira don ya kara taimaka muku. Za su amsa muku a nan ba da jimawa ba.',
+  handoffJoined: '👋 Wakilin Propabridge ya shiga hirar. Yanzu kuna magana da mutum.',
+  handoffReleased: '🤖 Wakilin ya bar hirar. Kun dawo wurin mataimakin Propabridge — yaya zan taimaka muku?',
+
+  refused: '🙅 Yi hakuri, ba zan iya taimakawa da wannan ba. Nemo gida, shirya ganin gida da saka gida a Propabridge kadai nake taimakawa, kuma ba na bayar da bayanan wasu mutane.',
+  offTopic: '🏠 Maganar gidaje kadai zan iya taimakawa: nemo gidan haya, shirya ganin gida, tuntubar mai gida da saka gidanku. Me kuke nema?',
+  tooLong: "✂️ Wannan sakon ya yi tsawo (ya wuce haruffa {max}). Don Allah ku aiko da gajere, misali: 'gida mai dakuna biyu a Lekki bai wuce 3M ba'.",
+
+  clarify: {
+    search: "🤔 Don tabbatarwa: kuna neman gidan haya ne? Ku amsa EH, ko ku gaya min unguwa, yawan dakuna da kasafin kudi (misali: 'gida mai dakuna biyu a Lekki bai wuce 3M ba').",
+    inquire_specific: '🤔 Kuna son bayanan wani gida? Ku amsa EH, ko ku aiko da Property ID ko lambarsa a jerin (1st, 2nd, da sauransu).',
+    schedule_viewing: '🤔 Kuna so ku shirya ganin gida? Ku amsa EH, ko ku aiko da Property ID na gidan da kuke so ku gani.',
+    contact_landlord: '🤔 In aika wa mai gida sako? Ku amsa EH, ko ku gaya min Property ID da tambayarku.',
+    price_negotiation: "🤔 Kuna so ku yi tayi? Ku amsa EH, ko ku aiko kamar 'offer 1.8M for property 12'.",
+    list_property: '🤔 Kuna so ku saka gida a Propabridge? Ku amsa EH don farawa.',
+    show_more: '🤔 Kuna son karin gidaje daga bincikenku na karshe? Ku amsa EH.'
+  }
+};
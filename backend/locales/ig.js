@@ -0,0 +1,55 @@
+/**
+ * Igbo bot replies (keys as in en.js)
+ */
+module.exports = {
+  greeting: '👋 Ndewo! Abụ m onye enyemaka Propabridge gị.\n\nEnwere m ike inyere gị aka:\n• Chọta ụlọ na Naịjirịa\n• Hazie oge ị ga-abịa lee ụlọ\n• Tinye ụlọ gị n\'ahịa\n\nGịnị ka ị chọrọ ime?',
+  languageSet: '👍 Ọ dị mma, m ga na-aza gị n\'asụsụ Igbo site ugbu a.',
+
+  nearbyNone: "😔 Ahụbeghị m ụlọ ọ bụla e tinyere n'ahịa n'akụkụ ebe ahụ.\n\nGwa m obodo ahụ kama (dịka: 'ụlọ nwere ime ụlọ abụọ na Lekki').",
+  nearbyResults_one: 'Ahụrụ m ụlọ {count} n\'akụkụ {place}!',
+  nearbyResults_other: 'Ahụrụ m ụlọ {count} n\'akụkụ {place}!',
+  yourLocation: 'ebe ị nọ',
+  searchResults_one: 'Ahụrụ m ụlọ {count} dabara n\'ihe ị na-achọ!',
+  searchResults_other: 'Ahụrụ m ụlọ {count} dabara n\'ihe ị na-achọ!',
+  noMatches: '😔 Ahụghị m ụlọ dabara kpọmkwem n\'ihe ị na-achọ.\n\n',
+  nearbyAreas: '🔍 *Obodo ndị dị nso:*\n',
+  cheaperOptions: '💡 *Ụlọ ndị dị ọnụ ala karịa:*\n',
+  searchTips: 'Nwaa:\n• Obodo ọzọ\n• Gbanwee ego ị nwere\n• Ime ụlọ ole na ole\n\nGịnị ka ị chọrọ ịchọ?',
+  searchError: '⚠️ Enwere nsogbu n\'ịchọ ụlọ ugbu a. Biko nwaa ọzọ n\'oge na-adịghị anya.',
+
+  ambiguous: '🤔 Ọtụtụ n\'ime ha dabara. Kedu nke ị na-ekwu?\n\n{options}\n\nZitere m Property ID.',
+  ambiguousOption: '• Property {id}: {type} nwere ime ụlọ {bedrooms} na {location}',
+  detailsFollowUp: 'Ị chọrọ ịhazi oge ị ga-abịa lee ya ka ọ bụ izitere onye nwe ụlọ ozi?',
+  propertyNotFound: '😕 Ahụghị m Property {id}. Lelee ID ahụ, ma ọ bụ gwa m nke ọ bụ n\'ndepụta (1st, 2nd, wdg.).',
+  askPropertyDetails: 'Ọ ga-atọ m ụtọ ịkọrọ gị banyere ụlọ ahụ! Gwa m Property ID ya ma ọ bụ nke ọ bụ n\'ndepụta (1st, 2nd, wdg.).',
+
+  askViewingProperty: "📅 Ọ dị mma! Ka anyị hazie oge ị ga-abịa lee ụlọ.\n\nKedu ụlọ ị chọrọ ịhụ? (Zite Property ID, ma ọ bụ pịa 'Book viewing' n'okpuru ụlọ ahụ)",
+  contactLandlord: '💬 Iji zigara onye nwe Property {id} ozi, mepee ụlọ ahụ na propabridge.ng ma pịa Contact Landlord.',
+  askLandlordProperty: '💬 Banyere kedu ụlọ ka ị chọrọ ịjụ onye nwe ụlọ? (Zite Property ID)',
+  makeOffer: '💰 Iji nye {amount}/afọ maka Property {id}, mepee ụlọ ahụ na propabridge.ng ma pịa Make Offer.',
+  askOfferAmount: "💰 Ego ole ka ị chọrọ inye maka Property {id}? Zaa dịka 'offer 1.8M for property {id}'.",
+  askOffer: "💬 Aghọtara m! A na-agbadata ọnụ ụlọ mgbe ụfọdụ. Enwere m ike izigara onye nwe ụlọ ego ị chọrọ inye.\n\nKedu ụlọ, ego ole kwa? dịka: 'offer 1.8M for property 12'",
+  listProperty: "🏠 Ọ dị mma nke ukwuu! Enwere m ike inyere gị aka itinye ụlọ gị n'ahịa.\n\nIji malite, achọrọ m:\n1. Ebe ụlọ ahụ dị\n2. Ọnụ ọgụgụ ime ụlọ\n3. Ego mgbazinye kwa afọ\n4. Foto (ọ bụghị iwu - ị nwere ike iziga ha ebe a)\n\nZitere m ihe ndị a ma ọ bụ gaa na weebụsaịtị anyị: propabridge.ng/list",
+  fallback: "🤔 Aghọtachaghị m ihe ị na-ekwu. Enwere m ike inyere gị aka:\n\n• *Chọta* ụlọ (dịka: 'ụlọ nwere ime ụlọ atọ na Lekki erughi 3M')\n• *Hazie* oge ị ga-abịa lee ụlọ\n• *Tinye* ụlọ gị n'ahịa\n\nGịnị ka ị chọrọ ime?",
+  error: 'Ndo, nsogbu mere. Biko nwaa ọzọ ma emechaa.',
+
+  handoffQueued: '🙋 Ọ dị mma — arịọla m onye ọrụ Propabridge ka ọ banye na mkparịta ụka a. Ha ga-aza gị ebe a ozugbo ohere dị.',
+  handoffAlreadyQueued: "⏳ Ị nọlarị n'ahịrị maka onye ọrụ. Ha ga-aza gị ebe a ozugbo ohere dị.",
+  handoffEscalated: "🙋 Arịọla m onye ọrụ Propabridge ka ọ banye na mkparịta ụka a ka o nyekwuo gị aka. Ha ga-aza gị ebe a n'oge na-adịghị anya.",
+  handoffJoined: '👋 Onye ọrụ Propabridge abanyela na mkparịta ụka a. Ugbu a, ọ bụ mmadụ ka gị na ya na-ekwu.',
+  handoffReleased: "🤖 Onye ọrụ ahụ apụla na mkparịta ụka a. Ị laghachiri n'onye enyemaka Propabridge — kedu ka m ga-esi nyere gị aka?",
+
+  refused: "🙅 Ndo, enweghị m ike inye aka n'ihe ahụ. Naanị ịchọ ụlọ, ịhazi oge ịhụ ụlọ na itinye ụlọ n'ahịa na Propabridge ka m na-enye aka, anaghị m ekesa ozi gbasara ndị ọzọ.",
+  offTopic: "🏠 Naanị ihe gbasara ụlọ ka m nwere ike inye aka: ịchọ ụlọ ị ga-agbazite, ịhazi oge ịhụ ụlọ, ịkpọtụrụ onye nwe ụlọ na itinye ụlọ gị n'ahịa. Gịnị ka ị na-achọ?",
+  tooLong: "✂️ Ozi ahụ ogologo karịa (ọ karịrị mkpụrụedemede {max}). Biko zite nke dị mkpụmkpụ, dịka: 'ụlọ nwere ime ụlọ abụọ na Lekki erughi 3M'.",
+
+  clarify: {
+    search: "🤔 Ka m jide n'aka: ị na-achọ ụlọ ị ga-agbazite? Zaa EE, ma ọ bụ gwa m obodo, ime ụlọ ole na ego ole (dịka: 'ụlọ nwere ime ụlọ abụọ na Lekki erughi 3M').",
+    inquire_specific: "🤔 Ị chọrọ ịmata banyere otu ụlọ? Zaa EE, ma ọ bụ zite Property ID ya ma ọ bụ nọmba ya n'ndepụta (1st, 2nd, wdg.).",
+    schedule_viewing: '🤔 Ị chọrọ ịhazi oge ị ga-abịa lee ụlọ? Zaa EE, ma ọ bụ zite Property ID nke ụlọ ị chọrọ ịhụ.',
+    contact_landlord: '🤔 Ka m zigara onye nwe ụlọ ozi? Zaa EE, ma ọ bụ gwa m Property ID na ajụjụ gị.',
+    price_negotiation: "🤔 Ị chọrọ ikwu ego ị ga-akwụ? Zaa EE, ma ọ bụ zite dịka 'offer 1.8M for property 12'.",
+    list_property: "🤔 Ị chọrọ itinye ụlọ n'ahịa na Propabridge? Zaa EE ka anyị malite.",
+    show_more: '🤔 Ị chọrọ ịhụ ụlọ ndị ọzọ site na nchọ gị gara aga? Zaa EE.'
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Nigerian Pidgin bot replies (keys as in en.js)
+ */
+module.exports = {
+  greeting: "👋 How far! Na me be your Propabridge assistant.\n\nI fit help you:\n• Find house for Nigeria\n• Book viewing\n• List your property\n\nWetin you wan do?",
+  languageSet: '👍 No wahala, I go dey reply you for Pidgin from now.',
+
+  nearbyNone: "😔 I never see any house wey dem list near that place.\n\nTell me the area instead (e.g., '2 bedroom flat for Lekki').",
+  nearbyResults_one: 'I see {count} house near {place}!',
+  nearbyResults_other: 'I see {count} houses near {place}!',
+  yourLocation: 'where you dey',
+  searchResults_one: 'I see {count} house wey match wetin you want!',
+  searchResults_other: 'I see {count} houses wey match wetin you want!',
+  noMatches: '😔 I no see house wey match wetin you want exactly.\n\n',
+  nearbyAreas: '🔍 *Areas wey near am:*\n',
+  cheaperOptions: '💡 *Houses wey cheap pass:*\n',
+  searchTips: 'Try:\n• Another area\n• Change your budget\n• Reduce the bedrooms\n\nWetin you wan find?',
+  searchError: '⚠️ Search no dey work well now. Abeg try again small time.',
+
+  ambiguous: '🤔 Plenty of them match. Which one you mean?\n\n{options}\n\nSend me the Property ID.',
+  ambiguousOption: '• Property {id}: {bedrooms}-bed {type} for {location}',
+  detailsFollowUp: 'You wan book viewing or send message give the landlord?',
+  propertyNotFound: '😕 I no fit find Property {id}. Check the ID, or tell me which one for the list (1st, 2nd, etc.).',
+  askPropertyDetails: 'I go tell you everything about the house! Which Property ID, or which one for the list (1st, 2nd, etc.)?',
+
+  askViewingProperty: "📅 Oya! Make we book viewing.\n\nWhich house you want see? (Send the Property ID, or tap 'Book viewing' under the house)",
+  contactLandlord: '💬 To send message give the landlord of Property {id}, open the house for propabridge.ng and tap Contact Landlord.',
+  askLandlordProperty: '💬 Which house you wan ask the landlord about? (Send the Property ID)',
+  makeOffer: '💰 To offer {amount}/year for Property {id}, open the house for propabridge.ng and tap Make Offer.',
+  askOfferAmount: "💰 How much you wan offer for Property {id}? Reply like 'offer 1.8M for property {id}'.",
+  askOffer: "💬 I hear you! Landlord fit reduce the price. I fit send your offer give am.\n\nWhich house, and how much? e.g. 'offer 1.8M for property 12'",
+  listProperty: "🏠 Correct! I go help you list your property.\n\nTo start, I need:\n1. Where the house dey\n2. How many bedrooms\n3. Rent for one year\n4. Pictures (no be by force - you fit send them here)\n\nReply with these things or list am for our website: propabridge.ng/list",
+  fallback: "🤔 I no too understand wetin you mean. I fit help you:\n\n• *Find* house (e.g., '3 bedroom flat for Lekki under 3M')\n• *Book viewing*\n• *List your property*\n\nWetin you wan do?",
+  error: 'Sorry, something spoil for our side. Abeg try again later.',
+
+  handoffQueued: "🙋 No wahala — I don call Propabridge agent make dem join this chat. Dem go reply you here once dem free.",
+  handoffAlreadyQueued: "⏳ You don already dey line for agent. Dem go reply you here once dem free.",
+  handoffEscalated: "🙋 I don call Propabridge agent make dem join this chat help you well well. Dem go reply you here soon.",
+  handoffJoined: "👋 Propabridge agent don join the chat. Na person you dey talk with now.",
+  handoffReleased: "🤖 The agent don comot for the chat. You don come back to Propabridge assistant — wetin I fit do for you?",
+
+  refused: "🙅 Sorry, I no fit help with that one. Na only to find house, book viewing and list property for Propabridge I dey help, and I no dey share other people details.",
+  offTopic: "🏠 Na only house matter I fit help with: find house to rent, book viewing, talk to landlord or list your property. Wetin you dey find?",
+  tooLong: "✂️ That message too long for me (e pass {max} characters). Abeg send short one, e.g. '2 bedroom flat for Lekki under 3M'.",
+
+  clarify: {
+    search: "🤔 Make I confirm: you dey find house to rent? Reply YES, or tell me the area, bedrooms and budget (e.g. '2 bed flat for Lekki under 3M').",
+    inquire_specific: '🤔 You want make I show you one house details? Reply YES, or send the Property ID or the number for the list (1st, 2nd, etc.).',
+    schedule_viewing: '🤔 You wan book viewing? Reply YES, or send the Property ID of the house you wan see.',
+    contact_landlord: '🤔 Make I send message give the landlord? Reply YES, or tell me the Property ID and wetin you wan ask.',
+    price_negotiation: "🤔 You wan make offer? Reply YES, or send like 'offer 1.8M for property 12'.",
+    list_property: '🤔 You wan list house for Propabridge? Reply YES make we start.',
+    show_more: '🤔 You wan see more houses from your last search? Reply YES.'
+  }
+};
@@ -0,0 +1,55 @@
+/**
+ * Yoruba bot replies (keys as in en.js)
+ */
+module.exports = {
+  greeting: '👋 Ẹ n lẹ́! Èmi ni olùrànlọ́wọ́ Propabridge yín.\n\nMo lè ràn yín lọ́wọ́ láti:\n• Wá ilé ní Nàìjíríà\n• Ṣètò ìgbà láti wo ilé\n• Polówó ilé yín\n\nKí ni ẹ fẹ́ ṣe?',
+  languageSet: '👍 Ó dáa, màá máa fèsì ní èdè Yorùbá láti ìsinsìnyí lọ.',
+
+  nearbyNone: "😔 Kò sí ilé kankan tí a polówó nítòsí ibẹ̀ síbẹ̀.\n\nẸ sọ agbègbè náà fún mi dípò (àpẹẹrẹ: 'ilé oní yàrá méjì ní Lekki').",
+  nearbyResults_one: 'Mo rí ilé {count} nítòsí {place}!',
+  nearbyResults_other: 'Mo rí ilé {count} nítòsí {place}!',
+  yourLocation: 'ibi tí ẹ wà',
+  searchResults_one: 'Mo rí ilé {count} tí ó bá ohun tí ẹ ń wá mu!',
+  searchResults_other: 'Mo rí ilé {count} tí ó bá ohun tí ẹ ń wá mu!',
+  noMatches: '😔 Kò sí ilé tí ó bá ohun tí ẹ ń wá mu gan-an.\n\n',
+  nearbyAreas: '🔍 *Àwọn agbègbè tí ó wà nítòsí:*\n',
+  cheaperOptions: '💡 *Àwọn ilé tí owó wọn kéré jù:*\n',
+  searchTips: 'Ẹ gbìyànjú:\n• Agbègbè mìíràn\n• Yíyí iye owó yín padà\n• Yàrá tí ó kéré sí i\n\nKí ni ẹ fẹ́ wá?',
+  searchError: '⚠️ Ìṣòro wà pẹ̀lú wíwá ilé báyìí. Ẹ jọ̀wọ́ ẹ tún gbìyànjú láìpẹ́.',
+
+  ambiguous: '🤔 Ọ̀pọ̀ nínú wọn ló bá a mu. Èwo ni ẹ ní lọ́kàn?\n\n{options}\n\nẸ fi Property ID ránṣẹ́.',
+  ambiguousOption: '• Property {id}: {type} oní yàrá {bedrooms} ní {location}',
+  detailsFollowUp: 'Ṣé ẹ fẹ́ ṣètò láti wo ilé yìí tàbí kí ẹ fi iṣẹ́ ránṣẹ́ sí onílé?',
+  propertyNotFound: '😕 Mi ò rí Property {id}. Ẹ ṣàyẹ̀wò ID náà, tàbí kí ẹ sọ èwo nínú àtòjọ (1st, 2nd, abbl.).',
+  askPropertyDetails: 'Inú mi á dùn láti sọ nípa ilé náà! Ẹ sọ Property ID rẹ̀ tàbí èwo nínú àtòjọ (1st, 2nd, abbl.).',
+
+  askViewingProperty: "📅 Ó dáa! Ẹ jẹ́ ká ṣètò ìgbà láti wo ilé.\n\nIlé wo ni ẹ fẹ́ wò? (Ẹ fi Property ID ránṣẹ́, tàbí kí ẹ tẹ 'Book viewing' lábẹ́ ilé náà)",
+  contactLandlord: '💬 Láti fi iṣẹ́ ránṣẹ́ sí onílé Property {id}, ẹ ṣí ilé náà lórí propabridge.ng kí ẹ sì tẹ Contact Landlord.',
+  askLandlordProperty: '💬 Nípa ilé wo ni ẹ fẹ́ bi onílé? (Ẹ fi Property ID ránṣẹ́)',
+  makeOffer: '💰 Láti fi {amount}/ọdún lélẹ̀ fún Property {id}, ẹ ṣí ilé náà lórí propabridge.ng kí ẹ sì tẹ Make Offer.',
+  askOfferAmount: "💰 Èélòó ni ẹ fẹ́ san fún Property {id}? Ẹ fèsì bí 'offer 1.8M for property {id}'.",
+  askOffer: "💬 Ó yé mi! Wọ́n sábà máa ń dín owó ilé kù. Mo lè fi iye tí ẹ fẹ́ san ránṣẹ́ sí onílé.\n\nIlé wo, èélòó sì ni? àpẹẹrẹ: 'offer 1.8M for property 12'",
+  listProperty: '🏠 Ó dára gan-an! Mo lè ràn yín lọ́wọ́ láti polówó ilé yín.\n\nLáti bẹ̀rẹ̀, mo nílò:\n1. Ibi tí ilé wà\n2. Iye yàrá\n3. Owó ilé ọdún kan\n4. Àwòrán (kò pọn dandan - ẹ lè fi ránṣẹ́ níbí)\n\nẸ fi àwọn nǹkan wọ̀nyí ránṣẹ́ tàbí kí ẹ lọ sí ojú-òpó wa: propabridge.ng/list',
+  fallback: "🤔 Kò yé mi dáadáa. Mo lè ràn yín lọ́wọ́ láti:\n\n• *Wá* ilé (àpẹẹrẹ: 'ilé oní yàrá mẹ́ta ní Lekki ko ju 3M')\n• *Ṣètò* ìgbà láti wo ilé\n• *Polówó* ilé yín\n\nKí ni ẹ fẹ́ ṣe?",
+  error: 'Ẹ má bínú, ìṣòro kan ṣẹlẹ̀. Ẹ jọ̀wọ́ ẹ tún gbìyànjú nígbà míì.',
+
+  handoffQueued: '🙋 Kò burú — mo ti pe aṣojú Propabridge kan láti darapọ̀ mọ́ ìjíròrò yìí. Wọn á fèsì níbí ní kété tí ọwọ́ wọn bá dilẹ̀.',
+  handoffAlreadyQueued: '⏳ Ẹ ti wà nínú ìlà fún aṣojú kan. Wọn á fèsì níbí ní kété tí ọwọ́ wọn bá dilẹ̀.',
+  handoffEscalated: '🙋 Mo ti pe aṣojú Propabridge kan láti darapọ̀ mọ́ ìjíròrò yìí kí wọn lè ràn yín lọ́wọ́ sí i. Wọn á fèsì níbí láìpẹ́.',
+  handoffJoined: '👋 Aṣojú Propabridge kan ti darapọ̀ mọ́ ìjíròrò náà. Ènìyàn ni ẹ ń bá sọ̀rọ̀ báyìí.',
+  handoffReleased: '🤖 Aṣojú náà ti kúrò nínú ìjíròrò. Ẹ ti padà sọ́dọ̀ olùrànlọ́wọ́ Propabridge — báwo ni mo ṣe lè ràn yín lọ́wọ́?',
+
+  refused: '🙅 Ẹ má bínú, mi ò lè ràn yín lọ́wọ́ nínú ìyẹn. Wíwá ilé, ṣíṣètò àti wo ilé àti polówó ilé lórí Propabridge nìkan ni mo lè ṣe, mi ò sì ní pín ìsọfúnni àwọn ẹlòmíì.',
+  offTopic: '🏠 Ọ̀rọ̀ ilé nìkan ni mo lè ràn yín lọ́wọ́ nínú rẹ̀: wíwá ilé láti yá, ṣíṣètò àti wo ilé, bíbá onílé sọ̀rọ̀ àti polówó ilé yín. Kí ni ẹ ń wá?',
+  tooLong: "✂️ Iṣẹ́ yẹn ti gùn jù fún mi (ó ju {max} lẹ́tà lọ). Ẹ jọ̀wọ́ ẹ fi èyí tó kúrú ránṣẹ́, àpẹẹrẹ: 'ilé oní yàrá méjì ní Lekki ko ju 3M'.",
+
+  clarify: {
+    search: "🤔 Ẹ jẹ́ kí n rí i dájú: ṣé ẹ ń wá ilé láti yá? Ẹ fèsì BẸ́Ẹ̀NI, tàbí kí ẹ sọ agbègbè, iye yàrá àti iye owó (àpẹẹrẹ: 'ilé oní yàrá méjì ní Lekki ko ju 3M').",
+    inquire_specific: '🤔 Ṣé ẹ fẹ́ mọ̀ nípa ilé kan? Ẹ fèsì BẸ́Ẹ̀NI, tàbí kí ẹ fi Property ID tàbí nọ́ńbà rẹ̀ nínú àtòjọ ránṣẹ́ (1st, 2nd, abbl.).',
+    schedule_viewing: '🤔 Ṣé ẹ fẹ́ ṣètò ìgbà láti wo ilé? Ẹ fèsì BẸ́Ẹ̀NI, tàbí kí ẹ fi Property ID ilé tí ẹ fẹ́ wò ránṣẹ́.',
+    contact_landlord: '🤔 Ṣé kí n fi iṣẹ́ ránṣẹ́ sí onílé? Ẹ fèsì BẸ́Ẹ̀NI, tàbí kí ẹ sọ Property ID àti ìbéèrè yín.',
+    price_negotiation: "🤔 Ṣé ẹ fẹ́ sọ iye tí ẹ lè san? Ẹ fèsì BẸ́Ẹ̀NI, tàbí kí ẹ kọ bí 'offer 1.8M for property 12'.",
+    list_property: '🤔 Ṣé ẹ fẹ́ polówó ilé lórí Propabridge? Ẹ fèsì BẸ́Ẹ̀NI láti bẹ̀rẹ̀.',
+    show_more: '🤔 Ṣé ẹ fẹ́ rí ilé mìíràn láti ìwádìí yín tó kọjá? Ẹ fèsì BẸ́Ẹ̀NI.'
+  }
+};
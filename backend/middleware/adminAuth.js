@@ -1,9 +1,10 @@
 const authService = require('../services/authService');
+const adminAuthService = require('../services/adminAuthService');
 
 /**
  * Admin Authentication Middleware
- * Verifies that the user is authenticated and has admin role
- * Accepts both regular user tokens (with admin role) and admin tokens
+ * Requires an admin-scoped token (issued by /auth/admin/login/verify) backed
+ * by an active admin session, and that the user still has admin role
  */
 const requireAdmin = async (req, res, next) => {
   try {
@@ -26,17 +27,24 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Check if this is an admin token (role: 'admin')
-    if (payload.role === 'admin') {
-      req.adminUser = {
-        id: payload.userId,
-        phone: payload.phone,
-        role: 'admin'
-      };
-      return next();
+    if (payload.scope !== 'admin' || !payload.sid) {
+      return res.status(403).json({
+        success: false,
+        message: 'Access denied. Admin login required.'
+      });
+    }
+
+    const session = await adminAuthService.touchSession(payload.sid);
+
+    if (!session || session.user_id !== payload.userId) {
+      return res.status(401).json({
+        success: false,
+        message: 'Admin session has ended. Please log in again.'
+      });
     }
 
-    // Check if this is a regular user with admin role
+    // Always re-check the role in the database so demoted admins lose access
+    // before their access token expires
     const user = await authService.getUserById(payload.userId);
 
     if (!user) {
@@ -54,8 +62,9 @@ const requireAdmin = async (req, res, next) => {
       });
     }
 
-    // Add user info to request object
+    // Add user and session info to request object
     req.adminUser = user;
+    req.adminSession = session;
     next();
 
   } catch (error) {
@@ -84,7 +93,14 @@ const optionalAdmin = async (req, res, next) => {
     const token = authHeader.split(' ')[1];
     const payload = authService.verifyToken(token);
 
-    if (!payload) {
+    if (!payload || payload.scope !== 'admin' || !payload.sid) {
+      req.adminUser = null;
+      return next();
+    }
+
+    const session = await adminAuthService.touchSession(payload.sid);
+
+    if (!session || session.user_id !== payload.userId) {
       req.adminUser = null;
       return next();
     }
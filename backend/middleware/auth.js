@@ -0,0 +1,151 @@
+const authService = require('../services/authService');
+const adminAuthService = require('../services/adminAuthService');
+
+/**
+ * User roles, from least to most privileged
+ */
+const ROLES = ['user', 'landlord', 'agent', 'admin'];
+
+/**
+ * Authentication Middleware
+ * Verifies the access token and loads the caller into req.user.
+ * Admin-scoped tokens are accepted as long as their admin session is active.
+ * Only those set req.user.isAdmin: an admin who signed in with the plain OTP
+ * flow (no password, no session) is treated like any other user.
+ */
+const requireAuth = async (req, res, next) => {
+  try {
+    const authHeader = req.headers.authorization;
+
+    if (!authHeader || !authHeader.startsWith('Bearer ')) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    const token = authHeader.split(' ')[1];
+    const payload = authService.verifyToken(token);
+
+    if (!payload) {
+      return res.status(401).json({
+        success: false,
+        message: 'Invalid or expired token'
+      });
+    }
+
+    if (payload.scope === 'admin') {
+      const session = payload.sid ? await adminAuthService.touchSession(payload.sid) : null;
+
+      if (!session || session.user_id !== payload.userId) {
+        return res.status(401).json({
+          success: false,
+          message: 'Admin session has ended. Please log in again.'
+        });
+      }
+    }
+
+    const user = await authService.getUserById(payload.userId);
+
+    if (!user) {
+      return res.status(401).json({
+        success: false,
+        message: 'User not found'
+      });
+    }
+
+    req.user = { ...user, isAdmin: payload.scope === 'admin' && user.role === 'admin' };
+    next();
+
+  } catch (error) {
+    console.error('Authentication error:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Authentication failed'
+    });
+  }
+};
+
+/**
+ * Role Middleware (use after requireAuth)
+ * Admins (signed in through the admin login) pass every role check.
+ * @param {...string} roles - Allowed roles
+ * @returns {function} - Express middleware
+ */
+const requireRole = (...roles) => {
+  const unknown = roles.filter(role => !ROLES.includes(role));
+  if (unknown.length > 0) {
+    throw new Error(`Unknown role(s): ${unknown.join(', ')}`);
+  }
+
+  return (req, res, next) => {
+    if (!req.user) {
+      return res.status(401).json({
+        success: false,
+        message: 'Authentication required'
+      });
+    }
+
+    if (!req.user.isAdmin && !roles.includes(req.user.role)) {
+      return res.status(403).json({
+        success: false,
+        message: `Access denied. Requires role: ${roles.join(' or ')}`
+      });
+    }
+
+    next();
+  };
+};
+
+/**
+ * Ownership Middleware (use after requireAuth)
+ * Loads a resource and checks that its user_id matches the caller.
+ * Admins (signed in through the admin login) may act on any resource. The loaded resource is set on req.resource.
+ * @param {function} loadResource - async (req) => resource with a user_id, or null
+ * @returns {function} - Express middleware
+ */
+const requireOwnership = (loadResource) => {
+  return async (req, res, next) => {
+    try {
+      if (!req.user) {
+        return res.status(401).json({
+          success: false,
+          message: 'Authentication required'
+        });
+      }
+
+      const resource = await loadResource(req);
+
+      if (!resource) {
+        return res.status(404).json({
+          success: false,
+          message: 'Resource not found'
+        });
+      }
+
+      if (!req.user.isAdmin && resource.user_id !== req.user.id) {
+        return res.status(403).json({
+          success: false,
+          message: 'Access denied. You do not own this resource.'
+        });
+      }
+
+      req.resource = resource;
+      next();
+
+    } catch (error) {
+      console.error('Ownership check error:', error);
+      res.status(500).json({
+        success: false,
+        message: 'Ownership check failed'
+      });
+    }
+  };
+};
+
+module.exports = {
+  ROLES,
+  requireAuth,
+  requireRole,
+  requireOwnership
+};
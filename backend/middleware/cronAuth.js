@@ -0,0 +1,29 @@
+const crypto = require('crypto');
+
+/**
+ * Cron Authentication Middleware
+ * Lets through scheduled jobs that send `Authorization: Bearer <CRON_SECRET>`
+ * (Vercel Cron sends this header when CRON_SECRET is set on the project).
+ * Without a CRON_SECRET every request is rejected.
+ */
+const requireCronSecret = (req, res, next) => {
+  const secret = process.env.CRON_SECRET;
+
+  if (!secret) {
+    console.error('❌ CRON_SECRET is not set; rejecting cron request');
+    return res.sendStatus(401);
+  }
+
+  const expected = Buffer.from(`Bearer ${secret}`);
+  const received = Buffer.from(req.get('authorization') || '');
+
+  if (received.length !== expected.length || !crypto.timingSafeEqual(received, expected)) {
+    return res.sendStatus(401);
+  }
+
+  next();
+};
+
+module.exports = {
+  requireCronSecret
+};
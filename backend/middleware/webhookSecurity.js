@@ -0,0 +1,86 @@
+const webhookSecurityService = require('../services/webhookSecurityService');
+const metricsService = require('../services/metricsService');
+
+/**
+ * Webhook Signature Middleware
+ * Rejects POSTs whose X-Hub-Signature-256 doesn't match the raw body signed
+ * with WHATSAPP_APP_SECRET. Needs req.rawBody (kept by the JSON parser in index.js).
+ * Without an app secret, requests are rejected in production and let through
+ * (with a warning) elsewhere.
+ */
+const verifyWebhookSignature = (req, res, next) => {
+  metricsService.increment('webhook.received');
+
+  const appSecret = process.env.WHATSAPP_APP_SECRET;
+
+  if (!appSecret) {
+    if (process.env.NODE_ENV === 'production') {
+      console.error('❌ WHATSAPP_APP_SECRET is not set; rejecting webhook');
+      metricsService.increment('webhook.signature_unconfigured');
+      return res.sendStatus(500);
+    }
+
+    console.warn('⚠️ WHATSAPP_APP_SECRET not set, skipping webhook signature check');
+    return next();
+  }
+
+  const signature = req.get('x-hub-signature-256');
+
+  if (!signature) {
+    console.warn('⚠️ Webhook rejected: missing X-Hub-Signature-256');
+    metricsService.increment('webhook.signature_missing');
+    return res.sendStatus(401);
+  }
+
+  if (!webhookSecurityService.verifySignature(req.rawBody, signature, appSecret)) {
+    console.warn('⚠️ Webhook rejected: invalid signature');
+    metricsService.increment('webhook.signature_invalid');
+    return res.sendStatus(401);
+  }
+
+  next();
+};
+
+/**
+ * Replay Protection Middleware (use after verifyWebhookSignature)
+ * Drops payloads that are stale or were already received. These are
+ * acknowledged with 200 so Meta doesn't keep retrying them, but not processed.
+ * A payload is only counted as received once it has been acknowledged: if the
+ * handler fails with a 5xx, the receipt is removed so Meta's retry gets through.
+ */
+const rejectReplayedWebhooks = async (req, res, next) => {
+  try {
+    if (webhookSecurityService.isStale(req.body)) {
+      console.warn('⚠️ Webhook ignored: stale payload');
+      metricsService.increment('webhook.stale');
+      return res.sendStatus(200);
+    }
+
+    const rawBody = req.rawBody || Buffer.from(JSON.stringify(req.body));
+    const isNew = await webhookSecurityService.recordReceipt(rawBody);
+
+    if (!isNew) {
+      console.warn('⚠️ Webhook ignored: replayed payload');
+      metricsService.increment('webhook.replayed');
+      return res.sendStatus(200);
+    }
+
+    res.on('finish', () => {
+      if (res.statusCode < 500) return;
+      webhookSecurityService.forgetReceipt(rawBody)
+        .catch(error => console.error('Error removing webhook receipt:', error));
+    });
+
+    metricsService.increment('webhook.accepted');
+    next();
+
+  } catch (error) {
+    console.error('Webhook replay check error:', error);
+    res.sendStatus(500);
+  }
+};
+
+module.exports = {
+  verifyWebhookSignature,
+  rejectReplayedWebhooks
+};
@@ -30,18 +30,59 @@ class Conversation {
     return result.rows[0];
   }
 
-  // Update conversation with AI response
-  static async updateWithResponse(id, { intent, response }) {
+  // Update conversation with the bot's understanding and reply
+  static async updateWithResponse(id, { intent, entities, response, resultCount }) {
     const result = await query(
       `UPDATE conversations 
-       SET intent = $1, response = $2, updated_at = NOW()
-       WHERE id = $3
+       SET intent = $1, entities = $2, response = $3, result_count = $4, updated_at = NOW()
+       WHERE id = $5
        RETURNING *`,
-      [intent, response, id]
+      [
+        intent,
+        entities || null,
+        response === undefined || response === null ? null : JSON.stringify(response),
+        resultCount === undefined ? null : resultCount,
+        id
+      ]
     );
     return result.rows[0];
   }
 
+  // Search transcripts by phone, intent and date range (dates inclusive), newest first
+  static async search({ phone, intent, from, to, limit = 50, offset = 0 }) {
+    const conditions = [];
+    const params = [];
+
+    if (phone) {
+      params.push(phone);
+      conditions.push(`phone = $${params.length}`);
+    }
+    if (intent) {
+      params.push(intent);
+      conditions.push(`intent = $${params.length}`);
+    }
+    if (from) {
+      params.push(from);
+      conditions.push(`created_at >= $${params.length}::date`);
+    }
+    if (to) {
+      params.push(to);
+      conditions.push(`created_at < $${params.length}::date + 1`);
+    }
+
+    const where = conditions.length ? `WHERE ${conditions.join(' AND ')}` : '';
+    const count = await query(`SELECT COUNT(*)::int AS total FROM conversations ${where}`, params);
+
+    params.push(limit, offset);
+    const result = await query(
+      `SELECT * FROM conversations ${where}
+       ORDER BY created_at DESC
+       LIMIT $${params.length - 1} OFFSET $${params.length}`,
+      params
+    );
+    return { total: count.rows[0].total, conversations: result.rows };
+  }
+
   // Get conversation statistics
   static async getStats(timePeriod = '24 hours') {
     const result = await query(
@@ -58,6 +99,64 @@ class Conversation {
     );
     return result.rows;
   }
+
+  // Recent searches that showed no properties
+  static async findZeroResultSearches(timePeriod = '7 days', limit = 20) {
+    const result = await query(
+      `SELECT id, phone, message, entities, created_at
+       FROM conversations
+       WHERE intent IN ('search', 'show_more') AND result_count = 0
+         AND created_at >= NOW() - $1::interval
+       ORDER BY created_at DESC
+       LIMIT $2`,
+      [timePeriod, limit]
+    );
+    return result.rows;
+  }
+
+  // Locations most often searched without results
+  static async getUnmetLocations(timePeriod = '7 days', limit = 10) {
+    const result = await query(
+      `SELECT INITCAP(LOWER(TRIM(entities->>'location'))) AS location,
+              COUNT(*)::int AS searches,
+              COUNT(DISTINCT phone)::int AS users
+       FROM conversations
+       WHERE intent IN ('search', 'show_more') AND result_count = 0
+         AND COALESCE(TRIM(entities->>'location'), '') <> ''
+         AND created_at >= NOW() - $1::interval
+       GROUP BY 1
+       ORDER BY searches DESC, location
+       LIMIT $2`,
+      [timePeriod, limit]
+    );
+    return result.rows;
+  }
+
+  // Budget bands (by maximum price) most often searched without results
+  static async getUnmetBudgets(timePeriod = '7 days') {
+    const result = await query(
+      `SELECT band, MIN(max_price) AS min_budget, COUNT(*)::int AS searches, COUNT(DISTINCT phone)::int AS users
+       FROM (
+         SELECT phone, (entities->>'maxPrice')::numeric AS max_price,
+                CASE
+                  WHEN (entities->>'maxPrice')::numeric < 500000 THEN 'Under ₦500K'
+                  WHEN (entities->>'maxPrice')::numeric < 1000000 THEN '₦500K - ₦1M'
+                  WHEN (entities->>'maxPrice')::numeric < 2000000 THEN '₦1M - ₦2M'
+                  WHEN (entities->>'maxPrice')::numeric < 5000000 THEN '₦2M - ₦5M'
+                  WHEN (entities->>'maxPrice')::numeric < 10000000 THEN '₦5M - ₦10M'
+                  ELSE '₦10M and above'
+                END AS band
+         FROM conversations
+         WHERE intent IN ('search', 'show_more') AND result_count = 0
+           AND jsonb_typeof(entities->'maxPrice') = 'number'
+           AND created_at >= NOW() - $1::interval
+       ) unmet
+       GROUP BY band
+       ORDER BY searches DESC, min_budget`,
+      [timePeriod]
+    );
+    return result.rows;
+  }
 }
 
 module.exports = Conversation;
@@ -0,0 +1,65 @@
+const { query } = require('../config/db');
+
+/**
+ * Short-term bot memory for one phone: the last few turns, the last search
+ * criteria, the IDs of the last results shown and any flow the bot is in the
+ * middle of. Sessions expire after a period of silence and are then ignored.
+ */
+class ConversationSession {
+  // Get the live (unexpired) session for a phone
+  static async find(phone) {
+    const result = await query(
+      `SELECT * FROM conversation_sessions
+       WHERE phone = $1 AND expires_at > NOW()`,
+      [phone]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Get a phone's session even if it has expired (admin inspection)
+  static async findAny(phone) {
+    const result = await query(
+      'SELECT * FROM conversation_sessions WHERE phone = $1',
+      [phone]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Store a session, pushing its expiry ttlMinutes from now
+  static async save(phone, { turns, lastCriteria, lastResultIds, flowState, language }, ttlMinutes) {
+    const result = await query(
+      `INSERT INTO conversation_sessions (phone, turns, last_criteria, last_result_ids, flow_state, language, expires_at)
+       VALUES ($1, $2, $3, $4, $5, $6, NOW() + make_interval(mins => $7))
+       ON CONFLICT (phone) DO UPDATE
+       SET turns = EXCLUDED.turns,
+           last_criteria = EXCLUDED.last_criteria,
+           last_result_ids = EXCLUDED.last_result_ids,
+           flow_state = EXCLUDED.flow_state,
+           language = EXCLUDED.language,
+           expires_at = EXCLUDED.expires_at,
+           updated_at = NOW()
+       RETURNING *`,
+      [
+        phone,
+        JSON.stringify(turns || []),
+        lastCriteria ? JSON.stringify(lastCriteria) : null,
+        lastResultIds || [],
+        flowState ? JSON.stringify(flowState) : null,
+        language || null,
+        ttlMinutes
+      ]
+    );
+    return result.rows[0];
+  }
+
+  // Forget a phone's session; false if there was none
+  static async clear(phone) {
+    const result = await query(
+      'DELETE FROM conversation_sessions WHERE phone = $1 RETURNING phone',
+      [phone]
+    );
+    return result.rowCount > 0;
+  }
+}
+
+module.exports = ConversationSession;
@@ -0,0 +1,50 @@
+const { query } = require('../config/db');
+
+const MAX_STORED_LENGTH = 2000;
+
+/**
+ * Bot messages refused by the guardrails (guardService), kept for admins to review
+ */
+class FlaggedMessage {
+  // Record a refused message (only the start of very long ones is kept)
+  static async create({ phone, message, reason }) {
+    const text = String(message || '');
+    const result = await query(
+      `INSERT INTO flagged_messages (phone, message, message_length, reason)
+       VALUES ($1, $2, $3, $4)
+       RETURNING *`,
+      [String(phone || '').slice(0, 20), text.slice(0, MAX_STORED_LENGTH), text.length, reason]
+    );
+    return result.rows[0];
+  }
+
+  // Recent flagged messages, newest first, optionally for one reason
+  static async findRecent({ reason, timePeriod = '7 days', limit = 50 }) {
+    const result = await query(
+      `SELECT * FROM flagged_messages
+       WHERE created_at >= NOW() - $1::interval
+         AND ($2::text IS NULL OR reason = $2)
+       ORDER BY created_at DESC
+       LIMIT $3`,
+      [timePeriod, reason || null, limit]
+    );
+    return result.rows;
+  }
+
+  // How many messages were flagged for each reason, and by how many phones
+  static async countByReason(timePeriod = '7 days') {
+    const result = await query(
+      `SELECT reason, COUNT(*)::int AS count, COUNT(DISTINCT phone)::int AS phones
+       FROM flagged_messages
+       WHERE created_at >= NOW() - $1::interval
+       GROUP BY reason
+       ORDER BY count DESC`,
+      [timePeriod]
+    );
+    return result.rows;
+  }
+}
+
+FlaggedMessage.REASONS = ['too_long', 'injection', 'data_extraction', 'off_topic'];
+
+module.exports = FlaggedMessage;
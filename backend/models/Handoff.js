@@ -0,0 +1,103 @@
+const { query } = require('../config/db');
+
+/**
+ * Conversations passed from the bot to a human agent. A phone has at most one
+ * open handoff: 'queued' until an agent takes it, then 'active' (the bot stays
+ * quiet for that phone) until it is released.
+ */
+class Handoff {
+  // Queue a handoff for a phone, or return the one already open
+  static async open({ phone, reason, triggerMessage }) {
+    await query(
+      `INSERT INTO handoffs (phone, reason, trigger_message)
+       VALUES ($1, $2, $3)
+       ON CONFLICT (phone) WHERE status IN ('queued', 'active') DO NOTHING`,
+      [phone, reason, triggerMessage]
+    );
+    return Handoff.findOpenByPhone(phone);
+  }
+
+  // Get a handoff by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM handoffs WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  // The queued or active handoff for a phone, if any
+  static async findOpenByPhone(phone) {
+    const result = await query(
+      `SELECT * FROM handoffs WHERE phone = $1 AND status IN ('queued', 'active')`,
+      [phone]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Open handoffs for the agent queue, oldest first, with the user's latest message
+  static async listOpen() {
+    const result = await query(
+      `SELECT h.*, u.name as agent_name, last.message as last_message, last.created_at as last_message_at
+       FROM handoffs h
+       LEFT JOIN users u ON u.id = h.agent_id
+       LEFT JOIN LATERAL (
+         SELECT message, created_at FROM conversations
+         WHERE phone = h.phone
+         ORDER BY created_at DESC
+         LIMIT 1
+       ) last ON true
+       WHERE h.status IN ('queued', 'active')
+       ORDER BY h.created_at ASC`
+    );
+    return result.rows;
+  }
+
+  // Assign a queued handoff to an agent (null if someone else has it or it was released)
+  static async take(id, agentId) {
+    const result = await query(
+      `UPDATE handoffs
+       SET status = 'active', agent_id = $2, taken_at = COALESCE(taken_at, NOW())
+       WHERE id = $1 AND (status = 'queued' OR (status = 'active' AND agent_id = $2))
+       RETURNING *`,
+      [id, agentId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Hand the phone back to the bot (null if it was already released)
+  static async release(id) {
+    const result = await query(
+      `UPDATE handoffs
+       SET status = 'released', released_at = NOW()
+       WHERE id = $1 AND status IN ('queued', 'active')
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Record a reply an agent sent
+  static async addMessage({ handoffId, agentId, body }) {
+    const result = await query(
+      `INSERT INTO handoff_messages (handoff_id, agent_id, body)
+       VALUES ($1, $2, $3)
+       RETURNING *`,
+      [handoffId, agentId, body]
+    );
+    return result.rows[0];
+  }
+
+  // Agent replies sent to a phone since a time, oldest first
+  static async getAgentMessages(phone, since) {
+    const result = await query(
+      `SELECT m.*, u.name as agent_name
+       FROM handoff_messages m
+       JOIN handoffs h ON h.id = m.handoff_id
+       LEFT JOIN users u ON u.id = m.agent_id
+       WHERE h.phone = $1 AND m.created_at >= $2
+       ORDER BY m.created_at ASC`,
+      [phone, since]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = Handoff;
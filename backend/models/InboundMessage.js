@@ -0,0 +1,128 @@
+const { query } = require('../config/db');
+
+/**
+ * Inbound WhatsApp messages, queued for processing.
+ * Status flow: queued -> processing -> processed, or
+ * processing -> failed (retried later) -> ... -> dead after the last attempt
+ */
+class InboundMessage {
+  // Store a message from the webhook; returns null if this message id was already stored
+  static async enqueue(message, phoneNumberId = null) {
+    const sentAt = message.timestamp ? new Date(parseInt(message.timestamp, 10) * 1000) : new Date();
+    const result = await query(
+      `INSERT INTO inbound_messages (wa_message_id, phone, type, payload, phone_number_id, sent_at)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       ON CONFLICT (wa_message_id) DO NOTHING
+       RETURNING *`,
+      [message.id, message.from, message.type, JSON.stringify(message), phoneNumberId, sentAt]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Claim the oldest unfinished message of each phone that has nothing in progress.
+  // A phone whose oldest message is waiting for a retry is skipped, which keeps
+  // each phone's messages in order.
+  static async claimNext(limit = 10) {
+    const result = await query(
+      `UPDATE inbound_messages m
+       SET status = 'processing', attempts = attempts + 1, updated_at = NOW()
+       WHERE m.id IN (
+         SELECT id FROM (
+           SELECT DISTINCT ON (phone) id, next_attempt_at
+           FROM inbound_messages
+           WHERE status IN ('queued', 'failed')
+           ORDER BY phone, sent_at, id
+         ) oldest
+         WHERE oldest.next_attempt_at <= NOW()
+         LIMIT $1
+       )
+       AND m.status IN ('queued', 'failed')
+       AND NOT EXISTS (
+         SELECT 1 FROM inbound_messages p
+         WHERE p.phone = m.phone AND p.status = 'processing'
+       )
+       RETURNING *`,
+      [limit]
+    );
+    return result.rows;
+  }
+
+  // Mark a message as processed
+  static async markProcessed(id) {
+    const result = await query(
+      `UPDATE inbound_messages
+       SET status = 'processed', last_error = NULL, processed_at = NOW(), updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0];
+  }
+
+  // Record a processing step (conversationId, result, repliesSent) so a retry skips it
+  static async saveProgress(id, { conversationId, result, repliesSent }) {
+    await query(
+      `UPDATE inbound_messages
+       SET conversation_id = COALESCE($2, conversation_id),
+           result = COALESCE($3, result),
+           replies_sent = COALESCE($4, replies_sent),
+           updated_at = NOW()
+       WHERE id = $1`,
+      [id, conversationId ?? null, result ? JSON.stringify(result) : null, repliesSent ?? null]
+    );
+  }
+
+  // Record a failed attempt: schedule a retry, or dead-letter after maxAttempts
+  static async markFailed(id, errorMessage, { maxAttempts, retryDelaySeconds }) {
+    const result = await query(
+      `UPDATE inbound_messages
+       SET status = CASE WHEN attempts >= $3 THEN 'dead' ELSE 'failed' END,
+           last_error = $2,
+           next_attempt_at = NOW() + make_interval(secs => $4),
+           updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, errorMessage, maxAttempts, retryDelaySeconds]
+    );
+    return result.rows[0];
+  }
+
+  // Put messages stuck in 'processing' (e.g. after a crash) back in the queue
+  static async requeueStuck(olderThanSeconds) {
+    const result = await query(
+      `UPDATE inbound_messages
+       SET status = 'failed', last_error = 'Processing interrupted', next_attempt_at = NOW(), updated_at = NOW()
+       WHERE status = 'processing' AND updated_at < NOW() - make_interval(secs => $1)
+       RETURNING id`,
+      [olderThanSeconds]
+    );
+    return result.rowCount;
+  }
+
+  // List failed and dead-lettered messages (or one status), newest first
+  static async findFailed({ status, limit = 50 } = {}) {
+    const statuses = status ? [status] : ['failed', 'dead'];
+    const result = await query(
+      `SELECT * FROM inbound_messages
+       WHERE status = ANY($1)
+       ORDER BY updated_at DESC
+       LIMIT $2`,
+      [statuses, limit]
+    );
+    return result.rows;
+  }
+
+  // Queue a failed or dead-lettered message again with a fresh set of attempts
+  static async replay(id) {
+    const result = await query(
+      `UPDATE inbound_messages
+       SET status = 'queued', attempts = 0, last_error = NULL, next_attempt_at = NOW(), updated_at = NOW()
+       WHERE id = $1 AND status IN ('failed', 'dead')
+       RETURNING *`,
+      [id]
+    );
+    return result.rows[0] || null;
+  }
+}
+
+module.exports = InboundMessage;
@@ -0,0 +1,164 @@
+const { query } = require('../config/db');
+
+// Inquiry row with the property and both parties' contact details
+const INQUIRY_SELECT = `
+  SELECT i.*,
+         p.type AS property_type, p.location AS property_location, p.price AS property_price,
+         t.name AS tenant_name,
+         o.phone AS owner_phone, o.name AS owner_name
+  FROM inquiries i
+  JOIN properties p ON p.id = i.property_id
+  LEFT JOIN users t ON t.id = i.user_id
+  LEFT JOIN users o ON o.id = i.owner_id`;
+
+/**
+ * Tenant questions about a property, threaded as inquiry_messages between
+ * the tenant and the property owner
+ */
+class Inquiry {
+  // Open a new inquiry (the first message is added separately)
+  static async create({ propertyId, userId, phone, ownerId, message, source }, db = { query }) {
+    const result = await db.query(
+      `INSERT INTO inquiries (property_id, user_id, phone, owner_id, message, source)
+       VALUES ($1, $2, $3, $4, $5, $6)
+       RETURNING id`,
+      [propertyId, userId, phone, ownerId || null, message, source || 'web']
+    );
+    return Inquiry.findById(result.rows[0].id, db);
+  }
+
+  // Get an inquiry with property and contact details
+  static async findById(id, db = { query }) {
+    const result = await db.query(`${INQUIRY_SELECT} WHERE i.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  // A tenant's open (not closed) inquiry about a property, if any
+  static async findOpen(propertyId, userId, db = { query }) {
+    const result = await db.query(
+      `${INQUIRY_SELECT}
+       WHERE i.property_id = $1 AND i.user_id = $2 AND i.status <> 'closed'
+       ORDER BY i.created_at DESC
+       LIMIT 1`,
+      [propertyId, userId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Owner inbox (or every inquiry for admins), newest activity first
+  static async findForOwner(ownerId, { propertyId, status, limit = 50, offset = 0 } = {}) {
+    const conditions = [];
+    const values = [];
+
+    if (ownerId) {
+      values.push(ownerId);
+      conditions.push(`i.owner_id = $${values.length}`);
+    }
+    if (propertyId) {
+      values.push(propertyId);
+      conditions.push(`i.property_id = $${values.length}`);
+    }
+    if (status) {
+      values.push(status);
+      conditions.push(`i.status = $${values.length}`);
+    }
+
+    values.push(limit, offset);
+    const result = await query(
+      `${INQUIRY_SELECT}
+       ${conditions.length > 0 ? `WHERE ${conditions.join(' AND ')}` : ''}
+       ORDER BY i.last_message_at DESC
+       LIMIT $${values.length - 1} OFFSET $${values.length}`,
+      values
+    );
+    return result.rows;
+  }
+
+  // Inquiries a tenant has sent, newest activity first
+  static async findForTenant(userId) {
+    const result = await query(
+      `${INQUIRY_SELECT}
+       WHERE i.user_id = $1
+       ORDER BY i.last_message_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Inbox counts by status for an owner (or everyone, for admins)
+  static async countByStatus(ownerId) {
+    const result = await query(
+      `SELECT status, COUNT(*)::int AS count
+       FROM inquiries
+       WHERE ($1::int IS NULL OR owner_id = $1)
+       GROUP BY status`,
+      [ownerId || null]
+    );
+    return result.rows.reduce((counts, row) => ({ ...counts, [row.status]: row.count }), {});
+  }
+
+  // Add a message to the thread and move the inquiry to a new status
+  static async addMessage(inquiryId, { senderRole, senderId, body, channel, status }, db = { query }) {
+    const result = await db.query(
+      `INSERT INTO inquiry_messages (inquiry_id, sender_role, sender_id, body, channel)
+       VALUES ($1, $2, $3, $4, $5)
+       RETURNING *`,
+      [inquiryId, senderRole, senderId || null, body, channel || 'web']
+    );
+
+    await db.query(
+      `UPDATE inquiries
+       SET last_message_at = NOW(), status = COALESCE($2, status), closed_at = NULL
+       WHERE id = $1`,
+      [inquiryId, status || null]
+    );
+
+    return result.rows[0];
+  }
+
+  // Messages in a thread, oldest first
+  static async getMessages(inquiryId) {
+    const result = await query(
+      `SELECT * FROM inquiry_messages
+       WHERE inquiry_id = $1
+       ORDER BY created_at ASC, id ASC`,
+      [inquiryId]
+    );
+    return result.rows;
+  }
+
+  // Record that one side agreed to share phone numbers
+  static async recordContactConsent(id, role) {
+    const column = role === 'owner' ? 'owner_shared_contact_at' : 'tenant_shared_contact_at';
+    await query(
+      `UPDATE inquiries
+       SET ${column} = COALESCE(${column}, NOW())
+       WHERE id = $1`,
+      [id]
+    );
+    return Inquiry.findById(id);
+  }
+
+  // Record the price both sides agreed on through an accepted offer
+  static async setAgreedPrice(id, offerId, amount, db = { query }) {
+    await db.query(
+      `UPDATE inquiries
+       SET accepted_offer_id = $2, agreed_price = $3
+       WHERE id = $1`,
+      [id, offerId, amount]
+    );
+  }
+
+  // Close a thread
+  static async close(id) {
+    await query(
+      `UPDATE inquiries
+       SET status = 'closed', closed_at = NOW()
+       WHERE id = $1`,
+      [id]
+    );
+    return Inquiry.findById(id);
+  }
+}
+
+module.exports = Inquiry;
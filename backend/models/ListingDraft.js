@@ -0,0 +1,73 @@
+const { query } = require('../config/db');
+
+/**
+ * Property listings being put together over WhatsApp.
+ * A phone has at most one open draft; photos are Cloudinary URLs that become
+ * property_images when the draft is submitted.
+ */
+class ListingDraft {
+  // Get the open draft for a phone number
+  static async findOpenByPhone(phone) {
+    const result = await query(
+      `SELECT * FROM listing_drafts
+       WHERE phone = $1 AND status = 'open'
+       ORDER BY created_at DESC
+       LIMIT 1`,
+      [phone]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Get the open draft for a phone number, or start one
+  static async findOrCreate(phone) {
+    const existing = await ListingDraft.findOpenByPhone(phone);
+    if (existing) return existing;
+
+    const result = await query(
+      `INSERT INTO listing_drafts (phone)
+       VALUES ($1)
+       RETURNING *`,
+      [phone]
+    );
+    return result.rows[0];
+  }
+
+  // Update flow state: step, resume_step, data, status, property_id
+  static async update(id, updates) {
+    const allowed = ['step', 'resume_step', 'data', 'status', 'property_id'];
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (!allowed.includes(key)) {
+        throw new Error(`Cannot update listing draft field: ${key}`);
+      }
+      values.push(key === 'data' ? JSON.stringify(value) : value);
+      fields.push(`${key} = $${values.length}`);
+    });
+
+    values.push(id);
+    const result = await query(
+      `UPDATE listing_drafts
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}
+       RETURNING *`,
+      values
+    );
+    return result.rows[0];
+  }
+
+  // Append an uploaded photo URL
+  static async addPhoto(id, imageUrl) {
+    const result = await query(
+      `UPDATE listing_drafts
+       SET photos = photos || $2::jsonb, updated_at = NOW()
+       WHERE id = $1
+       RETURNING *`,
+      [id, JSON.stringify([imageUrl])]
+    );
+    return result.rows[0];
+  }
+}
+
+module.exports = ListingDraft;
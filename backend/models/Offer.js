@@ -0,0 +1,103 @@
+const { query } = require('../config/db');
+
+// Offer row with the property and both parties' names
+// (phone numbers stay on the inquiry, which masks them until both sides agree)
+const OFFER_SELECT = `
+  SELECT o.*,
+         p.type AS property_type, p.location AS property_location, p.price AS property_price,
+         t.name AS tenant_name,
+         w.name AS owner_name
+  FROM offers o
+  JOIN properties p ON p.id = o.property_id
+  LEFT JOIN users t ON t.id = o.tenant_id
+  LEFT JOIN users w ON w.id = o.owner_id`;
+
+/**
+ * Price offers on a property. A negotiation is the chain of offers on one
+ * inquiry: each counter-offer closes the previous one as 'countered' and
+ * points back to it through parent_offer_id.
+ */
+class Offer {
+  // Record a new pending offer (db: a transaction's client, to create it inside one)
+  static async create({ propertyId, inquiryId, tenantId, ownerId, parentOfferId, proposedBy, amount, askingPrice, terms, source }, db = { query }) {
+    const result = await db.query(
+      `INSERT INTO offers (property_id, inquiry_id, tenant_id, owner_id, parent_offer_id, proposed_by, amount, asking_price, terms, source)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+       RETURNING id`,
+      [propertyId, inquiryId, tenantId, ownerId || null, parentOfferId || null, proposedBy, amount, askingPrice, terms || null, source || 'web']
+    );
+    return Offer.findById(result.rows[0].id, db);
+  }
+
+  // Get an offer with property and contact details
+  static async findById(id, db = { query }) {
+    const result = await db.query(`${OFFER_SELECT} WHERE o.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  // The offer waiting for an answer on an inquiry, if any
+  static async findPendingForInquiry(inquiryId) {
+    const result = await query(
+      `${OFFER_SELECT} WHERE o.inquiry_id = $1 AND o.status = 'pending'`,
+      [inquiryId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Full negotiation history on an inquiry, oldest first
+  static async findForInquiry(inquiryId) {
+    const result = await query(
+      `${OFFER_SELECT}
+       WHERE o.inquiry_id = $1
+       ORDER BY o.created_at ASC, o.id ASC`,
+      [inquiryId]
+    );
+    return result.rows;
+  }
+
+  // Offers a user made or received, newest first
+  static async findForUser(userId) {
+    const result = await query(
+      `${OFFER_SELECT}
+       WHERE o.tenant_id = $1 OR o.owner_id = $1
+       ORDER BY o.created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Close a pending offer with its outcome; null if it was no longer pending
+  static async resolve(id, status, db = { query }) {
+    const result = await db.query(
+      `UPDATE offers
+       SET status = $2, responded_at = NOW()
+       WHERE id = $1 AND status = 'pending'
+       RETURNING id`,
+      [id, status]
+    );
+    return result.rows[0] ? Offer.findById(id, db) : null;
+  }
+
+  // How offers end up against the asking price (admin dashboard)
+  static async getStats() {
+    const result = await query(`
+      SELECT
+        COUNT(*)::int AS total,
+        COUNT(*) FILTER (WHERE status = 'pending')::int AS pending,
+        COUNT(*) FILTER (WHERE status = 'accepted')::int AS accepted,
+        COUNT(*) FILTER (WHERE status = 'declined')::int AS declined,
+        COUNT(*) FILTER (WHERE status = 'countered')::int AS countered,
+        COUNT(*) FILTER (WHERE status = 'accepted' AND amount < asking_price)::int AS accepted_below_asking,
+        AVG((asking_price - amount) / NULLIF(asking_price, 0) * 100)
+          FILTER (WHERE status = 'accepted') AS avg_accepted_discount_pct,
+        AVG((asking_price - amount) / NULLIF(asking_price, 0) * 100)
+          FILTER (WHERE proposed_by = 'tenant' AND parent_offer_id IS NULL) AS avg_opening_discount_pct
+      FROM offers
+    `);
+    return result.rows[0];
+  }
+}
+
+Offer.STATUSES = ['pending', 'accepted', 'countered', 'declined', 'withdrawn'];
+
+module.exports = Offer;
@@ -0,0 +1,109 @@
+const { query } = require('../config/db');
+
+// Delivery statuses in the order WhatsApp reports them; callbacks can arrive
+// out of order, so a row never moves back to an earlier status
+const STATUS_RANK = { accepted: 0, sent: 1, delivered: 2, read: 3 };
+
+class OutboundMessage {
+  // Record a message accepted by the WhatsApp API (or a send the API rejected)
+  static async create({ wamid, phone, type, payload, status = 'accepted', errorCode, errorTitle }) {
+    const result = await query(
+      `INSERT INTO outbound_messages (wamid, phone, type, payload, status, error_code, error_title, failed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, CASE WHEN $5 = 'failed' THEN NOW() END)
+       RETURNING *`,
+      [wamid || null, phone, type, JSON.stringify(payload), status, errorCode || null, errorTitle || null]
+    );
+    return result.rows[0];
+  }
+
+  // Apply a status callback ({ id, status, timestamp, errors }) from the webhook
+  static async applyStatus(statusUpdate) {
+    const { id: wamid, status, timestamp, errors } = statusUpdate;
+    const at = timestamp ? new Date(parseInt(timestamp, 10) * 1000) : new Date();
+
+    if (status === 'failed') {
+      const error = (errors && errors[0]) || {};
+      const result = await query(
+        `UPDATE outbound_messages
+         SET status = 'failed', failed_at = $2, error_code = $3, error_title = $4, updated_at = NOW()
+         WHERE wamid = $1
+         RETURNING *`,
+        [wamid, at, error.code ? String(error.code) : null, error.title || error.message || null]
+      );
+      return result.rows[0] || null;
+    }
+
+    if (STATUS_RANK[status] === undefined) {
+      return null;
+    }
+
+    const result = await query(
+      `UPDATE outbound_messages
+       SET status = CASE
+             WHEN status = 'failed' THEN status
+             WHEN $3 > CASE status WHEN 'accepted' THEN 0 WHEN 'sent' THEN 1 WHEN 'delivered' THEN 2 WHEN 'read' THEN 3 END
+               THEN $2
+             ELSE status
+           END,
+           sent_at = COALESCE(sent_at, $4),
+           delivered_at = CASE WHEN $3 >= 2 THEN COALESCE(delivered_at, $4) ELSE delivered_at END,
+           read_at = CASE WHEN $3 >= 3 THEN COALESCE(read_at, $4) ELSE read_at END,
+           updated_at = NOW()
+       WHERE wamid = $1
+       RETURNING *`,
+      [wamid, status, STATUS_RANK[status], at]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Delivery funnel for messages created in the last N days
+  static async getFunnel(days = 7) {
+    const result = await query(
+      `SELECT
+         COUNT(*) AS total,
+         COUNT(*) FILTER (WHERE sent_at IS NOT NULL) AS sent,
+         COUNT(*) FILTER (WHERE delivered_at IS NOT NULL) AS delivered,
+         COUNT(*) FILTER (WHERE read_at IS NOT NULL) AS read,
+         COUNT(*) FILTER (WHERE status = 'failed') AS failed
+       FROM outbound_messages
+       WHERE created_at >= NOW() - make_interval(days => $1)`,
+      [days]
+    );
+    return result.rows[0];
+  }
+
+  // Phones with failed sends in the last N days, most failures first
+  static async getFailuresByPhone(days = 7, limit = 50) {
+    const result = await query(
+      `SELECT
+         phone,
+         COUNT(*) AS total,
+         COUNT(*) FILTER (WHERE status = 'failed') AS failed,
+         MAX(failed_at) AS last_failed_at,
+         (ARRAY_AGG(error_code ORDER BY failed_at DESC) FILTER (WHERE status = 'failed'))[1] AS last_error_code,
+         (ARRAY_AGG(error_title ORDER BY failed_at DESC) FILTER (WHERE status = 'failed'))[1] AS last_error_title
+       FROM outbound_messages
+       WHERE created_at >= NOW() - make_interval(days => $1)
+       GROUP BY phone
+       HAVING COUNT(*) FILTER (WHERE status = 'failed') > 0
+       ORDER BY failed DESC, last_failed_at DESC
+       LIMIT $2`,
+      [days, limit]
+    );
+    return result.rows;
+  }
+
+  // Failed sends to one phone, newest first
+  static async findFailedByPhone(phone, limit = 50) {
+    const result = await query(
+      `SELECT * FROM outbound_messages
+       WHERE phone = $1 AND status = 'failed'
+       ORDER BY COALESCE(failed_at, created_at) DESC
+       LIMIT $2`,
+      [phone, limit]
+    );
+    return result.rows;
+  }
+}
+
+module.exports = OutboundMessage;
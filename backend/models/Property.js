@@ -1,4 +1,5 @@
 const { query } = require('../config/db');
+const { PROPERTY_FIELDS } = require('./propertySchema');
 
 class Property {
   // Get all properties (with optional filters)
@@ -62,6 +63,14 @@ class Property {
     return properties;
   }
 
+  // Find several properties by ID, in the order given (missing IDs are skipped)
+  static async findByIds(ids) {
+    if (!ids || ids.length === 0) return [];
+    const result = await query('SELECT * FROM properties WHERE id = ANY($1::int[])', [ids]);
+    const byId = new Map(result.rows.map(property => [property.id, property]));
+    return ids.map(id => byId.get(id)).filter(Boolean);
+  }
+
   // Find a property by ID with images
   static async findById(id) {
     const result = await query('SELECT * FROM properties WHERE id = $1', [id]);
@@ -81,6 +90,15 @@ class Property {
     return property;
   }
 
+  // Log a view for analytics (web detail page or bot)
+  static async recordView(propertyId, { userId, phone } = {}) {
+    await query(
+      `INSERT INTO property_views (property_id, user_id, phone, viewed_at)
+       VALUES ($1, $2, $3, NOW())`,
+      [propertyId, userId || null, phone || null]
+    );
+  }
+
   // Create a new property
   static async create(propertyData) {
     const {
@@ -88,34 +106,107 @@ class Property {
       location,
       price,
       bedrooms,
-      features,
+      bathrooms = bedrooms,
+      area = null,
+      features = null,
+      amenities = [],
       verified = false,
+      status = 'pending',
       ownerId,
+      userId,
     } = propertyData;
 
     const result = await query(
       `INSERT INTO properties (
-        type, location, price, bedrooms, features, verified, owner_id, created_at
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, NOW()) RETURNING *`,
-      [type, location, price, bedrooms, features, verified, ownerId]
+        type, location, price, bedrooms, bathrooms, area, features, amenities,
+        verified, status, owner_id, user_id, created_at
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, NOW()) RETURNING *`,
+      [
+        type, location, price, bedrooms, bathrooms, area, features, JSON.stringify(amenities || []),
+        verified, status, ownerId, userId
+      ]
     );
 
     return result.rows[0];
   }
 
-  // Update a property
+  // Attach an uploaded image URL to a property
+  static async addImage(propertyId, imageUrl, isPrimary = false) {
+    const result = await query(
+      `INSERT INTO property_images (property_id, image_url, is_primary) 
+       VALUES ($1, $2, $3) 
+       RETURNING *`,
+      [propertyId, imageUrl, isPrimary]
+    );
+    return result.rows[0];
+  }
+
+  // Find verified properties within radiusKm of a point, nearest first.
+  // coordinates is a POINT stored as (latitude, longitude).
+  static async findNear(latitude, longitude, { radiusKm = 10, limit = 10 } = {}) {
+    const result = await query(
+      `SELECT * FROM (
+         SELECT p.*,
+                6371 * 2 * ASIN(SQRT(
+                  POWER(SIN(RADIANS(p.coordinates[0] - $1) / 2), 2) +
+                  COS(RADIANS($1)) * COS(RADIANS(p.coordinates[0])) *
+                  POWER(SIN(RADIANS(p.coordinates[1] - $2) / 2), 2)
+                )) AS distance_km
+         FROM properties p
+         WHERE p.verified = true AND p.coordinates IS NOT NULL
+       ) nearby
+       WHERE distance_km <= $3
+       ORDER BY distance_km ASC
+       LIMIT $4`,
+      [latitude, longitude, radiusKm, limit]
+    );
+    const properties = result.rows;
+
+    // Fetch primary images for all properties
+    for (const property of properties) {
+      const imageResult = await query(
+        'SELECT * FROM property_images WHERE property_id = $1 AND is_primary = true LIMIT 1',
+        [property.id]
+      );
+      property.primaryImage = imageResult.rows[0] || null;
+    }
+
+    return properties;
+  }
+
+  // Get all properties owned by a user (any status)
+  static async findByUser(userId) {
+    const result = await query(
+      'SELECT * FROM properties WHERE user_id = $1 ORDER BY created_at DESC',
+      [userId]
+    );
+    return result.rows;
+  }
+
+  // Update a property (only columns declared in propertySchema can be set)
   static async update(id, updates) {
     const fields = [];
     const values = [];
     let paramCount = 1;
 
-    // Build the SET clause dynamically based on provided updates
+    // Build the SET clause from whitelisted columns only - keys are never
+    // interpolated unless they are known schema fields
     Object.entries(updates).forEach(([key, value]) => {
+      const field = PROPERTY_FIELDS[key];
+      if (!field) {
+        throw new Error(`Unknown property field: ${key}`);
+      }
+      if (value === undefined) return;
+
       fields.push(`${key} = $${paramCount}`);
-      values.push(value);
+      values.push(field.serialize && value !== null ? field.serialize(value) : value);
       paramCount++;
     });
 
+    if (fields.length === 0) {
+      throw new Error('No fields to update');
+    }
+
     // Add the ID to the values array for the WHERE clause
     values.push(id);
 
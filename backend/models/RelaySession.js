@@ -0,0 +1,75 @@
+const { query } = require('../config/db');
+
+/**
+ * Masked chats between a tenant and a property owner, relayed through the
+ * business number. While a phone has an active session, its plain WhatsApp
+ * messages are forwarded instead of going to the bot.
+ */
+class RelaySession {
+  // Start a session for an inquiry, or return the one already active
+  static async start({ inquiryId, tenantPhone, ownerPhone, startedBy }) {
+    await query(
+      `INSERT INTO relay_sessions (inquiry_id, tenant_phone, owner_phone, started_by)
+       VALUES ($1, $2, $3, $4)
+       ON CONFLICT (inquiry_id) WHERE status = 'active' DO NOTHING`,
+      [inquiryId, tenantPhone, ownerPhone, startedBy]
+    );
+    return RelaySession.findActiveByInquiry(inquiryId);
+  }
+
+  // Get a session by ID
+  static async findById(id) {
+    const result = await query('SELECT * FROM relay_sessions WHERE id = $1', [id]);
+    return result.rows[0] || null;
+  }
+
+  // The active session for an inquiry, if any
+  static async findActiveByInquiry(inquiryId) {
+    const result = await query(
+      `SELECT * FROM relay_sessions WHERE inquiry_id = $1 AND status = 'active'`,
+      [inquiryId]
+    );
+    return result.rows[0] || null;
+  }
+
+  // Active sessions a phone is in (as tenant or owner), most recently used first
+  static async findActiveByPhone(phone) {
+    const result = await query(
+      `SELECT * FROM relay_sessions
+       WHERE status = 'active' AND (tenant_phone = $1 OR owner_phone = $1)
+       ORDER BY last_message_at DESC`,
+      [phone]
+    );
+    return result.rows;
+  }
+
+  // Record relayed activity
+  static async touch(id) {
+    await query(
+      `UPDATE relay_sessions
+       SET message_count = message_count + 1, last_message_at = NOW()
+       WHERE id = $1`,
+      [id]
+    );
+  }
+
+  // End a session and release both phones back to the bot
+  static async end(id, endedBy) {
+    const result = await query(
+      `UPDATE relay_sessions
+       SET status = 'ended', ended_by = $2, ended_at = NOW()
+       WHERE id = $1 AND status = 'active'
+       RETURNING *`,
+      [id, endedBy]
+    );
+    return result.rows[0] || null;
+  }
+
+  // End any active session for an inquiry (e.g. when it is closed)
+  static async endForInquiry(inquiryId, endedBy) {
+    const session = await RelaySession.findActiveByInquiry(inquiryId);
+    return session ? RelaySession.end(session.id, endedBy) : null;
+  }
+}
+
+module.exports = RelaySession;
@@ -0,0 +1,147 @@
+const { query } = require('../config/db');
+
+// Statuses that hold a slot; only one active viewing per property and time
+const ACTIVE_STATUSES = ['requested', 'confirmed'];
+
+// Viewing row with the property and both parties' contact details
+const VIEWING_SELECT = `
+  SELECT v.*,
+         p.type AS property_type, p.location AS property_location,
+         t.phone AS tenant_user_phone, t.name AS tenant_name,
+         l.phone AS landlord_phone, l.name AS landlord_name
+  FROM viewings v
+  JOIN properties p ON p.id = v.property_id
+  LEFT JOIN users t ON t.id = v.tenant_id
+  LEFT JOIN users l ON l.id = v.landlord_id`;
+
+/**
+ * Property viewings between a tenant and the landlord/agent who listed the
+ * property, plus the weekly availability windows viewings are booked into
+ */
+class Viewing {
+  // Book a viewing (the tenant confirms by booking)
+  static async create({ propertyId, tenantId, tenantPhone, landlordId, scheduledAt, durationMinutes, notes, source }) {
+    const result = await query(
+      `INSERT INTO viewings
+         (property_id, tenant_id, tenant_phone, landlord_id, scheduled_at, duration_minutes, notes, source, tenant_confirmed_at)
+       VALUES ($1, $2, $3, $4, $5, $6, $7, $8, NOW())
+       RETURNING id`,
+      [propertyId, tenantId, tenantPhone, landlordId || null, scheduledAt, durationMinutes, notes || null, source || 'web']
+    );
+    return Viewing.findById(result.rows[0].id);
+  }
+
+  // Get a viewing with property and contact details
+  static async findById(id) {
+    const result = await query(`${VIEWING_SELECT} WHERE v.id = $1`, [id]);
+    return result.rows[0] || null;
+  }
+
+  // Viewings where the user is the tenant or the landlord, soonest first
+  static async findForUser(userId, { includePast = false } = {}) {
+    const result = await query(
+      `${VIEWING_SELECT}
+       WHERE (v.tenant_id = $1 OR v.landlord_id = $1)
+         AND ($2 OR v.scheduled_at >= NOW() - INTERVAL '1 day')
+       ORDER BY v.scheduled_at ASC`,
+      [userId, includePast]
+    );
+    return result.rows;
+  }
+
+  // Start times already taken for a property in a time range
+  static async findBookedTimes(propertyId, from, to) {
+    const result = await query(
+      `SELECT scheduled_at FROM viewings
+       WHERE property_id = $1 AND status = ANY($2) AND scheduled_at BETWEEN $3 AND $4`,
+      [propertyId, ACTIVE_STATUSES, from, to]
+    );
+    return result.rows.map(row => row.scheduled_at);
+  }
+
+  // Update lifecycle columns
+  static async update(id, updates) {
+    const allowed = [
+      'status', 'scheduled_at', 'tenant_confirmed_at', 'landlord_confirmed_at', 'cancelled_by',
+      'cancel_reason', 'no_show_party', 'reschedule_count', 'reminder_sent_at'
+    ];
+    const fields = [];
+    const values = [];
+
+    Object.entries(updates).forEach(([key, value]) => {
+      if (!allowed.includes(key)) {
+        throw new Error(`Cannot update viewing field: ${key}`);
+      }
+      values.push(value);
+      fields.push(`${key} = $${values.length}`);
+    });
+
+    values.push(id);
+    await query(
+      `UPDATE viewings
+       SET ${fields.join(', ')}, updated_at = NOW()
+       WHERE id = $${values.length}`,
+      values
+    );
+    return Viewing.findById(id);
+  }
+
+  // Mark confirmed viewings starting within the next N hours as reminded, and return them
+  static async claimDueReminders(hoursAhead = 24) {
+    const result = await query(
+      `WITH due AS (
+         UPDATE viewings
+         SET reminder_sent_at = NOW(), updated_at = NOW()
+         WHERE status = 'confirmed'
+           AND reminder_sent_at IS NULL
+           AND scheduled_at BETWEEN NOW() AND NOW() + make_interval(hours => $1)
+         RETURNING id
+       )
+       ${VIEWING_SELECT}
+       WHERE v.id IN (SELECT id FROM due)`,
+      [hoursAhead]
+    );
+    return result.rows;
+  }
+
+  // Requests the landlord never confirmed lapse once their time has passed
+  static async expireUnconfirmed() {
+    const result = await query(
+      `UPDATE viewings
+       SET status = 'expired', updated_at = NOW()
+       WHERE status = 'requested' AND scheduled_at < NOW()`
+    );
+    return result.rowCount;
+  }
+
+  // Weekly availability windows for a property
+  static async getAvailability(propertyId) {
+    const result = await query(
+      `SELECT id, day_of_week, start_time, end_time, slot_minutes
+       FROM viewing_availability
+       WHERE property_id = $1
+       ORDER BY day_of_week, start_time`,
+      [propertyId]
+    );
+    return result.rows;
+  }
+
+  // Replace a property's availability windows
+  static async replaceAvailability(propertyId, windows, userId) {
+    await query('DELETE FROM viewing_availability WHERE property_id = $1', [propertyId]);
+
+    for (const window of windows) {
+      await query(
+        `INSERT INTO viewing_availability (property_id, day_of_week, start_time, end_time, slot_minutes, created_by)
+         VALUES ($1, $2, $3, $4, $5, $6)`,
+        [propertyId, window.dayOfWeek, window.startTime, window.endTime, window.slotMinutes, userId || null]
+      );
+    }
+
+    return Viewing.getAvailability(propertyId);
+  }
+}
+
+Viewing.ACTIVE_STATUSES = ACTIVE_STATUSES;
+
+module.exports = Viewing;
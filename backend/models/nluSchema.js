@@ -0,0 +1,103 @@
+const { AMENITIES, AMENITY_ALIASES, validateField } = require('./propertySchema');
+
+/**
+ * NLU Schema
+ * Shape of an NLU result ({ intent, confidence, entities }), used to check
+ * model output before the bot acts on it
+ */
+
+const INTENTS = ['greeting', 'search', 'inquire_specific', 'schedule_viewing', 'contact_landlord', 'price_negotiation', 'list_property', 'show_more', 'other'];
+
+// Place and property-type names: letters, digits and simple punctuation only,
+// so instructions or markup a model copied from the message are rejected
+const NAME_PATTERN = /^[\p{L}\p{M}\p{N} .,'&()/-]+$/u;
+
+/**
+ * Entity definitions (same field types as propertySchema)
+ */
+const ENTITY_FIELDS = {
+  location: { type: 'string', minLength: 2, maxLength: 60, pattern: NAME_PATTERN },
+  propertyType: { type: 'string', minLength: 2, maxLength: 40, pattern: NAME_PATTERN },
+  minPrice: { type: 'number', min: 1, max: 10000000000 },
+  maxPrice: { type: 'number', min: 1, max: 10000000000 },
+  bedrooms: { type: 'integer', min: 0, max: 50 },
+  amenities: { type: 'array', items: AMENITIES, aliases: AMENITY_ALIASES },
+  propertyId: { type: 'integer', min: 1 },
+  amount: { type: 'number', min: 1, max: 10000000000 }
+};
+
+// Entities each intent may carry; anything else the model returns is dropped
+const SEARCH_ENTITIES = ['location', 'propertyType', 'minPrice', 'maxPrice', 'bedrooms', 'amenities'];
+const INTENT_ENTITIES = {
+  search: SEARCH_ENTITIES,
+  show_more: SEARCH_ENTITIES,
+  inquire_specific: ['propertyId'],
+  schedule_viewing: ['propertyId'],
+  contact_landlord: ['propertyId'],
+  price_negotiation: ['propertyId', 'amount']
+};
+
+const INTENT_FIELD = { type: 'enum', values: INTENTS };
+const CONFIDENCE_FIELD = { type: 'number', min: 0, max: 1 };
+
+/**
+ * Validate an NLU result
+ * Missing or null entities are left out; unknown entity keys are dropped.
+ * @param {object} output - Parsed model output
+ * @returns {object} - { valid, value, errors } where errors maps field -> message
+ */
+const validateUnderstanding = (output) => {
+  if (!output || typeof output !== 'object' || Array.isArray(output)) {
+    return { valid: false, value: null, errors: { _output: 'Must be a JSON object' } };
+  }
+
+  const errors = {};
+  const value = { entities: {} };
+
+  const intent = validateField(INTENT_FIELD, output.intent ?? '');
+  if (intent.error) errors.intent = intent.error;
+  else value.intent = intent.value;
+
+  const confidence = validateField(CONFIDENCE_FIELD, output.confidence ?? '');
+  if (confidence.error) errors.confidence = confidence.error;
+  else value.confidence = confidence.value;
+
+  const entities = output.entities || {};
+  if (typeof entities !== 'object' || Array.isArray(entities)) {
+    errors.entities = 'Must be an object';
+  } else {
+    Object.entries(entities).forEach(([key, raw]) => {
+      if (!ENTITY_FIELDS[key] || raw === null || raw === undefined || raw === '') return;
+
+      const result = validateField(ENTITY_FIELDS[key], raw);
+      if (result.error) errors[`entities.${key}`] = result.error;
+      else value.entities[key] = result.value;
+    });
+  }
+
+  if (value.entities.minPrice && value.entities.maxPrice && value.entities.minPrice > value.entities.maxPrice) {
+    errors['entities.minPrice'] = 'Must not be more than maxPrice';
+  }
+
+  const valid = Object.keys(errors).length === 0;
+  return { valid, value: valid ? value : null, errors };
+};
+
+/**
+ * Keep only the entities allowed for an intent
+ * @param {string} intent - Intent of the message
+ * @param {object} entities - Validated entities
+ * @returns {object}
+ */
+const pickEntities = (intent, entities) => {
+  const allowed = INTENT_ENTITIES[intent] || [];
+  return Object.fromEntries(Object.entries(entities).filter(([key]) => allowed.includes(key)));
+};
+
+module.exports = {
+  INTENTS,
+  ENTITY_FIELDS,
+  INTENT_ENTITIES,
+  validateUnderstanding,
+  pickEntities
+};
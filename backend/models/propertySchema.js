@@ -0,0 +1,223 @@
+/**
+ * Property Schema
+ * Declarative description of the writable property columns, used to validate
+ * create/update payloads and to whitelist columns in Property.update
+ */
+
+const PROPERTY_STATUSES = ['pending', 'active', 'rented', 'sold', 'inactive', 'rejected'];
+const AMENITIES = [
+  'parking', 'pool', 'gym', 'security', 'power', 'water', 'gated', 'bq', 'garden', 'balcony', 'furnished'
+];
+
+// Labels used by the listing form and common phrasings, mapped to amenity keys
+const AMENITY_ALIASES = {
+  '24/7 power': 'power',
+  'electricity': 'power',
+  'generator': 'power',
+  'swimming pool': 'pool',
+  'borehole': 'water',
+  'gated estate': 'gated',
+  'boys quarters': 'bq'
+};
+
+/**
+ * Column definitions
+ * type: 'string' | 'number' | 'integer' | 'boolean' | 'enum' | 'array' | 'date'
+ */
+const PROPERTY_FIELDS = {
+  type: { type: 'string', minLength: 2, maxLength: 100 },
+  location: { type: 'string', minLength: 2, maxLength: 200 },
+  price: { type: 'number', min: 1, max: 10000000000 },
+  bedrooms: { type: 'integer', min: 0, max: 50 },
+  bathrooms: { type: 'integer', min: 0, max: 50 },
+  area: { type: 'number', min: 0, max: 1000000, nullable: true },
+  features: { type: 'string', maxLength: 2000, nullable: true },
+  amenities: { type: 'array', items: AMENITIES, aliases: AMENITY_ALIASES, serialize: (value) => JSON.stringify(value) },
+  status: { type: 'enum', values: PROPERTY_STATUSES },
+  verified: { type: 'boolean' },
+
+  // Moderation columns (set by the approve/reject routes)
+  verified_at: { type: 'date', nullable: true },
+  verified_by: { type: 'string', maxLength: 20, nullable: true },
+  admin_notes: { type: 'string', maxLength: 2000, nullable: true },
+  rejected_at: { type: 'date', nullable: true },
+  rejected_by: { type: 'string', maxLength: 20, nullable: true },
+  rejection_reason: { type: 'string', maxLength: 2000, nullable: true }
+};
+
+const LISTING_FIELDS = ['type', 'location', 'price', 'bedrooms', 'bathrooms', 'area', 'features', 'amenities'];
+
+/**
+ * Fields each editor role may write, with optional narrower enum values.
+ * Only admins can publish ('active'), reject or verify a listing.
+ */
+const ROLE_RULES = {
+  owner: {
+    fields: LISTING_FIELDS,
+    values: {}
+  },
+  agent: {
+    fields: [...LISTING_FIELDS, 'status'],
+    values: { status: ['pending', 'rented', 'sold', 'inactive'] }
+  },
+  admin: {
+    fields: [...LISTING_FIELDS, 'status', 'verified', 'admin_notes'],
+    values: {}
+  }
+};
+
+const REQUIRED_ON_CREATE = ['type', 'location', 'price', 'bedrooms'];
+
+/**
+ * Coerce and validate a single value against its field definition
+ * @param {object} field - Field definition
+ * @param {*} value - Raw value
+ * @param {array} [allowedValues] - Narrower enum for the caller's role
+ * @returns {object} - { value } on success or { error } on failure
+ */
+const validateField = (field, value, allowedValues) => {
+  if (value === null || value === '') {
+    return field.nullable ? { value: null } : { error: 'Value is required' };
+  }
+
+  switch (field.type) {
+    case 'string': {
+      if (typeof value !== 'string') return { error: 'Must be a string' };
+      const trimmed = value.trim();
+      if (field.minLength && trimmed.length < field.minLength) {
+        return { error: `Must be at least ${field.minLength} characters` };
+      }
+      if (field.maxLength && trimmed.length > field.maxLength) {
+        return { error: `Must be at most ${field.maxLength} characters` };
+      }
+      if (field.pattern && !field.pattern.test(trimmed)) {
+        return { error: field.patternMessage || 'Contains characters that are not allowed' };
+      }
+      return { value: trimmed };
+    }
+
+    case 'number':
+    case 'integer': {
+      const num = typeof value === 'string' ? Number(value) : value;
+      if (typeof num !== 'number' || !Number.isFinite(num)) return { error: 'Must be a number' };
+      if (field.type === 'integer' && !Number.isInteger(num)) return { error: 'Must be a whole number' };
+      if (field.min !== undefined && num < field.min) return { error: `Must be at least ${field.min}` };
+      if (field.max !== undefined && num > field.max) return { error: `Must be at most ${field.max}` };
+      return { value: num };
+    }
+
+    case 'boolean':
+      if (typeof value === 'boolean') return { value };
+      if (value === 'true' || value === 'false') return { value: value === 'true' };
+      return { error: 'Must be true or false' };
+
+    case 'enum': {
+      const values = allowedValues || field.values;
+      if (!values.includes(value)) return { error: `Must be one of: ${values.join(', ')}` };
+      return { value };
+    }
+
+    case 'array': {
+      if (!Array.isArray(value)) return { error: 'Must be a list' };
+      const normalized = value.map(item => {
+        const key = String(item).toLowerCase().trim();
+        return (field.aliases && field.aliases[key]) || key;
+      });
+      const invalid = normalized.filter(item => !field.items.includes(item));
+      if (invalid.length > 0) {
+        return { error: `Unknown value(s): ${invalid.join(', ')}. Allowed: ${field.items.join(', ')}` };
+      }
+      return { value: [...new Set(normalized)] };
+    }
+
+    case 'date': {
+      const date = value instanceof Date ? value : new Date(value);
+      if (isNaN(date.getTime())) return { error: 'Must be a valid date' };
+      return { value: date };
+    }
+
+    default:
+      return { error: 'Unsupported field' };
+  }
+};
+
+/**
+ * Validate a property payload for an editor role
+ * @param {object} data - Raw payload (e.g. req.body)
+ * @param {string} role - 'owner', 'agent' or 'admin'
+ * @param {object} [options]
+ * @param {boolean} [options.partial=true] - Allow missing required fields (updates)
+ * @param {boolean} [options.stripUnknown=false] - Drop non-writable fields instead of failing
+ * @returns {object} - { valid, values, errors } where errors maps field -> message
+ */
+const validateProperty = (data, role, { partial = true, stripUnknown = false } = {}) => {
+  const rules = ROLE_RULES[role];
+  if (!rules) {
+    throw new Error(`Unknown editor role: ${role}`);
+  }
+
+  const values = {};
+  const errors = {};
+
+  if (!data || typeof data !== 'object' || Array.isArray(data)) {
+    return { valid: false, values, errors: { _body: 'Request body must be an object' } };
+  }
+
+  Object.entries(data).forEach(([key, raw]) => {
+    if (raw === undefined) return;
+
+    if (!rules.fields.includes(key)) {
+      if (!stripUnknown) {
+        errors[key] = PROPERTY_FIELDS[key] ? 'You are not allowed to change this field' : 'Unknown field';
+      }
+      return;
+    }
+
+    const result = validateField(PROPERTY_FIELDS[key], raw, rules.values[key]);
+    if (result.error) {
+      errors[key] = result.error;
+    } else {
+      values[key] = result.value;
+    }
+  });
+
+  if (!partial) {
+    REQUIRED_ON_CREATE.forEach(key => {
+      if (values[key] === undefined && !errors[key]) {
+        errors[key] = 'Value is required';
+      }
+    });
+  }
+
+  if (partial && Object.keys(values).length === 0 && Object.keys(errors).length === 0) {
+    errors._body = 'No fields to update';
+  }
+
+  return {
+    valid: Object.keys(errors).length === 0,
+    values,
+    errors
+  };
+};
+
+/**
+ * Map a user role to the property editor role used for validation
+ * @param {object} user - Authenticated user (req.user; isAdmin needs an admin session)
+ * @returns {string} - 'owner', 'agent' or 'admin'
+ */
+const editorRoleFor = (user) => {
+  if (user.isAdmin) return 'admin';
+  if (user.role === 'agent') return 'agent';
+  return 'owner';
+};
+
+module.exports = {
+  PROPERTY_FIELDS,
+  PROPERTY_STATUSES,
+  AMENITIES,
+  AMENITY_ALIASES,
+  ROLE_RULES,
+  validateField,
+  validateProperty,
+  editorRoleFor
+};
@@ -0,0 +1,151 @@
+const express = require('express');
+const router = express.Router();
+const adminAuthService = require('../services/adminAuthService');
+const { requireAdmin } = require('../middleware/adminAuth');
+
+/**
+ * POST /api/v1/auth/admin/login/start
+ * Send a login OTP to an admin's phone
+ */
+router.post('/login/start', async (req, res) => {
+  try {
+    const { phone } = req.body;
+
+    if (!phone) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number is required'
+      });
+    }
+
+    const result = await adminAuthService.startLogin(phone, { ip: req.ip });
+
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json(result);
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in /admin/login/start:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to start admin login'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/auth/admin/login/verify
+ * Verify OTP and admin password, and open an admin session
+ */
+router.post('/login/verify', async (req, res) => {
+  try {
+    const { phone, code, password } = req.body;
+
+    if (!phone || !code || !password) {
+      return res.status(400).json({
+        success: false,
+        message: 'Phone number, verification code and password are required'
+      });
+    }
+
+    const result = await adminAuthService.completeLogin(phone, code, password, {
+      ip: req.ip,
+      userAgent: req.get('user-agent')
+    });
+
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json(result);
+    }
+
+    if (!result.success) {
+      return res.status(401).json(result);
+    }
+
+    res.status(200).json(result);
+  } catch (error) {
+    console.error('Error in /admin/login/verify:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to complete admin login'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/auth/admin/sessions
+ * List the current admin's active sessions
+ */
+router.get('/sessions', requireAdmin, async (req, res) => {
+  try {
+    const sessions = await adminAuthService.listSessions(req.adminUser.id);
+
+    res.status(200).json({
+      success: true,
+      count: sessions.length,
+      sessions: sessions.map(session => ({
+        ...session,
+        current: session.id === req.adminSession.id
+      }))
+    });
+  } catch (error) {
+    console.error('Error in /admin/sessions:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list admin sessions'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/auth/admin/sessions/:id
+ * Revoke one of the current admin's sessions
+ */
+router.delete('/sessions/:id', requireAdmin, async (req, res) => {
+  try {
+    const revoked = await adminAuthService.revokeSession(req.adminUser.id, req.params.id);
+
+    if (!revoked) {
+      return res.status(404).json({
+        success: false,
+        message: 'Session not found'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Session revoked'
+    });
+  } catch (error) {
+    console.error('Error revoking admin session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to revoke session'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/auth/admin/logout
+ * End the current admin session
+ */
+router.post('/logout', requireAdmin, async (req, res) => {
+  try {
+    await adminAuthService.revokeSession(req.adminUser.id, req.adminSession.id);
+
+    res.status(200).json({
+      success: true,
+      message: 'Admin logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error in /admin/logout:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to logout'
+    });
+  }
+});
+
+module.exports = router;
@@ -1,6 +1,7 @@
 const express = require('express');
 const router = express.Router();
 const authService = require('../services/authService');
+const { OTP_CHANNELS } = require('../services/otpDeliveryService');
 
 /**
  * POST /api/v1/auth/send-otp
@@ -8,7 +9,7 @@ const authService = require('../services/authService');
  */
 router.post('/send-otp', async (req, res) => {
   try {
-    const { phone } = req.body;
+    const { phone, channel } = req.body;
 
     if (!phone) {
       return res.status(400).json({
@@ -17,7 +18,19 @@ router.post('/send-otp', async (req, res) => {
       });
     }
 
-    const result = await authService.sendOTP(phone);
+    if (channel && !OTP_CHANNELS.includes(channel)) {
+      return res.status(400).json({
+        success: false,
+        message: `Channel must be one of: ${OTP_CHANNELS.join(', ')}`
+      });
+    }
+
+    const result = await authService.sendOTP(phone, { ip: req.ip, channel });
+
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json(result);
+    }
 
     res.status(200).json(result);
   } catch (error) {
@@ -46,6 +59,11 @@ router.post('/verify-otp', async (req, res) => {
 
     const result = await authService.verifyOTP(phone, code);
 
+    if (result.retryAfter) {
+      res.set('Retry-After', String(result.retryAfter));
+      return res.status(429).json(result);
+    }
+
     if (!result.success) {
       return res.status(400).json(result);
     }
@@ -62,24 +80,24 @@ router.post('/verify-otp', async (req, res) => {
 
 /**
  * POST /api/v1/auth/refresh
- * Refresh authentication token
+ * Exchange a refresh token for a new access token (the refresh token is rotated)
  */
 router.post('/refresh', async (req, res) => {
   try {
-    const { token } = req.body;
+    const { refreshToken } = req.body;
 
-    if (!token) {
+    if (!refreshToken) {
       return res.status(400).json({
         success: false,
-        message: 'Token is required'
+        message: 'Refresh token is required'
       });
     }
 
-    const result = await authService.refreshToken(token);
+    const result = await authService.refreshToken(refreshToken);
 
     res.status(200).json(result);
   } catch (error) {
-    console.error('Error in /refresh:', error);
+    console.error('Error in /refresh:', error.message);
     res.status(401).json({
       success: false,
       message: error.message || 'Failed to refresh token'
@@ -87,6 +105,31 @@ router.post('/refresh', async (req, res) => {
   }
 });
 
+/**
+ * POST /api/v1/auth/logout
+ * Revoke a refresh token
+ */
+router.post('/logout', async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+
+    if (refreshToken) {
+      await authService.revokeRefreshToken(refreshToken);
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Logged out successfully'
+    });
+  } catch (error) {
+    console.error('Error in /logout:', error);
+    res.status(500).json({
+      success: false,
+      message: error.message || 'Failed to logout'
+    });
+  }
+});
+
 /**
  * GET /api/v1/auth/me
  * Get current user profile
@@ -159,10 +202,12 @@ router.put('/profile', async (req, res) => {
       });
     }
 
-    const { name, email } = req.body;
+    const { name, email, otpChannel, language } = req.body;
     const updates = {};
     if (name) updates.name = name;
     if (email) updates.email = email;
+    if (otpChannel) updates.otp_channel = otpChannel;
+    if (language) updates.language = language;
 
     const user = await authService.updateUserProfile(payload.userId, updates);
 
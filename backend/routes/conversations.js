@@ -0,0 +1,295 @@
+const express = require('express');
+const router = express.Router();
+const aiService = require('../services/aiService');
+const handoffService = require('../services/handoffService');
+const Conversation = require('../models/Conversation');
+const ConversationSession = require('../models/ConversationSession');
+const FlaggedMessage = require('../models/FlaggedMessage');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { sendResult } = require('../utils/serviceResult');
+
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+/**
+ * Share of conversations per intent from Conversation.getStats rows
+ * @param {array} rows - One row per intent and day
+ * @returns {array} - [{ intent, count, pct }], most common first
+ */
+const summarizeIntents = (rows) => {
+  const counts = {};
+  for (const row of rows) {
+    const intent = row.intent || 'unknown';
+    counts[intent] = (counts[intent] || 0) + parseInt(row.total_conversations, 10);
+  }
+
+  const total = Object.values(counts).reduce((sum, count) => sum + count, 0);
+  return Object.entries(counts)
+    .map(([intent, count]) => ({ intent, count, pct: total > 0 ? Math.round((count / total) * 1000) / 10 : 0 }))
+    .sort((a, b) => b.count - a.count);
+};
+
+/**
+ * GET /api/v1/conversations/admin/sessions/:phone
+ * What the bot remembers about a user: recent turns, last search criteria,
+ * last result IDs, flow state and when it expires
+ */
+router.get('/admin/sessions/:phone', requireAdmin, async (req, res) => {
+  try {
+    const session = await ConversationSession.findAny(req.params.phone);
+
+    if (!session) {
+      return res.status(404).json({
+        success: false,
+        message: 'No conversation session for this phone'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      session: {
+        ...session,
+        expired: new Date(session.expires_at) <= new Date()
+      }
+    });
+  } catch (error) {
+    console.error('Error fetching conversation session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch conversation session'
+    });
+  }
+});
+
+/**
+ * DELETE /api/v1/conversations/admin/sessions/:phone
+ * Reset a user's session so the bot starts afresh with them
+ */
+router.delete('/admin/sessions/:phone', requireAdmin, async (req, res) => {
+  try {
+    const cleared = await aiService.clearContext(req.params.phone);
+
+    if (!cleared) {
+      return res.status(404).json({
+        success: false,
+        message: 'No conversation session for this phone'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Conversation session reset'
+    });
+  } catch (error) {
+    console.error('Error resetting conversation session:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reset conversation session'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/conversations/admin/transcripts
+ * Logged messages with the bot's intent, entities and reply, newest first
+ * (?phone=&intent=&from=YYYY-MM-DD&to=YYYY-MM-DD&limit=&offset=)
+ */
+router.get('/admin/transcripts', requireAdmin, async (req, res) => {
+  try {
+    const { intent, from, to } = req.query;
+
+    if ((from && !DATE_PATTERN.test(from)) || (to && !DATE_PATTERN.test(to))) {
+      return res.status(400).json({
+        success: false,
+        message: 'Dates must be in YYYY-MM-DD format'
+      });
+    }
+
+    const { total, conversations } = await Conversation.search({
+      phone: req.query.phone ? req.query.phone.replace(/[^0-9]/g, '') : null,
+      intent,
+      from,
+      to,
+      limit: Math.min(parseInt(req.query.limit, 10) || 50, 200),
+      offset: parseInt(req.query.offset, 10) || 0
+    });
+
+    res.status(200).json({
+      success: true,
+      total,
+      count: conversations.length,
+      conversations
+    });
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to search conversations'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/conversations/admin/analytics
+ * Intent distribution (overall and per day), searches that found nothing, and
+ * the locations and budgets searched most without results, over the last ?days= (default 7)
+ */
+router.get('/admin/analytics', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const period = `${days} days`;
+
+    const [daily, zeroResultSearches, unmetLocations, unmetBudgets] = await Promise.all([
+      Conversation.getStats(period),
+      Conversation.findZeroResultSearches(period),
+      Conversation.getUnmetLocations(period),
+      Conversation.getUnmetBudgets(period)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      days,
+      intents: summarizeIntents(daily),
+      daily,
+      zeroResultSearches,
+      unmetDemand: {
+        locations: unmetLocations,
+        budgets: unmetBudgets
+      }
+    });
+  } catch (error) {
+    console.error('Error getting conversation analytics:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get conversation analytics'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/conversations/admin/flagged
+ * Messages the bot refused (too long, prompt injection, data extraction, off-topic),
+ * newest first, with counts per reason, over the last ?days= (default 7) (?reason=&limit=)
+ */
+router.get('/admin/flagged', requireAdmin, async (req, res) => {
+  try {
+    const { reason } = req.query;
+
+    if (reason && !FlaggedMessage.REASONS.includes(reason)) {
+      return res.status(400).json({
+        success: false,
+        message: `Reason must be one of: ${FlaggedMessage.REASONS.join(', ')}`
+      });
+    }
+
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+    const period = `${days} days`;
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+
+    const [counts, messages] = await Promise.all([
+      FlaggedMessage.countByReason(period),
+      FlaggedMessage.findRecent({ reason, timePeriod: period, limit })
+    ]);
+
+    res.status(200).json({
+      success: true,
+      days,
+      counts,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    console.error('Error listing flagged messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list flagged messages'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/conversations/admin/handoffs
+ * Conversations waiting for or being handled by an agent, oldest first
+ */
+router.get('/admin/handoffs', requireAdmin, async (req, res) => {
+  try {
+    const handoffs = await handoffService.getQueue();
+
+    res.status(200).json({
+      success: true,
+      handoffs
+    });
+  } catch (error) {
+    console.error('Error fetching handoff queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch handoff queue'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/conversations/admin/handoffs/:id
+ * A handoff with the live transcript (user messages, bot replies and agent replies)
+ */
+router.get('/admin/handoffs/:id', requireAdmin, async (req, res) => {
+  try {
+    sendResult(res, await handoffService.getTranscript(req.params.id));
+  } catch (error) {
+    console.error('Error fetching handoff transcript:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch handoff transcript'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/conversations/admin/handoffs/:id/take
+ * Take over the conversation; the bot stops replying to the phone
+ */
+router.post('/admin/handoffs/:id/take', requireAdmin, async (req, res) => {
+  try {
+    sendResult(res, await handoffService.take(req.params.id, req.adminUser));
+  } catch (error) {
+    console.error('Error taking over conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to take over conversation'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/conversations/admin/handoffs/:id/messages
+ * Reply to the user on WhatsApp as the agent
+ * Body: { message }
+ */
+router.post('/admin/handoffs/:id/messages', requireAdmin, async (req, res) => {
+  try {
+    sendResult(res, await handoffService.reply(req.params.id, req.adminUser, req.body.message));
+  } catch (error) {
+    console.error('Error sending agent reply:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send reply'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/conversations/admin/handoffs/:id/release
+ * Hand the conversation back to the bot
+ */
+router.post('/admin/handoffs/:id/release', requireAdmin, async (req, res) => {
+  try {
+    sendResult(res, await handoffService.release(req.params.id));
+  } catch (error) {
+    console.error('Error releasing conversation:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to release conversation'
+    });
+  }
+});
+
+module.exports = router;
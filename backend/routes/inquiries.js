@@ -0,0 +1,156 @@
+const express = require('express');
+const router = express.Router();
+const inquiryService = require('../services/inquiryService');
+const { requireAuth } = require('../middleware/auth');
+const { sendResult } = require('../utils/serviceResult');
+
+/**
+ * POST /api/v1/inquiries
+ * Ask the owner of a property a question
+ * Body: { propertyId, message }
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { propertyId, message } = req.body;
+
+    if (!propertyId) {
+      return res.status(400).json({
+        success: false,
+        message: 'propertyId is required'
+      });
+    }
+
+    const result = await inquiryService.create({
+      propertyId,
+      tenant: req.user,
+      message,
+      source: 'web'
+    });
+    sendResult(res, result, result.created ? 201 : 200);
+  } catch (error) {
+    console.error('Error creating inquiry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send inquiry'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/inquiries/inbox
+ * Inquiries about the caller's properties (?propertyId=&status=pending|responded|closed)
+ * Admins see every inquiry
+ */
+router.get('/inbox', requireAuth, async (req, res) => {
+  try {
+    const { propertyId, status, limit = 50, offset = 0 } = req.query;
+
+    const result = await inquiryService.getInbox(req.user, {
+      propertyId: propertyId ? parseInt(propertyId, 10) : null,
+      status,
+      limit: Math.min(parseInt(limit, 10) || 50, 100),
+      offset: parseInt(offset, 10) || 0
+    });
+
+    if (result.success) {
+      result.count = result.inquiries.length;
+    }
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Error fetching inquiry inbox:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inquiries'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/inquiries/sent
+ * Inquiries the caller has sent as a tenant
+ */
+router.get('/sent', requireAuth, async (req, res) => {
+  try {
+    const inquiries = await inquiryService.getSent(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: inquiries.length,
+      inquiries
+    });
+  } catch (error) {
+    console.error('Error fetching sent inquiries:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inquiries'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/inquiries/:id
+ * A thread with its messages (tenant, owner or admin)
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await inquiryService.getThread(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error fetching inquiry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch inquiry'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/inquiries/:id/messages
+ * Reply (owner) or follow up (tenant)
+ * Body: { message }
+ */
+router.post('/:id/messages', requireAuth, async (req, res) => {
+  try {
+    const result = await inquiryService.postMessage(req.params.id, req.user, req.body.message);
+    sendResult(res, result, 201);
+  } catch (error) {
+    console.error('Error posting inquiry message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send message'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/inquiries/:id/close
+ * Close a thread (owner or admin)
+ */
+router.post('/:id/close', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await inquiryService.close(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error closing inquiry:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to close inquiry'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/inquiries/:id/share-contact
+ * Agree to swap phone numbers; both numbers are shown once both sides agree
+ */
+router.post('/:id/share-contact', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await inquiryService.shareContact(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error sharing inquiry contact:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to share contact'
+    });
+  }
+});
+
+module.exports = router;
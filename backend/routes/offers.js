@@ -0,0 +1,173 @@
+const express = require('express');
+const router = express.Router();
+const offerService = require('../services/offerService');
+const { requireAuth } = require('../middleware/auth');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { sendResult } = require('../utils/serviceResult');
+
+/**
+ * GET /api/v1/offers/admin/stats
+ * How often offers are accepted, and how far below the asking price
+ */
+router.get('/admin/stats', requireAdmin, async (req, res) => {
+  try {
+    const stats = await offerService.getStats();
+
+    res.status(200).json({
+      success: true,
+      stats
+    });
+  } catch (error) {
+    console.error('Error fetching offer stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offer statistics'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/offers
+ * Propose a yearly price on a property
+ * Body: { propertyId, amount, terms }
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { propertyId, amount, terms } = req.body;
+
+    if (!propertyId || amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'propertyId and amount are required'
+      });
+    }
+
+    const result = await offerService.propose({
+      propertyId,
+      tenant: req.user,
+      amount,
+      terms,
+      source: 'web'
+    });
+    sendResult(res, result, 201);
+  } catch (error) {
+    console.error('Error creating offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send offer'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/offers/mine
+ * Offers the caller made or received
+ */
+router.get('/mine', requireAuth, async (req, res) => {
+  try {
+    const offers = await offerService.listForUser(req.user);
+
+    res.status(200).json({
+      success: true,
+      count: offers.length,
+      offers
+    });
+  } catch (error) {
+    console.error('Error fetching offers:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offers'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/offers/:id
+ * An offer with the full negotiation history
+ */
+router.get('/:id', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await offerService.getOffer(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error fetching offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch offer'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/offers/:id/accept
+ * Accept the other side's offer
+ */
+router.post('/:id/accept', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await offerService.accept(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error accepting offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to accept offer'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/offers/:id/counter
+ * Answer the other side's offer with a new amount
+ * Body: { amount, terms }
+ */
+router.post('/:id/counter', requireAuth, async (req, res) => {
+  try {
+    if (req.body.amount === undefined) {
+      return res.status(400).json({
+        success: false,
+        message: 'amount is required'
+      });
+    }
+
+    const result = await offerService.counter(req.params.id, req.user, req.body.amount, req.body.terms);
+    sendResult(res, result, 201);
+  } catch (error) {
+    console.error('Error countering offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to counter offer'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/offers/:id/decline
+ * Decline the other side's offer
+ */
+router.post('/:id/decline', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await offerService.decline(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error declining offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to decline offer'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/offers/:id/withdraw
+ * Withdraw your own pending offer
+ */
+router.post('/:id/withdraw', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await offerService.withdraw(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error withdrawing offer:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to withdraw offer'
+    });
+  }
+});
+
+module.exports = router;
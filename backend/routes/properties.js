@@ -1,18 +1,18 @@
 const express = require('express');
 const router = express.Router();
 const multer = require('multer');
-const cloudinary = require('cloudinary').v2;
 const { query } = require('../config/db');
 const Property = require('../models/Property');
+const { validateProperty, editorRoleFor } = require('../models/propertySchema');
 const matchingService = require('../services/matchingService');
+const authService = require('../services/authService');
+const imageService = require('../services/imageService');
 const { requireAdmin } = require('../middleware/adminAuth');
+const { requireAuth, requireRole, requireOwnership } = require('../middleware/auth');
 
-// Configure Cloudinary
-cloudinary.config({
-  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
-  api_key: process.env.CLOUDINARY_API_KEY,
-  api_secret: process.env.CLOUDINARY_API_SECRET
-});
+// Load the target property for ownership checks
+const loadProperty = (req) => Property.findById(req.params.id);
+const loadUploadProperty = (req) => Property.findById(req.body.propertyId);
 
 // Configure multer for memory storage
 const upload = multer({ 
@@ -68,6 +68,29 @@ router.get('/search', async (req, res) => {
   }
 });
 
+/**
+ * GET /api/v1/properties/mine
+ * Get the caller's own listings in any status (landlords and agents)
+ */
+router.get('/mine', requireAuth, requireRole('landlord', 'agent'), async (req, res) => {
+  try {
+    const properties = await Property.findByUser(req.user.id);
+
+    res.status(200).json({
+      success: true,
+      count: properties.length,
+      properties
+    });
+  } catch (error) {
+    console.error('Error fetching own properties:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch your properties',
+      error: error.message
+    });
+  }
+});
+
 /**
  * GET /api/v1/properties/:id
  * Get single property by ID
@@ -102,48 +125,37 @@ router.get('/:id', async (req, res) => {
  * POST /api/v1/properties
  * Create new property (requires authentication)
  */
-router.post('/', async (req, res) => {
+router.post('/', requireAuth, async (req, res) => {
   try {
-    // TODO: Add authentication middleware
-    const {
-      type,
-      location,
-      price,
-      bedrooms,
-      bathrooms,
-      area,
-      features,
-      amenities,
-      owner_id
-    } = req.body;
-
-    // Validate required fields
-    if (!type || !location || !price || !bedrooms) {
+    // New listings are always validated with owner permissions: they start
+    // pending and unverified regardless of who creates them
+    const validation = validateProperty(req.body, 'owner', { partial: false, stripUnknown: true });
+
+    if (!validation.valid) {
       return res.status(400).json({
         success: false,
-        message: 'Missing required fields: type, location, price, bedrooms'
+        message: 'Invalid property data',
+        errors: validation.errors
       });
     }
 
     const propertyData = {
-      type,
-      location,
-      price: parseFloat(price),
-      bedrooms: parseInt(bedrooms),
-      bathrooms: bathrooms ? parseInt(bathrooms) : bedrooms,
-      area: area ? parseFloat(area) : null,
-      features,
-      amenities,
+      ...validation.values,
       verified: false,
       status: 'pending',
-      ownerId: owner_id || 'temp_owner'
+      // The owner always comes from the token, never from the request body
+      userId: req.user.id
     };
 
     const property = await Property.create(propertyData);
 
+    // Listing a property makes a plain user a landlord
+    await authService.promoteToLandlord(req.user.id);
+
     res.status(201).json({
       success: true,
       message: 'Property created successfully',
+      propertyId: property.id,
       property
     });
   } catch (error) {
@@ -158,15 +170,22 @@ router.post('/', async (req, res) => {
 
 /**
  * PUT /api/v1/properties/:id
- * Update property (requires authentication)
+ * Update property (requires authentication and ownership)
  */
-router.put('/:id', async (req, res) => {
+router.put('/:id', requireAuth, requireOwnership(loadProperty), async (req, res) => {
   try {
-    // TODO: Add authentication middleware and check ownership
     const { id } = req.params;
-    const updates = req.body;
+    const validation = validateProperty(req.body, editorRoleFor(req.user));
+
+    if (!validation.valid) {
+      return res.status(400).json({
+        success: false,
+        message: 'Invalid property update',
+        errors: validation.errors
+      });
+    }
 
-    const property = await Property.update(id, updates);
+    const property = await Property.update(id, validation.values);
 
     if (!property) {
       return res.status(404).json({
@@ -192,11 +211,10 @@ router.put('/:id', async (req, res) => {
 
 /**
  * DELETE /api/v1/properties/:id
- * Delete property (requires authentication)
+ * Delete property (requires authentication and ownership)
  */
-router.delete('/:id', async (req, res) => {
+router.delete('/:id', requireAuth, requireOwnership(loadProperty), async (req, res) => {
   try {
-    // TODO: Add authentication middleware and check ownership
     const { id } = req.params;
     const property = await Property.delete(id);
 
@@ -231,11 +249,7 @@ router.post('/:id/view', async (req, res) => {
     const { phone, userId } = req.body;
 
     // Save view to property_views table
-    await query(
-      `INSERT INTO property_views (property_id, user_id, phone, viewed_at) 
-       VALUES ($1, $2, $3, NOW())`,
-      [id, userId || null, phone || null]
-    );
+    await Property.recordView(id, { userId, phone });
     
     res.status(200).json({
       success: true,
@@ -253,9 +267,9 @@ router.post('/:id/view', async (req, res) => {
 
 /**
  * POST /api/v1/properties/images
- * Upload property images (requires authentication)
+ * Upload property images (requires authentication and ownership)
  */
-router.post('/images', upload.array('images', 10), async (req, res) => {
+router.post('/images', requireAuth, upload.array('images', 10), requireOwnership(loadUploadProperty), async (req, res) => {
   try {
     const { propertyId, isPrimary } = req.body;
     
@@ -280,33 +294,16 @@ router.post('/images', upload.array('images', 10), async (req, res) => {
       const file = req.files[i];
       
       try {
-        const result = await new Promise((resolve, reject) => {
-          cloudinary.uploader.upload_stream(
-            {
-              folder: 'propabridge/properties',
-              public_id: `property_${propertyId}_${Date.now()}_${i}`,
-              transformation: [
-                { width: 800, height: 600, crop: 'fill', quality: 'auto' }
-              ]
-            },
-            (error, result) => {
-              if (error) reject(error);
-              else resolve(result);
-            }
-          ).end(file.buffer);
-        });
+        const result = await imageService.uploadPropertyImage(
+          file.buffer,
+          `property_${propertyId}_${Date.now()}_${i}`
+        );
 
         // Save image URL to database
         const isPrimaryImage = isPrimary === 'true' || (isPrimary === undefined && i === 0);
-        
-        const dbResult = await query(
-          `INSERT INTO property_images (property_id, image_url, is_primary) 
-           VALUES ($1, $2, $3) 
-           RETURNING *`,
-          [propertyId, result.secure_url, isPrimaryImage]
-        );
+        const image = await Property.addImage(propertyId, result.secure_url, isPrimaryImage);
 
-        uploadedImages.push(dbResult.rows[0]);
+        uploadedImages.push(image);
         
       } catch (uploadError) {
         console.error(`Error uploading image ${i}:`, uploadError);
@@ -0,0 +1,242 @@
+const express = require('express');
+const router = express.Router();
+const Property = require('../models/Property');
+const viewingService = require('../services/viewingService');
+const { requireAuth, requireOwnership } = require('../middleware/auth');
+const { requireCronSecret } = require('../middleware/cronAuth');
+const { sendResult } = require('../utils/serviceResult');
+
+// Load the property in the URL for ownership checks
+const loadProperty = (req) => Property.findById(req.params.propertyId);
+
+/**
+ * GET /api/v1/viewings/properties/:propertyId/availability
+ * Weekly viewing windows for a property (times in WAT, day 0 = Sunday)
+ */
+router.get('/properties/:propertyId/availability', async (req, res) => {
+  try {
+    const availability = await viewingService.getAvailability(req.params.propertyId);
+
+    res.status(200).json({
+      success: true,
+      availability
+    });
+  } catch (error) {
+    console.error('Error fetching viewing availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch availability'
+    });
+  }
+});
+
+/**
+ * PUT /api/v1/viewings/properties/:propertyId/availability
+ * Replace a property's viewing windows (property owner or admin)
+ * Body: { windows: [{ dayOfWeek, startTime: 'HH:MM', endTime: 'HH:MM', slotMinutes }] }
+ */
+router.put('/properties/:propertyId/availability', requireAuth, requireOwnership(loadProperty), async (req, res) => {
+  try {
+    const result = await viewingService.setAvailability(req.resource.id, req.body.windows, req.user.id);
+    sendResult(res, result);
+  } catch (error) {
+    console.error('Error saving viewing availability:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to save availability'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/viewings/properties/:propertyId/slots
+ * Open viewing slots for the coming days
+ */
+router.get('/properties/:propertyId/slots', async (req, res) => {
+  try {
+    const slots = await viewingService.getAvailableSlots(req.params.propertyId);
+
+    res.status(200).json({
+      success: true,
+      count: slots.length,
+      slots
+    });
+  } catch (error) {
+    console.error('Error fetching viewing slots:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch viewing slots'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/viewings
+ * Book a viewing in an open slot
+ * Body: { propertyId, startsAt, notes }
+ */
+router.post('/', requireAuth, async (req, res) => {
+  try {
+    const { propertyId, startsAt, notes } = req.body;
+
+    if (!propertyId || !startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'propertyId and startsAt are required'
+      });
+    }
+
+    const result = await viewingService.book({
+      propertyId,
+      startsAt,
+      notes,
+      tenant: req.user,
+      source: 'web'
+    });
+    sendResult(res, result, 201);
+  } catch (error) {
+    console.error('Error booking viewing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to book viewing'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/viewings/mine
+ * The caller's viewings as tenant or landlord (?includePast=true for history)
+ */
+router.get('/mine', requireAuth, async (req, res) => {
+  try {
+    const viewings = await viewingService.listForUser(req.user, {
+      includePast: req.query.includePast === 'true'
+    });
+
+    res.status(200).json({
+      success: true,
+      count: viewings.length,
+      viewings
+    });
+  } catch (error) {
+    console.error('Error fetching viewings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch viewings'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/viewings/cron/reminders
+ * Scheduled run of the reminder worker (reminders and expiry) for deployments
+ * without the background worker, e.g. Vercel Cron
+ */
+router.get('/cron/reminders', requireCronSecret, async (req, res) => {
+  try {
+    const { reminded, expired } = await viewingService.runReminders();
+
+    res.status(200).json({
+      success: true,
+      reminded,
+      expired
+    });
+  } catch (error) {
+    console.error('Error sending viewing reminders:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to send viewing reminders'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/viewings/:id/confirm
+ * Confirm a viewing for the caller's side
+ */
+router.post('/:id/confirm', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await viewingService.confirm(req.params.id, req.user));
+  } catch (error) {
+    console.error('Error confirming viewing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to confirm viewing'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/viewings/:id/reschedule
+ * Move a viewing to another open slot
+ * Body: { startsAt }
+ */
+router.post('/:id/reschedule', requireAuth, async (req, res) => {
+  try {
+    if (!req.body.startsAt) {
+      return res.status(400).json({
+        success: false,
+        message: 'startsAt is required'
+      });
+    }
+
+    sendResult(res, await viewingService.reschedule(req.params.id, req.user, req.body.startsAt));
+  } catch (error) {
+    console.error('Error rescheduling viewing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reschedule viewing'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/viewings/:id/cancel
+ * Cancel (or, for the landlord, decline) a viewing
+ * Body: { reason }
+ */
+router.post('/:id/cancel', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await viewingService.cancel(req.params.id, req.user, req.body.reason));
+  } catch (error) {
+    console.error('Error cancelling viewing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to cancel viewing'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/viewings/:id/complete
+ * Mark a past viewing as completed (landlord side)
+ */
+router.post('/:id/complete', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await viewingService.recordOutcome(req.params.id, req.user, 'completed'));
+  } catch (error) {
+    console.error('Error completing viewing:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update viewing'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/viewings/:id/no-show
+ * Report that the other side didn't turn up
+ */
+router.post('/:id/no-show', requireAuth, async (req, res) => {
+  try {
+    sendResult(res, await viewingService.recordOutcome(req.params.id, req.user, 'no_show'));
+  } catch (error) {
+    console.error('Error recording no-show:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update viewing'
+    });
+  }
+});
+
+module.exports = router;
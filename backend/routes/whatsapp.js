@@ -2,12 +2,169 @@ const express = require('express');
 const router = express.Router();
 const whatsappController = require('../controllers/whatsappController');
 const aiService = require('../services/aiService');
+const metricsService = require('../services/metricsService');
+const inboundQueueService = require('../services/inboundQueueService');
+const InboundMessage = require('../models/InboundMessage');
+const OutboundMessage = require('../models/OutboundMessage');
+const { verifyWebhookSignature, rejectReplayedWebhooks } = require('../middleware/webhookSecurity');
+const { requireAdmin } = require('../middleware/adminAuth');
+const { requireCronSecret } = require('../middleware/cronAuth');
 
 // Route for WhatsApp webhook verification
 router.get('/webhook', whatsappController.verifyWebhook);
 
-// Route for receiving WhatsApp messages
-router.post('/webhook', whatsappController.handleWebhook);
+// Route for receiving WhatsApp messages (signed by Meta)
+router.post('/webhook', verifyWebhookSignature, rejectReplayedWebhooks, whatsappController.handleWebhook);
+
+/**
+ * GET /api/v1/webhook/cron/drain
+ * Scheduled drain of the inbound queue (due retries and interrupted messages)
+ * for deployments without the background worker, e.g. Vercel Cron
+ */
+router.get('/webhook/cron/drain', requireCronSecret, async (req, res) => {
+  try {
+    await inboundQueueService.poll();
+
+    res.status(200).json({
+      success: true,
+      message: 'Inbound queue drained'
+    });
+  } catch (error) {
+    console.error('Error draining inbound queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to drain inbound queue'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhook/admin/metrics
+ * Webhook and inbound queue counters: received, accepted, rejected signatures,
+ * stale and replayed payloads, queued/processed/failed/dead messages
+ */
+router.get('/webhook/admin/metrics', requireAdmin, (req, res) => {
+  res.status(200).json({
+    success: true,
+    metrics: {
+      webhook: metricsService.snapshot('webhook.'),
+      inbound: metricsService.snapshot('inbound.')
+    }
+  });
+});
+
+/**
+ * GET /api/v1/webhook/admin/messages
+ * List failed and dead-lettered inbound messages (?status=failed|dead, ?limit=)
+ */
+router.get('/webhook/admin/messages', requireAdmin, async (req, res) => {
+  try {
+    const { status } = req.query;
+
+    if (status && !['failed', 'dead'].includes(status)) {
+      return res.status(400).json({
+        success: false,
+        message: "Status must be 'failed' or 'dead'"
+      });
+    }
+
+    const limit = Math.min(parseInt(req.query.limit, 10) || 50, 200);
+    const messages = await InboundMessage.findFailed({ status, limit });
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    console.error('Error listing failed inbound messages:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list inbound messages'
+    });
+  }
+});
+
+/**
+ * POST /api/v1/webhook/admin/messages/:id/replay
+ * Queue a failed or dead-lettered inbound message again
+ */
+router.post('/webhook/admin/messages/:id/replay', requireAdmin, async (req, res) => {
+  try {
+    const message = await inboundQueueService.replay(req.params.id);
+
+    if (!message) {
+      return res.status(404).json({
+        success: false,
+        message: 'No failed or dead-lettered message with this ID'
+      });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Message queued for replay',
+      inboundMessage: message
+    });
+  } catch (error) {
+    console.error('Error replaying inbound message:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to replay message'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhook/admin/delivery
+ * Outbound delivery funnel (total -> sent -> delivered -> read, plus failed)
+ * and the phones with failed sends, over the last ?days= (default 7)
+ */
+router.get('/webhook/admin/delivery', requireAdmin, async (req, res) => {
+  try {
+    const days = Math.min(Math.max(parseInt(req.query.days, 10) || 7, 1), 90);
+
+    const [funnel, failuresByPhone] = await Promise.all([
+      OutboundMessage.getFunnel(days),
+      OutboundMessage.getFailuresByPhone(days)
+    ]);
+
+    res.status(200).json({
+      success: true,
+      days,
+      funnel,
+      failuresByPhone
+    });
+  } catch (error) {
+    console.error('Error getting delivery stats:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to get delivery stats'
+    });
+  }
+});
+
+/**
+ * GET /api/v1/webhook/admin/delivery/failed/:phone
+ * Failed sends to one phone, with WhatsApp error codes
+ */
+router.get('/webhook/admin/delivery/failed/:phone', requireAdmin, async (req, res) => {
+  try {
+    const phone = req.params.phone.replace(/[^0-9]/g, '');
+    const messages = await OutboundMessage.findFailedByPhone(phone);
+
+    res.status(200).json({
+      success: true,
+      count: messages.length,
+      messages
+    });
+  } catch (error) {
+    console.error('Error listing failed sends:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to list failed sends'
+    });
+  }
+});
 
 // Route for frontend chat API
 router.post('/chat', async (req, res) => {
@@ -21,8 +178,9 @@ router.post('/chat', async (req, res) => {
       });
     }
 
-    // Process message with AI service
-    const result = await aiService.processMessage(message, phone);
+    // Process message with AI service. Anyone can post any phone here, so
+    // the language stays in the chat session and isn't saved on the user
+    const result = await aiService.processMessage(message, phone, {}, { verifiedSender: false });
     
     // Check if response contains property data
     if (result.response && typeof result.response === 'object' && result.response.type === 'property_results') {
@@ -31,15 +189,31 @@ router.post('/chat', async (req, res) => {
         response: result.response.summary,
         intent: result.intent,
         entities: result.entities,
+        language: result.language,
         properties: result.response.properties,
         hasPropertyData: true
       });
+    } else if (result.response && typeof result.response === 'object' && result.response.type === 'viewing_slots') {
+      // Open slots for the web chat to show its own picker
+      res.status(200).json({
+        success: true,
+        response: result.response.summary,
+        intent: result.intent,
+        entities: result.entities,
+        language: result.language,
+        viewingSlots: {
+          propertyId: result.response.propertyId,
+          slots: result.response.slots
+        },
+        hasPropertyData: false
+      });
     } else {
       res.status(200).json({
         success: true,
-        response: result.response,
+        response: result.response && typeof result.response === 'object' ? result.response.summary : result.response,
         intent: result.intent,
         entities: result.entities,
+        language: result.language,
         hasPropertyData: false
       });
     }
@@ -0,0 +1,268 @@
+const { query } = require('../config/db');
+const crypto = require('crypto');
+const authService = require('./authService');
+
+/**
+ * Admin Authentication Service
+ * Two-factor admin login (phone OTP + per-admin password) with server-side
+ * sessions that admins can list and revoke
+ */
+
+const ADMIN_SESSION_TTL_HOURS = parseInt(process.env.ADMIN_SESSION_TTL_HOURS || '8', 10);
+const SCRYPT_KEYLEN = 64;
+
+/**
+ * Hash an admin password with scrypt
+ * @param {string} password - Plain-text password
+ * @returns {Promise<string>} - Encoded hash in the form scrypt$salt$hash
+ */
+const hashPassword = async (password) => {
+  const salt = crypto.randomBytes(16).toString('hex');
+  const derived = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+  return `scrypt$${salt}$${derived.toString('hex')}`;
+};
+
+/**
+ * Compare a password against a stored scrypt hash in constant time
+ * @param {string} password - Plain-text password
+ * @param {string} storedHash - Encoded hash from hashPassword
+ * @returns {Promise<boolean>} - Whether the password matches
+ */
+const verifyPassword = async (password, storedHash) => {
+  if (!password || !storedHash) return false;
+
+  const [scheme, salt, hash] = storedHash.split('$');
+  if (scheme !== 'scrypt' || !salt || !hash) return false;
+
+  // A corrupt hash decodes to fewer bytes (or none, which would match anything)
+  const expected = Buffer.from(hash, 'hex');
+  if (expected.length !== SCRYPT_KEYLEN) return false;
+
+  const derived = await new Promise((resolve, reject) => {
+    crypto.scrypt(password, salt, SCRYPT_KEYLEN, (error, key) => {
+      if (error) reject(error);
+      else resolve(key);
+    });
+  });
+
+  return crypto.timingSafeEqual(derived, expected);
+};
+
+/**
+ * Find an admin user by phone number
+ * @param {string} phone - Admin phone number
+ * @returns {Promise<object|null>} - Admin user (including password hash) or null
+ */
+const findAdminByPhone = async (phone) => {
+  const result = await query(
+    "SELECT * FROM users WHERE phone = $1 AND role = 'admin'",
+    [phone]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * Start admin login by sending an OTP to an admin's phone
+ * Non-admin numbers get the same response (and the same rate limits) so the
+ * endpoint can't be used to discover which numbers are admins
+ * @param {string} phone - Admin phone number
+ * @param {object} [client] - Request metadata ({ ip })
+ * @returns {Promise<object>} - Result, with retryAfter when rate limited
+ */
+const startLogin = async (phone, client = {}) => {
+  try {
+    const admin = await findAdminByPhone(phone);
+
+    if (admin) {
+      const result = await authService.sendOTP(phone, client);
+      if (!result.success) return result;
+    } else {
+      const limited = await authService.claimOTPRequest(phone, client.ip);
+      if (limited) return { success: false, ...limited };
+
+      console.warn(`⚠️ Admin login attempted for non-admin phone ${phone}`);
+    }
+
+    return {
+      success: true,
+      message: 'If this number belongs to an admin, a verification code has been sent'
+    };
+  } catch (error) {
+    console.error('Error starting admin login:', error);
+    throw error;
+  }
+};
+
+/**
+ * Complete admin login: verify OTP and password, then open a session
+ * @param {string} phone - Admin phone number
+ * @param {string} code - OTP code
+ * @param {string} password - Admin password
+ * @param {object} [client] - Request metadata ({ ip, userAgent })
+ * @returns {Promise<object>} - Admin token and session details
+ */
+const completeLogin = async (phone, code, password, client = {}) => {
+  try {
+    const invalid = {
+      success: false,
+      message: 'Invalid verification code or password'
+    };
+
+    // Non-admins are turned away before their OTP is touched, so this endpoint
+    // can't be used to burn a regular user's login attempts
+    const admin = await findAdminByPhone(phone);
+    if (!admin) return invalid;
+
+    // Always check the OTP so every password guess uses up an OTP attempt
+    const otpCheck = await authService.consumeOTP(phone, code);
+    const passwordValid = await verifyPassword(password, admin.password_hash);
+
+    if (otpCheck.retryAfter) {
+      return otpCheck;
+    }
+
+    if (!otpCheck.success || !passwordValid) {
+      return invalid;
+    }
+
+    const expiresAt = new Date(Date.now() + ADMIN_SESSION_TTL_HOURS * 60 * 60 * 1000);
+
+    const sessionResult = await query(
+      `INSERT INTO admin_sessions (user_id, ip_address, user_agent, expires_at)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id, created_at, expires_at`,
+      [admin.id, client.ip || null, client.userAgent || null, expiresAt]
+    );
+
+    const session = sessionResult.rows[0];
+
+    await query('UPDATE users SET last_active = NOW() WHERE id = $1', [admin.id]);
+
+    const token = authService.generateToken(
+      admin,
+      { scope: 'admin', sid: session.id },
+      `${ADMIN_SESSION_TTL_HOURS}h`
+    );
+
+    console.log(`✅ Admin session opened for ${phone}`);
+
+    return {
+      success: true,
+      message: 'Admin login successful',
+      token,
+      admin: {
+        id: admin.id,
+        phone: admin.phone,
+        name: admin.name,
+        role: admin.role
+      },
+      session
+    };
+  } catch (error) {
+    console.error('Error completing admin login:', error);
+    throw error;
+  }
+};
+
+/**
+ * Get an active (not revoked, not expired) admin session and mark it as used
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<object|null>} - Session or null
+ */
+const touchSession = async (sessionId) => {
+  const result = await query(
+    `UPDATE admin_sessions
+     SET last_used_at = NOW()
+     WHERE id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+     RETURNING *`,
+    [sessionId]
+  );
+  return result.rows[0] || null;
+};
+
+/**
+ * List an admin's active sessions
+ * @param {number} userId - Admin user ID
+ * @returns {Promise<array>} - Active sessions, newest first
+ */
+const listSessions = async (userId) => {
+  try {
+    const result = await query(
+      `SELECT id, ip_address, user_agent, created_at, last_used_at, expires_at
+       FROM admin_sessions
+       WHERE user_id = $1 AND revoked_at IS NULL AND expires_at > NOW()
+       ORDER BY created_at DESC`,
+      [userId]
+    );
+    return result.rows;
+  } catch (error) {
+    console.error('Error listing admin sessions:', error);
+    throw error;
+  }
+};
+
+/**
+ * Revoke one of an admin's sessions
+ * @param {number} userId - Admin user ID (sessions of other admins can't be revoked)
+ * @param {string} sessionId - Session ID
+ * @returns {Promise<boolean>} - Whether a session was revoked
+ */
+const revokeSession = async (userId, sessionId) => {
+  try {
+    const result = await query(
+      `UPDATE admin_sessions
+       SET revoked_at = NOW()
+       WHERE id = $1 AND user_id = $2 AND revoked_at IS NULL
+       RETURNING id`,
+      [sessionId, userId]
+    );
+    return result.rowCount > 0;
+  } catch (error) {
+    console.error('Error revoking admin session:', error);
+    throw error;
+  }
+};
+
+/**
+ * Set (or replace) an admin's password
+ * @param {string} phone - Admin phone number
+ * @param {string} password - New password
+ * @returns {Promise<boolean>} - Whether an admin was updated
+ */
+const setPassword = async (phone, password) => {
+  if (!password || password.length < 10) {
+    throw new Error('Admin password must be at least 10 characters');
+  }
+
+  const passwordHash = await hashPassword(password);
+  const result = await query(
+    "UPDATE users SET password_hash = $1 WHERE phone = $2 AND role = 'admin' RETURNING id",
+    [passwordHash, phone]
+  );
+
+  if (result.rowCount > 0) {
+    // Changing the password ends every existing session
+    await query(
+      'UPDATE admin_sessions SET revoked_at = NOW() WHERE user_id = $1 AND revoked_at IS NULL',
+      [result.rows[0].id]
+    );
+  }
+
+  return result.rowCount > 0;
+};
+
+module.exports = {
+  hashPassword,
+  verifyPassword,
+  startLogin,
+  completeLogin,
+  touchSession,
+  listSessions,
+  revokeSession,
+  setPassword
+};
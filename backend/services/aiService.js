@@ -1,88 +1,299 @@
-const { GoogleGenerativeAI } = require('@google/generative-ai');
 const Property = require('../models/Property');
+const ConversationSession = require('../models/ConversationSession');
 const matchingService = require('./matchingService');
+const viewingService = require('./viewingService');
+const nluService = require('./nluService');
+const languageService = require('./languageService');
+const guardService = require('./guardService');
+const { parseNairaAmount } = require('./listingFlowService');
 
-// Initialize Google Gemini with API key from environment variables
-const genAI = process.env.GEMINI_API_KEY ? new GoogleGenerativeAI(process.env.GEMINI_API_KEY) : null;
+// Conversation context lives in conversation_sessions so it survives deploys
+// and is shared between instances
+const CONTEXT_TURNS = 5;
+const CONTEXT_TTL_MINUTES = parseInt(process.env.CONVERSATION_TTL_MINUTES || '30', 10);
 
-// In-memory conversation context (use Redis in production for scalability)
-const conversationContext = new Map();
+// Intents that need a property; without one the bot asks for it and waits
+const PROPERTY_INTENTS = ['inquire_specific', 'schedule_viewing', 'contact_landlord'];
+
+// YES to a clarifying question (local words for yes are rewritten to 'yes' first;
+// the questions themselves are in the language catalogs under clarify.<intent>)
+const CONFIRMATION = /^\s*(yes|yeah|yep|yup|yes please|correct|sure|ok|okay)\b/i;
+
+const EMPTY_SESSION = { turns: [], lastCriteria: null, lastResultIds: [], flowState: null, language: null };
+
+/**
+ * Text of a bot response for the stored history (structured responses keep their summary)
+ * @param {string|object} response - Response from generateResponse
+ * @returns {string}
+ */
+const describeResponse = (response) =>
+  (response && typeof response === 'object' ? response.summary || '' : response || '');
+
+/**
+ * How many properties a search showed (null for other intents)
+ * @param {string} intent - Intent of the message
+ * @param {string|object} response - Response from generateResponse
+ * @returns {number|null}
+ */
+const countResults = (intent, response) => {
+  if (!['search', 'show_more'].includes(intent)) return null;
+  return response && response.type === 'property_results' ? response.properties.length : 0;
+};
 
 /**
- * Get conversation context for a user
+ * Get the conversation session for a user (empty once it has expired)
  * @param {string} phoneNumber - User's phone number
- * @returns {array} - Last 5 messages
+ * @returns {Promise<object>} - { turns, lastCriteria, lastResultIds, flowState, language }
  */
-const getContext = (phoneNumber) => {
-  return conversationContext.get(phoneNumber) || [];
+const getContext = async (phoneNumber) => {
+  const session = await ConversationSession.find(phoneNumber);
+  if (!session) return { ...EMPTY_SESSION };
+
+  return {
+    turns: session.turns || [],
+    lastCriteria: session.last_criteria,
+    lastResultIds: session.last_result_ids || [],
+    flowState: session.flow_state,
+    language: session.language
+  };
 };
 
 /**
- * Save message to conversation context
+ * Add a turn to the user's session and update what the bot remembers
  * @param {string} phoneNumber - User's phone number
- * @param {object} messageData - Message data to store
+ * @param {object} session - Session from getContext
+ * @param {object} turn - { message, intent, entities, response, flowState }
+ *   (flowState defaults to waiting for a property when a property intent had none)
+ * @returns {Promise<object>} - Saved session row
  */
-const saveContext = (phoneNumber, messageData) => {
-  const context = conversationContext.get(phoneNumber) || [];
-  context.push({
-    ...messageData,
-    timestamp: new Date().toISOString()
-  });
-  
-  // Keep only last 5 messages
-  if (context.length > 5) {
-    context.shift();
-  }
-  
-  conversationContext.set(phoneNumber, context);
+const saveContext = async (phoneNumber, session, { message, intent, entities, response, flowState }) => {
+  const turns = [
+    ...session.turns,
+    { message, intent, entities, response: describeResponse(response), timestamp: new Date().toISOString() }
+  ].slice(-CONTEXT_TURNS);
+
+  const isSearch = ['search', 'show_more'].includes(intent) && !entities.near;
+  const isResults = response && response.type === 'property_results';
+  const awaitingProperty = PROPERTY_INTENTS.includes(intent) && !entities.propertyId;
+
+  return ConversationSession.save(phoneNumber, {
+    turns,
+    lastCriteria: isSearch ? entities : session.lastCriteria,
+    lastResultIds: isResults ? response.properties.map(p => p.id) : session.lastResultIds,
+    flowState: flowState || (awaitingProperty ? { awaiting: 'propertyId', intent } : null),
+    language: session.language
+  }, CONTEXT_TTL_MINUTES);
 };
 
 /**
  * Clear conversation context for a user
  * @param {string} phoneNumber - User's phone number
+ * @returns {Promise<boolean>} - Whether there was a session
  */
-const clearContext = (phoneNumber) => {
-  conversationContext.delete(phoneNumber);
+const clearContext = (phoneNumber) => ConversationSession.clear(phoneNumber);
+
+// Words and phrases for picking from the last results
+const ORDINAL_WORDS = {
+  first: 1, second: 2, third: 3, fourth: 4, fifth: 5,
+  sixth: 6, seventh: 7, eighth: 8, ninth: 9, tenth: 10
+};
+
+/**
+ * The properties in the most recent result set in the conversation
+ * @param {object} session - Session from getContext
+ * @returns {Promise<array>} - Properties, in the order they were shown
+ */
+const getLastResults = (session) => Property.findByIds(session.lastResultIds || []);
+
+/**
+ * Work out which property a message refers to: an explicit ID ('ID 14'),
+ * an ordinal into the last results ('the 2nd one', 'last one'), or a fuzzy
+ * description matched against them ('the Lekki one', 'the 3 bedroom', 'the cheapest')
+ * @param {string} message - User message
+ * @param {array} lastResults - Properties from the last result set
+ * @param {object} [options] - { fuzzy: false } to only accept IDs, ordinals and numbers
+ * @returns {object} - { propertyId }, { ambiguous: [properties] } or {} if nothing matched
+ */
+const resolvePropertyReference = (message, lastResults = [], { fuzzy = true } = {}) => {
+  const text = message.toLowerCase();
+
+  const idMatch = text.match(/(?:property|id|#)\s*(?:id\s*)?#?\s*(\d+)/i);
+  if (idMatch) return { propertyId: parseInt(idMatch[1], 10) };
+
+  if (lastResults.length === 0) {
+    const bare = text.match(/^\s*(\d+)\s*$/);
+    return bare ? { propertyId: parseInt(bare[1], 10) } : {};
+  }
+
+  const pick = (position) => (
+    position >= 1 && position <= lastResults.length ? { propertyId: lastResults[position - 1].id } : null
+  );
+
+  // Ordinals: '2nd', 'second', 'number 2', 'option 2', 'the last one'
+  const numbered = text.match(/\b(\d+)(?:st|nd|rd|th)\b/) || text.match(/\b(?:number|no\.?|option)\s*(\d+)\b/);
+  if (numbered && pick(parseInt(numbered[1], 10))) return pick(parseInt(numbered[1], 10));
+
+  const word = Object.keys(ORDINAL_WORDS).find(w => new RegExp(`\\b${w}\\b`).test(text));
+  if (word && pick(ORDINAL_WORDS[word])) return pick(ORDINAL_WORDS[word]);
+
+  if (/\blast\b/.test(text)) return pick(lastResults.length);
+
+  const bare = text.match(/^\s*(?:the\s+)?(\d+)\s*$/);
+  const bareNumber = () => {
+    const value = parseInt(bare[1], 10);
+    if (lastResults.some(property => property.id === value)) return { propertyId: value };
+    return pick(value) || { propertyId: value };
+  };
+  if (!fuzzy) return bare ? bareNumber() : {};
+
+  // Price superlatives
+  const byPrice = [...lastResults].sort((a, b) => Number(a.price) - Number(b.price));
+  if (/\b(cheapest|lowest price|least expensive)\b/.test(text)) return { propertyId: byPrice[0].id };
+  if (/\b(most expensive|priciest|highest price)\b/.test(text)) return { propertyId: byPrice[byPrice.length - 1].id };
+
+  // Fuzzy description: score each result on location/type words and bedrooms mentioned
+  const bedrooms = text.match(/(\d+)\s*-?\s*(?:bed|br\b|bedroom)/);
+  const scored = lastResults.map(property => {
+    const words = `${property.location} ${property.type}`.toLowerCase().split(/[^a-z0-9]+/).filter(w => w.length >= 3);
+    let score = new Set(words.filter(w => new RegExp(`\\b${w}\\b`).test(text))).size;
+    if (bedrooms && parseInt(bedrooms[1], 10) === Number(property.bedrooms)) score += 1;
+    return { property, score };
+  });
+  const best = Math.max(...scored.map(s => s.score));
+  if (best > 0) {
+    const top = scored.filter(s => s.score === best).map(s => s.property);
+    return top.length === 1 ? { propertyId: top[0].id } : { ambiguous: top };
+  }
+
+  // A bare number: an ID from the results, else a position in them
+  return bare ? bareNumber() : {};
 };
 
 /**
  * Processes a user message and determines the appropriate response
  * @param {string} message - The user's message
  * @param {string} phoneNumber - The user's phone number (for context)
- * @returns {Promise<object>} - The AI's response and any extracted entities
+ * @param {object} [known] - Intent and/or entities already known (e.g. from a
+ *   WhatsApp button reply), which skips the matching Gemini call
+ * @param {object} [options] - { verifiedSender: false } when nothing proves the
+ *   sender owns phoneNumber (web chat): their language then stays in the
+ *   session instead of being saved on the user
+ * @returns {Promise<object>} - The AI's response, any extracted entities, the
+ *   number of properties a search showed and the language it is written in
  */
-const processMessage = async (message, phoneNumber) => {
+const processMessage = async (message, phoneNumber, known = {}, { verifiedSender = true } = {}) => {
+  let language = languageService.DEFAULT_LANGUAGE;
   try {
-    console.log('Processing message with Gemini:', message);
+    console.log('Processing message:', message);
+
+    // Get conversation history for context (carry on without it if it can't be loaded)
+    let session;
+    try {
+      session = await getContext(phoneNumber);
+    } catch (error) {
+      console.error('Error loading conversation context:', error);
+      session = { ...EMPTY_SESSION };
+    }
+    console.log(`Conversation history: ${session.turns.length} messages`);
+
+    // 'Reply in Yoruba': switch and greet in the new language
+    const requested = known.intent ? null : languageService.parseLanguageRequest(message);
+    if (requested) {
+      language = requested;
+      session.language = language;
+      if (verifiedSender) {
+        await languageService.setLanguage(phoneNumber, language)
+          .catch(error => console.error('Error saving user language:', error));
+      }
+      const response = `${languageService.t(language, 'languageSet')}\n\n${languageService.t(language, 'greeting')}`;
+      await saveContext(phoneNumber, session, { message, intent: 'set_language', entities: { language }, response })
+        .catch(error => console.error('Error saving conversation context:', error));
+      return { intent: 'set_language', entities: { language }, response, language, timestamp: new Date().toISOString() };
+    }
+
+    // Answer in the user's language; the NLU and entity parsing work on an English rewrite
+    language = await languageService.resolveLanguage(message.slice(0, guardService.MAX_MESSAGE_LENGTH), phoneNumber, {
+      remember: verifiedSender,
+      current: session.language
+    });
+    session.language = language;
+
+    // Overlong, manipulative and off-topic messages get a refusal, not an NLU call,
+    // and stay out of the session so they never reach a later prompt
+    const flagged = known.intent ? null : guardService.inspect(message);
+    if (flagged) {
+      await guardService.flag(phoneNumber, message, flagged);
+      return {
+        intent: 'refused',
+        entities: {},
+        response: guardService.refusal(flagged, language),
+        flagged,
+        language,
+        timestamp: new Date().toISOString()
+      };
+    }
+
+    const text = languageService.normalizeMessage(message, language);
+    if (text !== message) console.log(`Language: ${language}, read as:`, text);
+
+    // The bot asked which property: a reply like '12' or 'the 2nd one' answers that question
+    // (descriptions are left to the AI, since 'flats in Lekki' is more likely a new search)
+    if (!known.intent && session.flowState?.awaiting === 'propertyId') {
+      const reference = resolvePropertyReference(text, await getLastResults(session), { fuzzy: false });
+      if (reference.propertyId) {
+        known = { intent: session.flowState.intent, entities: { ...reference } };
+        if (known.intent === 'contact_landlord') known.entities.message = message;
+      }
+    }
+
+    // The bot asked 'did you mean...?': YES goes ahead with the message it asked about
+    let subject = message;
+    if (!known.intent && session.flowState?.awaiting === 'confirmation' && CONFIRMATION.test(text)) {
+      known = { intent: session.flowState.intent };
+      subject = session.flowState.message;
+    }
+    const subjectText = subject === message ? text : languageService.normalizeMessage(subject, language);
 
-    // Get conversation history for context
-    const context = getContext(phoneNumber);
-    console.log(`Conversation history: ${context.length} messages`);
+    // Step 1: Determine the intent (and, for searches, the criteria) in one NLU call
+    const understanding = known.intent
+      ? null
+      : await nluService.understand(text, { context: session.turns, lastCriteria: session.lastCriteria });
+    const intent = known.intent || understanding.intent;
+    console.log('Determined intent:', intent, understanding ? `(${understanding.confidence} via ${understanding.provider})` : '');
 
-    // Step 1: Determine the intent of the message
-    const intent = await determineIntent(message, context);
-    console.log('Determined intent:', intent);
+    // Not sure enough to act: ask first, and remember what to do on YES
+    if (understanding && nluService.needsClarification(understanding)) {
+      const response = languageService.t(language, `clarify.${intent}`);
+      await saveContext(phoneNumber, session, {
+        message, intent: 'clarify', entities: {}, response,
+        flowState: { awaiting: 'confirmation', intent, message }
+      }).catch(error => console.error('Error saving conversation context:', error));
+      return { intent: 'clarify', entities: {}, response, language, timestamp: new Date().toISOString() };
+    }
 
     // Step 2: Extract entities based on the intent
-    const entities = await extractEntities(message, intent, context);
+    // (the landlord gets the user's own words, not the English rewrite)
+    const entities = known.entities || await extractEntities(subjectText, intent, session, understanding);
+    if (!known.entities && entities.message !== undefined) entities.message = subject;
     console.log('Extracted entities:', entities);
 
     // Step 3: Generate a response based on the intent and entities
-    const response = await generateResponse(intent, entities, phoneNumber, context);
+    const response = await generateResponse(intent, entities, phoneNumber, session.turns, language);
     console.log('Generated response:', response);
 
-    // Save to context
-    saveContext(phoneNumber, {
-      message,
-      intent,
-      entities,
-      response
-    });
+    // Save to context (a storage failure shouldn't cost the user their reply)
+    try {
+      await saveContext(phoneNumber, session, { message, intent, entities, response });
+    } catch (error) {
+      console.error('Error saving conversation context:', error);
+    }
 
     return {
       intent,
       entities,
       response,
+      resultCount: countResults(intent, response),
+      language,
       timestamp: new Date().toISOString(),
     };
   } catch (error) {
@@ -90,131 +301,63 @@ const processMessage = async (message, phoneNumber) => {
     return {
       intent: 'error',
       entities: {},
-      response: 'Sorry, I encountered an error processing your request. Please try again later.',
+      response: languageService.t(language, 'error'),
+      language,
       timestamp: new Date().toISOString(),
     };
   }
 };
 
 /**
- * Determines the intent of a user's message using Gemini with context awareness
+ * Determines the intent of a user's message with context awareness
+ * (Gemini when configured, otherwise or on failure the rule-based NLU)
  * @param {string} message - The user's message
  * @param {array} context - Conversation history
  * @returns {Promise<string>} - The determined intent
  */
 const determineIntent = async (message, context = []) => {
-  try {
-    if (!genAI) {
-      throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY environment variable.');
-    }
-
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp"});
-    
-    // Build context string
-    const contextStr = context.length > 0 
-      ? `Previous conversation:\n${context.map(c => `User: ${c.message}\nBot: ${c.response}`).join('\n')}\n\n`
-      : '';
-    
-    const prompt = `You are an AI assistant for a real estate platform called Propabridge in Nigeria. 
-    Your job is to determine the intent of the user's message. 
-    
-    ${contextStr}
-    Possible intents:
-    - greeting: When the user greets (hi, hello, hey, good morning, etc.)
-    - search: When the user is looking for properties (mentions location, bedrooms, price, property type)
-    - inquire_specific: When asking about a specific property by ID or previously mentioned
-    - schedule_viewing: When user wants to see/visit a property ('when can I see', 'book viewing', 'schedule appointment')
-    - price_negotiation: When discussing price ('too expensive', 'can we negotiate', 'lower price', 'discount')
-    - list_property: When user wants to list their property ('I want to list', 'I have a property', 'I\'m a landlord')
-    - show_more: When user wants to see more results ('show me more', 'any others', 'next')
-    - other: For any other type of message
-    
-    Current message: "${message}"
-    
-    Respond with ONLY the intent keyword (nothing else).`;
-
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const intent = response.text().trim().toLowerCase();
-    
-    const validIntents = ['greeting', 'search', 'inquire_specific', 'schedule_viewing', 'price_negotiation', 'list_property', 'show_more', 'other'];
-    return validIntents.includes(intent) ? intent : 'other';
-  } catch (error) {
-    console.error('Error determining intent:', error);
-    throw error;
-  }
+  const understanding = await nluService.understand(message, { context });
+  return understanding.intent;
 };
 
-
 /**
  * Extracts relevant entities from the user's message based on intent with context
  * @param {string} message - The user's message
  * @param {string} intent - The determined intent
- * @param {array} context - Conversation history
+ * @param {object} [session] - Session from getContext (last results and search criteria)
+ * @param {object} [understanding] - NLU result for this message, if there is one
  * @returns {Promise<object>} - Extracted entities
  */
-const extractEntities = async (message, intent, context = []) => {
-  if (!['search', 'show_more'].includes(intent)) return {};
-
-  try {
-    if (!genAI) {
-      throw new Error('Gemini API key not configured. Please set GEMINI_API_KEY environment variable.');
-    }
+const extractEntities = async (message, intent, session = EMPTY_SESSION, understanding = null) => {
+  // Viewing requests and landlord messages only need the property ID
+  // ('book a viewing of property 12'); the message itself goes to the landlord
+  if (intent === 'schedule_viewing' || intent === 'contact_landlord') {
+    const match = message.match(/(?:property|id|#)\s*(?:id\s*)?#?\s*(\d+)/i);
+    const entities = match ? { propertyId: parseInt(match[1], 10) } : {};
+    if (intent === 'contact_landlord') entities.message = message;
+    return entities;
+  }
 
-    const model = genAI.getGenerativeModel({ model: "gemini-2.0-flash-exp"});
-    
-    // Build context string to inherit previous search criteria
-    const contextStr = context.length > 0 
-      ? `Previous search criteria: ${JSON.stringify(context[context.length - 1]?.entities || {})}\n`
-      : '';
-    
-    const prompt = `Extract real estate search parameters from the user's message for Nigerian properties.
-    
-    ${contextStr}
-    Look for:
-    - location: Desired location (support abbreviations: 'GRA' = 'Gwarinpa', 'V.I' = 'Victoria Island', 'Wuse' = 'Wuse 2')
-    - propertyType: Type of property (flat, apartment, duplex, detached, terrace, land, commercial)
-    - minPrice: Minimum price in Naira (handle formats like '2M' = 2000000, '2.5M' = 2500000, '2-3M' means minPrice=2000000, maxPrice=3000000)
-    - maxPrice: Maximum price in Naira (same format rules)
-    - bedrooms: Number of bedrooms (handle formats like '2bed', 'two bedroom', '2br', 'at least 3' = 3)
-    - amenities: List of requested amenities (parking, pool, gym, security, power, water, gated, bq)
-    
-    If user says 'show more' or 'any others', use the previous search criteria from context.
-    
-    Return ONLY a valid JSON object with these fields. Only include fields that are mentioned or can be inferred from context.
-    
-    User message: "${message}"`;
+  // Property references are resolved against the last results shown
+  if (intent === 'inquire_specific') {
+    return resolvePropertyReference(message, await getLastResults(session));
+  }
 
-    const result = await model.generateContent(prompt);
-    const response = await result.response;
-    const content = response.text().replace(/```json\n|```/g, '').trim();
-    const entities = JSON.parse(content);
-    
-    // Handle location abbreviations
-    const locationAliases = {
-      'gra': 'Gwarinpa',
-      'v.i': 'Victoria Island',
-      'vi': 'Victoria Island',
-      'wuse': 'Wuse 2',
-      'leki': 'Lekki',
-      'ikoyi': 'Ikoyi'
-    };
-    
-    if (entities.location) {
-      const locationLower = entities.location.toLowerCase();
-      for (const [alias, full] of Object.entries(locationAliases)) {
-        if (locationLower.includes(alias)) {
-          entities.location = full;
-          break;
-        }
-      }
-    }
-    
+  // Offers: 'offer 1.8M for property 12' (the amount is read with the ID removed)
+  if (intent === 'price_negotiation') {
+    const match = message.match(/(?:property|id|#)\s*(?:id\s*)?#?\s*(\d+)/i);
+    const amount = parseNairaAmount(match ? message.replace(match[0], ' ') : message);
+    const entities = match ? { propertyId: parseInt(match[1], 10) } : {};
+    if (amount) entities.amount = amount;
     return entities;
-  } catch (error) {
-    console.error('Error extracting entities:', error);
-    throw error;
   }
+
+  if (!['search', 'show_more'].includes(intent)) return {};
+
+  if (understanding) return understanding.entities;
+
+  const criteria = await nluService.understand(message, { intent, lastCriteria: session.lastCriteria });
+  return criteria.entities;
 };
 
 
@@ -229,8 +372,10 @@ const formatPropertyForWhatsApp = (property, index) => {
   const matchScore = property.matchScore ? ` (${property.matchScore}% match)` : '';
   
   let response = `*${index}. ${property.type}* ${verified}${matchScore}\n`;
-  response += `📍 ${property.location}\n`;
-  response += `💰 ₦${property.price.toLocaleString()}/year\n`;
+  response += `📍 ${property.location}`;
+  if (property.distance_km !== undefined) response += ` (${Number(property.distance_km).toFixed(1)} km away)`;
+  response += '\n';
+  response += `💰 ₦${Number(property.price).toLocaleString()}/year\n`;
   response += `🛏️ ${property.bedrooms} bed | 🚿 ${property.bathrooms || property.bedrooms} bath`;
   if (property.area) response += ` | 📐 ${property.area}m²`;
   response += '\n';
@@ -243,42 +388,88 @@ const formatPropertyForWhatsApp = (property, index) => {
   return response;
 };
 
+/**
+ * Full details for one property (bot 'tell me more' replies)
+ * @param {object} property - Property from Property.findById (with images)
+ * @returns {string} - Formatted details
+ */
+const formatPropertyDetails = (property) => {
+  let response = `*${property.type}* ${property.verified ? '✅ Verified' : ''}\n`;
+  response += `📍 ${property.location}\n`;
+  response += `💰 ₦${Number(property.price).toLocaleString()}/year\n`;
+  response += `🛏️ ${property.bedrooms} bedroom${Number(property.bedrooms) === 1 ? '' : 's'}`;
+  response += ` | 🚿 ${property.bathrooms || property.bedrooms} bathroom${Number(property.bathrooms || property.bedrooms) === 1 ? '' : 's'}`;
+  if (property.area) response += ` | 📐 ${property.area}m²`;
+  response += '\n';
+
+  const amenities = Array.isArray(property.amenities) ? property.amenities : [];
+  if (amenities.length > 0) response += `🏊 Amenities: ${amenities.join(', ')}\n`;
+  if (property.features) response += `✨ ${property.features}\n`;
+
+  const photos = (property.images || []).length;
+  if (photos > 0) response += `📷 ${photos} photo${photos === 1 ? '' : 's'}\n`;
+  response += `🆔 Property ID: ${property.id}\n`;
+
+  return response;
+};
+
 /**
  * Generates a response based on the intent and entities
  * @param {string} intent - The determined intent
  * @param {object} entities - Extracted entities
  * @param {string} phoneNumber - User's phone number for personalization
  * @param {array} context - Conversation history
+ * @param {string} [language] - Language code for the reply (see languageService)
  * @returns {Promise<string>} - The generated response
  */
-const generateResponse = async (intent, entities, phoneNumber, context = []) => {
+const generateResponse = async (intent, entities, phoneNumber, context = [], language = languageService.DEFAULT_LANGUAGE) => {
+  const t = (key, params) => languageService.t(language, key, params);
+
   switch (intent) {
     case 'greeting':
-      return "👋 Hello! I'm your Propabridge assistant.\n\nI can help you:\n• Find properties in Nigeria\n• Schedule viewings\n• List your property\n\nWhat would you like to do?";
+      return t('greeting');
     
     case 'search':
     case 'show_more':
       try {
+        // Location pin shared on WhatsApp: search around it
+        if (entities.near) {
+          const nearby = await matchingService.findNearby(entities.near, entities);
+
+          if (nearby.length === 0) {
+            return t('nearbyNone');
+          }
+
+          return {
+            type: 'property_results',
+            properties: nearby,
+            summary: t('nearbyResults', { count: nearby.length, place: entities.near.name || t('yourLocation') })
+          };
+        }
+
         // Use smart matching service for better results
-        const properties = await matchingService.findMatches(entities);
+        // ("More like this" excludes the property the user started from)
+        const excluded = entities.excludePropertyIds || [];
+        const properties = (await matchingService.findMatches(entities))
+          .filter(property => !excluded.includes(property.id));
         
         if (properties.length === 0) {
           // Get smart suggestions
           const suggestions = await matchingService.getSmartSuggestions(entities);
-          let response = "😔 No exact matches found for your criteria.\n\n";
+          let response = t('noMatches');
           
           if (suggestions.nearbyAreas.length > 0) {
-            response += "🔍 *Nearby Areas:*\n";
+            response += t('nearbyAreas');
             suggestions.nearbyAreas.forEach((prop, i) => {
               response += formatPropertyForWhatsApp(prop, i + 1);
             });
           } else if (suggestions.cheaperOptions.length > 0) {
-            response += "💡 *More Affordable Options:*\n";
+            response += t('cheaperOptions');
             suggestions.cheaperOptions.forEach((prop, i) => {
               response += formatPropertyForWhatsApp(prop, i + 1);
             });
           } else {
-            response += "Try:\n• Different location\n• Adjusting your budget\n• Fewer bedrooms\n\nWhat would you like to search for?";
+            response += t('searchTips');
           }
           
           return response;
@@ -289,27 +480,78 @@ const generateResponse = async (intent, entities, phoneNumber, context = []) =>
         return {
           type: 'property_results',
           properties: properties,
-          summary: `Found ${properties.length} ${properties.length === 1 ? 'property' : 'properties'} matching your search!`
+          summary: t('searchResults', { count: properties.length })
         };
       } catch (error) {
         console.error('Error searching properties:', error);
-        return "⚠️ I'm having trouble searching right now. Please try again in a moment.";
+        return t('searchError');
       }
     
     case 'inquire_specific':
-      return "I'd be happy to share details about that property! Could you tell me the Property ID or which one you're interested in (1st, 2nd, etc.)?";
+      if (entities.ambiguous) {
+        const options = entities.ambiguous
+          .map(p => t('ambiguousOption', { id: p.id, bedrooms: p.bedrooms, type: p.type, location: p.location }))
+          .join('\n');
+        return t('ambiguous', { options });
+      }
+      if (entities.propertyId) {
+        const property = await Property.findById(entities.propertyId);
+        if (property) {
+          try {
+            await Property.recordView(property.id, { phone: phoneNumber });
+          } catch (error) {
+            console.error('Error recording property view:', error);
+          }
+          return {
+            type: 'property_details',
+            property,
+            summary: `${formatPropertyDetails(property)}\n${t('detailsFollowUp')}`
+          };
+        }
+        return t('propertyNotFound', { id: entities.propertyId });
+      }
+      return t('askPropertyDetails');
     
     case 'schedule_viewing':
-      return "📅 Great! I'll connect you with the landlord to schedule a viewing.\n\nWhich property are you interested in? (Send the Property ID)";
+      if (entities.propertyId) {
+        return viewingService.getSlotsResponse(entities.propertyId);
+      }
+      return t('askViewingProperty');
+    
+    case 'contact_landlord':
+      if (entities.propertyId) {
+        // The inquiry itself is created by the channel, which knows who is asking
+        // (whatsappService for WhatsApp; the property page on the web)
+        return {
+          type: 'contact_landlord',
+          propertyId: entities.propertyId,
+          message: entities.message,
+          summary: t('contactLandlord', { id: entities.propertyId })
+        };
+      }
+      return t('askLandlordProperty');
     
     case 'price_negotiation':
-      return "💬 I understand! Property prices are often negotiable. I can connect you with the landlord to discuss the price.\n\nWhich property would you like to negotiate on?";
+      if (entities.propertyId && entities.amount) {
+        // Like contact_landlord, the offer itself is made by the channel that knows the sender
+        return {
+          type: 'make_offer',
+          propertyId: entities.propertyId,
+          amount: entities.amount,
+          summary: t('makeOffer', { id: entities.propertyId, amount: `₦${Number(entities.amount).toLocaleString()}` })
+        };
+      }
+      if (entities.propertyId) {
+        return t('askOfferAmount', { id: entities.propertyId });
+      }
+      return t('askOffer');
     
     case 'list_property':
-      return "🏠 Excellent! I can help you list your property.\n\nTo get started, I'll need:\n1. Property location\n2. Number of bedrooms\n3. Annual rent price\n4. Photos (optional)\n\nReply with these details or visit our website to list: propabridge.ng/list";
+      // On WhatsApp this is replaced by the step-by-step listing flow (listingFlowService)
+      return t('listProperty');
     
     default:
-      return "🤔 I'm not quite sure what you mean. I can help you:\n\n• *Search* for properties (e.g., '3 bedroom flat in Lekki under 3M')\n• *Schedule viewings*\n• *List your property*\n\nWhat would you like to do?";
+      return t('fallback');
   }
 };
 
@@ -321,5 +563,7 @@ module.exports = {
   getContext,
   saveContext,
   clearContext,
-  formatPropertyForWhatsApp
+  formatPropertyForWhatsApp,
+  formatPropertyDetails,
+  resolvePropertyReference
 };
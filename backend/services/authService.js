@@ -1,11 +1,37 @@
-const { query } = require('../config/db');
+const { query, transaction } = require('../config/db');
+const otpDeliveryService = require('./otpDeliveryService');
+const languageService = require('./languageService');
 const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
 
 /**
  * Authentication Service for Phone-Based OTP
  * Handles user registration, OTP generation, verification, and JWT token generation
  */
 
+// Access tokens are short-lived; refresh tokens are rotated on every use
+const ACCESS_TOKEN_TTL = process.env.JWT_ACCESS_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = parseInt(process.env.JWT_REFRESH_TTL_DAYS || '30', 10);
+const JWT_ISSUER = 'propabridge';
+
+let jwtSecret = process.env.JWT_SECRET;
+
+if (!jwtSecret) {
+  if (process.env.NODE_ENV === 'production') {
+    console.error('JWT_SECRET is not set. Refusing to start without a token signing secret.');
+    process.exit(1);
+  }
+  // In development, sign with a per-process secret (tokens are invalidated on restart)
+  jwtSecret = crypto.randomBytes(32).toString('hex');
+  console.warn('⚠️ JWT_SECRET not set, using a temporary development secret');
+}
+
+// OTP abuse protection (counters live in Postgres so they hold across instances)
+const OTP_MAX_ATTEMPTS = parseInt(process.env.OTP_MAX_ATTEMPTS || '5', 10);
+const OTP_RESEND_COOLDOWN_SECONDS = parseInt(process.env.OTP_RESEND_COOLDOWN_SECONDS || '60', 10);
+const OTP_DAILY_LIMIT_PER_PHONE = parseInt(process.env.OTP_DAILY_LIMIT_PER_PHONE || '10', 10);
+const OTP_DAILY_LIMIT_PER_IP = parseInt(process.env.OTP_DAILY_LIMIT_PER_IP || '30', 10);
+
 /**
  * Generate a random 6-digit OTP code
  * @returns {string} - 6-digit OTP code
@@ -14,14 +40,99 @@ const generateOTP = () => {
   return crypto.randomInt(100000, 999999).toString();
 };
 
+/**
+ * Seconds until a phone may request another OTP (0 when allowed)
+ * @param {string} phone - User's phone number
+ * @param {object} [db] - Connection to query with (a transaction's client)
+ * @returns {Promise<number>} - Remaining cooldown in seconds
+ */
+const getResendCooldown = async (phone, db = { query }) => {
+  const result = await db.query(
+    `SELECT CEIL(EXTRACT(EPOCH FROM (MAX(created_at) + make_interval(secs => $2) - NOW()))) AS wait
+     FROM otp_requests
+     WHERE phone = $1`,
+    [phone, OTP_RESEND_COOLDOWN_SECONDS]
+  );
+  return Math.max(0, parseInt(result.rows[0].wait, 10) || 0);
+};
+
+/**
+ * Check resend cooldown and rolling 24-hour caps for a phone and IP
+ * @param {string} phone - User's phone number
+ * @param {string} [ip] - Requesting IP address
+ * @param {object} [db] - Connection to query with (a transaction's client)
+ * @returns {Promise<object|null>} - { retryAfter, message } when limited, otherwise null
+ */
+const checkOTPSendLimits = async (phone, ip, db = { query }) => {
+  const wait = await getResendCooldown(phone, db);
+  if (wait > 0) {
+    return {
+      retryAfter: wait,
+      message: `Please wait ${wait} seconds before requesting another code`
+    };
+  }
+
+  const windows = [
+    { column: 'phone', value: phone, limit: OTP_DAILY_LIMIT_PER_PHONE },
+    { column: 'ip_address', value: ip, limit: OTP_DAILY_LIMIT_PER_IP }
+  ];
+
+  for (const { column, value, limit } of windows) {
+    if (!value) continue;
+
+    const result = await db.query(
+      `SELECT COUNT(*) AS count,
+              CEIL(EXTRACT(EPOCH FROM (MIN(created_at) + INTERVAL '24 hours' - NOW()))) AS wait
+       FROM otp_requests
+       WHERE ${column} = $1 AND created_at > NOW() - INTERVAL '24 hours'`,
+      [value]
+    );
+
+    if (parseInt(result.rows[0].count, 10) >= limit) {
+      return {
+        retryAfter: Math.max(1, parseInt(result.rows[0].wait, 10) || 1),
+        message: 'Too many verification codes requested today. Please try again later.'
+      };
+    }
+  }
+
+  return null;
+};
+
+/**
+ * Check the cooldown and daily caps and, if allowed, record the OTP request.
+ * Requests for the same phone or IP wait on an advisory lock, so a burst of
+ * parallel requests can't all pass the count before any of them is recorded
+ * @param {string} phone - User's phone number
+ * @param {string} [ip] - Requesting IP address
+ * @returns {Promise<object|null>} - { retryAfter, message } when limited, otherwise null
+ */
+const claimOTPRequest = (phone, ip) => transaction(async (client) => {
+  // Always phone before IP, so two requests never wait on each other's lock
+  await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`otp_phone:${phone}`]);
+  if (ip) {
+    await client.query('SELECT pg_advisory_xact_lock(hashtext($1))', [`otp_ip:${ip}`]);
+  }
+
+  const limited = await checkOTPSendLimits(phone, ip, client);
+  if (limited) return limited;
+
+  await client.query(
+    'INSERT INTO otp_requests (phone, ip_address) VALUES ($1, $2)',
+    [phone, ip || null]
+  );
+  return null;
+});
+
 /**
  * Send OTP to user's phone number
- * In production, integrate with SMS provider (Twilio, Africa's Talking, Termii)
- * For now, we log it to console
+ * Delivered by WhatsApp or SMS (see otpDeliveryService); the channel is taken
+ * from the request, then the user's saved preference, then OTP_DEFAULT_CHANNEL
  * @param {string} phone - User's phone number
- * @returns {Promise<object>} - OTP details
+ * @param {object} [client] - Request metadata ({ ip, channel })
+ * @returns {Promise<object>} - OTP details, or { success: false, retryAfter } when rate limited
  */
-const sendOTP = async (phone) => {
+const sendOTP = async (phone, client = {}) => {
   try {
     // Validate phone number format
     const phoneRegex = /^\+234\d{10}$/;
@@ -29,6 +140,12 @@ const sendOTP = async (phone) => {
       throw new Error('Invalid phone number format. Use +234XXXXXXXXXX');
     }
 
+    const limited = await claimOTPRequest(phone, client.ip);
+    if (limited) {
+      console.warn(`⚠️ OTP request rate limited for ${phone} (ip ${client.ip || 'unknown'})`);
+      return { success: false, ...limited };
+    }
+
     // Generate OTP code
     const code = generateOTP();
     
@@ -49,22 +166,18 @@ const sendOTP = async (phone) => {
       [phone, code, expiresAt]
     );
 
-    // TODO: In production, send SMS via provider
-    // Example for Twilio:
-    // await twilioClient.messages.create({
-    //   body: `Your Propabridge verification code is: ${code}. Valid for 5 minutes.`,
-    //   from: process.env.TWILIO_PHONE_NUMBER,
-    //   to: phone
-    // });
-    
-    // For development: Log OTP to console
-    console.log(`🔐 OTP for ${phone}: ${code} (expires in 5 minutes)`);
+    const userResult = await query('SELECT otp_channel FROM users WHERE phone = $1', [phone]);
+    const channel = otpDeliveryService.resolveChannel(client.channel, userResult.rows[0]?.otp_channel);
+
+    const delivery = await otpDeliveryService.deliverOTP({ phone, code, channel, expiresInMinutes: 5 });
 
     return {
       success: true,
       message: 'OTP sent successfully',
       otpId: result.rows[0].id,
       expiresAt: result.rows[0].expires_at,
+      channel: delivery.channel,
+      resendAfter: OTP_RESEND_COOLDOWN_SECONDS,
       // Remove this in production - only for dev/testing
       _devOTP: process.env.NODE_ENV === 'development' ? code : undefined
     };
@@ -75,67 +188,134 @@ const sendOTP = async (phone) => {
 };
 
 /**
- * Verify OTP code for a phone number
+ * Check an OTP code and mark it as used
+ * Every guess uses up one attempt; the code is locked after OTP_MAX_ATTEMPTS
  * @param {string} phone - User's phone number
  * @param {string} code - 6-digit OTP code
- * @returns {Promise<object>} - User data and token
+ * @returns {Promise<object>} - { success } or { success: false, message, retryAfter? }
  */
-const verifyOTP = async (phone, code) => {
-  try {
-    // Find valid OTP
-    const otpResult = await query(
-      `SELECT * FROM otp_codes 
-       WHERE phone = $1 AND code = $2 AND verified = false AND expires_at > NOW()
-       ORDER BY created_at DESC 
-       LIMIT 1`,
-      [phone, code]
-    );
+const consumeOTP = async (phone, code) => {
+  // Find the current OTP for this phone
+  const otpResult = await query(
+    `SELECT * FROM otp_codes 
+     WHERE phone = $1 AND verified = false AND expires_at > NOW()
+     ORDER BY created_at DESC 
+     LIMIT 1`,
+    [phone]
+  );
+
+  const otp = otpResult.rows[0];
+
+  if (!otp) {
+    return { success: false, message: 'Invalid or expired OTP code' };
+  }
 
-    if (otpResult.rows.length === 0) {
-      return {
-        success: false,
-        message: 'Invalid or expired OTP code'
-      };
-    }
+  // Count the attempt before comparing so parallel guesses can't exceed the limit
+  const attemptResult = await query(
+    `UPDATE otp_codes SET attempts = attempts + 1
+     WHERE id = $1 AND attempts < $2
+     RETURNING attempts`,
+    [otp.id, OTP_MAX_ATTEMPTS]
+  );
 
-    // Mark OTP as verified
-    await query(
-      'UPDATE otp_codes SET verified = true WHERE id = $1',
-      [otpResult.rows[0].id]
-    );
+  if (attemptResult.rows.length === 0) {
+    console.warn(`⚠️ OTP locked after too many attempts for ${phone}`);
+    return {
+      success: false,
+      message: 'Too many incorrect attempts. Please request a new code.',
+      retryAfter: Math.max(1, await getResendCooldown(phone))
+    };
+  }
+
+  const submitted = Buffer.from(String(code || ''));
+  const expected = Buffer.from(otp.code);
+  const matches = submitted.length === expected.length && crypto.timingSafeEqual(submitted, expected);
+
+  if (!matches) {
+    const remaining = OTP_MAX_ATTEMPTS - attemptResult.rows[0].attempts;
+    return {
+      success: false,
+      message: remaining > 0
+        ? `Invalid OTP code. ${remaining} attempt${remaining === 1 ? '' : 's'} left.`
+        : 'Too many incorrect attempts. Please request a new code.'
+    };
+  }
+
+  // Mark OTP as verified (guarded so a code can only be used once)
+  const verifiedResult = await query(
+    'UPDATE otp_codes SET verified = true WHERE id = $1 AND verified = false RETURNING id',
+    [otp.id]
+  );
 
-    // Find or create user
-    let userResult = await query(
-      'SELECT * FROM users WHERE phone = $1',
+  if (verifiedResult.rows.length === 0) {
+    return { success: false, message: 'Invalid or expired OTP code' };
+  }
+
+  return { success: true };
+};
+
+/**
+ * Find a user by phone number (creating them if needed) and mark them verified
+ * Used once the caller has proven they control the number (OTP or an inbound WhatsApp message)
+ * @param {string} phone - Phone number (+234XXXXXXXXXX)
+ * @returns {Promise<object>} - User row
+ */
+const findOrCreateVerifiedUser = async (phone) => {
+  const userResult = await query(
+    'SELECT * FROM users WHERE phone = $1',
+    [phone]
+  );
+
+  if (userResult.rows.length === 0) {
+    // Create new user
+    const newUserResult = await query(
+      `INSERT INTO users (phone, verified, last_active) 
+       VALUES ($1, true, NOW()) 
+       RETURNING *`,
       [phone]
     );
+    console.log(`✅ New user created: ${phone}`);
+    return newUserResult.rows[0];
+  }
 
-    let user;
-    if (userResult.rows.length === 0) {
-      // Create new user
-      const newUserResult = await query(
-        `INSERT INTO users (phone, verified, last_active) 
-         VALUES ($1, true, NOW()) 
-         RETURNING *`,
-        [phone]
-      );
-      user = newUserResult.rows[0];
-      console.log(`✅ New user created: ${phone}`);
-    } else {
-      // Update existing user
-      const updateResult = await query(
-        `UPDATE users 
-         SET verified = true, last_active = NOW() 
-         WHERE phone = $1 
-         RETURNING *`,
-        [phone]
-      );
-      user = updateResult.rows[0];
-      console.log(`✅ Existing user verified: ${phone}`);
+  // Update existing user
+  const updateResult = await query(
+    `UPDATE users 
+     SET verified = true, last_active = NOW() 
+     WHERE phone = $1 
+     RETURNING *`,
+    [phone]
+  );
+  console.log(`✅ Existing user verified: ${phone}`);
+  return updateResult.rows[0];
+};
+
+/**
+ * The user behind a WhatsApp sender (WhatsApp has already proven they own the number)
+ * @param {string} phone - Sender phone number (digits only)
+ * @returns {Promise<object>} - User row
+ */
+const findWhatsAppUser = (phone) => findOrCreateVerifiedUser(`+${String(phone).replace(/[^0-9]/g, '')}`);
+
+/**
+ * Verify OTP code for a phone number
+ * @param {string} phone - User's phone number
+ * @param {string} code - 6-digit OTP code
+ * @returns {Promise<object>} - User data and token
+ */
+const verifyOTP = async (phone, code) => {
+  try {
+    const otpCheck = await consumeOTP(phone, code);
+
+    if (!otpCheck.success) {
+      return otpCheck;
     }
 
-    // Generate JWT token (simple implementation - enhance with actual JWT library in production)
+    const user = await findOrCreateVerifiedUser(phone);
+
+    // Issue a signed access token and a rotating refresh token
     const token = generateToken(user);
+    const refreshToken = await issueRefreshToken(user.id);
 
     return {
       success: true,
@@ -147,7 +327,8 @@ const verifyOTP = async (phone, code) => {
         role: user.role,
         verified: user.verified
       },
-      token
+      token,
+      refreshToken
     };
   } catch (error) {
     console.error('Error verifying OTP:', error);
@@ -156,86 +337,128 @@ const verifyOTP = async (phone, code) => {
 };
 
 /**
- * Generate a simple authentication token
- * In production, use a proper JWT library like jsonwebtoken
+ * Generate a signed, short-lived JWT access token
  * @param {object} user - User object
- * @returns {string} - Authentication token
+ * @param {object} [claims] - Extra claims (e.g. admin scope and session ID)
+ * @param {string} [expiresIn] - Token lifetime, defaults to ACCESS_TOKEN_TTL
+ * @returns {string} - Signed access token
  */
-const generateToken = (user) => {
-  // Simple token for now - in production, use JWT
-  // Example with jsonwebtoken:
-  // const jwt = require('jsonwebtoken');
-  // return jwt.sign(
-  //   { userId: user.id, phone: user.phone, role: user.role },
-  //   process.env.JWT_SECRET,
-  //   { expiresIn: '30d' }
-  // );
-  
-  const payload = {
-    userId: user.id,
-    phone: user.phone,
-    role: user.role,
-    exp: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-  };
-  
-  // Base64 encode (NOT SECURE - use JWT in production)
-  return Buffer.from(JSON.stringify(payload)).toString('base64');
+const generateToken = (user, claims = {}, expiresIn = ACCESS_TOKEN_TTL) => {
+  return jwt.sign(
+    { userId: user.id, phone: user.phone, role: user.role, ...claims },
+    jwtSecret,
+    { expiresIn, issuer: JWT_ISSUER, algorithm: 'HS256' }
+  );
 };
 
 /**
  * Verify authentication token
- * @param {string} token - Authentication token
- * @returns {object|null} - Decoded token payload or null if invalid
+ * @param {string} token - Signed access token
+ * @returns {object|null} - Decoded token payload or null if invalid/expired
  */
 const verifyToken = (token) => {
   try {
-    // In production, use JWT verify
-    // const jwt = require('jsonwebtoken');
-    // return jwt.verify(token, process.env.JWT_SECRET);
-    
-    const payload = JSON.parse(Buffer.from(token, 'base64').toString());
-    
-    // Check if token expired
-    if (payload.exp < Date.now()) {
-      return null;
-    }
-    
-    return payload;
+    return jwt.verify(token, jwtSecret, {
+      issuer: JWT_ISSUER,
+      algorithms: ['HS256']
+    });
   } catch (error) {
-    console.error('Error verifying token:', error);
+    // Expired or tampered tokens are expected; don't log them as errors
     return null;
   }
 };
 
 /**
- * Refresh authentication token
- * @param {string} oldToken - Current authentication token
- * @returns {Promise<object>} - New token
+ * Hash a refresh token for storage (raw tokens are never persisted)
+ * @param {string} token - Raw refresh token
+ * @returns {string} - SHA-256 hex digest
  */
-const refreshToken = async (oldToken) => {
+const hashRefreshToken = (token) => {
+  return crypto.createHash('sha256').update(token).digest('hex');
+};
+
+/**
+ * Issue a new refresh token and store its hash
+ * @param {number} userId - User ID
+ * @param {string} [familyId] - Rotation family (new family when omitted)
+ * @returns {Promise<string>} - Raw refresh token (only returned to the client)
+ */
+const issueRefreshToken = async (userId, familyId = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(48).toString('base64url');
+  const expiresAt = new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+  await query(
+    `INSERT INTO refresh_tokens (user_id, token_hash, family_id, expires_at)
+     VALUES ($1, $2, $3, $4)`,
+    [userId, hashRefreshToken(token), familyId, expiresAt]
+  );
+
+  return token;
+};
+
+/**
+ * Rotate a refresh token: revoke the presented token and issue a new pair.
+ * The token is claimed (revoked) in one statement before anything is issued,
+ * so concurrent requests with the same token can't both rotate it.
+ * Presenting an already-rotated token revokes the whole family, since it
+ * means the token was leaked and used twice.
+ * @param {string} oldRefreshToken - Current refresh token
+ * @returns {Promise<object>} - New access and refresh tokens
+ */
+const refreshToken = async (oldRefreshToken) => {
   try {
-    const payload = verifyToken(oldToken);
-    
-    if (!payload) {
-      throw new Error('Invalid or expired token');
+    const tokenHash = hashRefreshToken(oldRefreshToken);
+    const claimResult = await query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE token_hash = $1 AND revoked_at IS NULL
+       RETURNING *`,
+      [tokenHash]
+    );
+
+    const stored = claimResult.rows[0];
+
+    if (!stored) {
+      const revokedResult = await query(
+        'SELECT user_id, family_id FROM refresh_tokens WHERE token_hash = $1',
+        [tokenHash]
+      );
+      const revoked = revokedResult.rows[0];
+
+      if (!revoked) {
+        throw new Error('Invalid refresh token');
+      }
+
+      await query(
+        'UPDATE refresh_tokens SET revoked_at = NOW() WHERE family_id = $1 AND revoked_at IS NULL',
+        [revoked.family_id]
+      );
+      console.warn(`⚠️ Refresh token reuse detected for user ${revoked.user_id}, family revoked`);
+      throw new Error('Refresh token has been revoked');
+    }
+
+    if (new Date(stored.expires_at) < new Date()) {
+      throw new Error('Refresh token expired');
     }
 
     // Get latest user data
-    const userResult = await query(
-      'SELECT * FROM users WHERE id = $1',
-      [payload.userId]
-    );
+    const user = await getUserById(stored.user_id);
 
-    if (userResult.rows.length === 0) {
+    if (!user) {
       throw new Error('User not found');
     }
 
-    const user = userResult.rows[0];
-    const newToken = generateToken(user);
+    const newRefreshToken = await issueRefreshToken(user.id, stored.family_id);
+
+    await query(
+      'UPDATE refresh_tokens SET replaced_by_hash = $1 WHERE id = $2',
+      [hashRefreshToken(newRefreshToken), stored.id]
+    );
 
     return {
       success: true,
-      token: newToken,
+      token: generateToken(user),
+      refreshToken: newRefreshToken,
       user: {
         id: user.id,
         phone: user.phone,
@@ -244,7 +467,29 @@ const refreshToken = async (oldToken) => {
       }
     };
   } catch (error) {
-    console.error('Error refreshing token:', error);
+    console.error('Error refreshing token:', error.message);
+    throw error;
+  }
+};
+
+/**
+ * Revoke a refresh token and every token rotated from it (logout)
+ * @param {string} token - Raw refresh token
+ * @returns {Promise<number>} - Number of revoked tokens
+ */
+const revokeRefreshToken = async (token) => {
+  try {
+    const result = await query(
+      `UPDATE refresh_tokens
+       SET revoked_at = NOW()
+       WHERE revoked_at IS NULL
+         AND family_id = (SELECT family_id FROM refresh_tokens WHERE token_hash = $1)
+       RETURNING id`,
+      [hashRefreshToken(token)]
+    );
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error revoking refresh token:', error);
     throw error;
   }
 };
@@ -257,7 +502,7 @@ const refreshToken = async (oldToken) => {
 const getUserById = async (userId) => {
   try {
     const result = await query(
-      'SELECT id, phone, name, email, role, verified, created_at FROM users WHERE id = $1',
+      'SELECT id, phone, name, email, role, verified, otp_channel, language, created_at FROM users WHERE id = $1',
       [userId]
     );
     return result.rows[0] || null;
@@ -270,12 +515,12 @@ const getUserById = async (userId) => {
 /**
  * Update user profile
  * @param {number} userId - User ID
- * @param {object} updates - Fields to update (name, email)
+ * @param {object} updates - Fields to update (name, email, otp_channel, language)
  * @returns {Promise<object>} - Updated user object
  */
 const updateUserProfile = async (userId, updates) => {
   try {
-    const allowedFields = ['name', 'email'];
+    const allowedFields = ['name', 'email', 'otp_channel', 'language'];
     const fields = [];
     const values = [];
     let paramCount = 1;
@@ -293,13 +538,21 @@ const updateUserProfile = async (userId, updates) => {
       throw new Error('No valid fields to update');
     }
 
+    if (updates.otp_channel !== undefined && !otpDeliveryService.OTP_CHANNELS.includes(updates.otp_channel)) {
+      throw new Error(`OTP channel must be one of: ${otpDeliveryService.OTP_CHANNELS.join(', ')}`);
+    }
+
+    if (updates.language !== undefined && !languageService.isSupported(updates.language)) {
+      throw new Error(`Language must be one of: ${Object.keys(languageService.LANGUAGES).join(', ')}`);
+    }
+
     values.push(userId);
 
     const result = await query(
       `UPDATE users 
        SET ${fields.join(', ')}, last_active = NOW() 
        WHERE id = $${paramCount} 
-       RETURNING id, phone, name, email, role, verified`,
+       RETURNING id, phone, name, email, role, verified, otp_channel, language`,
       values
     );
 
@@ -310,6 +563,44 @@ const updateUserProfile = async (userId, updates) => {
   }
 };
 
+/**
+ * Promote a plain user to landlord (e.g. after their first listing)
+ * Users who already have a landlord, agent or admin role are left unchanged
+ * @param {number} userId - User ID
+ * @returns {Promise<object|null>} - Updated user or null if unchanged
+ */
+const promoteToLandlord = async (userId) => {
+  try {
+    const result = await query(
+      `UPDATE users SET role = 'landlord'
+       WHERE id = $1 AND role = 'user'
+       RETURNING id, phone, name, email, role, verified`,
+      [userId]
+    );
+    return result.rows[0] || null;
+  } catch (error) {
+    console.error('Error promoting user to landlord:', error);
+    throw error;
+  }
+};
+
+/**
+ * Cleanup expired refresh tokens (should be run periodically via cron job)
+ * @returns {Promise<number>} - Number of deleted tokens
+ */
+const cleanupExpiredRefreshTokens = async () => {
+  try {
+    const result = await query(
+      'DELETE FROM refresh_tokens WHERE expires_at < NOW() RETURNING id'
+    );
+    console.log(`🧹 Cleaned up ${result.rowCount} expired refresh tokens`);
+    return result.rowCount;
+  } catch (error) {
+    console.error('Error cleaning up refresh tokens:', error);
+    throw error;
+  }
+};
+
 /**
  * Cleanup expired OTPs (should be run periodically via cron job)
  * @returns {Promise<number>} - Number of deleted OTPs
@@ -319,6 +610,8 @@ const cleanupExpiredOTPs = async () => {
     const result = await query(
       'DELETE FROM otp_codes WHERE expires_at < NOW() RETURNING id'
     );
+    // Request history is only needed for the rolling 24-hour caps
+    await query("DELETE FROM otp_requests WHERE created_at < NOW() - INTERVAL '24 hours'");
     console.log(`🧹 Cleaned up ${result.rowCount} expired OTPs`);
     return result.rowCount;
   } catch (error) {
@@ -329,12 +622,20 @@ const cleanupExpiredOTPs = async () => {
 
 module.exports = {
   sendOTP,
+  claimOTPRequest,
+  consumeOTP,
   verifyOTP,
+  findOrCreateVerifiedUser,
+  findWhatsAppUser,
   generateToken,
   verifyToken,
   refreshToken,
+  issueRefreshToken,
+  revokeRefreshToken,
   getUserById,
   updateUserProfile,
-  cleanupExpiredOTPs
+  promoteToLandlord,
+  cleanupExpiredOTPs,
+  cleanupExpiredRefreshTokens
 };
 
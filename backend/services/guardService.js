@@ -0,0 +1,91 @@
+const FlaggedMessage = require('../models/FlaggedMessage');
+const languageService = require('./languageService');
+const metricsService = require('./metricsService');
+
+/**
+ * Guard Service
+ * Guardrails for what users send the bot. Messages that are too long, try to
+ * rewrite the bot's instructions, fish for other people's data or ask for
+ * things that have nothing to do with property get a refusal instead of an
+ * NLU call, and are logged in flagged_messages for admins. User text that
+ * does reach a model prompt goes in through quote(), as a JSON string.
+ */
+
+const MAX_MESSAGE_LENGTH = parseInt(process.env.BOT_MAX_MESSAGE_LENGTH || '1000', 10);
+
+// Earlier turns are only context, so they're cut shorter in prompts
+const MAX_CONTEXT_LENGTH = 300;
+
+// Attempts to override or read the bot's instructions
+const INJECTION = /\b(?:ignore|disregard|forget|override|bypass)\b.{0,30}\b(?:instructions?|prompts?|rules|guidelines|everything\s+(?:above|before))\b|\b(?:system|hidden|initial|original)\s+(?:prompt|instructions?)\b|\b(?:reveal|show|print|repeat|tell\s+me)\b.{0,20}\byour\s+(?:prompt|instructions|rules|configuration)\b|\byou\s+are\s+(?:now|no\s+longer)\b|\b(?:pretend\s+to\s+be|act\s+as\s+if)\b|\b(?:jailbreak|developer\s+mode|DAN\s+mode)\b|<\/?\s*(?:system|assistant|instructions?)\s*>/i;
+
+// Requests for other people's details or the platform's internals
+const DATA_EXTRACTION = /\b(?:all|every|other|another|list\s+(?:of\s+)?(?:the\s+)?)\s+(?:users?|customers?|tenants?|landlords?|agents?|people)(?:'s|s')?\s+(?:phone|numbers?|contacts?|emails?|addresses|details|data|info(?:rmation)?|passwords?)\b|\b(?:phone\s+numbers?|emails?|contacts?|passwords?|details)\s+of\s+(?:all|every|other)\s+\w+|\b(?:api\s+keys?|access\s+tokens?|otp\s+codes|(?:database|db)\s+dump|env(?:ironment)?\s+variables)\b|\bselect\s+\*\s+from\b/i;
+
+// Tasks unrelated to finding, viewing or listing property
+const OFF_TOPIC = /\b(?:write|compose|generate|create)\s+(?:me\s+)?(?:an?\s+|some\s+)?(?:essay|poem|story|song|lyrics|code|program|script|article|cover\s+letter|speech)\b|\b(?:homework|assignment|exam\s+questions?)\b|\btell\s+me\s+a\s+joke\b|\b(?:solve|calculate)\s+(?:this|the)\s+(?:equation|math)\b|\btranslate\s+(?:this|the\s+following)\b/i;
+
+/**
+ * Check a message before it goes to the NLU
+ * @param {string} message - The user's message
+ * @returns {string|null} - 'too_long', 'injection', 'data_extraction',
+ *   'off_topic', or null if the message is fine
+ */
+const inspect = (message) => {
+  const text = String(message || '');
+  if (text.length > MAX_MESSAGE_LENGTH) return 'too_long';
+  if (INJECTION.test(text)) return 'injection';
+  if (DATA_EXTRACTION.test(text)) return 'data_extraction';
+  if (OFF_TOPIC.test(text)) return 'off_topic';
+  return null;
+};
+
+/**
+ * User text as a JSON string literal for a prompt: control characters
+ * removed and length capped, so it can't close the quotes or pose as
+ * the prompt's own lines
+ * @param {string} text - User-supplied text
+ * @param {number} [maxLength] - Characters kept
+ * @returns {string}
+ */
+const quote = (text, maxLength = MAX_MESSAGE_LENGTH) =>
+  JSON.stringify(String(text ?? '')
+    .replace(/[\u0000-\u0008\u000B-\u001F\u007F\u200B-\u200F\u202A-\u202E\u2066-\u2069]/g, ' ')
+    .slice(0, maxLength));
+
+/**
+ * Log a refused message for admins (never throws)
+ * @param {string} phone - Sender phone number
+ * @param {string} message - The user's message
+ * @param {string} reason - From inspect
+ */
+const flag = async (phone, message, reason) => {
+  metricsService.increment(`guard.flagged.${reason}`);
+  console.warn(`Guardrail refused a message from ${phone}: ${reason}`);
+  try {
+    await FlaggedMessage.create({ phone, message, reason });
+  } catch (error) {
+    console.error('Error logging flagged message:', error);
+  }
+};
+
+/**
+ * The reply for a refused message
+ * @param {string} reason - From inspect
+ * @param {string} language - Language code (see languageService)
+ * @returns {string}
+ */
+const refusal = (reason, language) => {
+  if (reason === 'too_long') return languageService.t(language, 'tooLong', { max: MAX_MESSAGE_LENGTH });
+  if (reason === 'off_topic') return languageService.t(language, 'offTopic');
+  return languageService.t(language, 'refused');
+};
+
+module.exports = {
+  MAX_MESSAGE_LENGTH,
+  MAX_CONTEXT_LENGTH,
+  inspect,
+  quote,
+  flag,
+  refusal
+};
@@ -0,0 +1,254 @@
+const Handoff = require('../models/Handoff');
+const Conversation = require('../models/Conversation');
+const aiService = require('./aiService');
+const languageService = require('./languageService');
+const notificationService = require('./notificationService');
+
+/**
+ * Handoff Service
+ * Passes WhatsApp conversations from the bot to a human agent. A handoff is
+ * queued when the user asks for a person, sounds angry, keeps negotiating or
+ * keeps getting messages the bot doesn't understand. While an agent has taken
+ * it over, the bot stays quiet for that phone and the agent's replies are
+ * sent from the Propabridge number, until the agent releases it.
+ */
+
+// "talk to an agent", "I want a human", "customer care", "abeg make I talk to person"
+const AGENT_REQUEST = /\b(?:(?:talk|speak|chat)\s+(?:to|with)\s+(?:an?\s+|a\s+real\s+|your\s+)?(?:agent|human|person|somebody|someone|staff|representative)|(?:want|need)\s+(?:an?\s+)?(?:human|agent)|(?:real|actual)\s+(?:person|human)|human\s+agent|customer\s+(?:care|service|support)|live\s+agent)\b/i;
+
+// Complaints, insults and '!!!'
+const ANGRY = /\b(?:scam(?:mer)?s?|fraud(?:sters?)?|useless|nonsense|rubbish|stupid|idiot(?:s|ic)?|ridiculous|frustrat(?:ed|ing)|annoy(?:ed|ing)|waste\s+of\s+(?:my\s+)?time|are\s+you\s+(?:mad|deaf))\b|!{3,}/i;
+
+// How many bot turns of each kind before a person steps in (the bot only
+// remembers its last 5 turns, so higher values never trigger)
+const OTHER_TURNS = parseInt(process.env.HANDOFF_OTHER_TURNS || '3', 10);
+const NEGOTIATION_TURNS = parseInt(process.env.HANDOFF_NEGOTIATION_TURNS || '3', 10);
+
+const TRANSCRIPT_LIMIT = 50;
+const MAX_REPLY_LENGTH = 4096; // WhatsApp text message limit
+
+/**
+ * Whether a message reads as angry
+ * @param {string} message - Message text
+ * @returns {boolean}
+ */
+const isAngry = (message) => ANGRY.test(String(message || ''));
+
+/**
+ * Why a conversation needs a person, if it does
+ * @param {object} params - { message, intent, turns }
+ *   turns are the bot session's turns, including the current one
+ * @returns {string|null} - 'angry', 'negotiation', 'repeated_other' or null
+ */
+const checkEscalation = ({ message, intent, turns = [] }) => {
+  if (isAngry(message)) return 'angry';
+
+  if (intent === 'price_negotiation' &&
+    turns.filter(turn => turn.intent === 'price_negotiation').length >= NEGOTIATION_TURNS) {
+    return 'negotiation';
+  }
+
+  if (intent === 'other') {
+    let repeated = 0;
+    for (let i = turns.length - 1; i >= 0 && turns[i].intent === 'other'; i--) repeated++;
+    if (repeated >= OTHER_TURNS) return 'repeated_other';
+  }
+
+  return null;
+};
+
+/**
+ * A reply in the user's language (English if it can't be looked up)
+ * @param {string} phone - User's phone number (digits only)
+ * @param {string} key - languageService catalog key
+ * @returns {Promise<string>}
+ */
+const translate = async (phone, key) => {
+  let language = null;
+  try {
+    language = await languageService.getLanguage(phone);
+  } catch (error) {
+    console.error('Error loading user language:', error);
+  }
+  return languageService.t(language || languageService.DEFAULT_LANGUAGE, key);
+};
+
+/**
+ * Handle an inbound WhatsApp message before the bot sees it
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {string} text - Message text
+ * @returns {Promise<object|null>} - { intent, response } (no response while an
+ *   agent has the conversation), or null to let the bot answer
+ */
+const handleInbound = async (phone, text) => {
+  const open = await Handoff.findOpenByPhone(phone);
+  if (open && open.status === 'active') {
+    return { intent: 'handoff', response: null };
+  }
+
+  if (!AGENT_REQUEST.test(text || '')) return null;
+
+  if (open) {
+    return { intent: 'handoff', response: await translate(phone, 'handoffAlreadyQueued') };
+  }
+  await Handoff.open({ phone, reason: 'requested', triggerMessage: text });
+  return { intent: 'handoff', response: await translate(phone, 'handoffQueued') };
+};
+
+/**
+ * Queue a handoff when a bot answer shows the conversation needs a person
+ * Negotiation keeps the bot's reply and adds the notice; otherwise the notice replaces it.
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {string} text - Message text
+ * @param {object} result - aiService result
+ * @returns {Promise<object>} - The result, with the handoff notice if one was queued
+ */
+const escalateIfNeeded = async (phone, text, result) => {
+  if (!isAngry(text) && !['other', 'price_negotiation'].includes(result.intent)) {
+    return result;
+  }
+
+  try {
+    const { turns } = await aiService.getContext(phone);
+    const reason = checkEscalation({ message: text, intent: result.intent, turns });
+    if (!reason || await Handoff.findOpenByPhone(phone)) return result;
+
+    await Handoff.open({ phone, reason, triggerMessage: text });
+    const notice = await translate(phone, 'handoffEscalated');
+    const response = reason === 'negotiation' && typeof result.response === 'string'
+      ? `${result.response}\n\n${notice}`
+      : notice;
+    return { ...result, response, handoff: reason };
+  } catch (error) {
+    console.error('Error checking for handoff:', error);
+    return result;
+  }
+};
+
+/**
+ * Open handoffs for the agent queue
+ * @returns {Promise<array>}
+ */
+const getQueue = () => Handoff.listOpen();
+
+/**
+ * A handoff with the user's recent conversation and the agents' replies, oldest first
+ * @param {number} id - Handoff ID
+ * @returns {Promise<object>} - { success, handoff, transcript } or { success: false, error, message }
+ */
+const getTranscript = async (id) => {
+  const handoff = await Handoff.findById(id);
+  if (!handoff) return { success: false, error: 'not_found', message: 'Handoff not found' };
+
+  const conversations = (await Conversation.findByPhone(handoff.phone, TRANSCRIPT_LIMIT)).reverse();
+  const since = conversations.length ? conversations[0].created_at : handoff.created_at;
+  const agentMessages = await Handoff.getAgentMessages(handoff.phone, since);
+
+  const transcript = [];
+  for (const row of conversations) {
+    transcript.push({ from: 'user', text: row.message, intent: row.intent, at: row.created_at });
+    const reply = row.response && typeof row.response === 'object' ? row.response.summary : row.response;
+    if (reply) transcript.push({ from: 'bot', text: reply, at: row.updated_at || row.created_at });
+  }
+  for (const message of agentMessages) {
+    transcript.push({ from: 'agent', text: message.body, agentName: message.agent_name, at: message.created_at });
+  }
+  transcript.sort((a, b) => new Date(a.at) - new Date(b.at));
+
+  return { success: true, handoff, transcript };
+};
+
+/**
+ * Take over a conversation: the bot stops replying to the phone
+ * @param {number} id - Handoff ID
+ * @param {object} agent - Admin user taking over
+ * @returns {Promise<object>} - { success, handoff } or { success: false, error, message }
+ */
+const take = async (id, agent) => {
+  const handoff = await Handoff.findById(id);
+  if (!handoff) return { success: false, error: 'not_found', message: 'Handoff not found' };
+  if (handoff.status === 'released') {
+    return { success: false, error: 'conflict', message: 'This conversation has already been handed back to the bot' };
+  }
+
+  const taken = await Handoff.take(id, agent.id);
+  if (!taken) {
+    return { success: false, error: 'conflict', message: 'Another agent has already taken this conversation' };
+  }
+  if (handoff.status === 'queued') {
+    await notificationService.notifyUser(taken.phone, await translate(taken.phone, 'handoffJoined'));
+  }
+  return { success: true, handoff: taken };
+};
+
+/**
+ * Send an agent's reply to the user from the Propabridge number
+ * @param {number} id - Handoff ID
+ * @param {object} agent - Admin user replying
+ * @param {string} text - Reply text
+ * @returns {Promise<object>} - { success, reply } or { success: false, error, message }
+ */
+const reply = async (id, agent, text) => {
+  const body = typeof text === 'string' ? text.trim() : '';
+  if (!body) return { success: false, error: 'invalid', message: 'message is required' };
+  if (body.length > MAX_REPLY_LENGTH) {
+    return { success: false, error: 'invalid', message: `message must be at most ${MAX_REPLY_LENGTH} characters` };
+  }
+
+  const handoff = await Handoff.findById(id);
+  if (!handoff) return { success: false, error: 'not_found', message: 'Handoff not found' };
+  if (handoff.status !== 'active') {
+    return { success: false, error: 'conflict', message: 'Take over the conversation before replying' };
+  }
+  if (handoff.agent_id !== agent.id) {
+    return { success: false, error: 'forbidden', message: 'Another agent has taken this conversation' };
+  }
+
+  // Required lazily: whatsappService routes inbound messages through this service
+  const whatsappService = require('./whatsappService');
+  try {
+    await whatsappService.sendWhatsAppMessage(handoff.phone, body);
+  } catch (error) {
+    return { success: false, error: 'delivery', message: `Message not delivered: ${error.message}` };
+  }
+
+  const saved = await Handoff.addMessage({ handoffId: handoff.id, agentId: agent.id, body });
+  return { success: true, reply: { ...saved, agent_name: agent.name } };
+};
+
+/**
+ * Hand the conversation back to the bot, which starts afresh with the user
+ * @param {number} id - Handoff ID
+ * @returns {Promise<object>} - { success, handoff } or { success: false, error, message }
+ */
+const release = async (id) => {
+  const handoff = await Handoff.findById(id);
+  if (!handoff) return { success: false, error: 'not_found', message: 'Handoff not found' };
+
+  const released = await Handoff.release(id);
+  if (!released) {
+    return { success: false, error: 'conflict', message: 'This conversation has already been handed back to the bot' };
+  }
+
+  // The turns that led here would otherwise escalate the next message again
+  try {
+    await aiService.clearContext(released.phone);
+  } catch (error) {
+    console.error('Error clearing conversation context:', error);
+  }
+  if (handoff.status === 'active') {
+    await notificationService.notifyUser(released.phone, await translate(released.phone, 'handoffReleased'));
+  }
+  return { success: true, handoff: released };
+};
+
+module.exports = {
+  checkEscalation,
+  handleInbound,
+  escalateIfNeeded,
+  getQueue,
+  getTranscript,
+  take,
+  reply,
+  release
+};
@@ -0,0 +1,40 @@
+const cloudinary = require('cloudinary').v2;
+
+/**
+ * Image Service
+ * Cloudinary uploads for property photos (web uploads and WhatsApp media)
+ */
+
+cloudinary.config({
+  cloud_name: process.env.CLOUDINARY_CLOUD_NAME,
+  api_key: process.env.CLOUDINARY_API_KEY,
+  api_secret: process.env.CLOUDINARY_API_SECRET
+});
+
+/**
+ * Upload a property photo to Cloudinary
+ * @param {Buffer} buffer - Image bytes
+ * @param {string} publicId - Cloudinary public ID (unique per image)
+ * @returns {Promise<object>} - Cloudinary upload result (secure_url, public_id, ...)
+ */
+const uploadPropertyImage = (buffer, publicId) => {
+  return new Promise((resolve, reject) => {
+    cloudinary.uploader.upload_stream(
+      {
+        folder: 'propabridge/properties',
+        public_id: publicId,
+        transformation: [
+          { width: 800, height: 600, crop: 'fill', quality: 'auto' }
+        ]
+      },
+      (error, result) => {
+        if (error) reject(error);
+        else resolve(result);
+      }
+    ).end(buffer);
+  });
+};
+
+module.exports = {
+  uploadPropertyImage
+};
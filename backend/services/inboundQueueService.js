@@ -0,0 +1,174 @@
+const InboundMessage = require('../models/InboundMessage');
+const whatsappService = require('./whatsappService');
+const metricsService = require('./metricsService');
+
+/**
+ * Inbound Queue Service
+ * Background worker that processes queued inbound WhatsApp messages, one at a
+ * time per phone and in the order they were sent, with retries and dead-lettering
+ */
+
+const POLL_INTERVAL_MS = parseInt(process.env.INBOUND_POLL_INTERVAL_MS || '2000', 10);
+const MAX_ATTEMPTS = parseInt(process.env.INBOUND_MAX_ATTEMPTS || '5', 10);
+const RETRY_BASE_SECONDS = parseInt(process.env.INBOUND_RETRY_BASE_SECONDS || '10', 10);
+const STUCK_AFTER_SECONDS = 5 * 60;
+
+// Serverless functions (Vercel sets VERCEL=1) are frozen as soon as they
+// respond, so background work there never runs: drain before responding
+const SERVERLESS = Boolean(process.env.VERCEL);
+
+let timer = null;
+let running = false;
+let pendingRun = false;
+
+/**
+ * Process one claimed message, picking up after the steps an earlier attempt finished
+ * @param {object} row - inbound_messages row
+ */
+const processRow = async (row) => {
+  try {
+    await whatsappService.handleIncomingMessage(row.payload, {
+      conversationId: row.conversation_id,
+      result: row.result,
+      repliesSent: row.replies_sent,
+      save: (fields) => InboundMessage.saveProgress(row.id, fields)
+    });
+    await InboundMessage.markProcessed(row.id);
+    metricsService.increment('inbound.processed');
+  } catch (error) {
+    // Exponential backoff: 10s, 20s, 40s, ...
+    const retryDelaySeconds = RETRY_BASE_SECONDS * 2 ** (row.attempts - 1);
+    const updated = await InboundMessage.markFailed(row.id, error.message, {
+      maxAttempts: MAX_ATTEMPTS,
+      retryDelaySeconds
+    });
+
+    if (updated.status === 'dead') {
+      console.error(`❌ Inbound message ${row.wa_message_id} dead-lettered after ${row.attempts} attempts:`, error.message);
+      metricsService.increment('inbound.dead');
+    } else {
+      console.warn(`⚠️ Inbound message ${row.wa_message_id} failed (attempt ${row.attempts}), retrying in ${retryDelaySeconds}s`);
+      metricsService.increment('inbound.failed');
+    }
+  }
+};
+
+/**
+ * Drain the queue: keep claiming batches until nothing is ready
+ * Different phones are processed in parallel, each phone's messages in order
+ */
+const runOnce = async () => {
+  if (running) {
+    pendingRun = true;
+    return;
+  }
+
+  running = true;
+  try {
+    do {
+      pendingRun = false;
+      let batch = await InboundMessage.claimNext();
+      while (batch.length > 0) {
+        await Promise.all(batch.map(processRow));
+        batch = await InboundMessage.claimNext();
+      }
+    } while (pendingRun);
+  } catch (error) {
+    console.error('Error running inbound queue:', error);
+  } finally {
+    running = false;
+  }
+};
+
+/**
+ * Store inbound messages and trigger processing
+ * Messages already stored (Meta retries) are skipped
+ * @param {array} messages - WhatsApp message objects from the webhook
+ * @param {string} [phoneNumberId] - Business phone number ID the messages were sent to
+ * @returns {Promise<object>} - { queued, duplicates }
+ */
+const enqueue = async (messages, phoneNumberId) => {
+  let queued = 0;
+
+  for (const message of messages) {
+    const row = await InboundMessage.enqueue(message, phoneNumberId);
+    if (row) queued++;
+  }
+
+  const duplicates = messages.length - queued;
+  metricsService.increment('inbound.queued', queued);
+  if (duplicates > 0) {
+    console.log(`Skipped ${duplicates} duplicate inbound message(s)`);
+    metricsService.increment('inbound.duplicates', duplicates);
+  }
+
+  // Process in the background; the webhook responds without waiting (except serverless)
+  if (SERVERLESS) await runOnce();
+  else setImmediate(runOnce);
+
+  return { queued, duplicates };
+};
+
+/**
+ * Replay a failed or dead-lettered message
+ * @param {number} id - inbound_messages ID
+ * @returns {Promise<object|null>} - Re-queued row, or null if it can't be replayed
+ */
+const replay = async (id) => {
+  const row = await InboundMessage.replay(id);
+  if (row) {
+    metricsService.increment('inbound.replayed');
+    if (SERVERLESS) await runOnce();
+    else setImmediate(runOnce);
+  }
+  return row;
+};
+
+/**
+ * Put messages left in 'processing' (by a restart or a worker error) back in the queue
+ */
+const requeueStuck = async () => {
+  try {
+    const count = await InboundMessage.requeueStuck(STUCK_AFTER_SECONDS);
+    if (count > 0) console.log(`Re-queued ${count} interrupted inbound message(s)`);
+  } catch (error) {
+    console.error('Error re-queuing inbound messages:', error);
+  }
+};
+
+/**
+ * One poll: recover interrupted messages, then process what's due
+ * Called by the worker timer, or by the cron drain endpoint where no timer runs
+ */
+const poll = async () => {
+  await requeueStuck();
+  await runOnce();
+};
+
+/**
+ * Start polling for due retries and interrupted messages
+ */
+const start = () => {
+  if (timer) return;
+
+  timer = setInterval(poll, POLL_INTERVAL_MS);
+  setImmediate(poll);
+  console.log('📬 Inbound message worker started');
+};
+
+/**
+ * Stop polling
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  enqueue,
+  replay,
+  runOnce,
+  poll,
+  start,
+  stop
+};
@@ -0,0 +1,337 @@
+const { query } = require('../config/db');
+const Inquiry = require('../models/Inquiry');
+const Offer = require('../models/Offer');
+const RelaySession = require('../models/RelaySession');
+const Property = require('../models/Property');
+const authService = require('./authService');
+const notificationService = require('./notificationService');
+const { partyFor: findParty } = require('../utils/parties');
+
+/**
+ * Inquiry Service
+ * Tenant questions to property owners: creating threads from the web or the
+ * bot, the owner inbox, replies and closing, with WhatsApp notifications.
+ * Neither side sees the other's phone number until both agree to share it.
+ */
+
+const INQUIRY_STATUSES = ['pending', 'responded', 'closed'];
+const MAX_MESSAGE_LENGTH = 2000;
+const DEFAULT_MESSAGE = "Hi! I'm interested in this property. Is it still available?";
+
+/**
+ * Which side of an inquiry a user is on
+ * @param {object} inquiry - Inquiry row
+ * @param {object} user - User
+ * @returns {string|null} - 'tenant', 'owner' or null
+ */
+const partyFor = (inquiry, user) =>
+  findParty(user, { tenantId: inquiry.user_id, ownerId: inquiry.owner_id });
+
+/**
+ * Hide both phone numbers unless both sides agreed to share contacts
+ * @param {object} inquiry - Inquiry row
+ * @returns {object} - Inquiry safe to return to either side
+ */
+const maskContacts = (inquiry) => {
+  if (!inquiry || (inquiry.tenant_shared_contact_at && inquiry.owner_shared_contact_at)) {
+    return inquiry;
+  }
+  const { phone, owner_phone, ...masked } = inquiry;
+  return masked;
+};
+
+/**
+ * Load an inquiry and the user's side of it
+ * @param {number} inquiryId - Inquiry ID
+ * @param {object} user - User
+ * @returns {Promise<object>} - { inquiry, role } or { error, message }
+ */
+const loadForUser = async (inquiryId, user) => {
+  const inquiry = await Inquiry.findById(inquiryId);
+  if (!inquiry) {
+    return { error: 'not_found', message: 'Inquiry not found' };
+  }
+
+  const role = partyFor(inquiry, user);
+  if (!role) {
+    return { error: 'forbidden', message: 'You are not part of this inquiry' };
+  }
+
+  return { inquiry, role };
+};
+
+/**
+ * Trim and check a message body
+ * @param {string} body - Message text
+ * @returns {object} - { value } or { error }
+ */
+const cleanMessage = (body) => {
+  const value = typeof body === 'string' ? body.trim() : '';
+  if (!value) return { error: 'Message is required' };
+  if (value.length > MAX_MESSAGE_LENGTH) return { error: `Message must be at most ${MAX_MESSAGE_LENGTH} characters` };
+  return { value };
+};
+
+/**
+ * Tell the owner about a new inquiry or tenant follow-up
+ * @param {object} inquiry - Inquiry row
+ * @param {string} body - Tenant's message
+ */
+const notifyOwner = async (inquiry, body) => {
+  const from = inquiry.tenant_name || 'A tenant';
+  await notificationService.notifyUser(inquiry.owner_phone, {
+    type: 'relay_actions',
+    inquiryId: inquiry.id,
+    actions: ['start'],
+    summary: `💬 ${from} sent a message about Property ${inquiry.property_id} (${inquiry.property_type} in ${inquiry.property_location}):\n\n` +
+      `"${body}"\n\nInquiry #${inquiry.id}. Reply from your inbox on propabridge.ng, or chat here without sharing your number.`
+  });
+};
+
+/**
+ * Create an inquiry, or add to the tenant's open one about the same property
+ * @param {object} params
+ * @param {number} params.propertyId - Property ID
+ * @param {object} params.tenant - Asking user ({ id, phone })
+ * @param {string} [params.message] - Question for the owner
+ * @param {string} [params.source] - 'web' or 'whatsapp'
+ * @param {boolean} [params.notify] - Tell the owner (callers sending their own notification pass false)
+ * @param {object} [db] - Connection to query with (a transaction's client)
+ * @returns {Promise<object>} - { success, inquiry, created } or { success: false, error, message }
+ */
+const create = async ({ propertyId, tenant, message, source = 'web', notify = true }, db = { query }) => {
+  const checked = cleanMessage(message || DEFAULT_MESSAGE);
+  if (checked.error) {
+    return { success: false, error: 'invalid', message: checked.error };
+  }
+
+  const property = await Property.findById(propertyId);
+  if (!property || property.status !== 'active') {
+    return { success: false, error: 'not_found', message: 'Property not found or no longer available' };
+  }
+
+  if (property.user_id === tenant.id) {
+    return { success: false, error: 'invalid', message: "You can't send an inquiry about your own property" };
+  }
+
+  let inquiry = await Inquiry.findOpen(property.id, tenant.id, db);
+  const created = !inquiry;
+
+  if (created) {
+    inquiry = await Inquiry.create({
+      propertyId: property.id,
+      userId: tenant.id,
+      phone: tenant.phone,
+      ownerId: property.user_id,
+      message: checked.value,
+      source
+    }, db);
+  }
+
+  await Inquiry.addMessage(inquiry.id, {
+    senderRole: 'tenant',
+    senderId: tenant.id,
+    body: checked.value,
+    channel: source,
+    status: 'pending'
+  }, db);
+
+  console.log(`💬 Inquiry ${inquiry.id} ${created ? 'opened' : 'updated'} for property ${property.id}`);
+  if (notify) {
+    await notifyOwner(inquiry, checked.value);
+  }
+
+  return { success: true, inquiry: maskContacts(await Inquiry.findById(inquiry.id, db)), created };
+};
+
+/**
+ * Owner inbox with filters
+ * @param {object} user - Owner (admins with an admin session see every inquiry)
+ * @param {object} [filters] - { propertyId, status, limit, offset }
+ * @returns {Promise<object>} - { success, inquiries, counts } or { success: false, error, message }
+ */
+const getInbox = async (user, filters = {}) => {
+  if (filters.status && !INQUIRY_STATUSES.includes(filters.status)) {
+    return { success: false, error: 'invalid', message: `status must be one of: ${INQUIRY_STATUSES.join(', ')}` };
+  }
+
+  const ownerId = user.isAdmin ? null : user.id;
+  const [inquiries, counts] = await Promise.all([
+    Inquiry.findForOwner(ownerId, filters),
+    Inquiry.countByStatus(ownerId)
+  ]);
+
+  return { success: true, inquiries: inquiries.map(maskContacts), counts };
+};
+
+/**
+ * Inquiries the user has sent as a tenant
+ * @param {object} user - Tenant
+ * @returns {Promise<array>}
+ */
+const getSent = async (user) => (await Inquiry.findForTenant(user.id)).map(maskContacts);
+
+/**
+ * Get a thread with its messages
+ * @param {number} inquiryId - Inquiry ID
+ * @param {object} user - Tenant, owner or admin
+ * @returns {Promise<object>} - { success, inquiry, messages, offers, role } or { success: false, error, message }
+ */
+const getThread = async (inquiryId, user) => {
+  const { inquiry, role, error, message } = await loadForUser(inquiryId, user);
+  if (error) return { success: false, error, message };
+
+  const [messages, offers] = await Promise.all([
+    Inquiry.getMessages(inquiry.id),
+    Offer.findForInquiry(inquiry.id)
+  ]);
+  return { success: true, inquiry: maskContacts(inquiry), messages, offers, role };
+};
+
+/**
+ * Post a message to a thread: an owner reply or a tenant follow-up
+ * The other side is notified on WhatsApp
+ * @param {number} inquiryId - Inquiry ID
+ * @param {object} user - Sender
+ * @param {string} body - Message text
+ * @param {string} [channel] - 'web' or 'whatsapp'
+ * @returns {Promise<object>} - { success, message } or { success: false, error, message }
+ */
+const postMessage = async (inquiryId, user, body, channel = 'web') => {
+  const { inquiry, role, error, message: loadError } = await loadForUser(inquiryId, user);
+  if (error) return { success: false, error, message: loadError };
+
+  if (inquiry.status === 'closed') {
+    return { success: false, error: 'invalid', message: 'This inquiry is closed' };
+  }
+
+  const checked = cleanMessage(body);
+  if (checked.error) {
+    return { success: false, error: 'invalid', message: checked.error };
+  }
+
+  const message = await Inquiry.addMessage(inquiry.id, {
+    senderRole: role,
+    senderId: user.id,
+    body: checked.value,
+    channel,
+    status: role === 'owner' ? 'responded' : 'pending'
+  });
+
+  if (role === 'owner') {
+    await notificationService.notifyUser(inquiry.phone,
+      `💬 The landlord replied about Property ${inquiry.property_id} (${inquiry.property_type} in ${inquiry.property_location}):\n\n"${checked.value}"`);
+  } else {
+    await notifyOwner(inquiry, checked.value);
+  }
+
+  return { success: true, message };
+};
+
+/**
+ * Close a thread (owner side)
+ * @param {number} inquiryId - Inquiry ID
+ * @param {object} user - Owner or admin
+ * @returns {Promise<object>} - { success, inquiry } or { success: false, error, message }
+ */
+const close = async (inquiryId, user) => {
+  const { inquiry, role, error, message } = await loadForUser(inquiryId, user);
+  if (error) return { success: false, error, message };
+
+  if (role !== 'owner') {
+    return { success: false, error: 'forbidden', message: 'Only the property owner can close an inquiry' };
+  }
+
+  if (inquiry.status === 'closed') {
+    return { success: true, inquiry: maskContacts(inquiry) };
+  }
+
+  await RelaySession.endForInquiry(inquiry.id, 'system');
+  return { success: true, inquiry: maskContacts(await Inquiry.close(inquiry.id)) };
+};
+
+/**
+ * Record one side's agreement to share phone numbers
+ * Once both sides agree, each gets the other's number on WhatsApp
+ * @param {object} inquiry - Inquiry row
+ * @param {string} role - 'tenant' or 'owner'
+ * @returns {Promise<object>} - { inquiry, shared } (shared once both sides agreed)
+ */
+const recordContactConsent = async (inquiry, role) => {
+  const wasShared = !!(inquiry.tenant_shared_contact_at && inquiry.owner_shared_contact_at);
+  const updated = await Inquiry.recordContactConsent(inquiry.id, role);
+  const shared = !!(updated.tenant_shared_contact_at && updated.owner_shared_contact_at);
+
+  if (shared && !wasShared) {
+    const about = `Property ${updated.property_id} (${updated.property_type} in ${updated.property_location})`;
+    await notificationService.notifyUser(updated.phone,
+      `📇 You and the landlord agreed to share numbers for ${about}.\n\nLandlord: ${updated.owner_name || 'Landlord'}, ${updated.owner_phone}`);
+    await notificationService.notifyUser(updated.owner_phone,
+      `📇 You and the tenant agreed to share numbers for ${about}.\n\nTenant: ${updated.tenant_name || 'Tenant'}, ${updated.phone}`);
+  } else if (!shared) {
+    const otherPhone = role === 'tenant' ? updated.owner_phone : updated.phone;
+    await notificationService.notifyUser(otherPhone, {
+      type: 'relay_actions',
+      inquiryId: updated.id,
+      actions: ['share'],
+      summary: `📇 The ${role === 'tenant' ? 'tenant' : 'landlord'} asking about Property ${updated.property_id} would like to swap phone numbers. Tap Share my number to agree.`
+    });
+  }
+
+  return { inquiry: updated, shared };
+};
+
+/**
+ * Agree to share phone numbers from the web
+ * @param {number} inquiryId - Inquiry ID
+ * @param {object} user - Tenant or owner
+ * @returns {Promise<object>} - { success, inquiry, shared } or { success: false, error, message }
+ */
+const shareContact = async (inquiryId, user) => {
+  const { inquiry, role, error, message } = await loadForUser(inquiryId, user);
+  if (error) return { success: false, error, message };
+
+  const result = await recordContactConsent(inquiry, role);
+  return { success: true, inquiry: maskContacts(result.inquiry), shared: result.shared };
+};
+
+/**
+ * Handle a "message the landlord" request from WhatsApp
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {object} request - 'contact_landlord' response from aiService ({ propertyId, message })
+ * @returns {Promise<string|object>} - Reply for the sender
+ */
+const handleWhatsAppRequest = async (phone, request) => {
+  if (!request.propertyId) {
+    return "💬 Which property would you like to ask about? Send the Property ID, e.g. 'message the landlord of property 12'.";
+  }
+
+  const tenant = await authService.findWhatsAppUser(phone);
+  const result = await create({
+    propertyId: request.propertyId,
+    tenant,
+    message: request.message,
+    source: 'whatsapp'
+  });
+
+  if (!result.success) return `⚠️ ${result.message}`;
+  return {
+    type: 'relay_actions',
+    inquiryId: result.inquiry.id,
+    actions: ['start'],
+    summary: `✅ I've sent your message to the landlord of Property ${request.propertyId} (inquiry #${result.inquiry.id}). You'll get their reply here on WhatsApp.\n\nWant to chat with them directly? Your number stays private.`
+  };
+};
+
+module.exports = {
+  INQUIRY_STATUSES,
+  create,
+  getInbox,
+  getSent,
+  getThread,
+  postMessage,
+  close,
+  recordContactConsent,
+  shareContact,
+  handleWhatsAppRequest
+};
@@ -0,0 +1,347 @@
+const { query } = require('../config/db');
+
+/**
+ * Language Service
+ * Replies in the user's language: English, Nigerian Pidgin, Yoruba, Hausa or
+ * Igbo. Each message is checked for words typical of each language, the user's
+ * language is kept in users.language, and messages are rewritten into plain
+ * English before intent and entity extraction so the NLU only has to know
+ * English. Reply texts live in one catalog per language (locales/).
+ */
+
+const LANGUAGES = {
+  en: 'English',
+  pcm: 'Pidgin',
+  yo: 'Yoruba',
+  ha: 'Hausa',
+  ig: 'Igbo'
+};
+
+const DEFAULT_LANGUAGE = 'en';
+
+const CATALOGS = {
+  en: require('../locales/en'),
+  pcm: require('../locales/pcm'),
+  yo: require('../locales/yo'),
+  ha: require('../locales/ha'),
+  ig: require('../locales/ig')
+};
+
+// Words and phrases typical of each language (matched without tone marks)
+const MARKERS = {
+  pcm: ['abeg', 'dey', 'wetin', 'di', 'dat', 'wan', 'una', 'oga', 'sabi', 'abi', 'shey', 'wahala', 'comot', 'pikin', 'sef', 'wey', 'oya', 'how far', 'no be', 'make i', 'na im', 'e don', 'cheap pass', 'no pass'],
+  yo: ['mo fe', 'mo n wa', 'ile', 'yara', 'iyara', 'meji', 'meta', 'merin', 'bawo', 'jowo', 'ejowo', 'e kaaro', 'e kaasan', 'e kaale', 'e ku', 'e n le', 'e nle', 'owo', 'elo', 'nibo', 'beeni', 'onile', 'miran', 'omiran', 'akoko', 'oni', 'ko ju'],
+  ha: ['sannu', 'ina son', 'ina neman', 'ina bukatar', 'gida', 'gidan', 'daki', 'dakuna', 'biyu', 'uku', 'hudu', 'biyar', 'don allah', 'dan allah', 'nagode', 'yaya', 'nawa', 'haya', 'kudi', 'mai gida', 'arha', 'nuna min', 'farko', 'karshe', 'barka da', 'bai wuce'],
+  ig: ['ndewo', 'kedu', 'biko', 'daalu', 'achoro m', 'a choro m', 'ana m acho', 'ulo', 'ime ulo', 'abuo', 'nke', 'mbu', 'ikpeazu', 'gosi m', 'ozo', 'nnoo', 'enwere m', 'erughi', 'ego ole']
+};
+
+// Letters only one of the languages writes
+const LETTERS = {
+  yo: /[ẹẸṣṢ]/,
+  ha: /[ƙƘɗƊɓƁƴƳ]/,
+  ig: /[ịỊụỤṅṄ]/
+};
+
+// Enough common English words to switch a user back to English
+const ENGLISH_WORDS = ['i', 'want', 'need', 'looking', 'please', 'the', 'show', 'me', 'find', 'with', 'and', 'what', 'is', 'how', 'can', 'you', 'hello', 'hi', 'in', 'under', 'my', 'to', 'of', 'more', 'about', 'there', 'have', 'are', 'this', 'that'];
+const MIN_ENGLISH_WORDS = 2;
+
+// 'reply in Yoruba', 'speak pidgin', 'Hausa please'
+const LANGUAGE_REQUEST = /^\s*(?:(?:please\s+|abeg\s+)?(?:reply|speak|talk|answer|chat|write)\s+(?:to me\s+)?(?:in\s+)?|(?:in|use)\s+)?(english|pidgin|yoruba|hausa|igbo)(?:\s+(?:language|please|abeg))?\s*[.!]?\s*$/i;
+
+const NUMBERS = {
+  yo: { kan: 1, okan: 1, meji: 2, meta: 3, merin: 4, marun: 5, mefa: 6 },
+  ha: { daya: 1, biyu: 2, uku: 3, hudu: 4, biyar: 5, shida: 6 },
+  ig: { otu: 1, abuo: 2, ato: 3, ano: 4, ise: 5, isii: 6 }
+};
+
+/**
+ * Rewrites from each language into the English the NLU understands, applied
+ * in order (longer phrases first) to the message without tone marks
+ */
+const property = '(bed(?:room)?s?|flats?|house|duplex|apartment|self contain|room)';
+const REWRITES = {
+  pcm: [
+    [/^\s*(?:oya|na so|yes o|e correct)\s*[.!]?\s*$/i, 'yes'],
+    [/\bhow far\b|\bhow you dey\b|\bhow body\b/gi, 'hello'],
+    [/\b(?:abeg|biko)\b/gi, 'please'],
+    [/\bwetin\b/gi, 'what'],
+    [/\b(?:dey|de) (?:find|look for|search for)\b/gi, 'looking for'],
+    [/\bwan\b/gi, 'want'],
+    [new RegExp(`\\b${property}\\s+for\\s+`, 'gi'), '$1 in '],
+    [/\bfor\s+(?=[A-Z])/g, 'in '],
+    [/\b(?:no|not) (?:pass|reach)\b/gi, 'under'],
+    [/\bwey get\b/gi, 'with'],
+    [/\b(?:the )?one wey cheap pass\b/gi, 'the cheapest one'],
+    [/\bwey cheap pass\b/gi, 'cheapest'],
+    [/\bgive me more\b|\bshow me another ones?\b/gi, 'show me more'],
+    [/\bany other one dey\b|\bothers dey\b/gi, 'any others'],
+    [/\b(?:e|it|the house) still dey\b/gi, 'is it still available'],
+    [/\b(?:see|inspect|check) am\b/gi, 'see it'],
+    [/\bdi\b|\bdat\b/gi, 'the'],
+    [/\bwey\b/gi, 'that'],
+    [/\bdem\b/gi, 'they'],
+    [/\bna\b/gi, 'is']
+  ],
+  yo: [
+    [/^\s*(?:beeni|bee ni|en|o ya)\s*[.!]?\s*$/i, 'yes'],
+    [/\be (?:kaaro|kaasan|kaale|kale|n le|nle)\b|\be ku (?:aaro|asan|irole|ale)\b|\bbawo ni\b|\bbawo\b/gi, 'hello'],
+    [/\b(?:e )?jowo\b|\bejowo\b/gi, 'please'],
+    [/\bmo n wa\b/gi, 'I am looking for'],
+    [/\bmo nilo\b/gi, 'I need'],
+    [/\bmo ni ile\b/gi, 'I have a house'],
+    [/\bmo fe wo (?:ile|o)\b/gi, 'I want to see the property'],
+    [/\bmo fe\b/gi, 'I want'],
+    [/\bolowo ile\b|\bonile\b/gi, 'landlord'],
+    [/\b(?:fi )?(?:omiran|miran|die si) han mi\b/gi, 'show me more'],
+    [/\bfi han mi\b/gi, 'show me'],
+    [/\b(?:eyi|iyen|ile) (?:to|ti o) kere ju\b|\bowo to kere ju\b/gi, 'the cheapest'],
+    [/\b(?:eyi|ile) akoko\b|\bakoko\b/gi, 'the first'],
+    [/\b(?:eyi|ile) (?:ekeji|ikeji)\b|\bekeji\b|\bikeji\b/gi, 'the second'],
+    [/\b(?:eyi|ile) (?:eketa|iketa)\b|\beketa\b|\biketa\b/gi, 'the third'],
+    [/\b(?:eyi|ile) (?:ikehin|igbehin)\b|\bikehin\b|\bigbehin\b/gi, 'the last'],
+    [/\b(?:i)?yara\s+(kan|okan|meji|meta|merin|marun|mefa)\b/gi, (match, count) => `${NUMBERS.yo[count.toLowerCase()]} bedroom`],
+    [/\boni\b/gi, 'with'],
+    [/\bile\b/gi, 'property'],
+    [/\bni\s+(?=[A-Z])/g, 'in '],
+    [/\bko (?:ju|koja)\b/gi, 'under'],
+    [/\belo ni\b/gi, 'how much is']
+  ],
+  ha: [
+    [/^\s*(?:eh|e|i|toh|to|na'?am)\s*[.!]?\s*$/i, 'yes'],
+    [/\b(?:sannu|salamu alaikum|ina kwana|ina wuni|barka da (?:safiya|rana|yamma))\b/gi, 'hello'],
+    [/\b(?:don|dan) allah\b/gi, 'please'],
+    [/\bina neman\b/gi, 'I am looking for'],
+    [/\bina bukatar\b/gi, 'I need'],
+    [/\bina da gida\b/gi, 'I have a house'],
+    [/\bina son (?:ganin|in ga|duba) gida(?:n)?\b/gi, 'I want to see the property'],
+    [/\bina son\b/gi, 'I want'],
+    [/\bmai gida(?:n)?\b/gi, 'landlord'],
+    [/\bnuna min (?:wasu|kari)\b/gi, 'show me more'],
+    [/\bnuna min\b/gi, 'show me'],
+    [/\b(?:wanda|wadda) (?:ya|ta)fi arha\b|\bmafi arha\b/gi, 'the cheapest'],
+    [/\bna farko\b/gi, 'the first'],
+    [/\bna biyu\b/gi, 'the second'],
+    [/\bna uku\b/gi, 'the third'],
+    [/\bna karshe\b/gi, 'the last'],
+    [/\b(?:mai )?daki(?:n|na)?\s+(daya|biyu|uku|hudu|biyar|shida)\b|\b(?:mai )?dakuna\s+(daya|biyu|uku|hudu|biyar|shida)\b/gi,
+      (match, one, many) => `${NUMBERS.ha[(one || many).toLowerCase()]} bedroom`],
+    [/\bgida(?:n)?\b/gi, 'property'],
+    [/\ba\s+(?=[A-Z])/g, 'in '],
+    [/\b(?:bai wuce|kasa da)\b/gi, 'under'],
+    [/\bhaya\b/gi, 'rent'],
+    [/\bnawa ne\b/gi, 'how much is']
+  ],
+  ig: [
+    [/^\s*(?:ee|eh|ehee|o di mma)\s*[.!]?\s*$/i, 'yes'],
+    [/\b(?:ndewo|kedu|nnoo|ututu oma|ehihie oma|mgbede oma)\b/gi, 'hello'],
+    [/\bbiko\b/gi, 'please'],
+    [/\bana m acho\b/gi, 'I am looking for'],
+    [/\benwere m ulo\b/gi, 'I have a house'],
+    [/\ba ?choro m ihu ulo\b/gi, 'I want to see the property'],
+    [/\ba ?choro m\b/gi, 'I want'],
+    [/\bonye nwe ulo\b/gi, 'landlord'],
+    [/\bgosi m ndi ozo\b|\bgosi m ozo\b/gi, 'show me more'],
+    [/\bgosi m\b/gi, 'show me'],
+    [/\bnke (?:kacha|kachasi) onu ala\b/gi, 'the cheapest'],
+    [/\bnke mbu\b/gi, 'the first'],
+    [/\bnke abuo\b/gi, 'the second'],
+    [/\bnke ato\b/gi, 'the third'],
+    [/\bnke ikpeazu\b/gi, 'the last'],
+    [/\bime ulo\s+(otu|abuo|ato|ano|ise|isii)\b/gi, (match, count) => `${NUMBERS.ig[count.toLowerCase()]} bedroom`],
+    [/\bnwere\b/gi, 'with'],
+    [/\bulo\b/gi, 'property'],
+    [/\bna\s+(?=[A-Z])/g, 'in '],
+    [/\b(?:na-)?erughi\b/gi, 'under'],
+    [/\bego ole\b/gi, 'how much']
+  ]
+};
+
+/**
+ * Remove tone marks and dots under letters ('ọ̀' -> 'o', 'ƙ' -> 'k') for matching
+ * @param {string} text - Message text
+ * @returns {string}
+ */
+const stripMarks = (text) => text
+  .normalize('NFD')
+  .replace(/[\u0300-\u036f]/g, '')
+  .replace(/[ƙƘ]/g, match => (match === 'ƙ' ? 'k' : 'K'))
+  .replace(/[ɗƊ]/g, match => (match === 'ɗ' ? 'd' : 'D'))
+  .replace(/[ɓƁ]/g, match => (match === 'ɓ' ? 'b' : 'B'))
+  .replace(/[ƴƳ]/g, match => (match === 'ƴ' ? 'y' : 'Y'));
+
+/**
+ * Whether a language code is supported
+ * @param {string} language - Language code
+ * @returns {boolean}
+ */
+const isSupported = (language) => Object.prototype.hasOwnProperty.call(LANGUAGES, language);
+
+/**
+ * Work out which language a message is written in
+ * @param {string} message - The user's message
+ * @param {string} [preferred] - Language to pick when two score the same
+ * @returns {string|null} - Language code, or null when the message doesn't say
+ *   (numbers, 'ok', a property ID)
+ */
+const detectLanguage = (message, preferred = null) => {
+  const text = ` ${stripMarks(String(message || '')).toLowerCase().replace(/[^a-z0-9' -]+/g, ' ').replace(/\s+/g, ' ')} `;
+
+  const scores = Object.entries(MARKERS).map(([language, markers]) => {
+    const words = markers.filter(marker => text.includes(` ${marker} `)).length;
+    const letters = LETTERS[language] && LETTERS[language].test(message) ? 1 : 0;
+    return [language, words + letters];
+  });
+
+  const best = Math.max(...scores.map(([, score]) => score));
+  if (best > 0) {
+    const top = scores.filter(([, score]) => score === best).map(([language]) => language);
+    return top.includes(preferred) ? preferred : top[0];
+  }
+
+  const english = text.trim().split(' ').filter(word => ENGLISH_WORDS.includes(word)).length;
+  return english >= MIN_ENGLISH_WORDS ? 'en' : null;
+};
+
+/**
+ * The language a message asks the bot to switch to ('reply in Yoruba')
+ * @param {string} message - The user's message
+ * @returns {string|null} - Language code
+ */
+const parseLanguageRequest = (message) => {
+  const match = String(message || '').match(LANGUAGE_REQUEST);
+  if (!match) return null;
+  const name = match[1].toLowerCase();
+  return Object.keys(LANGUAGES).find(code => LANGUAGES[code].toLowerCase() === name) || null;
+};
+
+/**
+ * Rewrite a message into English for intent and entity extraction
+ * Numbers, prices and place names are left as they are.
+ * @param {string} message - The user's message
+ * @param {string} language - Language it is written in
+ * @returns {string}
+ */
+const normalizeMessage = (message, language) => {
+  const rewrites = REWRITES[language];
+  if (!rewrites) return message;
+
+  return rewrites
+    .reduce((text, [pattern, replacement]) => text.replace(pattern, replacement), stripMarks(message))
+    .replace(/\s+/g, ' ')
+    .trim();
+};
+
+/**
+ * Phone number as stored in users (+ and digits)
+ * @param {string} phone - Phone number in any format
+ * @returns {string|null} - null when it can't be a real number (e.g. an anonymous web chat)
+ */
+const userPhone = (phone) => {
+  const digits = String(phone || '').replace(/[^0-9]/g, '');
+  return digits.length >= 10 && digits.length <= 15 ? `+${digits}` : null;
+};
+
+/**
+ * The language a user last wrote in or chose
+ * @param {string} phone - User's phone number
+ * @returns {Promise<string|null>} - Language code, or null if none is stored
+ */
+const getLanguage = async (phone) => {
+  const stored = userPhone(phone);
+  if (!stored) return null;
+
+  const result = await query('SELECT language FROM users WHERE phone = $1', [stored]);
+  const language = result.rows[0] && result.rows[0].language;
+  return isSupported(language) ? language : null;
+};
+
+/**
+ * Store a user's language (users who have only chatted get an unverified user row)
+ * @param {string} phone - User's phone number
+ * @param {string} language - Language code
+ * @returns {Promise<boolean>} - Whether it was stored
+ */
+const setLanguage = async (phone, language) => {
+  if (!isSupported(language)) {
+    throw new Error(`Language must be one of: ${Object.keys(LANGUAGES).join(', ')}`);
+  }
+  const stored = userPhone(phone);
+  if (!stored) return false;
+
+  await query(
+    `INSERT INTO users (phone, language) VALUES ($1, $2)
+     ON CONFLICT (phone) DO UPDATE SET language = EXCLUDED.language`,
+    [stored, language]
+  );
+  return true;
+};
+
+/**
+ * Language to answer a message in: the message's own language when it is
+ * clear, otherwise the user's stored one. A change is stored for next time.
+ * A failed lookup or save only costs the preference, never the reply.
+ * @param {string} message - The user's message
+ * @param {string} phone - User's phone number
+ * @param {object} [options] - { remember: false, current } when the sender
+ *   hasn't proven they own the phone (web chat): current, the session's
+ *   language, stands in for the stored one and users is left alone
+ * @returns {Promise<string>} - Language code
+ */
+const resolveLanguage = async (message, phone, { remember = true, current = null } = {}) => {
+  let stored = current;
+  if (remember) {
+    try {
+      stored = await getLanguage(phone);
+    } catch (error) {
+      console.error('Error loading user language:', error);
+    }
+  }
+
+  const detected = detectLanguage(message, stored);
+  if (remember && detected && detected !== (stored || DEFAULT_LANGUAGE)) {
+    await setLanguage(phone, detected).catch(error => console.error('Error saving user language:', error));
+  }
+
+  return detected || stored || DEFAULT_LANGUAGE;
+};
+
+/**
+ * Look up a dotted key ('clarify.search') in a catalog
+ * @returns {string|undefined}
+ */
+const lookup = (catalog, key) => key.split('.').reduce((value, part) => (value ? value[part] : undefined), catalog);
+
+/**
+ * A bot reply in the given language (English when the catalog lacks the key)
+ * @param {string} language - Language code
+ * @param {string} key - Catalog key; with params.count, key_one or key_other is used when present
+ * @param {object} [params] - Values for {name} placeholders
+ * @returns {string}
+ */
+const t = (language, key, params = {}) => {
+  const keys = params.count === undefined ? [key] : [`${key}_${Number(params.count) === 1 ? 'one' : 'other'}`, key];
+  const catalogs = [CATALOGS[language], CATALOGS[DEFAULT_LANGUAGE]].filter(Boolean);
+
+  let text;
+  for (const catalog of catalogs) {
+    text = keys.map(candidate => lookup(catalog, candidate)).find(value => typeof value === 'string');
+    if (text !== undefined) break;
+  }
+  if (text === undefined) return key;
+
+  return text.replace(/\{(\w+)\}/g, (match, name) => (params[name] !== undefined ? String(params[name]) : match));
+};
+
+module.exports = {
+  LANGUAGES,
+  DEFAULT_LANGUAGE,
+  isSupported,
+  detectLanguage,
+  parseLanguageRequest,
+  normalizeMessage,
+  getLanguage,
+  setLanguage,
+  resolveLanguage,
+  t
+};
@@ -0,0 +1,297 @@
+const ListingDraft = require('../models/ListingDraft');
+const Property = require('../models/Property');
+const { validateProperty, AMENITIES } = require('../models/propertySchema');
+const authService = require('./authService');
+
+/**
+ * Listing Flow Service
+ * Step-by-step property listing over WhatsApp. State lives in listing_drafts,
+ * so a listing survives restarts and can be resumed or cancelled later.
+ */
+
+// Drafts untouched for this long are paused and the user is asked to resume
+const RESUME_AFTER_MINUTES = parseInt(process.env.LISTING_RESUME_AFTER_MINUTES || '30', 10);
+
+const PROPERTY_TYPES = ['Flat', 'Duplex', 'Detached House', 'Terrace', 'Bungalow', 'Self Contain', 'Land', 'Commercial'];
+
+const CANCEL_WORDS = ['cancel', 'stop', 'quit', 'exit'];
+const RESUME_WORDS = ['continue', 'resume', 'yes'];
+const SKIP_WORDS = ['skip', 'none', 'no', 'done'];
+const CONFIRM_WORDS = ['yes', 'confirm', 'submit', 'ok'];
+
+/**
+ * Parse a Naira amount such as '2.5M', '₦2,500,000', '800k' or '2 million'
+ * @param {string} text - User input
+ * @returns {number|null} - Amount in Naira, or null if none found
+ */
+const parseNairaAmount = (text) => {
+  const cleaned = text.toLowerCase().replace(/[₦,]/g, '').replace(/naira|ngn/g, '');
+  const match = cleaned.match(/(\d+(?:\.\d+)?)\s*(m|million|k|thousand|b|billion)?\b/);
+  if (!match) return null;
+
+  const multipliers = { m: 1e6, million: 1e6, k: 1e3, thousand: 1e3, b: 1e9, billion: 1e9 };
+  return Math.round(parseFloat(match[1]) * (multipliers[match[2]] || 1));
+};
+
+/**
+ * Parse a whole number of rooms ('3', '3 bedrooms', 'three')
+ * @param {string} text - User input
+ * @returns {number|null}
+ */
+const parseCount = (text) => {
+  const words = { zero: 0, one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+  const lower = text.toLowerCase();
+  const digits = lower.match(/\d+/);
+  if (digits) return parseInt(digits[0], 10);
+  const word = Object.keys(words).find(w => new RegExp(`\\b${w}\\b`).test(lower));
+  return word !== undefined ? words[word] : null;
+};
+
+/**
+ * Check one listing field with the shared property schema
+ * @param {string} field - Property field
+ * @param {*} value - Parsed value
+ * @returns {object} - { value } or { error }
+ */
+const checkField = (field, value) => {
+  const result = validateProperty({ [field]: value }, 'owner');
+  return result.errors[field] ? { error: result.errors[field] } : { value: result.values[field] };
+};
+
+/**
+ * Listing steps in order: question, and how to turn a reply into a field value
+ */
+const STEPS = {
+  location: {
+    prompt: () => "📍 Where is the property? (e.g. 'Lekki Phase 1, Lagos')",
+    parse: (text) => checkField('location', text)
+  },
+  type: {
+    prompt: () => `🏠 What type of property is it?\n${PROPERTY_TYPES.map((t, i) => `${i + 1}. ${t}`).join('\n')}\n\nReply with a number or the type.`,
+    parse: (text) => {
+      const index = parseInt(text, 10);
+      const type = index >= 1 && index <= PROPERTY_TYPES.length ? PROPERTY_TYPES[index - 1] : text;
+      return checkField('type', type);
+    }
+  },
+  bedrooms: {
+    prompt: () => '🛏️ How many bedrooms? (0 for a studio or land)',
+    parse: (text) => {
+      const count = parseCount(text);
+      return count === null ? { error: 'Please reply with a number, e.g. 3' } : checkField('bedrooms', count);
+    }
+  },
+  bathrooms: {
+    prompt: () => '🚿 How many bathrooms?',
+    parse: (text) => {
+      const count = parseCount(text);
+      return count === null ? { error: 'Please reply with a number, e.g. 2' } : checkField('bathrooms', count);
+    }
+  },
+  price: {
+    prompt: () => "💰 What's the annual rent (or sale price) in Naira? (e.g. '2.5M' or '2,500,000')",
+    parse: (text) => {
+      const amount = parseNairaAmount(text);
+      return amount === null ? { error: "Please reply with an amount, e.g. '2.5M'" } : checkField('price', amount);
+    }
+  },
+  amenities: {
+    prompt: () => `✨ Which amenities does it have? Reply with a comma-separated list, or SKIP.\nOptions: ${AMENITIES.join(', ')}`,
+    parse: (text) => {
+      if (SKIP_WORDS.includes(text.toLowerCase())) return { value: [] };
+      return checkField('amenities', text.split(/,|\band\b/).map(a => a.trim()).filter(Boolean));
+    }
+  },
+  photos: {
+    prompt: () => '📷 Send photos of the property now (one or more). Reply DONE when finished, or SKIP.',
+    // Photos arrive as image messages (see whatsappService); any text moves on
+    parse: () => ({ value: null })
+  }
+};
+
+const STEP_ORDER = Object.keys(STEPS);
+
+/**
+ * Build the confirmation summary for a draft
+ * @param {object} draft - listing_drafts row
+ * @returns {string}
+ */
+const formatSummary = (draft) => {
+  const { data } = draft;
+  const amenities = data.amenities && data.amenities.length > 0 ? data.amenities.join(', ') : 'none';
+
+  return `📋 *Your listing*\n` +
+    `📍 Location: ${data.location}\n` +
+    `🏠 Type: ${data.type}\n` +
+    `🛏️ Bedrooms: ${data.bedrooms} | 🚿 Bathrooms: ${data.bathrooms}\n` +
+    `💰 Price: ₦${Number(data.price).toLocaleString()}\n` +
+    `✨ Amenities: ${amenities}\n` +
+    `📷 Photos: ${draft.photos.length}\n\n` +
+    `Reply YES to submit it for review, the name of a field to change it (e.g. PRICE), or CANCEL.`;
+};
+
+/**
+ * Move a draft to a step and return the question for it
+ * @param {object} draft - listing_drafts row
+ * @param {string} step - Step key or 'confirm'
+ * @param {object} [extra] - Other columns to update at the same time
+ * @returns {Promise<string>}
+ */
+const goTo = async (draft, step, extra = {}) => {
+  const updated = await ListingDraft.update(draft.id, { step, ...extra });
+  return step === 'confirm' ? formatSummary(updated) : STEPS[step].prompt(updated);
+};
+
+/**
+ * Next step after the given one; edits go straight back to the summary
+ * @param {object} draft - listing_drafts row
+ * @param {string} step - Step just completed
+ * @returns {string}
+ */
+const nextStep = (draft, step) => {
+  if (draft.resume_step === 'confirm') return 'confirm';
+  const index = STEP_ORDER.indexOf(step);
+  return STEP_ORDER[index + 1] || 'confirm';
+};
+
+/**
+ * Start (or resume) a listing for a phone number
+ * @param {string} phone - WhatsApp phone number (digits only)
+ * @returns {Promise<string>} - First question, or where the user left off
+ */
+const start = async (phone) => {
+  const existing = await ListingDraft.findOpenByPhone(phone);
+
+  if (existing) {
+    const step = existing.step === 'paused' ? (existing.resume_step || 'location') : existing.step;
+    const question = await goTo(existing, step, { resume_step: null });
+    return `👋 Let's pick up your listing where you left off. (Reply CANCEL at any time to stop.)\n\n${question}`;
+  }
+
+  const draft = await ListingDraft.findOrCreate(phone);
+  const question = await goTo(draft, 'location');
+  return `🏠 Great, let's list your property right here. I'll ask a few quick questions. (Reply CANCEL at any time to stop.)\n\n${question}`;
+};
+
+/**
+ * Create the pending property from a completed draft
+ * @param {object} draft - listing_drafts row
+ * @returns {Promise<object>} - Created property
+ */
+const submit = async (draft) => {
+  const { valid, values, errors } = validateProperty(draft.data, 'owner', { partial: false, stripUnknown: true });
+  if (!valid) {
+    throw new Error(`Listing is incomplete: ${Object.keys(errors).join(', ')}`);
+  }
+
+  const user = await authService.findWhatsAppUser(draft.phone);
+
+  const property = await Property.create({
+    ...values,
+    status: 'pending',
+    verified: false,
+    userId: user.id
+  });
+
+  for (let i = 0; i < draft.photos.length; i++) {
+    await Property.addImage(property.id, draft.photos[i], i === 0);
+  }
+
+  await authService.promoteToLandlord(user.id);
+  await ListingDraft.update(draft.id, { status: 'submitted', property_id: property.id });
+
+  console.log(`🏠 Property ${property.id} listed over WhatsApp by ${user.phone}`);
+  return property;
+};
+
+/**
+ * Handle a text message if the sender is in the middle of a listing
+ * @param {string} phone - WhatsApp phone number (digits only)
+ * @param {string} text - Message text
+ * @returns {Promise<string|null>} - Reply, or null if the message isn't part of a listing
+ */
+const handleMessage = async (phone, text) => {
+  const draft = await ListingDraft.findOpenByPhone(phone);
+  if (!draft) return null;
+
+  const input = text.trim();
+  const command = input.toLowerCase();
+
+  // Paused drafts only react to resume/cancel; anything else goes to the AI as usual
+  if (draft.step === 'paused') {
+    if (RESUME_WORDS.includes(command)) return start(phone);
+    if (CANCEL_WORDS.includes(command)) {
+      await ListingDraft.update(draft.id, { status: 'cancelled' });
+      return '🗑️ Your unfinished listing has been discarded.';
+    }
+    return null;
+  }
+
+  if (CANCEL_WORDS.includes(command)) {
+    await ListingDraft.update(draft.id, { status: 'cancelled' });
+    return "🗑️ Listing cancelled. Say 'I want to list my property' whenever you'd like to start again.";
+  }
+
+  // Coming back after a while: check before treating the message as an answer
+  const idleMinutes = (Date.now() - new Date(draft.updated_at).getTime()) / 60000;
+  if (idleMinutes > RESUME_AFTER_MINUTES) {
+    await ListingDraft.update(draft.id, { step: 'paused', resume_step: draft.step });
+    return '👋 Welcome back! You have an unfinished property listing. Reply CONTINUE to pick up where you left off, or CANCEL to discard it.';
+  }
+
+  if (draft.step === 'confirm') {
+    if (CONFIRM_WORDS.includes(command)) {
+      try {
+        const property = await submit(draft);
+        return `✅ Your property has been submitted (ID ${property.id}). Our team will review it and you'll be notified once it's live.`;
+      } catch (error) {
+        console.error('Error submitting WhatsApp listing:', error);
+        return `⚠️ I couldn't submit your listing: ${error.message}. Reply with the field to fix (e.g. PRICE) or CANCEL.`;
+      }
+    }
+
+    if (STEPS[command]) {
+      return goTo(draft, command, { resume_step: 'confirm' });
+    }
+
+    return formatSummary(draft);
+  }
+
+  const step = STEPS[draft.step];
+  const result = step.parse(input);
+
+  if (result.error) {
+    return `⚠️ ${result.error}\n\n${step.prompt(draft)}`;
+  }
+
+  const extra = { resume_step: null };
+  if (result.value !== null) {
+    extra.data = { ...draft.data, [draft.step]: result.value };
+  }
+
+  return goTo(draft, nextStep(draft, draft.step), extra);
+};
+
+/**
+ * Reply after a photo was added to a draft
+ * @param {object} draft - Updated listing_drafts row
+ * @returns {string}
+ */
+const photoAddedReply = (draft) => {
+  const count = draft.photos.length;
+  if (draft.step === 'photos') {
+    return `📷 Photo ${count} added. Send more, or reply DONE when finished.`;
+  }
+  if (draft.step === 'paused') {
+    return `📷 Photo ${count} added to your unfinished listing. Reply CONTINUE to finish it.`;
+  }
+  const question = draft.step === 'confirm' ? formatSummary(draft) : STEPS[draft.step].prompt(draft);
+  return `📷 Photo ${count} added to your listing. Now, back to the details:\n\n${question}`;
+};
+
+module.exports = {
+  start,
+  handleMessage,
+  photoAddedReply,
+  parseNairaAmount
+};
@@ -250,6 +250,36 @@ const findMatches = async (criteria) => {
   }
 };
 
+/**
+ * Find properties near a map pin, widening the radius once if nothing is close
+ * Other criteria (budget, bedrooms, type) still narrow the results
+ * @param {object} near - { latitude, longitude }
+ * @param {object} [criteria] - Search criteria
+ * @returns {Promise<array>} - Properties with distance_km, nearest first
+ */
+const findNearby = async (near, criteria = {}) => {
+  try {
+    const matches = (properties) => properties.filter(property =>
+      (!criteria.maxPrice || Number(property.price) <= criteria.maxPrice) &&
+      (!criteria.minPrice || Number(property.price) >= criteria.minPrice) &&
+      (!criteria.bedrooms || property.bedrooms >= parseInt(criteria.bedrooms, 10)) &&
+      (!criteria.propertyType || property.type.toLowerCase().includes(criteria.propertyType.toLowerCase()))
+    );
+
+    for (const radiusKm of [5, 15]) {
+      const properties = matches(await Property.findNear(near.latitude, near.longitude, { radiusKm, limit: 20 }));
+      if (properties.length > 0) {
+        return properties.slice(0, 10);
+      }
+    }
+
+    return [];
+  } catch (error) {
+    console.error('Error in findNearby:', error);
+    throw error;
+  }
+};
+
 /**
  * Get smart suggestions when no exact matches found
  * @param {object} criteria - Original search criteria
@@ -338,6 +368,7 @@ const trackUserPreference = async (userId, viewedProperty) => {
 module.exports = {
   calculateMatchScore,
   findMatches,
+  findNearby,
   getSmartSuggestions,
   trackUserPreference,
   // Export individual scoring functions for testing
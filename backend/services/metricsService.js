@@ -0,0 +1,37 @@
+/**
+ * Metrics Service
+ * In-process counters for operational events (webhook rejections, etc.).
+ * Counters reset when the process restarts.
+ */
+
+const startedAt = new Date();
+const counters = new Map();
+
+/**
+ * Increment a counter
+ * @param {string} name - Counter name, e.g. 'webhook.signature_invalid'
+ * @param {number} [by=1] - Amount to add
+ */
+const increment = (name, by = 1) => {
+  counters.set(name, (counters.get(name) || 0) + by);
+};
+
+/**
+ * Get the current value of every counter, optionally filtered by prefix
+ * @param {string} [prefix] - Only include counters starting with this prefix
+ * @returns {object} - { startedAt, counters }
+ */
+const snapshot = (prefix = '') => {
+  const values = {};
+  for (const [name, value] of counters) {
+    if (name.startsWith(prefix)) {
+      values[name] = value;
+    }
+  }
+  return { startedAt, counters: values };
+};
+
+module.exports = {
+  increment,
+  snapshot
+};
@@ -0,0 +1,182 @@
+const { AMENITIES, AMENITY_ALIASES } = require('../../models/propertySchema');
+const { parseNairaAmount } = require('../listingFlowService');
+
+/**
+ * Rule-based NLU provider
+ * Keyword and regex matching that runs entirely in-process: no API key, no
+ * network and the same answer every time. Used when Gemini isn't configured,
+ * fails or times out, and selectable with NLU_PROVIDER=rules for tests.
+ */
+
+const isConfigured = () => true;
+
+// Checked in order; the first match wins
+const INTENT_RULES = [
+  ['list_property', /\b(list|advertise|rent out|let out)\b.*\b(property|house|flat|apartment|place)\b|\bi(?:'m| am) an? (landlord|agent)\b|\bi have an? (property|house|flat|apartment)\b/],
+  ['price_negotiation', /\b(negotiat\w*|discount|too expensive|too much|lower (?:the )?price|reduce (?:the )?price|best price|last price|make an? offer)\b|\boffer\s+(?:₦\s*)?\d/],
+  ['schedule_viewing', /\b(book|schedule|arrange)\b.*\b(viewing|visit|inspection|appointment)\b|\b(viewing|inspection)\b|\bwhen can i (see|visit|inspect)\b|\b(see|visit|inspect) (it|the (?:property|place|house|flat))\b/],
+  ['contact_landlord', /\b(landlord|owner|agent|caretaker)\b|\bstill available\b|\bcontact\b/],
+  ['show_more', /\b(show (?:me )?more|more options|any others?|anything else|see more)\b|^\s*(next|more)\s*[.!]?\s*$/],
+  ['inquire_specific', /(?:property|id|#)\s*(?:id\s*)?#?\s*\d+|\b(tell me more|more (?:info|details|about)|details)\b|\bthe\s+(\d+(?:st|nd|rd|th)|first|second|third|fourth|fifth|last|cheapest)\b/]
+];
+
+const GREETING = /^\s*(hi+|hello|hey|hiya|good (?:morning|afternoon|evening|day)|howdy|greetings|what'?s up)\b/;
+
+const PROPERTY_TYPES = ['self contain', 'mini flat', 'flat', 'apartment', 'duplex', 'detached', 'semi-detached', 'terrace', 'bungalow', 'penthouse', 'studio', 'house', 'land', 'commercial', 'shop', 'office'];
+
+const NUMBER_WORDS = { one: 1, two: 2, three: 3, four: 4, five: 5, six: 6, seven: 7, eight: 8, nine: 9, ten: 10 };
+
+// Words that end a location ('in Lekki under 3M' -> 'Lekki')
+const LOCATION_STOP = /\s+(?:under|below|less|for|with|around|about|between|from|above|over|within|budget|max|maximum|that|which|and|at|near|close|please|pls|abeg)\b.*$/i;
+
+const MIN_PRICE = 10000;
+
+const NUMBER = '(\\d+(?:\\.\\d+)?\\s*(?:k|m|b|million|thousand|billion)?)';
+
+/**
+ * Classify a message into one of the bot's intents
+ * Confidence is high for a keyword match or a search with several criteria,
+ * and low when only a vague word like 'need' suggests a search.
+ * @param {string} message - The user's message
+ * @returns {object} - { intent, confidence }
+ */
+const classify = (message) => {
+  const text = message.toLowerCase();
+
+  if (GREETING.test(text) && text.split(/\s+/).length <= 4) return { intent: 'greeting', confidence: 0.95 };
+
+  const rule = INTENT_RULES.find(([, pattern]) => pattern.test(text));
+  if (rule) return { intent: rule[0], confidence: 0.9 };
+
+  const criteria = parseSearchCriteria(message);
+  const found = ['location', 'propertyType', 'bedrooms', 'minPrice', 'maxPrice']
+    .filter(key => criteria[key] !== undefined).length + (criteria.amenities.length > 0 ? 1 : 0);
+  if (found >= 2) return { intent: 'search', confidence: 0.9 };
+  if (found === 1) return { intent: 'search', confidence: 0.7 };
+  if (/\b(looking for|find|search|need|want|rent)\b/.test(text)) return { intent: 'search', confidence: 0.4 };
+
+  return { intent: 'other', confidence: 0.3 };
+};
+
+/**
+ * Read the location from phrases like 'in Lekki', 'at Wuse 2' or 'Gwarinpa area'
+ * @param {string} message - The user's message
+ * @returns {string|undefined}
+ */
+const parseLocation = (message) => {
+  const patterns = [
+    /\b(?:in|around|near)\s+([A-Za-z][A-Za-z0-9\s,.'-]*)/i,
+    /\bat\s+(?!least\b)([A-Za-z][A-Za-z0-9\s,.'-]*)/i,
+    /([A-Za-z][A-Za-z\s]*?)\s+area\b/i
+  ];
+
+  for (const pattern of patterns) {
+    const match = message.match(pattern);
+    if (match) {
+      const location = match[1].replace(LOCATION_STOP, '').replace(/[\s,.]+$/, '').trim();
+      if (location.length >= 2) return location;
+    }
+  }
+  return undefined;
+};
+
+/**
+ * Parse an amount, ignoring numbers too small to be a yearly rent ('under 3')
+ * @param {string} text - Amount text ('2.5M', '800k', '1500000')
+ * @returns {number|null}
+ */
+const asPrice = (text) => {
+  const amount = parseNairaAmount(text);
+  return amount >= MIN_PRICE ? amount : null;
+};
+
+/**
+ * Read the price range ('under 3M', 'between 1.5M and 2M', '2-3M', 'above 500k')
+ * @param {string} text - Lower-cased message
+ * @returns {object} - { minPrice, maxPrice } (either may be missing)
+ */
+const parsePriceRange = (text) => {
+  const range = text.match(new RegExp(`between\\s*₦?\\s*${NUMBER}\\s*(?:and|-|to)\\s*₦?\\s*${NUMBER}`)) ||
+    text.match(new RegExp(`₦?\\s*${NUMBER}\\s*(?:-|to)\\s*₦?\\s*${NUMBER}`));
+  if (range) {
+    // '2-3M': the unit on the upper bound applies to both
+    const unit = (range[2].match(/[a-z]+$/) || [''])[0];
+    const lower = /[a-z]$/.test(range[1]) ? range[1] : `${range[1]}${unit}`;
+    const minPrice = asPrice(lower);
+    const maxPrice = asPrice(range[2]);
+    if (minPrice && maxPrice) return { minPrice, maxPrice };
+  }
+
+  const max = text.match(new RegExp(`\\b(?:under|below|less than|max(?:imum)?|not more than|budget(?: is| of)?|within)\\s*₦?\\s*${NUMBER}`)) ||
+    text.match(new RegExp(`₦?\\s*${NUMBER}\\s*(?:range|budget|max)\\b`));
+  if (max && asPrice(max[1])) return { maxPrice: asPrice(max[1]) };
+
+  const min = text.match(new RegExp(`\\b(?:above|over|more than|from)\\s*₦?\\s*${NUMBER}`));
+  if (min && asPrice(min[1])) return { minPrice: asPrice(min[1]) };
+
+  return {};
+};
+
+/**
+ * Extract search criteria from a message
+ * @param {string} message - The user's message
+ * @returns {object} - { location, propertyType, minPrice, maxPrice, bedrooms, amenities }
+ */
+const parseSearchCriteria = (message) => {
+  const text = message.toLowerCase();
+  const criteria = {};
+
+  const location = parseLocation(message);
+  if (location) criteria.location = location;
+
+  const bedrooms = text.match(/(\d+)\s*-?\s*(?:bed(?:room)?s?|br|bdr)\b/) ||
+    text.match(new RegExp(`\\b(${Object.keys(NUMBER_WORDS).join('|')})\\s*-?\\s*bed(?:room)?s?\\b`)) ||
+    text.match(/\bat\s+least\s+(\d+)/);
+  if (bedrooms) {
+    criteria.bedrooms = NUMBER_WORDS[bedrooms[1]] || parseInt(bedrooms[1], 10);
+  }
+
+  // Bedroom counts aren't prices
+  Object.assign(criteria, parsePriceRange(text.replace(/\d+\s*-?\s*(?:bed(?:room)?s?|br|bdr)\b/g, ' ')));
+
+  const propertyType = PROPERTY_TYPES.find(type => new RegExp(`\\b${type}s?\\b`).test(text));
+  if (propertyType) criteria.propertyType = propertyType;
+
+  const amenities = new Set(AMENITIES.filter(amenity => new RegExp(`\\b${amenity}\\b`).test(text)));
+  Object.entries(AMENITY_ALIASES).forEach(([alias, amenity]) => {
+    if (text.includes(alias)) amenities.add(amenity);
+  });
+  criteria.amenities = [...amenities];
+
+  return criteria;
+};
+
+/**
+ * Work out what a message means
+ * @param {string} message - The user's message
+ * @param {object} [options]
+ * @param {object} [options.lastCriteria] - Criteria of the previous search (carried over for 'show more')
+ * @param {string} [options.intent] - Intent already known (only entities are needed)
+ * @returns {Promise<object>} - { intent, confidence, entities }
+ */
+const understand = async (message, { lastCriteria = null, intent = null } = {}) => {
+  const result = intent ? { intent, confidence: 1 } : classify(message);
+  if (!['search', 'show_more'].includes(result.intent)) {
+    return { ...result, entities: {} };
+  }
+
+  const criteria = parseSearchCriteria(message);
+  if (result.intent !== 'show_more' || !lastCriteria) {
+    return { ...result, entities: criteria };
+  }
+
+  const mentioned = Object.entries(criteria).filter(([key, value]) => (key === 'amenities' ? value.length > 0 : true));
+  return { ...result, entities: { ...lastCriteria, ...Object.fromEntries(mentioned) } };
+};
+
+module.exports = {
+  name: 'rules',
+  isConfigured,
+  understand,
+  parseSearchCriteria
+};
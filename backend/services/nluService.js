@@ -0,0 +1,209 @@
+const gemini = require('./nluProviders/gemini');
+const rules = require('./nluProviders/rules');
+const metricsService = require('./metricsService');
+const { INTENTS, validateUnderstanding, pickEntities } = require('../models/nluSchema');
+const { AMENITIES, AMENITY_ALIASES } = require('../models/propertySchema');
+const { parseNairaAmount } = require('./listingFlowService');
+
+/**
+ * NLU Service
+ * Intent, entities and confidence for a message from a pluggable provider.
+ * Output is checked against nluSchema; invalid output gets one repair attempt.
+ * The rule-based provider answers whenever the selected one isn't configured,
+ * fails or takes longer than NLU_TIMEOUT_MS, so the bot keeps replying
+ * without Gemini.
+ */
+
+const PROVIDERS = { gemini, rules };
+
+const NLU_TIMEOUT_MS = parseInt(process.env.NLU_TIMEOUT_MS || '8000', 10);
+
+// Below this the bot asks what the user meant instead of acting
+const NLU_MIN_CONFIDENCE = parseFloat(process.env.NLU_MIN_CONFIDENCE || '0.5');
+
+// Location abbreviations people use, mapped to the names listings use
+const LOCATION_ALIASES = {
+  'gra': 'Gwarinpa',
+  'v.i': 'Victoria Island',
+  'vi': 'Victoria Island',
+  'wuse': 'Wuse 2',
+  'leki': 'Lekki',
+  'ikoyi': 'Ikoyi'
+};
+
+let selected = PROVIDERS[process.env.NLU_PROVIDER] || gemini;
+
+/**
+ * Choose the provider (NLU_PROVIDER sets it at startup; tests switch here)
+ * @param {string|object} provider - 'gemini', 'rules', or a provider module
+ *   with name, isConfigured and understand (e.g. recorded responses in tests)
+ */
+const useProvider = (provider) => {
+  if (typeof provider === 'object' && provider.understand) {
+    selected = provider;
+    return;
+  }
+  if (!PROVIDERS[provider]) {
+    throw new Error(`Unknown NLU provider: ${provider}`);
+  }
+  selected = PROVIDERS[provider];
+};
+
+/**
+ * The provider requests currently go to
+ * @returns {object} - Provider module
+ */
+const getProvider = () => (selected.isConfigured() ? selected : rules);
+
+/**
+ * Reject if a call takes longer than NLU_TIMEOUT_MS
+ * @param {Promise} promise - Provider call
+ * @param {string} label - For the error message
+ * @returns {Promise}
+ */
+const withTimeout = (promise, label) => {
+  let timer;
+  const timeout = new Promise((resolve, reject) => {
+    timer = setTimeout(() => reject(new Error(`${label} timed out after ${NLU_TIMEOUT_MS}ms`)), NLU_TIMEOUT_MS);
+  });
+  return Promise.race([promise, timeout]).finally(() => clearTimeout(timer));
+};
+
+/**
+ * Parse model output into an object (providers may return JSON text)
+ * @param {string|object} output - Provider output
+ * @returns {object|null}
+ */
+const parseOutput = (output) => {
+  if (typeof output !== 'string') return output;
+
+  const text = output.replace(/```(?:json)?/g, '');
+  try {
+    return JSON.parse(text.slice(text.indexOf('{'), text.lastIndexOf('}') + 1));
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Fix the slips models commonly make before validating: prices as '2.5M',
+ * numbers as strings, amenity names outside the enum (dropped)
+ * @param {object} output - Parsed output
+ * @returns {object}
+ */
+const normalizeOutput = (output) => {
+  if (!output || typeof output !== 'object' || !output.entities || typeof output.entities !== 'object') {
+    return output;
+  }
+
+  const entities = { ...output.entities };
+  ['minPrice', 'maxPrice', 'amount'].forEach(key => {
+    if (typeof entities[key] === 'string') entities[key] = parseNairaAmount(entities[key]) ?? entities[key];
+  });
+  ['bedrooms', 'propertyId'].forEach(key => {
+    if (typeof entities[key] === 'string' && /^\s*\d+\s*$/.test(entities[key])) entities[key] = parseInt(entities[key], 10);
+  });
+  if (Array.isArray(entities.amenities)) {
+    entities.amenities = entities.amenities
+      .map(item => String(item).toLowerCase().trim())
+      .map(item => AMENITY_ALIASES[item] || item)
+      .filter(item => AMENITIES.includes(item));
+  }
+
+  return {
+    ...output,
+    intent: typeof output.intent === 'string' ? output.intent.trim().toLowerCase() : output.intent,
+    entities
+  };
+};
+
+/**
+ * Parse, repair and validate provider output
+ * @param {string|object} output - Provider output
+ * @returns {object} - From validateUnderstanding
+ */
+const checkOutput = (output) => validateUnderstanding(normalizeOutput(parseOutput(output)));
+
+/**
+ * Ask one provider, giving it one chance to repair invalid output
+ * @param {object} provider - Provider module
+ * @param {string} message - The user's message
+ * @param {object} options - Passed to provider.understand
+ * @returns {Promise<object>} - Valid { intent, confidence, entities }
+ */
+const understandWith = async (provider, message, options) => {
+  const output = await provider.understand(message, options);
+  let result = checkOutput(output);
+
+  if (!result.valid && provider.repair) {
+    console.warn(`NLU ${provider.name} output invalid, asking for a repair:`, result.errors);
+    metricsService.increment(`nlu.repair.${provider.name}`);
+    const text = typeof output === 'string' ? output : JSON.stringify(output);
+    result = checkOutput(await provider.repair(message, text, result.errors));
+  }
+
+  if (!result.valid) {
+    throw new Error(`Invalid NLU output: ${JSON.stringify(result.errors)}`);
+  }
+  return result.value;
+};
+
+/**
+ * Work out what a message means, falling back to the rule-based provider
+ * @param {string} message - The user's message
+ * @param {object} [options]
+ * @param {array} [options.context] - Recent turns ({ message, response })
+ * @param {object} [options.lastCriteria] - Criteria of the previous search
+ * @param {string} [options.intent] - Intent already known (only entities are needed)
+ * @returns {Promise<object>} - { intent, confidence, entities, provider }
+ */
+const understand = async (message, options = {}) => {
+  let provider = getProvider();
+  let result;
+
+  try {
+    result = provider === rules
+      ? await understandWith(rules, message, options)
+      : await withTimeout(understandWith(provider, message, options), `${provider.name}.understand`);
+  } catch (error) {
+    console.error(`NLU ${provider.name} failed, using rules:`, error.message);
+    metricsService.increment(`nlu.fallback.${provider.name}`);
+    provider = rules;
+    result = await understandWith(rules, message, options);
+  }
+
+  if (options.intent) result.intent = options.intent;
+
+  // Only the entities the intent uses (an allow-list, whatever the model returned)
+  const entities = pickEntities(result.intent, result.entities);
+  result.entities = entities;
+
+  // Handle location abbreviations
+  if (entities.location) {
+    const locationLower = entities.location.toLowerCase();
+    for (const [alias, full] of Object.entries(LOCATION_ALIASES)) {
+      if (new RegExp(`\\b${alias.replace('.', '\\.')}\\b`).test(locationLower)) {
+        entities.location = full;
+        break;
+      }
+    }
+  }
+
+  return { ...result, provider: provider.name };
+};
+
+/**
+ * Whether the bot should check what the user meant before acting
+ * @param {object} understanding - From understand
+ * @returns {boolean}
+ */
+const needsClarification = ({ intent, confidence }) =>
+  confidence < NLU_MIN_CONFIDENCE && !['greeting', 'other'].includes(intent);
+
+module.exports = {
+  INTENTS,
+  useProvider,
+  getProvider,
+  understand,
+  needsClarification
+};
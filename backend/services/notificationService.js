@@ -0,0 +1,30 @@
+/**
+ * Notification Service
+ * Proactive WhatsApp messages to users (viewing requests, confirmations,
+ * reminders). Sending failures are logged and never fail the caller.
+ */
+
+/**
+ * Send a message to a user on WhatsApp
+ * @param {string} phone - Phone number in any format (+234..., 234...)
+ * @param {string|object} response - Text, or a structured response the WhatsApp renderer understands
+ * @returns {Promise<boolean>} - Whether the message was accepted by the WhatsApp API
+ */
+const notifyUser = async (phone, response) => {
+  if (!phone) return false;
+
+  // Required lazily: whatsappService depends (indirectly) on the services that notify
+  const whatsappService = require('./whatsappService');
+
+  try {
+    await whatsappService.sendResponse(phone, response);
+    return true;
+  } catch (error) {
+    console.error(`Error notifying ${phone}:`, error.message);
+    return false;
+  }
+};
+
+module.exports = {
+  notifyUser
+};
@@ -0,0 +1,432 @@
+const { transaction } = require('../config/db');
+const Offer = require('../models/Offer');
+const Inquiry = require('../models/Inquiry');
+const Property = require('../models/Property');
+const authService = require('./authService');
+const inquiryService = require('./inquiryService');
+const notificationService = require('./notificationService');
+const { parseNairaAmount } = require('./listingFlowService');
+const { partyFor: findParty } = require('../utils/parties');
+
+/**
+ * Offer Service
+ * Price negotiation: a tenant proposes an amount and terms, and the other side
+ * accepts, counters or declines, on the web or WhatsApp. Every step is an
+ * offers row and a line in the inquiry thread. An accepted offer sets the
+ * inquiry's agreed price.
+ */
+
+const MAX_TERMS_LENGTH = 500;
+const MAX_AMOUNT = 1e12;
+
+// "counter 2.2M offer 15" / "counter ₦2,200,000 for offer #15"
+const COUNTER_PATTERN = /^counter\s+(.+?)\s+(?:for\s+|on\s+)?offer\s*#?\s*(\d+)\s*$/i;
+
+/**
+ * Format a Naira amount
+ * @param {number|string} amount - Amount
+ * @returns {string}
+ */
+const formatAmount = (amount) => `₦${Number(amount).toLocaleString()}`;
+
+/**
+ * Which side of an offer a user is on
+ * @param {object} offer - Offer row
+ * @param {object} user - User
+ * @returns {string|null} - 'tenant', 'owner' or null
+ */
+const partyFor = (offer, user) =>
+  findParty(user, { tenantId: offer.tenant_id, ownerId: offer.owner_id });
+
+/**
+ * Check an offer amount and terms
+ * @param {*} amount - Amount in Naira
+ * @param {string} [terms] - Terms (e.g. 'two years upfront')
+ * @returns {object} - { amount, terms } or { error }
+ */
+const checkOffer = (amount, terms) => {
+  const value = Number(amount);
+  if (!Number.isFinite(value) || value <= 0 || value > MAX_AMOUNT) {
+    return { error: 'amount must be a positive number of Naira' };
+  }
+  const cleanTerms = typeof terms === 'string' ? terms.trim() : '';
+  if (cleanTerms.length > MAX_TERMS_LENGTH) {
+    return { error: `terms must be at most ${MAX_TERMS_LENGTH} characters` };
+  }
+  return { amount: Math.round(value), terms: cleanTerms || null };
+};
+
+/**
+ * One-line description of an offer
+ * @param {object} offer - Offer row
+ * @returns {string}
+ */
+const describeOffer = (offer) => {
+  let text = `${formatAmount(offer.amount)}/year for Property ${offer.property_id} (asking ${formatAmount(offer.asking_price)})`;
+  if (offer.terms) text += `. Terms: ${offer.terms}`;
+  return text;
+};
+
+/**
+ * Add a negotiation step to the inquiry thread and tell the other side
+ * @param {object} offer - Offer the step is about
+ * @param {string} role - Side taking the step
+ * @param {object} actor - User taking the step
+ * @param {string} body - Thread line
+ * @param {string|object} notification - WhatsApp message for the other side
+ * @param {string} channel - 'web' or 'whatsapp'
+ */
+const recordStep = async (offer, role, actor, body, notification, channel) => {
+  await Inquiry.addMessage(offer.inquiry_id, {
+    senderRole: role,
+    senderId: actor.id,
+    body,
+    channel,
+    status: role === 'owner' ? 'responded' : 'pending'
+  });
+
+  const inquiry = await Inquiry.findById(offer.inquiry_id);
+  const otherPhone = role === 'tenant' ? inquiry.owner_phone : inquiry.phone;
+  await notificationService.notifyUser(otherPhone, notification);
+};
+
+/**
+ * WhatsApp message asking one side to answer an offer
+ * @param {object} offer - Pending offer
+ * @param {string} intro - First line
+ * @returns {object} - 'offer_actions' response
+ */
+const offerPrompt = (offer, intro) => ({
+  type: 'offer_actions',
+  offerId: offer.id,
+  actions: ['accept', 'counter', 'decline'],
+  summary: `${intro}\n\n💰 ${describeOffer(offer)}\n\nOffer #${offer.id}.`
+});
+
+/**
+ * Propose a price on a property (tenant)
+ * Opens (or reuses) the tenant's inquiry about the property
+ * @param {object} params
+ * @param {number} params.propertyId - Property ID
+ * @param {object} params.tenant - Proposing user
+ * @param {number} params.amount - Yearly amount in Naira
+ * @param {string} [params.terms] - Terms
+ * @param {string} [params.source] - 'web' or 'whatsapp'
+ * @returns {Promise<object>} - { success, offer } or { success: false, error, message }
+ */
+const propose = async ({ propertyId, tenant, amount, terms, source = 'web' }) => {
+  const checked = checkOffer(amount, terms);
+  if (checked.error) {
+    return { success: false, error: 'invalid', message: checked.error };
+  }
+
+  const property = await Property.findById(propertyId);
+  if (!property || property.status !== 'active') {
+    return { success: false, error: 'not_found', message: 'Property not found or no longer available' };
+  }
+
+  const open = await Inquiry.findOpen(property.id, tenant.id);
+  if (open && await Offer.findPendingForInquiry(open.id)) {
+    return { success: false, error: 'conflict', message: 'There is already an offer waiting for an answer on this property' };
+  }
+
+  const line = `💰 Offered ${formatAmount(checked.amount)}/year${checked.terms ? `. Terms: ${checked.terms}` : ''}`;
+
+  // The thread line and the offer commit together, so a lost race leaves no stray line
+  let result;
+  try {
+    result = await transaction(async (client) => {
+      const opened = await inquiryService.create({ propertyId: property.id, tenant, message: line, source, notify: false }, client);
+      if (!opened.success) return opened;
+
+      const created = await Offer.create({
+        propertyId: property.id,
+        inquiryId: opened.inquiry.id,
+        tenantId: tenant.id,
+        ownerId: property.user_id,
+        proposedBy: 'tenant',
+        amount: checked.amount,
+        askingPrice: property.price,
+        terms: checked.terms,
+        source
+      }, client);
+      return { success: true, offer: created };
+    });
+  } catch (error) {
+    // Unique index on the pending offer per inquiry: a parallel offer got there first
+    if (error.code === '23505') {
+      return { success: false, error: 'conflict', message: 'There is already an offer waiting for an answer on this property' };
+    }
+    throw error;
+  }
+  if (!result.success) return result;
+  const { offer } = result;
+
+  const inquiry = await Inquiry.findById(offer.inquiry_id);
+  await notificationService.notifyUser(inquiry.owner_phone,
+    offerPrompt(offer, `💰 ${offer.tenant_name || 'A tenant'} made an offer on your ${offer.property_type} in ${offer.property_location}.`));
+
+  console.log(`💰 Offer ${offer.id} on property ${property.id}: ${checked.amount}`);
+  return { success: true, offer };
+};
+
+/**
+ * Load a pending offer that the user can answer
+ * Offers are answered by the side that didn't propose them
+ * @param {number} offerId - Offer ID
+ * @param {object} user - User
+ * @returns {Promise<object>} - { offer, role } or { error, message }
+ */
+const loadForAnswer = async (offerId, user) => {
+  const offer = await Offer.findById(offerId);
+  if (!offer) return { error: 'not_found', message: 'Offer not found' };
+
+  const role = partyFor(offer, user);
+  if (!role) return { error: 'forbidden', message: 'You are not part of this offer' };
+  if (role === offer.proposed_by) return { error: 'forbidden', message: 'Waiting for the other side to answer this offer' };
+  if (offer.status !== 'pending') return { error: 'conflict', message: `This offer has already been ${offer.status}` };
+
+  return { offer, role };
+};
+
+/**
+ * Accept an offer; the inquiry records the agreed price
+ * @param {number} offerId - Offer ID
+ * @param {object} user - Answering user
+ * @param {string} [channel] - 'web' or 'whatsapp'
+ * @returns {Promise<object>} - { success, offer } or { success: false, error, message }
+ */
+const accept = async (offerId, user, channel = 'web') => {
+  const { offer, role, error, message } = await loadForAnswer(offerId, user);
+  if (error) return { success: false, error, message };
+
+  // Closing the offer and recording the price commit together
+  const accepted = await transaction(async (client) => {
+    const resolved = await Offer.resolve(offer.id, 'accepted', client);
+    if (resolved) await Inquiry.setAgreedPrice(offer.inquiry_id, offer.id, offer.amount, client);
+    return resolved;
+  });
+  if (!accepted) return { success: false, error: 'conflict', message: 'This offer was answered in the meantime' };
+  await recordStep(accepted, role, user, `✅ Accepted ${formatAmount(offer.amount)}/year`,
+    `🎉 Your offer was accepted: ${describeOffer(accepted)}.\n\nNext step: book a viewing or agree the paperwork with the ${role === 'owner' ? 'landlord' : 'tenant'}.`,
+    channel);
+
+  return { success: true, offer: accepted };
+};
+
+/**
+ * Decline an offer
+ * @param {number} offerId - Offer ID
+ * @param {object} user - Answering user
+ * @param {string} [channel] - 'web' or 'whatsapp'
+ * @returns {Promise<object>} - { success, offer } or { success: false, error, message }
+ */
+const decline = async (offerId, user, channel = 'web') => {
+  const { offer, role, error, message } = await loadForAnswer(offerId, user);
+  if (error) return { success: false, error, message };
+
+  const declined = await Offer.resolve(offer.id, 'declined');
+  if (!declined) return { success: false, error: 'conflict', message: 'This offer was answered in the meantime' };
+
+  await recordStep(declined, role, user, `❌ Declined ${formatAmount(offer.amount)}/year`,
+    `❌ Your offer of ${formatAmount(offer.amount)}/year on Property ${offer.property_id} was declined. You can make a new offer any time.`,
+    channel);
+
+  return { success: true, offer: declined };
+};
+
+/**
+ * Answer an offer with a different amount
+ * @param {number} offerId - Offer ID
+ * @param {object} user - Answering user
+ * @param {number} amount - Counter amount in Naira
+ * @param {string} [terms] - Terms
+ * @param {string} [channel] - 'web' or 'whatsapp'
+ * @returns {Promise<object>} - { success, offer } (the new offer) or { success: false, error, message }
+ */
+const counter = async (offerId, user, amount, terms, channel = 'web') => {
+  const checked = checkOffer(amount, terms);
+  if (checked.error) {
+    return { success: false, error: 'invalid', message: checked.error };
+  }
+
+  const { offer, role, error, message } = await loadForAnswer(offerId, user);
+  if (error) return { success: false, error, message };
+
+  // The offer is only closed as 'countered' if its successor is created too;
+  // only one answer can close it, so a second counter or accept gets a conflict
+  const next = await transaction(async (client) => {
+    const countered = await Offer.resolve(offer.id, 'countered', client);
+    if (!countered) return null;
+
+    return Offer.create({
+      propertyId: offer.property_id,
+      inquiryId: offer.inquiry_id,
+      tenantId: offer.tenant_id,
+      ownerId: offer.owner_id,
+      parentOfferId: offer.id,
+      proposedBy: role,
+      amount: checked.amount,
+      askingPrice: offer.asking_price,
+      terms: checked.terms,
+      source: channel
+    }, client);
+  });
+  if (!next) return { success: false, error: 'conflict', message: 'This offer was answered in the meantime' };
+
+  await recordStep(next, role, user,
+    `🔁 Countered with ${formatAmount(checked.amount)}/year${checked.terms ? `. Terms: ${checked.terms}` : ''}`,
+    offerPrompt(next, `🔁 The ${role === 'owner' ? 'landlord' : 'tenant'} countered your offer of ${formatAmount(offer.amount)}.`),
+    channel);
+
+  return { success: true, offer: next };
+};
+
+/**
+ * Withdraw your own pending offer
+ * @param {number} offerId - Offer ID
+ * @param {object} user - Proposing user
+ * @returns {Promise<object>} - { success, offer } or { success: false, error, message }
+ */
+const withdraw = async (offerId, user) => {
+  const offer = await Offer.findById(offerId);
+  if (!offer) return { success: false, error: 'not_found', message: 'Offer not found' };
+
+  const role = partyFor(offer, user);
+  if (!role || role !== offer.proposed_by) {
+    return { success: false, error: 'forbidden', message: 'Only the side that made an offer can withdraw it' };
+  }
+
+  const withdrawn = await Offer.resolve(offer.id, 'withdrawn');
+  if (!withdrawn) return { success: false, error: 'conflict', message: `This offer has already been ${offer.status}` };
+
+  await recordStep(withdrawn, role, user, `↩️ Withdrew the offer of ${formatAmount(offer.amount)}/year`,
+    `↩️ The offer of ${formatAmount(offer.amount)}/year on Property ${offer.property_id} was withdrawn.`,
+    'web');
+
+  return { success: true, offer: withdrawn };
+};
+
+/**
+ * Get an offer with the full negotiation history
+ * @param {number} offerId - Offer ID
+ * @param {object} user - Tenant, owner or admin
+ * @returns {Promise<object>} - { success, offer, history, role } or { success: false, error, message }
+ */
+const getOffer = async (offerId, user) => {
+  const offer = await Offer.findById(offerId);
+  if (!offer) return { success: false, error: 'not_found', message: 'Offer not found' };
+
+  const role = partyFor(offer, user);
+  if (!role) return { success: false, error: 'forbidden', message: 'You are not part of this offer' };
+
+  const history = await Offer.findForInquiry(offer.inquiry_id);
+  return { success: true, offer, history, role };
+};
+
+/**
+ * Offers the user made or received
+ * @param {object} user - User
+ * @returns {Promise<array>}
+ */
+const listForUser = (user) => Offer.findForUser(user.id);
+
+/**
+ * Offer statistics for the admin dashboard
+ * @returns {Promise<object>}
+ */
+const getStats = async () => {
+  const row = await Offer.getStats();
+  return {
+    total: row.total,
+    pending: row.pending,
+    accepted: row.accepted,
+    declined: row.declined,
+    countered: row.countered,
+    acceptedBelowAsking: row.accepted_below_asking,
+    acceptedBelowAskingPct: row.accepted > 0 ? Math.round((row.accepted_below_asking / row.accepted) * 1000) / 10 : 0,
+    avgAcceptedDiscountPct: Math.round((parseFloat(row.avg_accepted_discount_pct) || 0) * 10) / 10,
+    avgOpeningDiscountPct: Math.round((parseFloat(row.avg_opening_discount_pct) || 0) * 10) / 10
+  };
+};
+
+/**
+ * Handle an offer request from the bot ('offer 1.8M for property 12')
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {object} request - 'make_offer' response from aiService ({ propertyId, amount })
+ * @returns {Promise<string>} - Reply for the sender
+ */
+const handleWhatsAppOffer = async (phone, request) => {
+  const result = await propose({
+    propertyId: request.propertyId,
+    tenant: await authService.findWhatsAppUser(phone),
+    amount: request.amount,
+    source: 'whatsapp'
+  });
+
+  if (!result.success) return `⚠️ ${result.message}`;
+  return `💰 Offer sent: ${describeOffer(result.offer)}.\n\nI'll message you as soon as the landlord answers (offer #${result.offer.id}).`;
+};
+
+/**
+ * Handle a typed counter-offer ('counter 2.2M offer 15')
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {string} text - Message text
+ * @returns {Promise<object|null>} - { intent, response }, or null if the text isn't a counter-offer
+ */
+const handleTextCommand = async (phone, text) => {
+  const match = text.trim().match(COUNTER_PATTERN);
+  if (!match) return null;
+
+  const amount = parseNairaAmount(match[1]);
+  if (!amount) {
+    return { intent: 'counter_offer', response: "⚠️ I couldn't read that amount. Try e.g. 'counter 2.2M offer 15'." };
+  }
+
+  const result = await counter(parseInt(match[2], 10), await authService.findWhatsAppUser(phone), amount, null, 'whatsapp');
+  return {
+    intent: 'counter_offer',
+    response: result.success
+      ? `🔁 Counter-offer sent: ${describeOffer(result.offer)}. I'll let you know their answer.`
+      : `⚠️ ${result.message}`
+  };
+};
+
+/**
+ * Handle an offer button (Accept, Counter, Decline)
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {object} reply - From whatsappRenderer.parseInteractiveReply
+ * @returns {Promise<string>} - Reply for the sender
+ */
+const handleWhatsAppReply = async (phone, reply) => {
+  const user = await authService.findWhatsAppUser(phone);
+
+  if (reply.action === 'offer_counter') {
+    const loaded = await loadForAnswer(reply.offerId, user);
+    if (loaded.error) return `⚠️ ${loaded.message}`;
+    return `🔁 What's your counter-offer? Reply e.g. 'counter 2.2M offer ${reply.offerId}'.`;
+  }
+
+  const result = reply.action === 'offer_accept'
+    ? await accept(reply.offerId, user, 'whatsapp')
+    : await decline(reply.offerId, user, 'whatsapp');
+
+  if (!result.success) return `⚠️ ${result.message}`;
+  return reply.action === 'offer_accept'
+    ? `✅ Offer accepted: ${describeOffer(result.offer)}. I've let the other side know.`
+    : `❌ Offer of ${formatAmount(result.offer.amount)} declined. I've let the other side know.`;
+};
+
+module.exports = {
+  propose,
+  accept,
+  decline,
+  counter,
+  withdraw,
+  getOffer,
+  listForUser,
+  getStats,
+  handleWhatsAppOffer,
+  handleTextCommand,
+  handleWhatsAppReply
+};
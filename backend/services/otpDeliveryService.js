@@ -0,0 +1,113 @@
+const termii = require('./otpProviders/termii');
+const africasTalking = require('./otpProviders/africasTalking');
+const twilio = require('./otpProviders/twilio');
+const whatsapp = require('./otpProviders/whatsapp');
+const outbox = require('./otpProviders/outbox');
+
+/**
+ * OTP Delivery Service
+ * Routes verification codes to a delivery provider for the requested channel
+ * and falls back to the other channel when a send fails
+ */
+
+const OTP_CHANNELS = ['whatsapp', 'sms'];
+const DEFAULT_CHANNEL = OTP_CHANNELS.includes(process.env.OTP_DEFAULT_CHANNEL)
+  ? process.env.OTP_DEFAULT_CHANNEL
+  : 'whatsapp';
+
+const SMS_PROVIDERS = [termii, africasTalking, twilio];
+
+/**
+ * Pick the provider for a channel
+ * OTP_PROVIDER=outbox sends everything to the local outbox. Outside production
+ * the outbox is also used when no real provider is configured for a channel.
+ * @param {string} channel - 'whatsapp' or 'sms'
+ * @returns {object|null} - Provider module or null when none is available
+ */
+const getProvider = (channel) => {
+  if (process.env.OTP_PROVIDER === 'outbox') {
+    return outbox;
+  }
+
+  let provider = null;
+
+  if (channel === 'whatsapp') {
+    provider = whatsapp.isConfigured() ? whatsapp : null;
+  } else if (channel === 'sms') {
+    const preferred = SMS_PROVIDERS.find(p => p.name === process.env.OTP_SMS_PROVIDER);
+    provider = preferred && preferred.isConfigured()
+      ? preferred
+      : SMS_PROVIDERS.find(p => p.isConfigured()) || null;
+  }
+
+  if (!provider && process.env.NODE_ENV !== 'production') {
+    return outbox;
+  }
+
+  return provider;
+};
+
+/**
+ * Resolve the channel to try first
+ * @param {string} [requested] - Channel asked for on this request
+ * @param {string} [saved] - Channel saved on the user's profile
+ * @returns {string} - 'whatsapp' or 'sms'
+ */
+const resolveChannel = (requested, saved) => {
+  if (OTP_CHANNELS.includes(requested)) return requested;
+  if (OTP_CHANNELS.includes(saved)) return saved;
+  return DEFAULT_CHANNEL;
+};
+
+/**
+ * Deliver an OTP, trying the preferred channel first and then the others
+ * @param {object} options
+ * @param {string} options.phone - Recipient phone number (+234XXXXXXXXXX)
+ * @param {string} options.code - OTP code
+ * @param {string} [options.channel] - Preferred channel
+ * @param {number} [options.expiresInMinutes=5] - Validity shown in the message
+ * @returns {Promise<object>} - { channel, provider, messageId, fallback }
+ */
+const deliverOTP = async ({ phone, code, channel, expiresInMinutes = 5 }) => {
+  const preferred = resolveChannel(channel);
+  const channels = [preferred, ...OTP_CHANNELS.filter(c => c !== preferred)];
+  const text = `Your Propabridge verification code is: ${code}. Valid for ${expiresInMinutes} minutes.`;
+  const failures = [];
+
+  for (const candidate of channels) {
+    const provider = getProvider(candidate);
+    if (!provider) {
+      failures.push(`${candidate}: no provider configured`);
+      continue;
+    }
+
+    try {
+      const result = await provider.send({ phone, code, text, channel: candidate });
+
+      if (candidate !== preferred) {
+        console.warn(`⚠️ OTP for ${phone} sent by ${candidate} after ${preferred} failed`);
+      }
+
+      return {
+        channel: candidate,
+        provider: provider.name,
+        messageId: result.messageId || null,
+        fallback: candidate !== preferred
+      };
+    } catch (error) {
+      console.error(`Error sending OTP via ${provider.name}:`, error.message);
+      failures.push(`${candidate}/${provider.name}: ${error.message}`);
+    }
+  }
+
+  console.error(`❌ OTP delivery failed for ${phone}: ${failures.join('; ')}`);
+  throw new Error('Could not deliver verification code. Please try again.');
+};
+
+module.exports = {
+  OTP_CHANNELS,
+  resolveChannel,
+  getProvider,
+  deliverOTP,
+  readOutbox: outbox.readLatest
+};
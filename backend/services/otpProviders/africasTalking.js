@@ -0,0 +1,48 @@
+/**
+ * Africa's Talking SMS provider
+ * https://developers.africastalking.com/docs/sms/sending/bulk
+ */
+
+const isConfigured = () => Boolean(process.env.AT_API_KEY && process.env.AT_USERNAME);
+
+/**
+ * Send an OTP message by SMS through Africa's Talking
+ * @param {object} delivery - { phone, code, text }
+ * @returns {Promise<object>} - { messageId }
+ */
+const send = async ({ phone, text }) => {
+  const username = process.env.AT_USERNAME;
+  const host = username === 'sandbox' ? 'api.sandbox.africastalking.com' : 'api.africastalking.com';
+
+  const form = new URLSearchParams({ username, to: phone, message: text });
+  if (process.env.AT_SENDER_ID) {
+    form.append('from', process.env.AT_SENDER_ID);
+  }
+
+  const response = await fetch(`https://${host}/version1/messaging`, {
+    method: 'POST',
+    headers: {
+      'apiKey': process.env.AT_API_KEY,
+      'Accept': 'application/json',
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: form.toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+  const recipient = data.SMSMessageData?.Recipients?.[0];
+
+  if (!response.ok || !recipient || recipient.status !== 'Success') {
+    const reason = recipient?.status || data.SMSMessageData?.Message || response.statusText;
+    throw new Error(`Africa's Talking send failed: ${reason}`);
+  }
+
+  return { messageId: recipient.messageId };
+};
+
+module.exports = {
+  name: 'africastalking',
+  channel: 'sms',
+  isConfigured,
+  send
+};
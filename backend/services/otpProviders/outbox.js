@@ -0,0 +1,80 @@
+const fs = require('fs/promises');
+const path = require('path');
+const { query } = require('../../config/db');
+
+/**
+ * Local outbox provider (development and tests)
+ * Writes OTP messages to a JSON-lines file or to the otp_outbox table instead
+ * of sending them, so codes can be read back without any network access
+ */
+
+const OUTBOX_TARGET = process.env.OTP_OUTBOX_TARGET || 'file'; // 'file' or 'table'
+const OUTBOX_FILE = process.env.OTP_OUTBOX_FILE || path.join(__dirname, '../../.outbox/otp.jsonl');
+
+const isConfigured = () => true;
+
+/**
+ * Write an OTP message to the outbox
+ * @param {object} delivery - { phone, code, text, channel }
+ * @returns {Promise<object>} - { messageId }
+ */
+const send = async ({ phone, code, text, channel }) => {
+  if (OUTBOX_TARGET === 'table') {
+    const result = await query(
+      `INSERT INTO otp_outbox (phone, channel, code, body)
+       VALUES ($1, $2, $3, $4)
+       RETURNING id`,
+      [phone, channel, code, text]
+    );
+    return { messageId: `outbox-${result.rows[0].id}` };
+  }
+
+  const entry = {
+    id: `outbox-${Date.now()}`,
+    phone,
+    channel,
+    code,
+    body: text,
+    createdAt: new Date().toISOString()
+  };
+
+  await fs.mkdir(path.dirname(OUTBOX_FILE), { recursive: true });
+  await fs.appendFile(OUTBOX_FILE, `${JSON.stringify(entry)}\n`);
+  console.log(`📥 OTP for ${phone} written to outbox (${OUTBOX_FILE})`);
+
+  return { messageId: entry.id };
+};
+
+/**
+ * Read the most recent outbox message for a phone number
+ * @param {string} phone - Recipient phone number
+ * @returns {Promise<object|null>} - { phone, channel, code, body } or null
+ */
+const readLatest = async (phone) => {
+  if (OUTBOX_TARGET === 'table') {
+    const result = await query(
+      'SELECT * FROM otp_outbox WHERE phone = $1 ORDER BY created_at DESC, id DESC LIMIT 1',
+      [phone]
+    );
+    return result.rows[0] || null;
+  }
+
+  let contents;
+  try {
+    contents = await fs.readFile(OUTBOX_FILE, 'utf8');
+  } catch (error) {
+    if (error.code === 'ENOENT') return null;
+    throw error;
+  }
+
+  const entries = contents.trim().split('\n').filter(Boolean).map(line => JSON.parse(line));
+  return entries.reverse().find(entry => entry.phone === phone) || null;
+};
+
+module.exports = {
+  name: 'outbox',
+  channel: 'any',
+  isConfigured,
+  send,
+  readLatest
+};
@@ -0,0 +1,44 @@
+/**
+ * Termii SMS provider
+ * https://developers.termii.com/messaging-api
+ */
+
+const TERMII_BASE_URL = process.env.TERMII_BASE_URL || 'https://api.ng.termii.com';
+
+const isConfigured = () => Boolean(process.env.TERMII_API_KEY && process.env.TERMII_SENDER_ID);
+
+/**
+ * Send an OTP message by SMS through Termii
+ * @param {object} delivery - { phone, code, text }
+ * @returns {Promise<object>} - { messageId }
+ */
+const send = async ({ phone, text }) => {
+  const response = await fetch(`${TERMII_BASE_URL}/api/sms/send`, {
+    method: 'POST',
+    headers: { 'Content-Type': 'application/json' },
+    body: JSON.stringify({
+      api_key: process.env.TERMII_API_KEY,
+      to: phone.replace(/[^0-9]/g, ''),
+      from: process.env.TERMII_SENDER_ID,
+      sms: text,
+      type: 'plain',
+      // The "dnd" route reaches numbers on Nigeria's Do-Not-Disturb list
+      channel: process.env.TERMII_CHANNEL || 'dnd'
+    })
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok || !data.message_id) {
+    throw new Error(`Termii send failed: ${data.message || response.statusText}`);
+  }
+
+  return { messageId: data.message_id };
+};
+
+module.exports = {
+  name: 'termii',
+  channel: 'sms',
+  isConfigured,
+  send
+};
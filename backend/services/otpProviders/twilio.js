@@ -0,0 +1,46 @@
+/**
+ * Twilio SMS provider
+ * https://www.twilio.com/docs/sms/api/message-resource#create-a-message-resource
+ */
+
+const isConfigured = () => Boolean(
+  process.env.TWILIO_ACCOUNT_SID && process.env.TWILIO_AUTH_TOKEN && process.env.TWILIO_PHONE_NUMBER
+);
+
+/**
+ * Send an OTP message by SMS through Twilio
+ * @param {object} delivery - { phone, code, text }
+ * @returns {Promise<object>} - { messageId }
+ */
+const send = async ({ phone, text }) => {
+  const accountSid = process.env.TWILIO_ACCOUNT_SID;
+  const credentials = Buffer.from(`${accountSid}:${process.env.TWILIO_AUTH_TOKEN}`).toString('base64');
+
+  const response = await fetch(`https://api.twilio.com/2010-04-01/Accounts/${accountSid}/Messages.json`, {
+    method: 'POST',
+    headers: {
+      'Authorization': `Basic ${credentials}`,
+      'Content-Type': 'application/x-www-form-urlencoded'
+    },
+    body: new URLSearchParams({
+      To: phone,
+      From: process.env.TWILIO_PHONE_NUMBER,
+      Body: text
+    }).toString()
+  });
+
+  const data = await response.json().catch(() => ({}));
+
+  if (!response.ok) {
+    throw new Error(`Twilio send failed: ${data.message || response.statusText}`);
+  }
+
+  return { messageId: data.sid };
+};
+
+module.exports = {
+  name: 'twilio',
+  channel: 'sms',
+  isConfigured,
+  send
+};
@@ -0,0 +1,263 @@
+const Inquiry = require('../models/Inquiry');
+const RelaySession = require('../models/RelaySession');
+const inquiryService = require('./inquiryService');
+const notificationService = require('./notificationService');
+
+/**
+ * Relay Service
+ * Masked WhatsApp chats about an inquiry: while a phone is in an active relay
+ * session, its text messages are forwarded from the Propabridge number to the
+ * other side instead of going to the bot. A phone in several chats (a landlord
+ * with two tenants) starts each message with the chat number, e.g. '#12 Yes'.
+ * Every relayed message is kept in the inquiry's transcript (inquiry_messages,
+ * channel 'relay').
+ */
+
+// Typed commands while relaying (compared case-insensitively)
+const END_COMMANDS = ['end', 'end chat', 'end relay', 'stop chat', 'exit chat'];
+const SHARE_COMMANDS = ['share contact', 'share number', 'share my number'];
+
+const MAX_RELAY_LENGTH = 2000;
+
+// '#12 text', 'chat #12: text'
+const CHAT_PREFIX = /^\s*(?:chat\s*)?#(\d+)\s*[:,-]?\s*([\s\S]*)$/i;
+
+/**
+ * Strip a phone number to the digits WhatsApp uses
+ * @param {string} phone - Phone number in any format
+ * @returns {string} - Digits only
+ */
+const digits = (phone) => String(phone || '').replace(/[^0-9]/g, '');
+
+/**
+ * Which side of an inquiry a WhatsApp number is on
+ * @param {object} inquiry - Inquiry row
+ * @param {string} phone - Sender phone number (digits only)
+ * @returns {string|null} - 'tenant', 'owner' or null
+ */
+const partyByPhone = (inquiry, phone) => {
+  if (digits(inquiry.phone) === phone) return 'tenant';
+  if (digits(inquiry.owner_phone) === phone) return 'owner';
+  return null;
+};
+
+/**
+ * Label for one side in messages to the other
+ * @param {string} role - 'tenant' or 'owner'
+ * @returns {string}
+ */
+const roleLabel = (role) => (role === 'owner' ? 'Landlord' : 'Tenant');
+
+/**
+ * Start (or rejoin) the relay for an inquiry
+ * @param {number} inquiryId - Inquiry ID
+ * @param {string} phone - Sender phone number (digits only)
+ * @returns {Promise<string|object>} - Reply for the sender
+ */
+const start = async (inquiryId, phone) => {
+  const inquiry = await Inquiry.findById(inquiryId);
+  const role = inquiry && partyByPhone(inquiry, phone);
+  if (!role) return "⚠️ I couldn't find that conversation.";
+
+  if (inquiry.status === 'closed') {
+    return '⚠️ This inquiry has been closed, so the chat can\'t be reopened.';
+  }
+  if (!inquiry.owner_phone) {
+    return "⚠️ The landlord can't be reached on WhatsApp yet. They'll see your message in their inbox on propabridge.ng.";
+  }
+
+  const existing = await RelaySession.findActiveByInquiry(inquiry.id);
+  const session = existing || await RelaySession.start({
+    inquiryId: inquiry.id,
+    tenantPhone: digits(inquiry.phone),
+    ownerPhone: digits(inquiry.owner_phone),
+    startedBy: role
+  });
+  const about = `Property ${inquiry.property_id} (${inquiry.property_type} in ${inquiry.property_location})`;
+
+  if (!existing) {
+    const otherPhone = role === 'tenant' ? session.owner_phone : session.tenant_phone;
+    await notificationService.notifyUser(otherPhone, {
+      type: 'relay_actions',
+      inquiryId: inquiry.id,
+      actions: ['end', 'share'],
+      summary: `🔒 The ${roleLabel(role).toLowerCase()} started a private chat about ${about}.\n\n` +
+        'Messages you send here now go to them through Propabridge, and your number stays hidden. Send END CHAT to stop.'
+    });
+  }
+
+  return {
+    type: 'relay_actions',
+    inquiryId: inquiry.id,
+    actions: ['end', 'share'],
+    summary: `🔒 You're now chatting privately about ${about}.\n\n` +
+      'Type your message and I\'ll pass it on — neither of you sees the other\'s number. Send END CHAT to go back to the assistant.'
+  };
+};
+
+/**
+ * End a relay session, telling the other side
+ * @param {object} session - Relay session
+ * @param {string} role - Side ending it
+ * @returns {Promise<string>} - Reply for the sender
+ */
+const end = async (session, role) => {
+  const ended = await RelaySession.end(session.id, role);
+  if (ended) {
+    const otherPhone = role === 'tenant' ? session.owner_phone : session.tenant_phone;
+    await notificationService.notifyUser(otherPhone,
+      `🔒 The ${roleLabel(role).toLowerCase()} ended the private chat (inquiry #${session.inquiry_id}). You're back with the Propabridge assistant.`);
+  }
+  return "👋 Private chat ended. You're back with the Propabridge assistant — how can I help?";
+};
+
+/**
+ * Agree to share phone numbers with the other side
+ * @param {object} inquiry - Inquiry row
+ * @param {string} role - Side agreeing
+ * @returns {Promise<string>} - Reply for the sender
+ */
+const shareContact = async (inquiry, role) => {
+  const { shared } = await inquiryService.recordContactConsent(inquiry, role);
+  return shared
+    ? '📇 Numbers shared — I\'ve sent you both each other\'s contact details.'
+    : "📇 Got it. I'll share your numbers as soon as the other side agrees too.";
+};
+
+/**
+ * Forward a message to the other side and add it to the transcript
+ * @param {object} session - Relay session
+ * @param {object} inquiry - Inquiry row
+ * @param {string} role - Sender's side
+ * @param {string} text - Message text
+ * @returns {Promise<string|null>} - Reply for the sender (null when delivered)
+ */
+const forward = async (session, inquiry, role, text) => {
+  const body = text.trim().slice(0, MAX_RELAY_LENGTH);
+  const otherPhone = role === 'tenant' ? session.owner_phone : session.tenant_phone;
+
+  await Inquiry.addMessage(inquiry.id, {
+    senderRole: role,
+    senderId: role === 'tenant' ? inquiry.user_id : inquiry.owner_id,
+    body,
+    channel: 'relay',
+    status: role === 'owner' ? 'responded' : 'pending'
+  });
+  await RelaySession.touch(session.id);
+
+  // Someone in several chats needs the number to answer this one
+  const otherChats = await RelaySession.findActiveByPhone(otherPhone);
+  const replyHint = otherChats.length > 1 ? `\n\n_Start your reply with #${inquiry.id}_` : '';
+
+  const delivered = await notificationService.notifyUser(otherPhone,
+    `💬 *${roleLabel(role)}* · Property ${inquiry.property_id} (chat #${inquiry.id}):\n${body}${replyHint}`);
+
+  return delivered
+    ? null
+    : "⚠️ I couldn't deliver that just now. It's saved in the conversation and they'll see it in their inbox on propabridge.ng.";
+};
+
+/**
+ * Which of a phone's chats a message is for
+ * A chat number prefix picks the chat; without one, a phone in a single chat
+ * uses it and a phone in several gets asked to pick
+ * @param {array} sessions - The phone's active sessions
+ * @param {string} text - Message text
+ * @returns {object} - { session, text } with the prefix removed, or { session: null }
+ */
+const pickSession = (sessions, text) => {
+  const match = text.match(CHAT_PREFIX);
+  const prefixed = match && sessions.find(session => session.inquiry_id === parseInt(match[1], 10));
+  if (prefixed) return { session: prefixed, text: match[2] };
+  if (sessions.length === 1) return { session: sessions[0], text };
+  return { session: null };
+};
+
+/**
+ * Ask a phone in several chats which one a message is for
+ * @param {array} sessions - The phone's active sessions
+ * @returns {Promise<string>}
+ */
+const askWhichChat = async (sessions) => {
+  const lines = [];
+  for (const session of sessions) {
+    const inquiry = await Inquiry.findById(session.inquiry_id);
+    lines.push(inquiry
+      ? `• #${inquiry.id}: Property ${inquiry.property_id} (${inquiry.property_type} in ${inquiry.property_location})`
+      : `• #${session.inquiry_id}`);
+  }
+  return `💬 You're in more than one private chat. Start your message with the chat number so it reaches the right person, e.g. '#${sessions[0].inquiry_id} Is it still available?' or '#${sessions[0].inquiry_id} END CHAT'.\n\n${lines.join('\n')}`;
+};
+
+/**
+ * Handle an inbound text message if the sender is in a relay
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {string} text - Message text
+ * @returns {Promise<object|null>} - { intent, response } or null when the sender isn't relaying
+ */
+const handleInbound = async (phone, text) => {
+  const sessions = await RelaySession.findActiveByPhone(phone);
+  if (sessions.length === 0) return null;
+
+  const picked = pickSession(sessions, text);
+  if (!picked.session) {
+    return { intent: 'relay', response: await askWhichChat(sessions) };
+  }
+  const { session } = picked;
+
+  const inquiry = await Inquiry.findById(session.inquiry_id);
+  const role = inquiry && partyByPhone(inquiry, phone);
+  if (!role) {
+    await RelaySession.end(session.id, 'system');
+    return null;
+  }
+
+  const command = picked.text.trim().toLowerCase();
+  if (END_COMMANDS.includes(command)) {
+    return { intent: 'relay_end', response: await end(session, role) };
+  }
+  if (SHARE_COMMANDS.includes(command)) {
+    return { intent: 'share_contact', response: await shareContact(inquiry, role) };
+  }
+  if (!command) {
+    return { intent: 'relay', response: null };
+  }
+
+  return { intent: 'relay', response: await forward(session, inquiry, role, picked.text) };
+};
+
+/**
+ * Handle a relay button (Chat privately, End chat, Share my number)
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {object} reply - From whatsappRenderer.parseInteractiveReply
+ * @returns {Promise<string|object>} - Reply for the sender
+ */
+const handleWhatsAppReply = async (phone, reply) => {
+  if (reply.action === 'relay_start') {
+    return start(reply.inquiryId, phone);
+  }
+
+  const inquiry = await Inquiry.findById(reply.inquiryId);
+  const role = inquiry && partyByPhone(inquiry, phone);
+  if (!role) return "⚠️ I couldn't find that conversation.";
+
+  if (reply.action === 'relay_share') {
+    return shareContact(inquiry, role);
+  }
+
+  if (reply.action === 'relay_end') {
+    const session = await RelaySession.findActiveByInquiry(inquiry.id);
+    if (!session) return "👍 That chat has already ended.";
+    return end(session, role);
+  }
+
+  return "🤔 Sorry, I didn't understand that.";
+};
+
+module.exports = {
+  END_COMMANDS,
+  SHARE_COMMANDS,
+  start,
+  handleInbound,
+  handleWhatsAppReply
+};
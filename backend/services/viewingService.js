@@ -0,0 +1,575 @@
+const Viewing = require('../models/Viewing');
+const Property = require('../models/Property');
+const authService = require('./authService');
+const notificationService = require('./notificationService');
+const { partyFor: findParty } = require('../utils/parties');
+
+/**
+ * Viewing Service
+ * Slot generation from weekly availability windows, booking, two-sided
+ * confirmation, reschedules, cancellations, no-shows and day-before reminders
+ */
+
+// Availability windows are in Nigerian time (WAT, UTC+1, no daylight saving)
+const WAT_OFFSET_MINUTES = 60;
+const TIME_ZONE = 'Africa/Lagos';
+
+const SLOT_DAYS_AHEAD = parseInt(process.env.VIEWING_SLOT_DAYS_AHEAD || '14', 10);
+const MIN_NOTICE_HOURS = parseInt(process.env.VIEWING_MIN_NOTICE_HOURS || '2', 10);
+const REMINDER_HOURS_BEFORE = parseInt(process.env.VIEWING_REMINDER_HOURS_BEFORE || '24', 10);
+const WORKER_INTERVAL_MS = parseInt(process.env.VIEWING_WORKER_INTERVAL_MS || String(15 * 60 * 1000), 10);
+
+const SLOT_LENGTHS = [15, 30, 45, 60, 90, 120];
+
+let timer = null;
+
+/**
+ * Format a viewing time for messages, in Nigerian time
+ * @param {Date|string} date - Viewing time
+ * @returns {string} - e.g. 'Tue, 21 Oct, 10:30'
+ */
+const formatSlot = (date) => new Date(date).toLocaleString('en-NG', {
+  timeZone: TIME_ZONE,
+  weekday: 'short',
+  day: 'numeric',
+  month: 'short',
+  hour: 'numeric',
+  minute: '2-digit'
+});
+
+/**
+ * Minutes since midnight for a 'HH:MM' or 'HH:MM:SS' time
+ * @param {string} time - Time of day
+ * @returns {number|null}
+ */
+const toMinutes = (time) => {
+  const match = /^([01]\d|2[0-3]):([0-5]\d)(?::[0-5]\d)?$/.exec(String(time || ''));
+  return match ? parseInt(match[1], 10) * 60 + parseInt(match[2], 10) : null;
+};
+
+/**
+ * Open slots for a property over the coming days
+ * Slots already held by a requested or confirmed viewing are left out
+ * @param {number} propertyId - Property ID
+ * @param {object} [options]
+ * @param {number} [options.days] - How many days ahead to look
+ * @returns {Promise<array>} - [{ startsAt, durationMinutes, label }] in time order
+ */
+const getAvailableSlots = async (propertyId, { days = SLOT_DAYS_AHEAD } = {}) => {
+  const windows = await Viewing.getAvailability(propertyId);
+  if (windows.length === 0) return [];
+
+  const now = Date.now();
+  const earliest = now + MIN_NOTICE_HOURS * 60 * 60 * 1000;
+  const latest = now + (days + 1) * 24 * 60 * 60 * 1000;
+
+  const booked = new Set(
+    (await Viewing.findBookedTimes(propertyId, new Date(now), new Date(latest))).map(date => new Date(date).getTime())
+  );
+
+  // "Today" in Nigeria, as a UTC date whose Y/M/D fields are the local date
+  const localToday = new Date(now + WAT_OFFSET_MINUTES * 60 * 1000);
+  const slots = [];
+
+  for (let d = 0; d <= days; d++) {
+    const day = new Date(Date.UTC(localToday.getUTCFullYear(), localToday.getUTCMonth(), localToday.getUTCDate() + d));
+
+    windows
+      .filter(window => window.day_of_week === day.getUTCDay())
+      .forEach(window => {
+        const start = toMinutes(window.start_time);
+        const end = toMinutes(window.end_time);
+
+        for (let minute = start; minute + window.slot_minutes <= end; minute += window.slot_minutes) {
+          const startsAt = day.getTime() + (minute - WAT_OFFSET_MINUTES) * 60 * 1000;
+          if (startsAt < earliest || booked.has(startsAt)) continue;
+
+          slots.push({
+            startsAt: new Date(startsAt),
+            durationMinutes: window.slot_minutes,
+            label: formatSlot(startsAt)
+          });
+        }
+      });
+  }
+
+  return slots.sort((a, b) => a.startsAt - b.startsAt);
+};
+
+/**
+ * Find the open slot starting at a given time
+ * @param {number} propertyId - Property ID
+ * @param {Date|string|number} startsAt - Requested start time
+ * @returns {Promise<object|null>} - Slot, or null if that time isn't bookable
+ */
+const findSlot = async (propertyId, startsAt) => {
+  const time = new Date(startsAt).getTime();
+  if (isNaN(time)) return null;
+
+  const slots = await getAvailableSlots(propertyId);
+  return slots.find(slot => slot.startsAt.getTime() === time) || null;
+};
+
+/**
+ * Weekly availability windows for a property
+ * @param {number} propertyId - Property ID
+ * @returns {Promise<array>} - [{ id, day_of_week, start_time, end_time, slot_minutes }]
+ */
+const getAvailability = (propertyId) => Viewing.getAvailability(propertyId);
+
+/**
+ * Validate and replace a property's weekly availability windows
+ * @param {number} propertyId - Property ID
+ * @param {array} windows - [{ dayOfWeek (0 = Sunday), startTime 'HH:MM', endTime 'HH:MM', slotMinutes }]
+ * @param {number} userId - User setting the windows
+ * @returns {Promise<object>} - { success, availability } or { success: false, error, message }
+ */
+const setAvailability = async (propertyId, windows, userId) => {
+  if (!Array.isArray(windows)) {
+    return { success: false, error: 'invalid', message: 'windows must be a list' };
+  }
+
+  const cleaned = [];
+  for (const [i, window] of windows.entries()) {
+    const dayOfWeek = Number(window.dayOfWeek);
+    const start = toMinutes(window.startTime);
+    const end = toMinutes(window.endTime);
+    const slotMinutes = window.slotMinutes === undefined ? 30 : Number(window.slotMinutes);
+
+    if (!Number.isInteger(dayOfWeek) || dayOfWeek < 0 || dayOfWeek > 6) {
+      return { success: false, error: 'invalid', message: `Window ${i + 1}: dayOfWeek must be 0 (Sunday) to 6 (Saturday)` };
+    }
+    if (start === null || end === null || end <= start) {
+      return { success: false, error: 'invalid', message: `Window ${i + 1}: startTime and endTime must be HH:MM with endTime after startTime` };
+    }
+    if (!SLOT_LENGTHS.includes(slotMinutes)) {
+      return { success: false, error: 'invalid', message: `Window ${i + 1}: slotMinutes must be one of ${SLOT_LENGTHS.join(', ')}` };
+    }
+    if (end - start < slotMinutes) {
+      return { success: false, error: 'invalid', message: `Window ${i + 1}: window is shorter than one slot` };
+    }
+
+    cleaned.push({ dayOfWeek, startTime: window.startTime, endTime: window.endTime, slotMinutes });
+  }
+
+  const availability = await Viewing.replaceAvailability(propertyId, cleaned, userId);
+  return { success: true, availability };
+};
+
+/**
+ * Which side of a viewing a user is on
+ * @param {object} viewing - Viewing row
+ * @param {object} user - User
+ * @returns {string|null} - 'tenant', 'landlord' or null
+ */
+const partyFor = (viewing, user) =>
+  findParty(user, { tenantId: viewing.tenant_id, ownerId: viewing.landlord_id }, 'landlord');
+
+/**
+ * Phone number of the other side of a viewing
+ * @param {object} viewing - Viewing row
+ * @param {string} party - 'tenant' or 'landlord'
+ * @returns {string|null}
+ */
+const otherPartyPhone = (viewing, party) => (
+  party === 'tenant' ? viewing.landlord_phone : (viewing.tenant_user_phone || viewing.tenant_phone)
+);
+
+/**
+ * One-line description of a viewing for messages
+ * @param {object} viewing - Viewing row
+ * @returns {string}
+ */
+const describeViewing = (viewing) => (
+  `${viewing.property_type} in ${viewing.property_location} (Property ${viewing.property_id}) on ${formatSlot(viewing.scheduled_at)}`
+);
+
+/**
+ * Load a viewing and check the user is part of it
+ * @param {number} viewingId - Viewing ID
+ * @param {object} user - User
+ * @returns {Promise<object>} - { viewing, party } or a failed result
+ */
+const loadForUser = async (viewingId, user) => {
+  const viewing = await Viewing.findById(viewingId);
+  if (!viewing) {
+    return { success: false, error: 'not_found', message: 'Viewing not found' };
+  }
+
+  const party = partyFor(viewing, user);
+  if (!party) {
+    return { success: false, error: 'forbidden', message: 'You are not part of this viewing' };
+  }
+
+  return { viewing, party };
+};
+
+/**
+ * Book a viewing in an open slot
+ * The tenant confirms by booking; the landlord is asked to confirm on WhatsApp
+ * @param {object} params
+ * @param {number} params.propertyId - Property ID
+ * @param {Date|string|number} params.startsAt - Slot start time
+ * @param {object} params.tenant - Booking user ({ id, phone })
+ * @param {string} [params.notes] - Note for the landlord
+ * @param {string} [params.source] - 'web' or 'whatsapp'
+ * @returns {Promise<object>} - { success, viewing } or { success: false, error, message }
+ */
+const book = async ({ propertyId, startsAt, tenant, notes, source = 'web' }) => {
+  const property = await Property.findById(propertyId);
+  if (!property || property.status !== 'active') {
+    return { success: false, error: 'not_found', message: 'Property not found or not available for viewings' };
+  }
+
+  if (property.user_id === tenant.id) {
+    return { success: false, error: 'invalid', message: "You can't book a viewing of your own property" };
+  }
+
+  const slot = await findSlot(propertyId, startsAt);
+  if (!slot) {
+    return { success: false, error: 'conflict', message: 'That time is no longer available. Please pick another slot.' };
+  }
+
+  let viewing;
+  try {
+    viewing = await Viewing.create({
+      propertyId: property.id,
+      tenantId: tenant.id,
+      tenantPhone: tenant.phone,
+      landlordId: property.user_id,
+      scheduledAt: slot.startsAt,
+      durationMinutes: slot.durationMinutes,
+      notes: notes ? String(notes).slice(0, 500) : null,
+      source
+    });
+  } catch (error) {
+    // Unique index on active (property, time): someone else got there first
+    if (error.code === '23505') {
+      return { success: false, error: 'conflict', message: 'That time was just booked. Please pick another slot.' };
+    }
+    throw error;
+  }
+
+  console.log(`📅 Viewing ${viewing.id} requested for property ${property.id} at ${slot.startsAt.toISOString()}`);
+
+  await notificationService.notifyUser(viewing.landlord_phone, {
+    type: 'viewing_actions',
+    viewingId: viewing.id,
+    actions: ['confirm', 'decline'],
+    summary: `📅 New viewing request: ${describeViewing(viewing)}` +
+      `${viewing.tenant_name ? ` from ${viewing.tenant_name}` : ''}.` +
+      `${viewing.notes ? `\n\n📝 "${viewing.notes}"` : ''}\n\nCan you make it?`
+  });
+
+  return { success: true, viewing };
+};
+
+/**
+ * Confirm a viewing for the user's side; it is confirmed once both sides have
+ * @param {number} viewingId - Viewing ID
+ * @param {object} user - Confirming user
+ * @returns {Promise<object>} - { success, viewing } or { success: false, error, message }
+ */
+const confirm = async (viewingId, user) => {
+  const loaded = await loadForUser(viewingId, user);
+  if (!loaded.viewing) return loaded;
+  const { viewing, party } = loaded;
+
+  if (!Viewing.ACTIVE_STATUSES.includes(viewing.status)) {
+    return { success: false, error: 'invalid', message: `This viewing is ${viewing.status}` };
+  }
+
+  const column = party === 'tenant' ? 'tenant_confirmed_at' : 'landlord_confirmed_at';
+  if (viewing[column]) {
+    return { success: true, viewing };
+  }
+
+  const otherConfirmed = party === 'tenant' ? viewing.landlord_confirmed_at : viewing.tenant_confirmed_at;
+  const updated = await Viewing.update(viewing.id, {
+    [column]: new Date(),
+    status: otherConfirmed ? 'confirmed' : 'requested'
+  });
+
+  if (updated.status === 'confirmed') {
+    await notificationService.notifyUser(otherPartyPhone(updated, party),
+      `✅ Viewing confirmed: ${describeViewing(updated)}. We'll send you a reminder the day before.`);
+  }
+
+  return { success: true, viewing: updated };
+};
+
+/**
+ * Cancel a viewing (a landlord declining a request is a cancellation too)
+ * @param {number} viewingId - Viewing ID
+ * @param {object} user - Cancelling user
+ * @param {string} [reason] - Reason shown to the other side
+ * @returns {Promise<object>} - { success, viewing } or { success: false, error, message }
+ */
+const cancel = async (viewingId, user, reason) => {
+  const loaded = await loadForUser(viewingId, user);
+  if (!loaded.viewing) return loaded;
+  const { viewing, party } = loaded;
+
+  if (!Viewing.ACTIVE_STATUSES.includes(viewing.status)) {
+    return { success: false, error: 'invalid', message: `This viewing is already ${viewing.status}` };
+  }
+
+  const updated = await Viewing.update(viewing.id, {
+    status: 'cancelled',
+    cancelled_by: party,
+    cancel_reason: reason ? String(reason).slice(0, 500) : null
+  });
+
+  const who = party === 'tenant' ? 'The tenant' : 'The landlord';
+  await notificationService.notifyUser(otherPartyPhone(updated, party),
+    `❌ ${who} cancelled the viewing of ${describeViewing(updated)}.${updated.cancel_reason ? `\nReason: ${updated.cancel_reason}` : ''}`);
+
+  return { success: true, viewing: updated };
+};
+
+/**
+ * Move a viewing to another open slot
+ * The side that moves it confirms the new time; the other side must confirm again
+ * @param {number} viewingId - Viewing ID
+ * @param {object} user - Rescheduling user
+ * @param {Date|string|number} startsAt - New slot start time
+ * @returns {Promise<object>} - { success, viewing } or { success: false, error, message }
+ */
+const reschedule = async (viewingId, user, startsAt) => {
+  const loaded = await loadForUser(viewingId, user);
+  if (!loaded.viewing) return loaded;
+  const { viewing, party } = loaded;
+
+  if (!Viewing.ACTIVE_STATUSES.includes(viewing.status)) {
+    return { success: false, error: 'invalid', message: `This viewing is ${viewing.status}` };
+  }
+
+  const slot = await findSlot(viewing.property_id, startsAt);
+  if (!slot) {
+    return { success: false, error: 'conflict', message: 'That time is not available. Please pick another slot.' };
+  }
+
+  let updated;
+  try {
+    updated = await Viewing.update(viewing.id, {
+      scheduled_at: slot.startsAt,
+      status: 'requested',
+      tenant_confirmed_at: party === 'tenant' ? new Date() : null,
+      landlord_confirmed_at: party === 'landlord' ? new Date() : null,
+      reschedule_count: viewing.reschedule_count + 1,
+      reminder_sent_at: null
+    });
+  } catch (error) {
+    if (error.code === '23505') {
+      return { success: false, error: 'conflict', message: 'That time was just booked. Please pick another slot.' };
+    }
+    throw error;
+  }
+
+  const who = party === 'tenant' ? 'The tenant' : 'The landlord';
+  await notificationService.notifyUser(otherPartyPhone(updated, party), {
+    type: 'viewing_actions',
+    viewingId: updated.id,
+    actions: party === 'tenant' ? ['confirm', 'decline'] : ['confirm', 'reschedule', 'cancel'],
+    summary: `🔄 ${who} moved the viewing of ${updated.property_type} in ${updated.property_location} ` +
+      `from ${formatSlot(viewing.scheduled_at)} to ${formatSlot(updated.scheduled_at)}. Does the new time work for you?`
+  });
+
+  return { success: true, viewing: updated };
+};
+
+/**
+ * Record how a viewing went, once its time has passed
+ * The landlord side marks it completed; either side can report that the other didn't show up
+ * @param {number} viewingId - Viewing ID
+ * @param {object} user - Reporting user
+ * @param {string} outcome - 'completed' or 'no_show'
+ * @returns {Promise<object>} - { success, viewing } or { success: false, error, message }
+ */
+const recordOutcome = async (viewingId, user, outcome) => {
+  const loaded = await loadForUser(viewingId, user);
+  if (!loaded.viewing) return loaded;
+  const { viewing, party } = loaded;
+
+  if (viewing.status !== 'confirmed') {
+    return { success: false, error: 'invalid', message: 'Only confirmed viewings can be marked as completed or missed' };
+  }
+  if (new Date(viewing.scheduled_at).getTime() > Date.now()) {
+    return { success: false, error: 'invalid', message: "This viewing hasn't happened yet" };
+  }
+
+  if (outcome === 'completed') {
+    if (party !== 'landlord') {
+      return { success: false, error: 'forbidden', message: 'Only the landlord or agent can mark a viewing as completed' };
+    }
+    return { success: true, viewing: await Viewing.update(viewing.id, { status: 'completed' }) };
+  }
+
+  const updated = await Viewing.update(viewing.id, {
+    status: 'no_show',
+    no_show_party: party === 'tenant' ? 'landlord' : 'tenant'
+  });
+  console.log(`⚠️ Viewing ${viewing.id}: ${updated.no_show_party} did not show up (reported by ${party})`);
+
+  return { success: true, viewing: updated };
+};
+
+/**
+ * Viewings for a user, as tenant or landlord
+ * @param {object} user - User
+ * @param {object} [options] - { includePast }
+ * @returns {Promise<array>} - Viewings with a 'role' field for the user's side
+ */
+const listForUser = async (user, options = {}) => {
+  const viewings = await Viewing.findForUser(user.id, options);
+  return viewings.map(viewing => ({ ...viewing, role: partyFor(viewing, user) }));
+};
+
+/**
+ * Send day-before reminders to both sides and expire unanswered requests
+ * @returns {Promise<object>} - { reminded, expired }
+ */
+const runReminders = async () => {
+  const due = await Viewing.claimDueReminders(REMINDER_HOURS_BEFORE);
+
+  for (const viewing of due) {
+    const reminder = `⏰ Reminder: viewing of ${describeViewing(viewing)}.`;
+
+    await notificationService.notifyUser(viewing.tenant_user_phone || viewing.tenant_phone, {
+      type: 'viewing_actions',
+      viewingId: viewing.id,
+      actions: ['reschedule', 'cancel'],
+      summary: `${reminder}\n\nCan't make it? Reschedule or cancel below.`
+    });
+    await notificationService.notifyUser(viewing.landlord_phone, {
+      type: 'viewing_actions',
+      viewingId: viewing.id,
+      actions: ['reschedule', 'cancel'],
+      summary: `${reminder}${viewing.tenant_name ? `\nTenant: ${viewing.tenant_name}` : ''}\n\nCan't make it? Reschedule or cancel below.`
+    });
+  }
+
+  const expired = await Viewing.expireUnconfirmed();
+
+  if (due.length > 0 || expired > 0) {
+    console.log(`📅 Viewing reminders sent: ${due.length}, unconfirmed requests expired: ${expired}`);
+  }
+
+  return { reminded: due.length, expired };
+};
+
+/**
+ * Slot picker response for a property (WhatsApp list, or slots for the web chat)
+ * @param {number} propertyId - Property ID
+ * @param {number} [viewingId] - Set when picking a new time for an existing viewing
+ * @returns {Promise<string|object>} - Text when nothing is bookable, else a 'viewing_slots' response
+ */
+const getSlotsResponse = async (propertyId, viewingId = null) => {
+  const property = await Property.findById(propertyId);
+  if (!property || property.status !== 'active') {
+    return `😔 I couldn't find Property ${propertyId}. Please check the Property ID and try again.`;
+  }
+
+  const slots = await getAvailableSlots(property.id);
+  if (slots.length === 0) {
+    return `📅 The landlord of Property ${property.id} hasn't opened any viewing times yet. Please check back soon.`;
+  }
+
+  return {
+    type: 'viewing_slots',
+    propertyId: property.id,
+    viewingId,
+    slots,
+    summary: `📅 Pick a time to view the ${property.type} in ${property.location} (Property ${property.id}).`
+  };
+};
+
+/**
+ * Handle a viewing button or list reply from WhatsApp
+ * @param {string} phone - Sender phone number (digits only)
+ * @param {object} reply - From whatsappRenderer.parseInteractiveReply
+ * @returns {Promise<string|object>} - Reply for the sender
+ */
+const handleWhatsAppReply = async (phone, reply) => {
+  const user = await authService.findWhatsAppUser(phone);
+
+  if (reply.action === 'viewing_slot') {
+    const result = await book({ propertyId: reply.propertyId, startsAt: reply.slot, tenant: user, source: 'whatsapp' });
+    if (!result.success) return `⚠️ ${result.message}`;
+    return `📅 Viewing requested: ${describeViewing(result.viewing)}.\n\nI've asked the landlord to confirm and will message you when they do.`;
+  }
+
+  if (reply.action === 'viewing_reschedule') {
+    const loaded = await loadForUser(reply.viewingId, user);
+    if (!loaded.viewing) return `⚠️ ${loaded.message}`;
+    return getSlotsResponse(loaded.viewing.property_id, loaded.viewing.id);
+  }
+
+  let result;
+  switch (reply.action) {
+    case 'viewing_move':
+      result = await reschedule(reply.viewingId, user, reply.slot);
+      break;
+    case 'viewing_confirm':
+      result = await confirm(reply.viewingId, user);
+      break;
+    case 'viewing_decline':
+    case 'viewing_cancel':
+      result = await cancel(reply.viewingId, user);
+      break;
+    default:
+      return "🤔 Sorry, I didn't understand that.";
+  }
+
+  if (!result.success) return `⚠️ ${result.message}`;
+
+  const { viewing } = result;
+  switch (reply.action) {
+    case 'viewing_move':
+      return `🔄 Viewing moved to ${formatSlot(viewing.scheduled_at)}. I'll let you know once it's confirmed.`;
+    case 'viewing_confirm':
+      return viewing.status === 'confirmed'
+        ? `✅ Viewing confirmed: ${describeViewing(viewing)}. We'll remind you the day before.`
+        : "👍 Thanks! Waiting for the other side to confirm.";
+    default:
+      return `❌ Viewing of ${describeViewing(viewing)} cancelled.`;
+  }
+};
+
+/**
+ * Start the reminder worker
+ */
+const start = () => {
+  if (timer) return;
+
+  const run = () => runReminders().catch(error => console.error('Error sending viewing reminders:', error));
+  run();
+  timer = setInterval(run, WORKER_INTERVAL_MS);
+  console.log('⏰ Viewing reminder worker started');
+};
+
+/**
+ * Stop the reminder worker
+ */
+const stop = () => {
+  clearInterval(timer);
+  timer = null;
+};
+
+module.exports = {
+  formatSlot,
+  getAvailability,
+  getAvailableSlots,
+  setAvailability,
+  book,
+  confirm,
+  cancel,
+  reschedule,
+  recordOutcome,
+  listForUser,
+  runReminders,
+  getSlotsResponse,
+  handleWhatsAppReply,
+  start,
+  stop
+};
@@ -0,0 +1,110 @@
+const crypto = require('crypto');
+const { query } = require('../config/db');
+
+/**
+ * Webhook Security Service
+ * Signature checks and replay protection for WhatsApp (Meta) webhooks
+ */
+
+// Payloads whose newest event is older than this are treated as stale
+const WEBHOOK_MAX_AGE_SECONDS = parseInt(process.env.WEBHOOK_MAX_AGE_SECONDS || '900', 10);
+
+/**
+ * Check an X-Hub-Signature-256 header against the raw request body
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @param {string} signatureHeader - Header value, 'sha256=<hex>'
+ * @param {string} appSecret - Meta app secret
+ * @returns {boolean} - Whether the signature matches
+ */
+const verifySignature = (rawBody, signatureHeader, appSecret) => {
+  if (!rawBody || !signatureHeader || !signatureHeader.startsWith('sha256=')) {
+    return false;
+  }
+
+  const expected = crypto.createHmac('sha256', appSecret).update(rawBody).digest();
+  const received = Buffer.from(signatureHeader.slice('sha256='.length), 'hex');
+
+  return received.length === expected.length && crypto.timingSafeEqual(received, expected);
+};
+
+/**
+ * Get the newest event timestamp (messages and statuses) in a webhook payload
+ * @param {object} body - Parsed webhook payload
+ * @returns {number|null} - Unix timestamp in seconds, or null if the payload has none
+ */
+const getNewestEventTimestamp = (body) => {
+  const timestamps = [];
+
+  (body.entry || []).forEach(entry => {
+    (entry.changes || []).forEach(change => {
+      const value = change.value || {};
+      [...(value.messages || []), ...(value.statuses || [])].forEach(event => {
+        const timestamp = parseInt(event.timestamp, 10);
+        if (Number.isFinite(timestamp)) timestamps.push(timestamp);
+      });
+    });
+  });
+
+  return timestamps.length > 0 ? Math.max(...timestamps) : null;
+};
+
+/**
+ * Whether a payload's events are older than WEBHOOK_MAX_AGE_SECONDS
+ * @param {object} body - Parsed webhook payload
+ * @returns {boolean}
+ */
+const isStale = (body) => {
+  const newest = getNewestEventTimestamp(body);
+  if (newest === null) return false;
+  return Date.now() / 1000 - newest > WEBHOOK_MAX_AGE_SECONDS;
+};
+
+/**
+ * SHA-256 of a payload, as stored in webhook_receipts
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {string}
+ */
+const hashPayload = (rawBody) => crypto.createHash('sha256').update(rawBody).digest('hex');
+
+/**
+ * Record a payload as received
+ * Receipts only need to outlive the staleness window, since anything older is
+ * rejected as stale anyway, so older receipts are pruned on the way in
+ * @param {Buffer} rawBody - Request body exactly as received
+ * @returns {Promise<boolean>} - false if this exact payload was already received
+ */
+const recordReceipt = async (rawBody) => {
+  const payloadHash = hashPayload(rawBody);
+
+  await query(
+    'DELETE FROM webhook_receipts WHERE received_at < NOW() - make_interval(secs => $1)',
+    [WEBHOOK_MAX_AGE_SECONDS * 2]
+  );
+
+  const result = await query(
+    `INSERT INTO webhook_receipts (payload_hash)
+     VALUES ($1)
+     ON CONFLICT (payload_hash) DO NOTHING
+     RETURNING payload_hash`,
+    [payloadHash]
+  );
+
+  return result.rows.length > 0;
+};
+
+/**
+ * Forget a recorded payload, so Meta's retry of it is processed
+ * @param {Buffer} rawBody - Request body exactly as received
+ */
+const forgetReceipt = async (rawBody) => {
+  await query('DELETE FROM webhook_receipts WHERE payload_hash = $1', [hashPayload(rawBody)]);
+};
+
+module.exports = {
+  WEBHOOK_MAX_AGE_SECONDS,
+  verifySignature,
+  getNewestEventTimestamp,
+  isStale,
+  recordReceipt,
+  forgetReceipt
+};
@@ -0,0 +1,319 @@
+const { formatPropertyForWhatsApp } = require('./aiService');
+
+/**
+ * WhatsApp Renderer
+ * Turns aiService responses into WhatsApp Cloud API messages, and maps
+ * interactive replies (list rows and reply buttons) back to intents
+ */
+
+const MAX_LIST_ROWS = 10; // WhatsApp limit per list message
+const RESULT_CARDS = parseInt(process.env.WHATSAPP_RESULT_CARDS || '3', 10);
+const MAX_EXTRA_PHOTOS = 3; // Extra photos sent with property details
+
+// Reply button id prefix -> intent it triggers
+// Ids are '<action>:<propertyId>', '<action>:<viewingId>' for viewing actions,
+// and carry the slot start (unix seconds) as a third part for slot picks
+const BUTTON_INTENTS = {
+  view_details: 'inquire_specific',
+  book_viewing: 'schedule_viewing',
+  more_like_this: 'search',
+  contact_owner: 'contact_landlord',
+  viewing_slot: 'schedule_viewing',
+  viewing_confirm: 'confirm_viewing',
+  viewing_decline: 'cancel_viewing',
+  viewing_cancel: 'cancel_viewing',
+  viewing_reschedule: 'reschedule_viewing',
+  viewing_move: 'reschedule_viewing',
+  relay_start: 'relay_start',
+  relay_end: 'relay_end',
+  relay_share: 'share_contact',
+  offer_accept: 'accept_offer',
+  offer_counter: 'counter_offer',
+  offer_decline: 'decline_offer'
+};
+
+// Actions whose id is a viewing rather than a property
+const VIEWING_ACTIONS = ['viewing_confirm', 'viewing_decline', 'viewing_cancel', 'viewing_reschedule', 'viewing_move'];
+
+// Actions whose id is an inquiry (masked chat between tenant and landlord)
+const RELAY_ACTIONS = ['relay_start', 'relay_end', 'relay_share'];
+
+const RELAY_BUTTONS = {
+  start: { action: 'relay_start', title: 'Chat privately' },
+  end: { action: 'relay_end', title: 'End chat' },
+  share: { action: 'relay_share', title: 'Share my number' }
+};
+
+// Actions whose id is an offer
+const OFFER_ACTIONS = ['offer_accept', 'offer_counter', 'offer_decline'];
+
+const OFFER_BUTTONS = {
+  accept: { action: 'offer_accept', title: 'Accept' },
+  counter: { action: 'offer_counter', title: 'Counter' },
+  decline: { action: 'offer_decline', title: 'Decline' }
+};
+
+const VIEWING_BUTTONS = {
+  confirm: { action: 'viewing_confirm', title: 'Confirm' },
+  decline: { action: 'viewing_decline', title: 'Decline' },
+  reschedule: { action: 'viewing_reschedule', title: 'Reschedule' },
+  cancel: { action: 'viewing_cancel', title: 'Cancel viewing' }
+};
+
+const PROPERTY_BUTTONS = [
+  { action: 'view_details', title: 'View details' },
+  { action: 'book_viewing', title: 'Book viewing' },
+  { action: 'more_like_this', title: 'More like this' }
+];
+
+// Buttons under a single property's details
+const DETAIL_BUTTONS = [
+  { action: 'book_viewing', title: 'Book viewing' },
+  { action: 'contact_owner', title: 'Message landlord' },
+  { action: 'more_like_this', title: 'More like this' }
+];
+
+/**
+ * Cut text to a WhatsApp field limit
+ * @param {string} text - Text to shorten
+ * @param {number} max - Maximum length
+ * @returns {string}
+ */
+const truncate = (text, max) => {
+  const value = String(text || '');
+  return value.length > max ? `${value.slice(0, max - 1)}…` : value;
+};
+
+/**
+ * Resize Cloudinary images to a WhatsApp-friendly JPEG (media must be under 5MB)
+ * @param {string} url - Image URL
+ * @returns {string} - Transformed URL (non-Cloudinary URLs are returned unchanged)
+ */
+const toWhatsAppImageUrl = (url) => {
+  if (!url || !url.includes('res.cloudinary.com') || !url.includes('/upload/')) {
+    return url;
+  }
+  return url.replace('/upload/', '/upload/c_limit,w_1200,f_jpg,q_auto/');
+};
+
+/**
+ * Build the interactive list of results
+ * @param {array} properties - Matched properties
+ * @param {string} summary - Results summary
+ * @returns {object} - { type, content } for sendWhatsAppMessage
+ */
+const buildResultsList = (properties, summary) => ({
+  type: 'interactive',
+  content: {
+    type: 'list',
+    header: { type: 'text', text: 'Property matches' },
+    body: { text: truncate(`${summary}\n\nTap below to pick one, or see the top matches that follow.`, 1024) },
+    footer: { text: 'Propabridge' },
+    action: {
+      button: 'View properties',
+      sections: [{
+        title: 'Top matches',
+        rows: properties.slice(0, MAX_LIST_ROWS).map(property => ({
+          id: `view_details:${property.id}`,
+          title: truncate(`${property.bedrooms} bed ${property.type}`, 24),
+          description: truncate(`${property.location} • ₦${Number(property.price).toLocaleString()}/yr`, 72)
+        }))
+      }]
+    }
+  }
+});
+
+/**
+ * Build the image card (or text card without a photo) for one result
+ * @param {object} property - Property with primaryImage
+ * @param {number} index - 1-based position in the results
+ * @param {string} [text] - Caption to use instead of the result summary
+ * @returns {object} - { type, content } for sendWhatsAppMessage
+ */
+const buildPropertyCard = (property, index, text) => {
+  const caption = truncate(text || formatPropertyForWhatsApp(property, index), 1024);
+  const imageUrl = property.primaryImage?.image_url;
+
+  if (!imageUrl) {
+    return { type: 'text', content: caption };
+  }
+
+  return {
+    type: 'image',
+    content: { link: toWhatsAppImageUrl(imageUrl), caption }
+  };
+};
+
+/**
+ * Build the reply buttons for one result
+ * @param {object} property - Property
+ * @param {array} [buttons] - [{ action, title }], at most 3
+ * @returns {object} - { type, content } for sendWhatsAppMessage
+ */
+const buildPropertyButtons = (property, buttons = PROPERTY_BUTTONS) => ({
+  type: 'interactive',
+  content: {
+    type: 'button',
+    body: { text: `Property ${property.id} in ${truncate(property.location, 60)} — what next?` },
+    action: {
+      buttons: buttons.map(({ action, title }) => ({
+        type: 'reply',
+        reply: { id: `${action}:${property.id}`, title }
+      }))
+    }
+  }
+});
+
+/**
+ * Build the list of open viewing slots
+ * Picking a row books the slot, or moves the viewing when viewingId is set
+ * @param {object} response - 'viewing_slots' response from viewingService
+ * @returns {object} - { type, content } for sendWhatsAppMessage
+ */
+const buildSlotList = (response) => ({
+  type: 'interactive',
+  content: {
+    type: 'list',
+    header: { type: 'text', text: 'Viewing times' },
+    body: { text: truncate(response.summary, 1024) },
+    footer: { text: 'Times are in Nigerian time (WAT)' },
+    action: {
+      button: 'Pick a time',
+      sections: [{
+        title: 'Available times',
+        rows: response.slots.slice(0, MAX_LIST_ROWS).map(slot => {
+          const seconds = Math.floor(new Date(slot.startsAt).getTime() / 1000);
+          return {
+            id: response.viewingId
+              ? `viewing_move:${response.viewingId}:${seconds}`
+              : `viewing_slot:${response.propertyId}:${seconds}`,
+            title: truncate(slot.label, 24),
+            description: `${slot.durationMinutes} minutes`
+          };
+        })
+      }]
+    }
+  }
+});
+
+/**
+ * Build a message with reply buttons that act on one record (a viewing, inquiry or offer)
+ * @param {string} summary - Message text
+ * @param {array} buttons - [{ action, title }], at most 3
+ * @param {number} id - ID carried in each button
+ * @returns {object} - { type, content } for sendWhatsAppMessage
+ */
+const buildActionButtons = (summary, buttons, id) => ({
+  type: 'interactive',
+  content: {
+    type: 'button',
+    body: { text: truncate(summary, 1024) },
+    action: {
+      buttons: buttons.map(({ action, title }) => ({
+        type: 'reply',
+        reply: { id: `${action}:${id}`, title }
+      }))
+    }
+  }
+});
+
+/**
+ * Render an aiService response as the WhatsApp messages to send, in order
+ * @param {string|object} response - Text, or an object of type 'property_results',
+ *   'property_details', 'viewing_slots', 'viewing_actions', 'relay_actions' or 'offer_actions'
+ * @returns {array} - [{ type, content }] for sendWhatsAppMessage(to, content, type)
+ */
+const renderResponse = (response) => {
+  if (!response) return [];
+
+  if (typeof response === 'string') {
+    return [{ type: 'text', content: response }];
+  }
+
+  if (response.type === 'property_results') {
+    const properties = response.properties || [];
+    const messages = [buildResultsList(properties, response.summary)];
+
+    properties.slice(0, RESULT_CARDS).forEach((property, i) => {
+      messages.push(buildPropertyCard(property, i + 1));
+      messages.push(buildPropertyButtons(property));
+    });
+
+    return messages;
+  }
+
+  if (response.type === 'property_details') {
+    const { property } = response;
+    const primaryUrl = property.primaryImage?.image_url;
+    const extraPhotos = (property.images || [])
+      .filter(image => image.image_url && image.image_url !== primaryUrl)
+      .slice(0, MAX_EXTRA_PHOTOS)
+      .map(image => ({ type: 'image', content: { link: toWhatsAppImageUrl(image.image_url) } }));
+
+    return [
+      buildPropertyCard(property, 1, response.summary),
+      ...extraPhotos,
+      buildPropertyButtons(property, DETAIL_BUTTONS)
+    ];
+  }
+
+  if (response.type === 'viewing_slots') {
+    return [buildSlotList(response)];
+  }
+
+  if (response.type === 'viewing_actions') {
+    return [buildActionButtons(response.summary, response.actions.map(name => VIEWING_BUTTONS[name]), response.viewingId)];
+  }
+
+  if (response.type === 'relay_actions') {
+    return [buildActionButtons(response.summary, response.actions.map(name => RELAY_BUTTONS[name]), response.inquiryId)];
+  }
+
+  if (response.type === 'offer_actions') {
+    return [buildActionButtons(response.summary, response.actions.map(name => OFFER_BUTTONS[name]), response.offerId)];
+  }
+
+  // Unknown structured responses fall back to their summary text
+  return [{ type: 'text', content: response.summary || response.text || JSON.stringify(response) }];
+};
+
+/**
+ * Map an interactive reply (button or list row) back to an intent
+ * @param {object} message - Inbound WhatsApp message
+ * @returns {object|null} - { intent, action, propertyId, viewingId, inquiryId, offerId, slot, title } or null if not an interactive reply
+ */
+const parseInteractiveReply = (message) => {
+  if (message.type !== 'interactive' || !message.interactive) return null;
+
+  const reply = message.interactive.button_reply || message.interactive.list_reply;
+  if (!reply || !reply.id) return null;
+
+  const [action, id, slot] = reply.id.split(':');
+  const intent = BUTTON_INTENTS[action];
+  if (!intent) return null;
+
+  // The id is a property unless the action works on a viewing, inquiry or offer
+  let idField = 'propertyId';
+  if (VIEWING_ACTIONS.includes(action)) idField = 'viewingId';
+  if (RELAY_ACTIONS.includes(action)) idField = 'inquiryId';
+  if (OFFER_ACTIONS.includes(action)) idField = 'offerId';
+
+  return {
+    intent,
+    action,
+    propertyId: null,
+    viewingId: null,
+    inquiryId: null,
+    offerId: null,
+    [idField]: parseInt(id, 10) || null,
+    slot: slot ? new Date(parseInt(slot, 10) * 1000) : null,
+    title: reply.title
+  };
+};
+
+module.exports = {
+  BUTTON_INTENTS,
+  renderResponse,
+  parseInteractiveReply,
+  toWhatsAppImageUrl
+};
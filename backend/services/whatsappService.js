@@ -1,41 +1,128 @@
 const Property = require('../models/Property');
 const Conversation = require('../models/Conversation');
+const OutboundMessage = require('../models/OutboundMessage');
+const ListingDraft = require('../models/ListingDraft');
 const aiService = require('./aiService');
+const imageService = require('./imageService');
+const listingFlowService = require('./listingFlowService');
+const viewingService = require('./viewingService');
+const inquiryService = require('./inquiryService');
+const relayService = require('./relayService');
+const offerService = require('./offerService');
+const handoffService = require('./handoffService');
+const whatsappRenderer = require('./whatsappRenderer');
+
+const GRAPH_API_URL = 'https://graph.facebook.com/v22.0';
+const MAX_MEDIA_BYTES = 10 * 1024 * 1024; // same limit as web uploads
+
+// Replies for message types the bot can't act on
+const UNSUPPORTED_REPLIES = {
+  sticker: "😄 Nice sticker! I can only read text, though. Tell me what kind of property you're looking for, e.g. '2 bedroom flat in Lekki'.",
+  audio: "🎙️ I can't listen to voice notes yet. Please type your message, e.g. '3 bedroom duplex in Ikoyi under 5M'.",
+  video: "🎬 I can't watch videos yet. Please type your message, or send photos if you're listing a property.",
+  document: "📄 I can't open documents yet. Please type your message, or send photos if you're listing a property."
+};
+const DEFAULT_UNSUPPORTED_REPLY = "🤔 Sorry, I can't handle that kind of message yet. Please send a text message, e.g. '2 bedroom flat in Lekki under 3M'.";
+
+/**
+ * Short text description of any inbound message, for logs and the conversations table
+ * @param {object} message - Inbound WhatsApp message
+ * @param {object|null} reply - Parsed interactive reply, if any
+ * @returns {string}
+ */
+const describeMessage = (message, reply) => {
+  switch (message.type) {
+    case 'text':
+      return message.text?.body || '';
+    case 'interactive':
+      return reply?.title || '[interactive]';
+    case 'button':
+      return message.button?.text || '[button]';
+    case 'location': {
+      const { latitude, longitude, name, address } = message.location || {};
+      return `📍 ${name || address || 'Shared location'} (${latitude}, ${longitude})`;
+    }
+    case 'image':
+      return `[image]${message.image?.caption ? ` ${message.image.caption}` : ''}`;
+    case 'contacts':
+      return `[contact] ${(message.contacts || []).map(c => c.name?.formatted_name).filter(Boolean).join(', ')}`;
+    default:
+      return `[${message.type || 'unknown'}]`;
+  }
+};
+
+/**
+ * Log an inbound message, work out the reply and send it
+ * Each step is recorded through progress.save, and steps already recorded are
+ * skipped, so a retry after a failure doesn't book, offer or reply twice
+ * @param {object} message - Inbound WhatsApp message
+ * @param {object} [progress] - { conversationId, result, repliesSent, save(fields) }
+ *   from an earlier attempt at the same message
+ * @returns {Promise<object>} - { success, conversationId }
+ */
+const handleIncomingMessage = async (message, progress = {}) => {
+  const save = progress.save || (async () => {});
 
-const handleIncomingMessage = async (message) => {
   try {
     console.log('=== PROCESSING INCOMING MESSAGE ===');
     console.log('Full message object:', JSON.stringify(message, null, 2));
     
     // 1. Get user's phone number and message
+    // (button and list replies carry their title as text and map straight to an intent)
     const userPhone = message.from;
-    const userMessage = message.text?.body || 'No text content';
+    const reply = whatsappRenderer.parseInteractiveReply(message);
+    const userMessage = describeMessage(message, reply);
     
     console.log(`Processing message from ${userPhone}: "${userMessage}"`);
 
     // 2. Save the incoming message to the database
-    console.log('Saving message to database...');
-    let conversation;
-    try {
-      conversation = await Conversation.create({
-        phone: userPhone,
-        message: userMessage,
-      });
-      console.log('Message saved to database with ID:', conversation.id);
-    } catch (dbError) {
-      console.error('Error saving to database:', dbError);
-      throw new Error(`Database error: ${dbError.message}`);
+    let conversationId = progress.conversationId;
+    if (conversationId) {
+      console.log('Message already saved with ID:', conversationId);
+    } else {
+      console.log('Saving message to database...');
+      try {
+        const conversation = await Conversation.create({
+          phone: userPhone,
+          message: userMessage,
+        });
+        conversationId = conversation.id;
+        console.log('Message saved to database with ID:', conversationId);
+      } catch (dbError) {
+        console.error('Error saving to database:', dbError);
+        throw new Error(`Database error: ${dbError.message}`);
+      }
+      await save({ conversationId });
     }
 
-    // 3. Use AI to understand the message and generate a response
-    console.log('Processing message with AI service...');
-    const aiResult = await aiService.processMessage(userMessage, userPhone);
-    console.log('AI processing complete. Intent:', aiResult.intent);
+    // 3. Work out a response for this message type (text goes through the AI).
+    // Routing is what books viewings, sends offers and relays messages, so it
+    // runs once; the outcome is kept for retries
+    let result = progress.result;
+    if (result) {
+      console.log('Using the response worked out on an earlier attempt. Intent:', result.intent);
+    } else {
+      console.log(`Routing ${message.type} message...`);
+      const aiResult = await routeMessage(message, userPhone, userMessage, reply);
+      console.log('Processing complete. Intent:', aiResult.intent);
+
+      result = {
+        intent: aiResult.intent,
+        entities: storedEntities(aiResult.entities),
+        response: storedResponse(aiResult.response),
+        resultCount: aiResult.resultCount,
+        replies: whatsappRenderer.renderResponse(aiResult.response)
+      };
+      await save({ result });
+    }
 
-    // 4. Send the response back to the user
-    if (aiResult.response) {
+    // 4. Send the response back to the user, skipping parts already sent
+    if (result.replies.length > 0) {
       console.log('Sending AI response to user...');
-      await sendWhatsAppMessage(userPhone, aiResult.response);
+      for (let i = progress.repliesSent || 0; i < result.replies.length; i++) {
+        await sendWhatsAppMessage(userPhone, result.replies[i].content, result.replies[i].type);
+        await save({ repliesSent: i + 1 });
+      }
       console.log('Response sent successfully.');
     } else {
       console.log('No response generated by AI.');
@@ -44,9 +131,11 @@ const handleIncomingMessage = async (message) => {
     // 5. Update the conversation log with the AI's analysis and response
     console.log('Updating conversation in database...');
     try {
-      await conversation.update({
-        intent: aiResult.intent,
-        response: aiResult.response,
+      await Conversation.updateWithResponse(conversationId, {
+        intent: result.intent,
+        entities: result.entities,
+        response: result.response,
+        resultCount: result.resultCount
       });
       console.log('Conversation updated successfully.');
     } catch (dbError) {
@@ -55,7 +144,7 @@ const handleIncomingMessage = async (message) => {
     }
 
     console.log('--- Message processing complete ---');
-    return { success: true, conversationId: conversation.id };
+    return { success: true, conversationId };
   } catch (error) {
     console.error('Error in handleIncomingMessage:', {
       error: error.message,
@@ -66,6 +155,266 @@ const handleIncomingMessage = async (message) => {
   }
 };
 
+/**
+ * A reply as kept in the conversation log: text as sent, structured replies as
+ * their type, summary and the properties they showed
+ * @param {string|object|null} response - Response sent to the user
+ * @returns {string|object|null}
+ */
+const storedResponse = (response) => {
+  if (!response || typeof response !== 'object') return response || null;
+
+  const properties = response.properties || (response.property ? [response.property] : []);
+  return {
+    type: response.type,
+    summary: response.summary || null,
+    propertyIds: properties.map(property => property.id)
+  };
+};
+
+/**
+ * Entities as kept in the conversation log (ambiguous matches as property IDs)
+ * @param {object} [entities] - Entities from aiService
+ * @returns {object|null}
+ */
+const storedEntities = (entities) => {
+  if (!entities) return null;
+  return entities.ambiguous
+    ? { ...entities, ambiguous: entities.ambiguous.map(property => property.id) }
+    : entities;
+};
+
+/**
+ * Produce the intent and response for an inbound message based on its type
+ * @param {object} message - Inbound WhatsApp message
+ * @param {string} userPhone - Sender phone number
+ * @param {string} userMessage - Text description of the message
+ * @param {object|null} reply - Parsed interactive reply, if any
+ * @returns {Promise<object>} - { intent, response } (response may be null for no reply)
+ */
+const routeMessage = async (message, userPhone, userMessage, reply) => {
+  // While an agent has taken over the chat, the bot stays quiet;
+  // 'talk to an agent' queues the chat for one
+  const handedOff = await handoffService.handleInbound(userPhone, userMessage);
+  if (handedOff) {
+    return handedOff;
+  }
+
+  switch (message.type) {
+    case 'text':
+    case 'button': {
+      // In a private chat with the other side, messages are relayed, not answered
+      const relayed = await relayService.handleInbound(userPhone, userMessage);
+      if (relayed) {
+        return relayed;
+      }
+
+      // Typed counter-offers ('counter 2.2M offer 15')
+      const counterReply = await offerService.handleTextCommand(userPhone, userMessage);
+      if (counterReply) {
+        return counterReply;
+      }
+
+      // Answers to the listing questions don't go through the AI
+      const listingReply = await listingFlowService.handleMessage(userPhone, userMessage);
+      if (listingReply) {
+        return { intent: 'list_property', response: listingReply };
+      }
+
+      const result = await aiService.processMessage(userMessage, userPhone);
+      if (result.intent === 'list_property') {
+        result.response = await listingFlowService.start(userPhone);
+      }
+      return handoffService.escalateIfNeeded(userPhone, userMessage, await performAction(result, userPhone));
+    }
+
+    case 'interactive':
+      if (!reply) {
+        return { intent: 'unsupported', response: DEFAULT_UNSUPPORTED_REPLY };
+      }
+      // Slot picks and viewing buttons act on the viewing directly
+      if (reply.action.startsWith('viewing_')) {
+        return { intent: reply.intent, response: await viewingService.handleWhatsAppReply(userPhone, reply) };
+      }
+      if (reply.action.startsWith('relay_')) {
+        return { intent: reply.intent, response: await relayService.handleWhatsAppReply(userPhone, reply) };
+      }
+      if (reply.action.startsWith('offer_')) {
+        return { intent: reply.intent, response: await offerService.handleWhatsAppReply(userPhone, reply) };
+      }
+      return performAction(
+        await aiService.processMessage(userMessage, userPhone, await getReplyIntent(reply)),
+        userPhone
+      );
+
+    case 'location': {
+      const { latitude, longitude, name, address } = message.location || {};
+      return aiService.processMessage(userMessage, userPhone, {
+        intent: 'search',
+        entities: { near: { latitude, longitude, name: name || address } }
+      });
+    }
+
+    case 'image':
+      return handleImageMessage(message, userPhone);
+
+    case 'contacts':
+      return {
+        intent: 'contacts',
+        response: "🙏 Thanks for sharing that contact! I can't save contacts yet. If they have a property to list, ask them to message this number and say 'I want to list my property'."
+      };
+
+    case 'reaction':
+      // Reactions to our messages don't need a reply
+      return { intent: 'reaction', response: null };
+
+    default:
+      return {
+        intent: 'unsupported',
+        response: UNSUPPORTED_REPLIES[message.type] || DEFAULT_UNSUPPORTED_REPLY
+      };
+  }
+};
+
+/**
+ * Carry out bot requests that need the sender's identity
+ * aiService only describes them, since the web chat can't prove who is asking;
+ * on WhatsApp the sender's number is verified
+ * @param {object} result - aiService result
+ * @param {string} userPhone - Sender phone number
+ * @returns {Promise<object>} - Result with the response replaced by the outcome
+ */
+const performAction = async (result, userPhone) => {
+  if (result.response && result.response.type === 'contact_landlord') {
+    result.response = await inquiryService.handleWhatsAppRequest(userPhone, result.response);
+  }
+  if (result.response && result.response.type === 'make_offer') {
+    result.response = await offerService.handleWhatsAppOffer(userPhone, result.response);
+  }
+  return result;
+};
+
+/**
+ * Attach an inbound photo to the sender's open listing draft
+ * @param {object} message - Inbound image message
+ * @param {string} userPhone - Sender phone number
+ * @returns {Promise<object>} - { intent, response }
+ */
+const handleImageMessage = async (message, userPhone) => {
+  const draft = await ListingDraft.findOpenByPhone(userPhone);
+
+  if (!draft) {
+    return {
+      intent: 'image',
+      response: "📷 Thanks for the photo! If you'd like to list a property, say 'I want to list my property' and then send your photos."
+    };
+  }
+
+  try {
+    const { buffer } = await downloadMedia(message.image.id);
+    const upload = await imageService.uploadPropertyImage(buffer, `draft_${draft.id}_${Date.now()}`);
+    const updated = await ListingDraft.addPhoto(draft.id, upload.secure_url);
+
+    return {
+      intent: 'listing_photo',
+      response: listingFlowService.photoAddedReply(updated)
+    };
+  } catch (error) {
+    console.error('Error saving listing photo:', error);
+    return {
+      intent: 'listing_photo',
+      response: "⚠️ I couldn't save that photo. Please try sending it again (JPEG or PNG, under 10MB)."
+    };
+  }
+};
+
+/**
+ * Download media sent to the business number
+ * The Graph API first returns a short-lived URL, which needs the same token
+ * @param {string} mediaId - Media ID from the inbound message
+ * @returns {Promise<object>} - { buffer, mimeType }
+ */
+const downloadMedia = async (mediaId) => {
+  const WHATSAPP_TOKEN = process.env.WHATSAPP_ACCESS_TOKEN;
+  if (!WHATSAPP_TOKEN) {
+    throw new Error('WhatsApp API credentials are not properly configured');
+  }
+
+  const headers = { 'Authorization': `Bearer ${WHATSAPP_TOKEN}` };
+
+  const metaResponse = await fetch(`${GRAPH_API_URL}/${mediaId}`, { headers });
+  const media = await metaResponse.json();
+  if (!metaResponse.ok) {
+    throw new Error(`Failed to get media URL: ${media.error?.message || 'Unknown error'}`);
+  }
+
+  if (media.file_size > MAX_MEDIA_BYTES) {
+    throw new Error(`Media too large (${media.file_size} bytes)`);
+  }
+
+  const fileResponse = await fetch(media.url, { headers });
+  if (!fileResponse.ok) {
+    throw new Error(`Failed to download media: ${fileResponse.status} ${fileResponse.statusText}`);
+  }
+
+  return {
+    buffer: Buffer.from(await fileResponse.arrayBuffer()),
+    mimeType: media.mime_type
+  };
+};
+
+/**
+ * Turn a button/list reply into the intent and entities for aiService
+ * @param {object} reply - From whatsappRenderer.parseInteractiveReply
+ * @returns {Promise<object>} - { intent, entities }
+ */
+const getReplyIntent = async (reply) => {
+  if (reply.action === 'more_like_this' && reply.propertyId) {
+    const property = await Property.findById(reply.propertyId);
+    if (property) {
+      return {
+        intent: reply.intent,
+        entities: {
+          location: property.location,
+          propertyType: property.type,
+          bedrooms: property.bedrooms,
+          maxPrice: Math.round(Number(property.price) * 1.2),
+          excludePropertyIds: [property.id]
+        }
+      };
+    }
+  }
+
+  return {
+    intent: reply.intent,
+    entities: reply.propertyId ? { propertyId: reply.propertyId } : {}
+  };
+};
+
+/**
+ * Send an aiService response, rendered for WhatsApp (text, lists, image cards, buttons)
+ * @param {string} to - Recipient phone number
+ * @param {string|object} response - aiService response
+ */
+const sendResponse = async (to, response) => {
+  for (const { type, content } of whatsappRenderer.renderResponse(response)) {
+    await sendWhatsAppMessage(to, content, type);
+  }
+};
+
+/**
+ * Store an outbound message for delivery tracking
+ * Tracking failures are logged but never fail the send itself
+ * @param {object} record - { wamid, phone, type, payload, status, errorCode, errorTitle }
+ */
+const trackOutboundMessage = async (record) => {
+  try {
+    await OutboundMessage.create(record);
+  } catch (error) {
+    console.error('Error tracking outbound message:', error.message);
+  }
+};
+
 /**
  * Sends a WhatsApp message using the WhatsApp Business API
  * @param {string} to - Recipient's phone number in international format (e.g., '1234567890')
@@ -98,7 +447,7 @@ const sendWhatsAppMessage = async (to, message, messageType = 'text') => {
     }
 
     // Prepare the API URL with the latest stable API version
-    const url = `https://graph.facebook.com/v22.0/${PHONE_NUMBER_ID}/messages`;
+    const url = `${GRAPH_API_URL}/${PHONE_NUMBER_ID}/messages`;
 
     // Prepare the request payload based on message type
     let payload = {
@@ -149,10 +498,27 @@ const sendWhatsAppMessage = async (to, message, messageType = 'text') => {
         statusText: response.statusText,
         error: responseData.error
       });
+      await trackOutboundMessage({
+        phone: phoneNumberId,
+        type: messageType,
+        payload,
+        status: 'failed',
+        errorCode: responseData.error?.code ? String(responseData.error.code) : String(response.status),
+        errorTitle: responseData.error?.message || response.statusText
+      });
       throw new Error(`Failed to send message: ${responseData.error?.message || 'Unknown error'}`);
     }
 
     console.log('Successfully sent WhatsApp message:', responseData);
+
+    // The wamid links later status callbacks (sent/delivered/read/failed) to this message
+    await trackOutboundMessage({
+      wamid: responseData.messages?.[0]?.id,
+      phone: phoneNumberId,
+      type: messageType,
+      payload
+    });
+
     return responseData;
 
   } catch (error) {
@@ -169,4 +535,6 @@ const sendWhatsAppMessage = async (to, message, messageType = 'text') => {
 module.exports = {
   handleIncomingMessage,
   sendWhatsAppMessage,
+  sendResponse,
+  downloadMedia,
 };
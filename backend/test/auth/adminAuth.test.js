@@ -0,0 +1,98 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, skip, setupDatabase, createUser, createOTP } = require('../testDatabase');
+const adminAuthService = require('../../services/adminAuthService');
+const authService = require('../../services/authService');
+
+/**
+ * Admin login: password hashing, OTP + password check and sessions
+ */
+
+describe('admin passwords', () => {
+  it('verifies a password against its scrypt hash', async () => {
+    const hash = await adminAuthService.hashPassword('correct horse battery');
+
+    assert.match(hash, /^scrypt\$[0-9a-f]{32}\$[0-9a-f]{128}$/);
+    assert.equal(await adminAuthService.verifyPassword('correct horse battery', hash), true);
+    assert.equal(await adminAuthService.verifyPassword('correct horse batterY', hash), false);
+  });
+
+  it('rejects missing and corrupt hashes', async () => {
+    const [scheme, salt] = (await adminAuthService.hashPassword('correct horse battery')).split('$');
+
+    assert.equal(await adminAuthService.verifyPassword('anything', null), false);
+    assert.equal(await adminAuthService.verifyPassword('anything', 'plain-text'), false);
+    assert.equal(await adminAuthService.verifyPassword('anything', `${scheme}$${salt}$`), false);
+    assert.equal(await adminAuthService.verifyPassword('anything', `${scheme}$${salt}$abcd`), false);
+  });
+});
+
+describe('admin login', { skip }, () => {
+  const PASSWORD = 'correct horse battery';
+
+  const createAdmin = async () => {
+    const admin = await createUser({ role: 'admin' });
+    await adminAuthService.setPassword(admin.phone, PASSWORD);
+    return admin;
+  };
+
+  const attempts = async (otpId) =>
+    (await pool.query('SELECT attempts FROM otp_codes WHERE id = $1', [otpId])).rows[0].attempts;
+
+  before(setupDatabase);
+  after(() => pool.end());
+
+  it('opens a session for the right OTP and password', async () => {
+    const admin = await createAdmin();
+    await createOTP(admin.phone, '123456');
+
+    const result = await adminAuthService.completeLogin(admin.phone, '123456', PASSWORD, { ip: '10.0.0.1' });
+
+    assert.equal(result.success, true);
+    const payload = authService.verifyToken(result.token);
+    assert.equal(payload.scope, 'admin');
+    assert.equal(payload.sid, result.session.id);
+    assert.ok(await adminAuthService.touchSession(result.session.id));
+  });
+
+  it('uses up an OTP attempt on a wrong password', async () => {
+    const admin = await createAdmin();
+    const otp = await createOTP(admin.phone, '123456');
+
+    const result = await adminAuthService.completeLogin(admin.phone, '123456', 'wrong password');
+
+    assert.equal(result.success, false);
+    assert.equal(await attempts(otp.id), 1);
+  });
+
+  it('turns non-admins away without touching their OTP', async () => {
+    const user = await createUser();
+    const otp = await createOTP(user.phone, '123456');
+
+    const result = await adminAuthService.completeLogin(user.phone, '123456', PASSWORD);
+
+    assert.equal(result.success, false);
+    assert.equal(result.message, 'Invalid verification code or password');
+    assert.equal(await attempts(otp.id), 0);
+    assert.equal((await authService.consumeOTP(user.phone, '123456')).success, true);
+  });
+
+  it('ends revoked sessions', async () => {
+    const admin = await createAdmin();
+    await createOTP(admin.phone, '123456');
+    const { session } = await adminAuthService.completeLogin(admin.phone, '123456', PASSWORD);
+
+    assert.equal(await adminAuthService.revokeSession(admin.id, session.id), true);
+    assert.equal(await adminAuthService.touchSession(session.id), null);
+  });
+
+  it('ends every session when the password changes', async () => {
+    const admin = await createAdmin();
+    await createOTP(admin.phone, '123456');
+    const { session } = await adminAuthService.completeLogin(admin.phone, '123456', PASSWORD);
+
+    await adminAuthService.setPassword(admin.phone, 'another long password');
+
+    assert.equal(await adminAuthService.touchSession(session.id), null);
+  });
+});
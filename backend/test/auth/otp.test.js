@@ -0,0 +1,132 @@
+// The limits under test (set before dotenv loads, so a local .env can't change them)
+process.env.OTP_MAX_ATTEMPTS = '5';
+process.env.OTP_RESEND_COOLDOWN_SECONDS = '60';
+process.env.OTP_DAILY_LIMIT_PER_PHONE = '10';
+process.env.OTP_DAILY_LIMIT_PER_IP = '30';
+
+const crypto = require('crypto');
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, skip, setupDatabase, testPhone, createOTP } = require('../testDatabase');
+const authService = require('../../services/authService');
+
+/**
+ * OTP brute-force protection and request limits
+ */
+
+const testIp = () => `10.${crypto.randomInt(256)}.${crypto.randomInt(256)}.${crypto.randomInt(256)}`;
+
+/**
+ * Record past OTP requests
+ * @param {number} count - Number of requests
+ * @param {object} fields - { phone, ip, ago } where ago is a Postgres interval
+ */
+const addRequests = async (count, { phone, ip, ago }) => {
+  for (let i = 0; i < count; i++) {
+    await pool.query(
+      'INSERT INTO otp_requests (phone, ip_address, created_at) VALUES ($1, $2, NOW() - $3::interval)',
+      [phone || testPhone(), ip || null, ago]
+    );
+  }
+};
+
+describe('OTP protection', { skip }, () => {
+  before(setupDatabase);
+  after(() => pool.end());
+
+  describe('consumeOTP', () => {
+    it('accepts the right code once', async () => {
+      const phone = testPhone();
+      await createOTP(phone, '123456');
+
+      assert.deepEqual(await authService.consumeOTP(phone, '123456'), { success: true });
+      assert.equal((await authService.consumeOTP(phone, '123456')).message, 'Invalid or expired OTP code');
+    });
+
+    it('counts down the attempts left', async () => {
+      const phone = testPhone();
+      await createOTP(phone, '123456');
+
+      assert.equal((await authService.consumeOTP(phone, '000000')).message, 'Invalid OTP code. 4 attempts left.');
+      assert.equal((await authService.consumeOTP(phone, '000000')).message, 'Invalid OTP code. 3 attempts left.');
+    });
+
+    it('locks the code after 5 wrong guesses, even for the right code', async () => {
+      const phone = testPhone();
+      await createOTP(phone, '123456');
+
+      for (let i = 0; i < 4; i++) await authService.consumeOTP(phone, '000000');
+      assert.match((await authService.consumeOTP(phone, '000000')).message, /^Too many incorrect attempts/);
+
+      const locked = await authService.consumeOTP(phone, '123456');
+      assert.equal(locked.success, false);
+      assert.match(locked.message, /^Too many incorrect attempts/);
+      assert.ok(locked.retryAfter >= 1);
+    });
+
+    it('counts parallel guesses against the same limit', async () => {
+      const phone = testPhone();
+      const otp = await createOTP(phone, '123456');
+
+      await Promise.all(Array.from({ length: 10 }, () => authService.consumeOTP(phone, '000000')));
+
+      const { rows } = await pool.query('SELECT attempts FROM otp_codes WHERE id = $1', [otp.id]);
+      assert.equal(rows[0].attempts, 5);
+      assert.equal((await authService.consumeOTP(phone, '123456')).success, false);
+    });
+
+    it('rejects expired codes', async () => {
+      const phone = testPhone();
+      await pool.query(
+        "INSERT INTO otp_codes (phone, code, expires_at) VALUES ($1, '123456', NOW() - INTERVAL '1 minute')",
+        [phone]
+      );
+
+      assert.equal((await authService.consumeOTP(phone, '123456')).message, 'Invalid or expired OTP code');
+    });
+  });
+
+  describe('claimOTPRequest', () => {
+    it('makes a phone wait out the resend cooldown', async () => {
+      const phone = testPhone();
+
+      assert.equal(await authService.claimOTPRequest(phone, testIp()), null);
+
+      const limited = await authService.claimOTPRequest(phone, testIp());
+      assert.ok(limited.retryAfter > 0 && limited.retryAfter <= 60);
+      assert.match(limited.message, /^Please wait \d+ seconds/);
+    });
+
+    it('caps requests per phone over 24 hours', async () => {
+      const phone = testPhone();
+      await addRequests(10, { phone, ago: '2 hours' });
+
+      const limited = await authService.claimOTPRequest(phone, testIp());
+      assert.match(limited.message, /^Too many verification codes requested today/);
+      assert.ok(limited.retryAfter > 0);
+    });
+
+    it('caps requests per IP over 24 hours', async () => {
+      const ip = testIp();
+      await addRequests(30, { ip, ago: '2 hours' });
+
+      assert.match((await authService.claimOTPRequest(testPhone(), ip)).message, /^Too many verification codes/);
+      assert.equal(await authService.claimOTPRequest(testPhone(), testIp()), null);
+    });
+
+    it('forgets requests older than 24 hours', async () => {
+      const phone = testPhone();
+      await addRequests(10, { phone, ago: '25 hours' });
+
+      assert.equal(await authService.claimOTPRequest(phone, testIp()), null);
+    });
+
+    it('lets one of a burst of parallel requests through', async () => {
+      const phone = testPhone();
+
+      const results = await Promise.all(Array.from({ length: 5 }, () => authService.claimOTPRequest(phone, testIp())));
+
+      assert.equal(results.filter(result => result === null).length, 1);
+    });
+  });
+});
@@ -0,0 +1,83 @@
+const { describe, it, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const jwt = require('jsonwebtoken');
+const { pool, skip, setupDatabase, createUser } = require('../testDatabase');
+const authService = require('../../services/authService');
+
+/**
+ * Access tokens (signed JWTs) and refresh-token rotation
+ */
+
+const user = { id: 7, phone: '+2348000000007', role: 'user' };
+
+describe('access tokens', () => {
+  it('verifies its own tokens, with extra claims', () => {
+    const payload = authService.verifyToken(authService.generateToken(user, { scope: 'admin', sid: 'abc' }));
+
+    assert.equal(payload.userId, 7);
+    assert.equal(payload.role, 'user');
+    assert.equal(payload.scope, 'admin');
+    assert.equal(payload.iss, 'propabridge');
+  });
+
+  it('rejects tampered tokens', () => {
+    const [header, , signature] = authService.generateToken(user).split('.');
+    const forged = Buffer.from(JSON.stringify({ userId: 1, role: 'admin', iss: 'propabridge' })).toString('base64url');
+
+    assert.equal(authService.verifyToken(`${header}.${forged}.${signature}`), null);
+  });
+
+  it('rejects tokens signed with another secret or without a signature', () => {
+    const otherSecret = jwt.sign({ userId: 7 }, 'not-the-secret', { issuer: 'propabridge' });
+    const unsigned = jwt.sign({ userId: 7 }, null, { issuer: 'propabridge', algorithm: 'none' });
+
+    assert.equal(authService.verifyToken(otherSecret), null);
+    assert.equal(authService.verifyToken(unsigned), null);
+  });
+
+  it('rejects expired tokens', () => {
+    assert.equal(authService.verifyToken(authService.generateToken(user, {}, -10)), null);
+  });
+});
+
+describe('refresh tokens', { skip }, () => {
+  before(setupDatabase);
+  after(() => pool.end());
+
+  it('rotates a refresh token into a new pair', async () => {
+    const { id } = await createUser();
+    const first = await authService.issueRefreshToken(id);
+
+    const rotated = await authService.refreshToken(first);
+
+    assert.equal(rotated.success, true);
+    assert.equal(rotated.user.id, id);
+    assert.notEqual(rotated.refreshToken, first);
+    assert.equal(authService.verifyToken(rotated.token).userId, id);
+  });
+
+  it('revokes the whole family when a rotated token is used again', async () => {
+    const { id } = await createUser();
+    const first = await authService.issueRefreshToken(id);
+    const { refreshToken: second } = await authService.refreshToken(first);
+
+    await assert.rejects(authService.refreshToken(first), /revoked/);
+    await assert.rejects(authService.refreshToken(second), /revoked/);
+
+    const live = await pool.query('SELECT COUNT(*) AS count FROM refresh_tokens WHERE user_id = $1 AND revoked_at IS NULL', [id]);
+    assert.equal(Number(live.rows[0].count), 0);
+  });
+
+  it('lets only one of two parallel rotations through', async () => {
+    const { id } = await createUser();
+    const token = await authService.issueRefreshToken(id);
+
+    const results = await Promise.allSettled([authService.refreshToken(token), authService.refreshToken(token)]);
+
+    assert.equal(results.filter(result => result.status === 'fulfilled').length, 1);
+  });
+
+  it('rejects unknown tokens', async () => {
+    await assert.rejects(authService.refreshToken('not-a-token'), /Invalid refresh token/);
+  });
+});
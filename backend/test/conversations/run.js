@@ -0,0 +1,344 @@
+/**
+ * Conversation replay harness
+ * Replays the scripted conversations in fixtures/*.json through
+ * aiService.processMessage against a freshly seeded test database, and checks
+ * the intent, entities, property IDs and reply language of every turn.
+ *
+ * Usage (from backend/):
+ *   TEST_DATABASE_URL=postgres://localhost/propabridge_test?sslmode=disable npm test
+ *   npm test -- --nlu=rules       Ignore recorded responses and use the rule-based NLU
+ *   npm test -- --only=<name>     Run the fixtures whose file name contains <name>
+ *   npm run test:record           Call Gemini and save its responses to the fixtures,
+ *                                 filling in expectations for turns that have none
+ *
+ * Recorded responses go through the same parsing, repair and validation as
+ * live Gemini output, so the harness runs without GEMINI_API_KEY. A turn that
+ * asks the NLU for more responses than it has recorded fails. Fixtures marked
+ * "scriptedNlu" hold hand-written responses (broken JSON, timeouts, ...):
+ * they are replayed in record mode too, and skipped with --nlu=rules. The
+ * test database is wiped and re-seeded on every run.
+ */
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures');
+const LAST_REPORT_FILE = path.join(__dirname, '.last-report.json');
+const INIT_SQL = path.join(__dirname, '../../db/init.sql');
+
+const args = Object.fromEntries(process.argv.slice(2).map(arg => {
+  const [key, value] = arg.replace(/^--/, '').split('=');
+  return [key, value === undefined ? true : value];
+}));
+const mode = args.record ? 'record' : (args.nlu === 'rules' ? 'rules' : 'recorded');
+
+if (!process.env.TEST_DATABASE_URL) {
+  console.error('Set TEST_DATABASE_URL to a local database the harness may wipe (e.g. postgres://localhost/propabridge_test?sslmode=disable).');
+  process.exit(1);
+}
+if (process.env.NODE_ENV === 'production') {
+  console.error('Refusing to run the conversation harness with NODE_ENV=production.');
+  process.exit(1);
+}
+if (mode === 'record' && !process.env.GEMINI_API_KEY) {
+  console.error('Record mode calls Gemini: set GEMINI_API_KEY.');
+  process.exit(1);
+}
+
+// Everything below talks to the test database (set before config/db is loaded)
+process.env.DATABASE_URL = process.env.TEST_DATABASE_URL;
+
+// Recorded responses come back at once; only the { "timeout": true } ones wait for this
+if (mode !== 'record') process.env.NLU_TIMEOUT_MS = process.env.NLU_TIMEOUT_MS || '200';
+
+const { pool } = require('../../config/db');
+const { seedDatabase } = require('../../db/seed');
+const aiService = require('../../services/aiService');
+const nluService = require('../../services/nluService');
+const metricsService = require('../../services/metricsService');
+const gemini = require('../../services/nluProviders/gemini');
+
+/**
+ * Create the schema, seed properties 1-50 and forget every conversation
+ */
+const setupDatabase = async () => {
+  await pool.query(fs.readFileSync(INIT_SQL, 'utf8'));
+  await seedDatabase(pool);
+  await pool.query('TRUNCATE TABLE conversation_sessions');
+};
+
+/**
+ * Play back one recorded response: model output (JSON text), or
+ * { "error": "..." } for a failed call and { "timeout": true } for one that
+ * never answered
+ * @param {string|object} recording - Recorded response
+ * @returns {Promise<string|object>}
+ */
+const playBack = (recording) => {
+  if (recording && recording.timeout) return new Promise(() => {});
+  if (recording && recording.error) return Promise.reject(new Error(recording.error));
+  return Promise.resolve(recording);
+};
+
+/**
+ * Stand-in for the Gemini provider that plays back a turn's recorded
+ * responses in order. Running out is recorded in `missing` (the NLU would
+ * otherwise quietly fall back to the rules provider).
+ * @param {array} recordings - Recorded responses
+ * @returns {object} - Provider module, with a missing count
+ */
+const replayProvider = (recordings) => {
+  const provider = {
+    name: gemini.name,
+    isConfigured: () => true,
+    missing: 0
+  };
+  const next = () => {
+    if (recordings.length > 0) return playBack(recordings.shift());
+    provider.missing++;
+    return Promise.reject(new Error('No recorded NLU response'));
+  };
+  provider.understand = next;
+  provider.repair = next;
+  return provider;
+};
+
+/**
+ * Gemini provider that keeps a copy of every response, errors included
+ * A call still unanswered when the turn ends was cut off by NLU_TIMEOUT_MS
+ * @param {array} captured - Receives recorded responses
+ * @returns {object} - Provider module
+ */
+const recordingProvider = (captured) => {
+  const record = (call) => async (...params) => {
+    const slot = captured.push({ timeout: true }) - 1;
+    try {
+      const output = await call(...params);
+      captured[slot] = output;
+      return output;
+    } catch (error) {
+      captured[slot] = { error: error.message };
+      throw error;
+    }
+  };
+  return {
+    name: gemini.name,
+    isConfigured: gemini.isConfigured,
+    understand: record(gemini.understand),
+    repair: record(gemini.repair)
+  };
+};
+
+/**
+ * How the NLU answered a turn, from the repair and fallback counters
+ * @param {object} before - Counters before the turn
+ * @param {object} after - Counters after the turn
+ * @returns {string} - 'fallback' (rules answered), 'repaired' or 'provider'
+ */
+const nluPath = (before, after) => {
+  const changed = (name) => (after[name] || 0) > (before[name] || 0);
+  if (changed(`nlu.fallback.${gemini.name}`)) return 'fallback';
+  if (changed(`nlu.repair.${gemini.name}`)) return 'repaired';
+  return 'provider';
+};
+
+/**
+ * Property IDs a response shows, in order
+ * @param {string|object} response - From processMessage
+ * @returns {array}
+ */
+const responsePropertyIds = (response) => {
+  if (!response || typeof response !== 'object') return [];
+  if (response.type === 'property_results') return response.properties.map(p => p.id);
+  if (response.type === 'property_details') return [response.property.id];
+  if (response.propertyId) return [response.propertyId];
+  return [];
+};
+
+/**
+ * Compare two values, ignoring the order of amenity lists
+ * @returns {boolean}
+ */
+const sameValue = (actual, expected) => {
+  const normalize = (value) => (Array.isArray(value) ? [...value].sort() : value);
+  return JSON.stringify(normalize(actual)) === JSON.stringify(normalize(expected));
+};
+
+/**
+ * Check one turn against its expectations
+ * An entity expected as null must be absent.
+ * @param {object} expect - { intent, entities, propertyIds, ordered, language, nluPath }
+ * @param {object} actual - { intent, entities, propertyIds, language, nluPath }
+ * @returns {array} - Failure descriptions (empty when the turn passes)
+ */
+const checkTurn = (expect, actual) => {
+  const failures = [];
+
+  if (expect.intent && actual.intent !== expect.intent) {
+    failures.push(`intent: expected ${expect.intent}, got ${actual.intent}`);
+  }
+
+  Object.entries(expect.entities || {}).forEach(([key, value]) => {
+    if (value === null) {
+      if (key in actual.entities) failures.push(`entities.${key}: expected none, got ${JSON.stringify(actual.entities[key])}`);
+    } else if (!sameValue(actual.entities[key], value)) {
+      failures.push(`entities.${key}: expected ${JSON.stringify(value)}, got ${JSON.stringify(actual.entities[key])}`);
+    }
+  });
+
+  if (expect.language && actual.language !== expect.language) {
+    failures.push(`language: expected ${expect.language}, got ${actual.language}`);
+  }
+
+  if (expect.nluPath && actual.nluPath !== expect.nluPath) {
+    failures.push(`nluPath: expected ${expect.nluPath}, got ${actual.nluPath}`);
+  }
+
+  if (expect.propertyIds) {
+    const matches = expect.ordered
+      ? JSON.stringify(actual.propertyIds) === JSON.stringify(expect.propertyIds)
+      : sameValue(actual.propertyIds, expect.propertyIds);
+    if (!matches) {
+      failures.push(`propertyIds: expected ${JSON.stringify(expect.propertyIds)}, got ${JSON.stringify(actual.propertyIds)}`);
+    }
+  }
+
+  return failures;
+};
+
+/**
+ * Replay one fixture
+ * @param {object} fixture - Parsed fixture
+ * @param {string} phone - Phone number to converse as
+ * @returns {Promise<array>} - [{ key, intent, failures }] per turn
+ */
+const runFixture = async (fixture, phone) => {
+  await aiService.clearContext(phone);
+  const results = [];
+
+  const recording = mode === 'record' && !fixture.scriptedNlu;
+
+  for (const [index, turn] of fixture.turns.entries()) {
+    const captured = [];
+    let replay = null;
+    if (recording) nluService.useProvider(recordingProvider(captured));
+    else if (mode === 'rules') nluService.useProvider('rules');
+    else nluService.useProvider(replay = replayProvider([...(turn.nlu || [])]));
+
+    const counters = metricsService.snapshot('nlu.').counters;
+    const result = await aiService.processMessage(turn.message, phone, turn.known || {});
+    const actual = {
+      intent: result.intent,
+      entities: result.entities || {},
+      propertyIds: responsePropertyIds(result.response),
+      language: result.language,
+      nluPath: nluPath(counters, metricsService.snapshot('nlu.').counters)
+    };
+
+    if (recording) {
+      if (captured.length > 0) turn.nlu = [...captured];
+      else delete turn.nlu;
+      const { nluPath: _nluPath, ...expectation } = actual;
+      turn.expect = turn.expect || expectation;
+    }
+
+    const failures = turn.expect ? checkTurn(turn.expect, actual) : [];
+    if (replay && replay.missing > 0) {
+      failures.push(`nlu: ${replay.missing} NLU call(s) with no recorded response (run npm run test:record)`);
+    }
+
+    results.push({
+      key: `${fixture.file}#${index + 1}`,
+      intent: (turn.expect && turn.expect.intent) || actual.intent,
+      message: turn.message,
+      failures
+    });
+  }
+
+  return results;
+};
+
+/**
+ * Print pass/fail counts per intent, flagging turns that passed last run
+ * @param {array} results - All turn results
+ * @param {object} lastReport - { passed: [keys] } from the previous run
+ */
+const printReport = (results, lastReport) => {
+  const previouslyPassed = new Set(lastReport.passed || []);
+  const byIntent = {};
+
+  results.forEach(result => {
+    const row = byIntent[result.intent] || (byIntent[result.intent] = { turns: 0, passed: 0, failed: 0, regressed: 0 });
+    row.turns++;
+    if (result.failures.length === 0) {
+      row.passed++;
+    } else {
+      row.failed++;
+      if (previouslyPassed.has(result.key)) row.regressed++;
+    }
+  });
+
+  console.log(`\nConversation replay (${mode === 'recorded' ? 'recorded responses' : mode} NLU)\n`);
+  console.log(`${'Intent'.padEnd(20)}${'Turns'.padStart(7)}${'Passed'.padStart(8)}${'Failed'.padStart(8)}${'Regressed'.padStart(11)}`);
+  Object.entries(byIntent).sort(([a], [b]) => a.localeCompare(b)).forEach(([intent, row]) => {
+    console.log(`${intent.padEnd(20)}${String(row.turns).padStart(7)}${String(row.passed).padStart(8)}${String(row.failed).padStart(8)}${String(row.regressed).padStart(11)}`);
+  });
+
+  const failed = results.filter(result => result.failures.length > 0);
+  if (failed.length > 0) {
+    console.log('\nFailures:');
+    failed.forEach(result => {
+      const flag = previouslyPassed.has(result.key) ? ' [regression]' : '';
+      console.log(`\n  ${result.key}${flag}: "${result.message}"`);
+      result.failures.forEach(failure => console.log(`    - ${failure}`));
+    });
+  }
+
+  console.log(`\n${results.length - failed.length}/${results.length} turns passed\n`);
+};
+
+const main = async () => {
+  const files = fs.readdirSync(FIXTURES_DIR)
+    .filter(file => file.endsWith('.json'))
+    .filter(file => !args.only || file.includes(args.only))
+    .sort();
+
+  await setupDatabase();
+
+  const results = [];
+  for (const [index, file] of files.entries()) {
+    const fixturePath = path.join(FIXTURES_DIR, file);
+    const fixture = { ...JSON.parse(fs.readFileSync(fixturePath, 'utf8')), file };
+    // Hand-written responses test the handling of bad model output, which the rules provider never gives
+    if (fixture.scriptedNlu && mode === 'rules') continue;
+    const phone = fixture.phone || `2349000${String(index + 1).padStart(6, '0')}`;
+
+    results.push(...await runFixture(fixture, phone));
+
+    if (mode === 'record') {
+      const { file: _file, ...saved } = fixture;
+      fs.writeFileSync(fixturePath, `${JSON.stringify(saved, null, 2)}\n`);
+    }
+  }
+
+  const lastReport = fs.existsSync(LAST_REPORT_FILE) ? JSON.parse(fs.readFileSync(LAST_REPORT_FILE, 'utf8')) : {};
+  printReport(results, lastReport);
+
+  fs.writeFileSync(LAST_REPORT_FILE, `${JSON.stringify({
+    ranAt: new Date().toISOString(),
+    mode,
+    passed: results.filter(result => result.failures.length === 0).map(result => result.key)
+  }, null, 2)}\n`);
+
+  return results.every(result => result.failures.length === 0);
+};
+
+main()
+  .then(passed => {
+    process.exitCode = passed || mode === 'record' ? 0 : 1;
+  })
+  .catch(error => {
+    console.error('Conversation harness failed:', error);
+    process.exitCode = 1;
+  })
+  .finally(() => pool.end());
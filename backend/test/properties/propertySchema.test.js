@@ -0,0 +1,86 @@
+const { describe, it } = require('node:test');
+const assert = require('node:assert/strict');
+const { validateProperty, editorRoleFor } = require('../../models/propertySchema');
+
+/**
+ * Property payload validation and the fields each editor role may write
+ */
+
+const NOT_ALLOWED = 'You are not allowed to change this field';
+
+describe('validateProperty role rules', () => {
+  it('lets owners edit listing details only', () => {
+    assert.equal(validateProperty({ price: 2000000, features: 'Corner piece' }, 'owner').valid, true);
+
+    const result = validateProperty({ price: 2000000, status: 'active', verified: true }, 'owner');
+    assert.equal(result.valid, false);
+    assert.deepEqual(result.errors, { status: NOT_ALLOWED, verified: NOT_ALLOWED });
+  });
+
+  it('lets agents change status, but not publish or verify', () => {
+    assert.deepEqual(validateProperty({ status: 'rented' }, 'agent').values, { status: 'rented' });
+
+    assert.match(validateProperty({ status: 'active' }, 'agent').errors.status, /^Must be one of: pending, rented, sold, inactive$/);
+    assert.equal(validateProperty({ verified: true }, 'agent').errors.verified, NOT_ALLOWED);
+    assert.equal(validateProperty({ admin_notes: 'ok' }, 'agent').errors.admin_notes, NOT_ALLOWED);
+  });
+
+  it('lets admins publish, verify and add notes', () => {
+    const result = validateProperty({ status: 'active', verified: 'true', admin_notes: 'Checked on site' }, 'admin');
+
+    assert.equal(result.valid, true);
+    assert.deepEqual(result.values, { status: 'active', verified: true, admin_notes: 'Checked on site' });
+  });
+
+  it('never accepts moderation columns from a payload', () => {
+    assert.equal(validateProperty({ verified_by: 'admin' }, 'admin').errors.verified_by, NOT_ALLOWED);
+    assert.equal(validateProperty({ rejected_at: '2025-01-01' }, 'admin').errors.rejected_at, NOT_ALLOWED);
+  });
+
+  it('rejects unknown fields, or drops them with stripUnknown', () => {
+    assert.equal(validateProperty({ price: 1, user_id: 3 }, 'owner').errors.user_id, 'Unknown field');
+
+    const stripped = validateProperty({ price: 1, user_id: 3, status: 'active' }, 'owner', { stripUnknown: true });
+    assert.equal(stripped.valid, true);
+    assert.deepEqual(stripped.values, { price: 1 });
+  });
+
+  it('throws for an unknown editor role', () => {
+    assert.throws(() => validateProperty({ price: 1 }, 'landlord'), /Unknown editor role/);
+  });
+});
+
+describe('validateProperty values', () => {
+  it('requires the listing basics on create', () => {
+    const result = validateProperty({ type: 'Flat' }, 'owner', { partial: false });
+
+    assert.deepEqual(Object.keys(result.errors).sort(), ['bedrooms', 'location', 'price']);
+  });
+
+  it('coerces numbers and normalises amenities', () => {
+    const result = validateProperty({ price: '2500000', bedrooms: '3', amenities: ['24/7 power', 'Power', 'swimming pool'] }, 'owner');
+
+    assert.deepEqual(result.values, { price: 2500000, bedrooms: 3, amenities: ['power', 'pool'] });
+  });
+
+  it('rejects out-of-range and unknown values', () => {
+    const { errors } = validateProperty({ price: 0, bedrooms: 2.5, amenities: ['helipad'] }, 'owner');
+
+    assert.equal(errors.price, 'Must be at least 1');
+    assert.equal(errors.bedrooms, 'Must be a whole number');
+    assert.match(errors.amenities, /^Unknown value\(s\): helipad/);
+  });
+
+  it('rejects empty updates', () => {
+    assert.deepEqual(validateProperty({}, 'owner').errors, { _body: 'No fields to update' });
+  });
+});
+
+describe('editorRoleFor', () => {
+  it('needs an admin session for admin rules', () => {
+    assert.equal(editorRoleFor({ role: 'admin', isAdmin: true }), 'admin');
+    assert.equal(editorRoleFor({ role: 'admin', isAdmin: false }), 'owner');
+    assert.equal(editorRoleFor({ role: 'agent' }), 'agent');
+    assert.equal(editorRoleFor({ role: 'user' }), 'owner');
+  });
+});
@@ -0,0 +1,160 @@
+process.env.WEBHOOK_MAX_AGE_SECONDS = '900';
+
+const crypto = require('crypto');
+const EventEmitter = require('events');
+const { describe, it, before, after, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { pool, skip, setupDatabase } = require('../testDatabase');
+const webhookSecurityService = require('../../services/webhookSecurityService');
+const { verifyWebhookSignature, rejectReplayedWebhooks } = require('../../middleware/webhookSecurity');
+
+/**
+ * WhatsApp webhook signatures and replay protection
+ */
+
+const APP_SECRET = 'test-app-secret';
+
+const sign = (rawBody, secret = APP_SECRET) =>
+  `sha256=${crypto.createHmac('sha256', secret).update(rawBody).digest('hex')}`;
+
+/**
+ * Webhook payload with one text message sent `age` seconds ago
+ * @param {number} age - Seconds
+ * @returns {object}
+ */
+const payload = (age = 0) => ({
+  object: 'whatsapp_business_account',
+  entry: [{
+    changes: [{
+      value: {
+        messages: [{
+          id: `wamid.${crypto.randomUUID()}`,
+          from: '2348000000001',
+          type: 'text',
+          text: { body: 'hello' },
+          timestamp: String(Math.floor(Date.now() / 1000) - age)
+        }]
+      }
+    }]
+  }]
+});
+
+/**
+ * Run a middleware with a fake request and response
+ * @param {function} middleware - Express middleware
+ * @param {object} body - Parsed body
+ * @param {object} [headers] - Request headers
+ * @returns {Promise<object>} - { status, nextCalled, res }
+ */
+const run = async (middleware, body, headers = {}) => {
+  const rawBody = Buffer.from(JSON.stringify(body));
+  const res = new EventEmitter();
+  let status = null;
+  let nextCalled = false;
+  res.sendStatus = (code) => {
+    status = code;
+    res.statusCode = code;
+  };
+
+  await middleware({ body, rawBody, get: (name) => headers[name.toLowerCase()] }, res, () => {
+    nextCalled = true;
+  });
+  return { status, nextCalled, res };
+};
+
+describe('verifySignature', () => {
+  const rawBody = Buffer.from(JSON.stringify(payload()));
+
+  it('accepts the HMAC-SHA256 of the raw body', () => {
+    assert.equal(webhookSecurityService.verifySignature(rawBody, sign(rawBody), APP_SECRET), true);
+  });
+
+  it('rejects other bodies, secrets and malformed headers', () => {
+    const otherBody = Buffer.from(JSON.stringify(payload()));
+
+    assert.equal(webhookSecurityService.verifySignature(otherBody, sign(rawBody), APP_SECRET), false);
+    assert.equal(webhookSecurityService.verifySignature(rawBody, sign(rawBody, 'other-secret'), APP_SECRET), false);
+    assert.equal(webhookSecurityService.verifySignature(rawBody, sign(rawBody).replace('sha256=', 'sha1='), APP_SECRET), false);
+    assert.equal(webhookSecurityService.verifySignature(rawBody, sign(rawBody).slice(0, -2), APP_SECRET), false);
+    assert.equal(webhookSecurityService.verifySignature(rawBody, undefined, APP_SECRET), false);
+    assert.equal(webhookSecurityService.verifySignature(undefined, sign(rawBody), APP_SECRET), false);
+  });
+});
+
+describe('isStale', () => {
+  it('goes by the newest event in the payload', () => {
+    const body = payload(3600);
+    body.entry[0].changes[0].value.statuses = [{ id: 'wamid.1', status: 'read', timestamp: String(Math.floor(Date.now() / 1000)) }];
+
+    assert.equal(webhookSecurityService.isStale(payload(60)), false);
+    assert.equal(webhookSecurityService.isStale(payload(3600)), true);
+    assert.equal(webhookSecurityService.isStale(body), false);
+  });
+
+  it("doesn't treat payloads without timestamps as stale", () => {
+    assert.equal(webhookSecurityService.isStale({ object: 'whatsapp_business_account', entry: [] }), false);
+  });
+});
+
+describe('verifyWebhookSignature', () => {
+  const { NODE_ENV, WHATSAPP_APP_SECRET } = process.env;
+
+  afterEach(() => {
+    process.env.NODE_ENV = NODE_ENV;
+    process.env.WHATSAPP_APP_SECRET = WHATSAPP_APP_SECRET;
+    if (NODE_ENV === undefined) delete process.env.NODE_ENV;
+    if (WHATSAPP_APP_SECRET === undefined) delete process.env.WHATSAPP_APP_SECRET;
+  });
+
+  it('lets signed requests through and rejects the rest with 401', async () => {
+    process.env.WHATSAPP_APP_SECRET = APP_SECRET;
+    const body = payload();
+    const signature = sign(Buffer.from(JSON.stringify(body)));
+
+    assert.equal((await run(verifyWebhookSignature, body, { 'x-hub-signature-256': signature })).nextCalled, true);
+    assert.equal((await run(verifyWebhookSignature, body)).status, 401);
+    assert.equal((await run(verifyWebhookSignature, body, { 'x-hub-signature-256': sign(Buffer.from('{}')) })).status, 401);
+  });
+
+  it('rejects every request in production without an app secret', async () => {
+    delete process.env.WHATSAPP_APP_SECRET;
+    process.env.NODE_ENV = 'production';
+
+    const result = await run(verifyWebhookSignature, payload());
+    assert.equal(result.status, 500);
+    assert.equal(result.nextCalled, false);
+  });
+});
+
+describe('rejectReplayedWebhooks', { skip }, () => {
+  before(setupDatabase);
+  after(() => pool.end());
+
+  it('acknowledges stale payloads without processing them', async () => {
+    const result = await run(rejectReplayedWebhooks, payload(3600));
+
+    assert.equal(result.status, 200);
+    assert.equal(result.nextCalled, false);
+  });
+
+  it('processes a payload once and acknowledges repeats', async () => {
+    const body = payload();
+
+    assert.equal((await run(rejectReplayedWebhooks, body)).nextCalled, true);
+
+    const repeat = await run(rejectReplayedWebhooks, body);
+    assert.equal(repeat.status, 200);
+    assert.equal(repeat.nextCalled, false);
+  });
+
+  it('lets the retry of a payload that failed with a 5xx through', async () => {
+    const body = payload();
+    const first = await run(rejectReplayedWebhooks, body);
+
+    first.res.statusCode = 500;
+    first.res.emit('finish');
+    await new Promise(resolve => setTimeout(resolve, 100));
+
+    assert.equal((await run(rejectReplayedWebhooks, body)).nextCalled, true);
+  });
+});
@@ -0,0 +1,23 @@
+/**
+ * Party Helpers
+ * Viewings, inquiries and offers each have a tenant side and an owner side
+ */
+
+/**
+ * Which side of a viewing, inquiry or offer a user is on
+ * Admins act for the owner side (e.g. on listings without an owner), but only
+ * with an admin session: WhatsApp senders and OTP-only logins never count as admins
+ * @param {object} user - User (req.user, with isAdmin)
+ * @param {object} ids - { tenantId, ownerId } of the record
+ * @param {string} [ownerRole] - Name of the owner side ('owner', or 'landlord' for viewings)
+ * @returns {string|null} - 'tenant', ownerRole or null
+ */
+const partyFor = (user, { tenantId, ownerId }, ownerRole = 'owner') => {
+  if (tenantId === user.id) return 'tenant';
+  if (ownerId === user.id || user.isAdmin) return ownerRole;
+  return null;
+};
+
+module.exports = {
+  partyFor
+};
@@ -0,0 +1,33 @@
+/**
+ * Service Result Helpers
+ * Services return { success: true, ... } or { success: false, error, message },
+ * where error is one of the codes below; routes send them with sendResult
+ */
+
+// Service error codes -> HTTP status
+const ERROR_STATUS = {
+  invalid: 400,
+  forbidden: 403,
+  not_found: 404,
+  conflict: 409,
+  delivery: 502
+};
+
+/**
+ * Send a service result
+ * @param {object} res - Express response
+ * @param {object} result - { success, ... } or { success: false, error, message }
+ * @param {number} [status] - Status on success
+ */
+const sendResult = (res, result, status = 200) => {
+  if (!result.success) {
+    const { error, ...body } = result;
+    return res.status(ERROR_STATUS[error] || 400).json(body);
+  }
+  res.status(status).json(result);
+};
+
+module.exports = {
+  ERROR_STATUS,
+  sendResult
+};
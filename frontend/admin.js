@@ -9,7 +9,13 @@
 
 const AdminState = {
   pendingProperties: [],
+  sessions: [],
+  conversationSearch: { filters: {}, results: [], total: 0 },
+  handoffs: [],
+  openHandoff: null, // { handoff, transcript } shown in the agent panel
+  handoffPoll: null,
   stats: null,
+  loginPhone: '',
   isLoading: false
 };
 
@@ -31,7 +37,12 @@ function initializeAdmin() {
 
   // Admin is logged in, load dashboard
   loadAdminStats();
+  loadOfferStats();
   loadPendingProperties();
+  loadConversationAnalytics();
+  loadFlaggedMessages();
+  loadHandoffs();
+  loadAdminSessions();
 }
 
 /**
@@ -65,17 +76,30 @@ function adminLogout() {
 }
 
 /**
- * Admin login function
+ * Convert a phone number to API format (+234XXXXXXXXXX)
+ * @param {string} phone - Phone number as typed
+ * @returns {string} - Phone number in API format
  */
-async function adminLogin() {
-  const phoneInput = document.getElementById('adminPhone');
-  const passwordInput = document.getElementById('adminPassword');
+function toApiPhone(phone) {
+  const cleanPhone = phone.replace(/\s/g, '');
+
+  if (cleanPhone.startsWith('0')) {
+    return '+234' + cleanPhone.substring(1);
+  } else if (cleanPhone.startsWith('234')) {
+    return '+' + cleanPhone;
+  }
+  return cleanPhone;
+}
 
+/**
+ * Admin login step 1 - send a verification code to the admin's phone
+ */
+async function sendAdminCode() {
+  const phoneInput = document.getElementById('adminPhone');
   const phone = phoneInput ? phoneInput.value.trim() : '';
-  const password = passwordInput ? passwordInput.value.trim() : '';
 
-  if (!phone || !password) {
-    showError('Please enter both phone number and password');
+  if (!phone) {
+    showError('Please enter your admin phone number');
     return;
   }
 
@@ -85,25 +109,60 @@ async function adminLogin() {
     return;
   }
 
-  // Clean phone number for admin login (same logic as regular auth)
-  const cleanPhone = phone.replace(/\s/g, '');
-  let apiPhone = cleanPhone;
+  try {
+    updateAdminSendCodeButton('Sending...', true);
 
-  // Convert to API format (+234XXXXXXXXXX)
-  if (cleanPhone.startsWith('0')) {
-    apiPhone = '+234' + cleanPhone.substring(1);
-  } else if (cleanPhone.startsWith('234')) {
-    apiPhone = '+' + cleanPhone;
-  } else if (cleanPhone.startsWith('+234')) {
-    apiPhone = cleanPhone;
+    AdminState.loginPhone = toApiPhone(phone);
+    const response = await API.admin.startAdminLogin(AdminState.loginPhone);
+
+    if (response.success) {
+      showSuccess(response.message || 'Verification code sent');
+      const codeStep = document.getElementById('adminCodeStep');
+      if (codeStep) codeStep.style.display = 'block';
+
+      const codeInput = document.getElementById('adminCode');
+      if (codeInput) codeInput.focus();
+    } else {
+      showError(response.message || 'Failed to send verification code');
+    }
+
+    updateAdminSendCodeButton('Resend Code', false);
+
+  } catch (error) {
+    console.error('Error sending admin code:', error);
+    showError(error.message || 'Failed to send verification code');
+    updateAdminSendCodeButton('Send Code', false);
+  }
+}
+
+/**
+ * Admin login step 2 - verify the code and admin password
+ */
+async function adminLogin() {
+  const codeInput = document.getElementById('adminCode');
+  const passwordInput = document.getElementById('adminPassword');
+
+  const code = codeInput ? codeInput.value.trim() : '';
+  const password = passwordInput ? passwordInput.value : '';
+
+  if (!AdminState.loginPhone) {
+    showError('Please request a verification code first');
+    return;
+  }
+
+  if (!code || !password) {
+    showError('Please enter both the verification code and your password');
+    return;
   }
 
   try {
     updateAdminLoginButton('Logging in...', true);
 
-    const response = await API.admin.adminLogin(apiPhone, password);
+    const response = await API.admin.adminLogin(AdminState.loginPhone, code, password);
 
     if (response.success) {
+      if (passwordInput) passwordInput.value = '';
+      if (codeInput) codeInput.value = '';
       showSuccess('Admin login successful!');
       setTimeout(() => {
         showScreen('admin');
@@ -112,12 +171,24 @@ async function adminLogin() {
       showError(response.message || 'Admin login failed');
     }
 
-    updateAdminLoginButton('Login as Admin', false);
+    updateAdminLoginButton('Access Admin Panel', false);
 
   } catch (error) {
     console.error('Error during admin login:', error);
-    showError('Admin login failed. Please try again.');
-    updateAdminLoginButton('Login as Admin', false);
+    showError(error.message || 'Admin login failed. Please try again.');
+    updateAdminLoginButton('Access Admin Panel', false);
+  }
+}
+
+/**
+ * Update admin send code button
+ */
+function updateAdminSendCodeButton(text, disabled) {
+  const btn = document.getElementById('adminSendCodeBtn');
+  if (btn) {
+    btn.textContent = text;
+    btn.disabled = disabled;
+    btn.style.opacity = disabled ? '0.6' : '1';
   }
 }
 
@@ -158,6 +229,32 @@ async function loadAdminStats() {
   }
 }
 
+/**
+ * Load offer statistics (how often listings go below the asking price)
+ */
+async function loadOfferStats() {
+  const container = document.getElementById('adminOfferStats');
+  if (!container) return;
+
+  try {
+    const stats = await API.admin.getOfferStats();
+    container.innerHTML = `
+      <div class="pending-property">
+        <div class="pending-property-meta">
+          <span>💰 ${stats.total || 0} offers (${stats.pending || 0} open)</span>
+          <span>✅ ${stats.accepted || 0} accepted, ${stats.acceptedBelowAsking || 0} below asking (${stats.acceptedBelowAskingPct || 0}%)</span>
+          <span>📉 Average discount on accepted offers: ${stats.avgAcceptedDiscountPct || 0}%</span>
+          <span>🗣️ Average opening offer: ${stats.avgOpeningDiscountPct || 0}% below asking</span>
+          <span>🔁 ${stats.countered || 0} countered, ❌ ${stats.declined || 0} declined</span>
+        </div>
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading offer stats:', error);
+    container.innerHTML = '<p class="auth-info">Failed to load offer statistics.</p>';
+  }
+}
+
 /**
  * Load pending properties
  */
@@ -350,6 +447,487 @@ async function bulkApproveProperties() {
   }
 }
 
+// ===================================
+// CONVERSATIONS
+// ===================================
+
+const CONVERSATION_PAGE_SIZE = 50;
+
+/**
+ * Escape user-written text before putting it in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeAdminText(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
+
+/**
+ * Load intent distribution, zero-result searches and unmet demand
+ */
+async function loadConversationAnalytics() {
+  const container = document.getElementById('adminConversationAnalytics');
+  if (!container) return;
+
+  const daysSelect = document.getElementById('adminAnalyticsDays');
+  const days = daysSelect ? daysSelect.value : 7;
+
+  try {
+    const { intents = [], zeroResultSearches = [], unmetDemand = {} } = await API.admin.getConversationAnalytics(days);
+    const { locations = [], budgets = [] } = unmetDemand;
+
+    container.innerHTML = `
+      <div class="pending-property">
+        <div class="pending-property-meta">
+          <span>📊 Intents</span>
+          ${intents.length ? intents.map(row => `<span>${escapeAdminText(row.intent)}: ${row.count} (${row.pct}%)</span>`).join('') : '<span>No conversations yet</span>'}
+        </div>
+      </div>
+      <div class="pending-property">
+        <div class="pending-property-meta">
+          <span>📍 Locations with no supply</span>
+          ${locations.length ? locations.map(row => `<span>${escapeAdminText(row.location)}: ${row.searches} searches, ${row.users} users</span>`).join('') : '<span>None</span>'}
+        </div>
+        <div class="pending-property-meta">
+          <span>💵 Budgets with no supply</span>
+          ${budgets.length ? budgets.map(row => `<span>${escapeAdminText(row.band)}: ${row.searches} searches, ${row.users} users</span>`).join('') : '<span>None</span>'}
+        </div>
+      </div>
+      <div class="pending-property">
+        <div class="pending-property-meta">
+          <span>😔 Recent searches with no results</span>
+        </div>
+        ${zeroResultSearches.length ? zeroResultSearches.map(row => `
+          <div class="pending-property-details">
+            “${escapeAdminText(row.message)}” — +${escapeAdminText(row.phone)}, ${new Date(row.created_at).toLocaleString()}
+          </div>
+        `).join('') : '<p class="auth-info">None in this period.</p>'}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading conversation analytics:', error);
+    container.innerHTML = '<p class="auth-info">Failed to load conversation analytics.</p>';
+  }
+}
+
+const FLAGGED_REASONS = {
+  too_long: '✂️ Too long',
+  injection: '🛡️ Prompt injection',
+  data_extraction: '🔐 Data extraction',
+  off_topic: '🏠 Off-topic'
+};
+
+/**
+ * Load messages the bot refused
+ */
+async function loadFlaggedMessages() {
+  const container = document.getElementById('adminFlaggedMessages');
+  if (!container) return;
+
+  const daysSelect = document.getElementById('adminAnalyticsDays');
+  const days = daysSelect ? daysSelect.value : 7;
+
+  try {
+    const { counts, messages } = await API.admin.getFlaggedMessages(days);
+
+    container.innerHTML = `
+      <div class="pending-property">
+        <div class="pending-property-meta">
+          <span>🚩 Refused messages</span>
+          ${counts.length ? counts.map(row => `<span>${FLAGGED_REASONS[row.reason] || escapeAdminText(row.reason)}: ${row.count} from ${row.phones} ${row.phones === 1 ? 'phone' : 'phones'}</span>`).join('') : '<span>None</span>'}
+        </div>
+        ${messages.map(row => `
+          <div class="pending-property-details">
+            ${FLAGGED_REASONS[row.reason] || escapeAdminText(row.reason)} — +${escapeAdminText(row.phone)}, ${new Date(row.created_at).toLocaleString()}<br>
+            “${escapeAdminText(row.message.slice(0, 300))}${row.message_length > 300 ? '…' : ''}”
+          </div>
+        `).join('')}
+      </div>
+    `;
+  } catch (error) {
+    console.error('Error loading flagged messages:', error);
+    container.innerHTML = '<p class="auth-info">Failed to load flagged messages.</p>';
+  }
+}
+
+/**
+ * Search logged conversations with the filters in the form
+ */
+async function searchConversations() {
+  const value = id => (document.getElementById(id)?.value || '').trim();
+  const filters = {
+    phone: value('adminConversationPhone'),
+    intent: value('adminConversationIntent'),
+    from: value('adminConversationFrom'),
+    to: value('adminConversationTo')
+  };
+
+  try {
+    const { total, conversations } = await API.admin.searchConversations({ ...filters, limit: CONVERSATION_PAGE_SIZE });
+    AdminState.conversationSearch = { filters, results: conversations, total };
+    renderConversationResults();
+  } catch (error) {
+    console.error('Error searching conversations:', error);
+    showError(error.message || 'Failed to search conversations');
+  }
+}
+
+/**
+ * Load the next page of the current search
+ */
+async function loadMoreConversations() {
+  const search = AdminState.conversationSearch;
+
+  try {
+    const { conversations } = await API.admin.searchConversations({
+      ...search.filters,
+      limit: CONVERSATION_PAGE_SIZE,
+      offset: search.results.length
+    });
+    search.results = search.results.concat(conversations);
+    renderConversationResults();
+  } catch (error) {
+    console.error('Error loading more conversations:', error);
+    showError(error.message || 'Failed to load more conversations');
+  }
+}
+
+/**
+ * Text of a logged bot reply (structured replies keep their summary)
+ * @param {string|object|null} response - Stored response
+ * @returns {string}
+ */
+function describeStoredResponse(response) {
+  if (!response) return '';
+  return typeof response === 'object' ? response.summary || `[${response.type}]` : response;
+}
+
+/**
+ * Render the conversation search results
+ */
+function renderConversationResults() {
+  const container = document.getElementById('adminConversationResults');
+  if (!container) return;
+
+  const { results, total } = AdminState.conversationSearch;
+  if (results.length === 0) {
+    container.innerHTML = '<p class="auth-info">No conversations match these filters.</p>';
+    return;
+  }
+
+  container.innerHTML = `
+    <p class="auth-info">Showing ${results.length} of ${total}</p>
+    ${results.map(row => {
+      const entities = row.entities ? Object.entries(row.entities).filter(([key]) => key !== 'message') : [];
+      return `
+      <div class="pending-property">
+        <div class="pending-property-meta">
+          <span>📱 +${escapeAdminText(row.phone)}</span>
+          <span>📅 ${new Date(row.created_at).toLocaleString()}</span>
+          <span>🏷️ ${escapeAdminText(row.intent || 'unknown')}</span>
+          ${row.result_count !== null && row.result_count !== undefined ? `<span>🏠 ${row.result_count} results</span>` : ''}
+        </div>
+        <div class="inquiry-message theirs">
+          <div class="inquiry-message-body">${escapeAdminText(row.message)}</div>
+        </div>
+        ${row.response ? `
+        <div class="inquiry-message mine">
+          <div class="inquiry-message-body">${escapeAdminText(describeStoredResponse(row.response))}</div>
+        </div>` : ''}
+        ${entities.length ? `<div class="pending-property-details">${entities.map(([key, val]) => `${escapeAdminText(key)}: ${escapeAdminText(typeof val === 'object' ? JSON.stringify(val) : String(val))}`).join(' • ')}</div>` : ''}
+      </div>
+    `;
+    }).join('')}
+    ${results.length < total ? '<button class="btn-secondary" onclick="loadMoreConversations()">Show more</button>' : ''}
+  `;
+}
+
+// ===================================
+// AGENT HANDOFFS
+// ===================================
+
+const HANDOFF_POLL_MS = 5000;
+
+const HANDOFF_REASONS = {
+  requested: '🙋 Asked for an agent',
+  angry: '😠 Upset user',
+  negotiation: '💰 Long negotiation',
+  repeated_other: '🤔 Bot not understanding'
+};
+
+/**
+ * Load conversations waiting for or being handled by an agent
+ */
+async function loadHandoffs() {
+  try {
+    const handoffs = await API.admin.getHandoffs();
+    AdminState.handoffs = handoffs;
+    renderHandoffs(handoffs);
+  } catch (error) {
+    console.error('Error loading handoffs:', error);
+    showError('Failed to load agent queue');
+  }
+}
+
+/**
+ * Render the agent queue
+ * @param {array} handoffs - Open handoffs, oldest first
+ */
+function renderHandoffs(handoffs) {
+  const container = document.getElementById('adminHandoffList');
+  if (!container) return;
+
+  if (handoffs.length === 0) {
+    container.innerHTML = '<p class="auth-info">No conversations waiting for an agent.</p>';
+    return;
+  }
+
+  container.innerHTML = handoffs.map(handoff => `
+    <div class="pending-property">
+      <div class="pending-property-meta">
+        <span>📱 +${escapeAdminText(handoff.phone)}</span>
+        <span>${HANDOFF_REASONS[handoff.reason] || handoff.reason}</span>
+        <span>${handoff.status === 'active' ? `🎧 With ${escapeAdminText(handoff.agent_name || 'an agent')}` : `⏳ Waiting since ${new Date(handoff.created_at).toLocaleString()}`}</span>
+        ${handoff.last_message ? `<span>💬 ${escapeAdminText(handoff.last_message)}</span>` : ''}
+      </div>
+      <div class="pending-property-actions">
+        <button class="btn-secondary" onclick="openHandoff(${handoff.id})">Open</button>
+        ${handoff.status === 'queued' ? `<button class="btn-approve" onclick="takeHandoff(${handoff.id})">Take over</button>` : ''}
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Open a handoff's live transcript, refreshing it while it stays open
+ * @param {number} handoffId - Handoff ID
+ */
+async function openHandoff(handoffId) {
+  stopHandoffPoll();
+  await refreshHandoff(handoffId);
+  if (AdminState.openHandoff) {
+    AdminState.handoffPoll = setInterval(() => refreshHandoff(handoffId), HANDOFF_POLL_MS);
+  }
+}
+
+/**
+ * Reload the open transcript (stops polling once the admin screen is left)
+ * @param {number} handoffId - Handoff ID
+ */
+async function refreshHandoff(handoffId) {
+  const screen = document.getElementById('admin');
+  if (AdminState.handoffPoll && screen && !screen.classList.contains('active')) {
+    stopHandoffPoll();
+    return;
+  }
+
+  try {
+    const { handoff, transcript } = await API.admin.getHandoff(handoffId);
+    AdminState.openHandoff = { handoff, transcript };
+    renderHandoffTranscript();
+  } catch (error) {
+    console.error('Error loading handoff transcript:', error);
+    stopHandoffPoll();
+    showError(error.message || 'Failed to load conversation');
+  }
+}
+
+/**
+ * Stop refreshing the open transcript
+ */
+function stopHandoffPoll() {
+  if (AdminState.handoffPoll) {
+    clearInterval(AdminState.handoffPoll);
+    AdminState.handoffPoll = null;
+  }
+}
+
+/**
+ * Close the transcript panel
+ */
+function closeHandoff() {
+  stopHandoffPoll();
+  AdminState.openHandoff = null;
+  renderHandoffTranscript();
+}
+
+/**
+ * Render the open transcript with the take over / reply / release controls
+ */
+function renderHandoffTranscript() {
+  const container = document.getElementById('adminHandoffTranscript');
+  if (!container) return;
+
+  if (!AdminState.openHandoff) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const { handoff, transcript } = AdminState.openHandoff;
+  const isActive = handoff.status === 'active';
+  const draft = document.getElementById('adminHandoffReply');
+  const draftText = draft ? draft.value : '';
+
+  const messages = transcript.map(entry => `
+    <div class="inquiry-message ${entry.from === 'user' ? 'theirs' : 'mine'}">
+      <div class="inquiry-message-body">${escapeAdminText(entry.text)}</div>
+      <div class="inquiry-message-meta">
+        ${entry.from === 'user' ? 'User' : entry.from === 'bot' ? '🤖 Bot' : `🎧 ${escapeAdminText(entry.agentName || 'Agent')}`}
+        • ${new Date(entry.at).toLocaleString('en-NG', { timeZone: 'Africa/Lagos', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}
+        ${entry.intent ? `• ${escapeAdminText(entry.intent)}` : ''}
+      </div>
+    </div>
+  `).join('');
+
+  container.innerHTML = `
+    <div class="pending-property">
+      <div class="pending-property-meta">
+        <span>📱 +${escapeAdminText(handoff.phone)} • ${HANDOFF_REASONS[handoff.reason] || handoff.reason}</span>
+        <span>${handoff.status === 'released' ? '🤖 Back with the bot' : isActive ? '🎧 Taken over — the bot is not replying' : '⏳ Waiting for an agent — the bot is still replying'}</span>
+      </div>
+      <div class="handoff-transcript">${messages || '<p class="auth-info">No messages yet.</p>'}</div>
+      ${isActive ? `
+      <textarea class="input-field" id="adminHandoffReply" rows="3" maxlength="4096" placeholder="Reply on WhatsApp..."></textarea>` : ''}
+      <div class="pending-property-actions">
+        ${handoff.status === 'queued' ? `<button class="btn-approve" onclick="takeHandoff(${handoff.id})">Take over</button>` : ''}
+        ${isActive ? `<button class="btn-approve" onclick="sendHandoffReply()">Send</button>` : ''}
+        ${handoff.status !== 'released' ? `<button class="btn-reject" onclick="releaseHandoff(${handoff.id})">Hand back to bot</button>` : ''}
+        <button class="btn-secondary" onclick="closeHandoff()">Close</button>
+      </div>
+    </div>
+  `;
+
+  // Keep what the agent was typing across refreshes
+  const reply = document.getElementById('adminHandoffReply');
+  if (reply && draftText) reply.value = draftText;
+}
+
+/**
+ * Take over a conversation so the bot stops replying
+ * @param {number} handoffId - Handoff ID
+ */
+async function takeHandoff(handoffId) {
+  try {
+    await API.admin.takeHandoff(handoffId);
+    showSuccess('You have taken over this conversation');
+    loadHandoffs();
+    openHandoff(handoffId);
+  } catch (error) {
+    console.error('Error taking over conversation:', error);
+    showError(error.message || 'Failed to take over conversation');
+    loadHandoffs();
+  }
+}
+
+/**
+ * Send the typed reply to the user on WhatsApp
+ */
+async function sendHandoffReply() {
+  const input = document.getElementById('adminHandoffReply');
+  const open = AdminState.openHandoff;
+  if (!input || !open) return;
+
+  const message = input.value.trim();
+  if (!message) {
+    showError('Please type a reply');
+    return;
+  }
+
+  try {
+    await API.admin.sendHandoffMessage(open.handoff.id, message);
+    input.value = '';
+    refreshHandoff(open.handoff.id);
+  } catch (error) {
+    console.error('Error sending reply:', error);
+    showError(error.message || 'Failed to send reply');
+  }
+}
+
+/**
+ * Hand a conversation back to the bot
+ * @param {number} handoffId - Handoff ID
+ */
+async function releaseHandoff(handoffId) {
+  if (!confirm('Hand this conversation back to the bot?')) return;
+
+  try {
+    await API.admin.releaseHandoff(handoffId);
+    showSuccess('Conversation handed back to the bot');
+    closeHandoff();
+    loadHandoffs();
+  } catch (error) {
+    console.error('Error releasing conversation:', error);
+    showError(error.message || 'Failed to hand back conversation');
+  }
+}
+
+/**
+ * Load the current admin's active sessions
+ */
+async function loadAdminSessions() {
+  try {
+    const sessions = await API.admin.getSessions();
+    AdminState.sessions = sessions;
+    renderAdminSessions(sessions);
+  } catch (error) {
+    console.error('Error loading admin sessions:', error);
+    showError('Failed to load admin sessions');
+  }
+}
+
+/**
+ * Render active admin sessions list
+ * @param {array} sessions - Array of sessions
+ */
+function renderAdminSessions(sessions) {
+  const container = document.getElementById('adminSessionsList');
+  if (!container) return;
+
+  if (sessions.length === 0) {
+    container.innerHTML = '<p class="auth-info">No active sessions.</p>';
+    return;
+  }
+
+  container.innerHTML = sessions.map(session => `
+    <div class="pending-property">
+      <div class="pending-property-meta">
+        <span>${session.current ? '🟢 This device' : '💻 ' + (session.user_agent || 'Unknown device')}</span>
+        <span>🌐 ${session.ip_address || 'Unknown IP'}</span>
+        <span>📅 Since ${new Date(session.created_at).toLocaleString()}</span>
+        <span>⏱️ Last used ${new Date(session.last_used_at).toLocaleString()}</span>
+      </div>
+      ${session.current ? '' : `
+      <div class="pending-property-actions">
+        <button class="btn-reject" onclick="revokeAdminSession('${session.id}')">
+          <svg class="icon icon-sm" viewBox="0 0 24 24">
+            <use href="#icon-close"></use>
+          </svg>
+          Revoke
+        </button>
+      </div>`}
+    </div>
+  `).join('');
+}
+
+/**
+ * Revoke another admin session
+ * @param {string} sessionId - Session ID
+ */
+async function revokeAdminSession(sessionId) {
+  if (!confirm('Revoke this session? That device will be logged out.')) return;
+
+  try {
+    await API.admin.revokeSession(sessionId);
+    showSuccess('Session revoked');
+    loadAdminSessions();
+  } catch (error) {
+    console.error('Error revoking admin session:', error);
+    showError('Failed to revoke session');
+  }
+}
+
 /**
  * Format price for display
  * @param {string|number} price - Raw price
@@ -535,15 +1113,29 @@ function initializeAdminLogin() {
 
 // Export all functions to global scope
 window.showAdminPanel = showAdminPanel;
+window.sendAdminCode = sendAdminCode;
 window.adminLogin = adminLogin;
 window.adminLogout = adminLogout;
 window.loadAdminStats = loadAdminStats;
+window.loadOfferStats = loadOfferStats;
 window.loadPendingProperties = loadPendingProperties;
 window.approveProperty = approveProperty;
 window.rejectProperty = rejectProperty;
 window.viewPropertyDetails = viewPropertyDetails;
 window.refreshPendingProperties = refreshPendingProperties;
 window.bulkApproveProperties = bulkApproveProperties;
+window.loadConversationAnalytics = loadConversationAnalytics;
+window.loadFlaggedMessages = loadFlaggedMessages;
+window.searchConversations = searchConversations;
+window.loadMoreConversations = loadMoreConversations;
+window.loadHandoffs = loadHandoffs;
+window.openHandoff = openHandoff;
+window.closeHandoff = closeHandoff;
+window.takeHandoff = takeHandoff;
+window.sendHandoffReply = sendHandoffReply;
+window.releaseHandoff = releaseHandoff;
+window.loadAdminSessions = loadAdminSessions;
+window.revokeAdminSession = revokeAdminSession;
 
 // Also export the old function name for backward compatibility
 window.showAdminDashboard = showAdminPanel;
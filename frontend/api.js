@@ -7,22 +7,42 @@ const API_BASE_URL = window.location.hostname === 'localhost'
   ? 'http://localhost:5000/api/v1'
   : 'https://propabridge-api.onrender.com/api/v1';
 
+// Shared in-flight refresh so parallel 401s don't rotate the same refresh token twice
+let refreshInFlight = null;
+
+/**
+ * Decode the payload of a JWT without verifying it (expiry checks only)
+ * @param {string} token - JWT
+ * @returns {object|null} - Decoded payload
+ */
+function decodeTokenPayload(token) {
+  try {
+    const base64 = token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/');
+    return JSON.parse(atob(base64));
+  } catch (error) {
+    return null;
+  }
+}
+
 /**
  * Make API request with error handling
+ * Retries once with a refreshed access token when the user's token has expired
  * @param {string} endpoint - API endpoint
  * @param {object} options - Fetch options
+ * @param {boolean} retried - Whether this is the retry after a token refresh
  * @returns {Promise<object>} - API response
  */
-async function apiRequest(endpoint, options = {}) {
+async function apiRequest(endpoint, options = {}, retried = false) {
   try {
     const token = localStorage.getItem('authToken');
+    const usesUserToken = token && !options.skipAuth && !(options.headers && options.headers.Authorization);
     
     const headers = {
       'Content-Type': 'application/json',
       ...options.headers
     };
 
-    if (token && !options.skipAuth) {
+    if (usesUserToken) {
       headers['Authorization'] = `Bearer ${token}`;
     }
 
@@ -31,10 +51,20 @@ async function apiRequest(endpoint, options = {}) {
       headers
     });
 
+    if (response.status === 401 && usesUserToken && !retried) {
+      const refreshed = await auth.refreshToken();
+      if (refreshed) {
+        return apiRequest(endpoint, options, true);
+      }
+    }
+
     const data = await response.json();
 
     if (!response.ok) {
-      throw new Error(data.message || 'API request failed');
+      const error = new Error(data.message || 'API request failed');
+      error.status = response.status;
+      error.data = data;
+      throw error;
     }
 
     return data;
@@ -51,12 +81,13 @@ const auth = {
   /**
    * Send OTP to phone number
    * @param {string} phone - Phone number (+234XXXXXXXXXX)
+   * @param {string} [channel] - 'whatsapp' or 'sms' (defaults to the user's saved choice)
    * @returns {Promise<object>}
    */
-  async sendOTP(phone) {
+  async sendOTP(phone, channel) {
     return apiRequest('/auth/send-otp', {
       method: 'POST',
-      body: JSON.stringify({ phone }),
+      body: JSON.stringify({ phone, channel }),
       skipAuth: true
     });
   },
@@ -76,6 +107,7 @@ const auth = {
 
     if (result.success && result.token) {
       localStorage.setItem('authToken', result.token);
+      localStorage.setItem('refreshToken', result.refreshToken);
       localStorage.setItem('user', JSON.stringify(result.user));
     }
 
@@ -103,51 +135,84 @@ const auth = {
   },
 
   /**
-   * Refresh authentication token
-   * @param {string} token - Current token
-   * @returns {Promise<object>}
+   * Exchange the stored refresh token for a new token pair
+   * @returns {Promise<boolean>} - Whether the refresh succeeded
    */
-  async refreshToken(token) {
-    return apiRequest('/auth/refresh', {
-      method: 'POST',
-      body: JSON.stringify({ token }),
-      skipAuth: true
-    });
+  async refreshToken() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (!refreshToken) return false;
+
+    if (!refreshInFlight) {
+      refreshInFlight = apiRequest('/auth/refresh', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken }),
+        skipAuth: true
+      }, true)
+        .then(result => {
+          localStorage.setItem('authToken', result.token);
+          localStorage.setItem('refreshToken', result.refreshToken);
+          localStorage.setItem('user', JSON.stringify(result.user));
+          return true;
+        })
+        .catch(error => {
+          console.error('Token refresh failed:', error);
+          this.clearSession();
+          return false;
+        })
+        .finally(() => {
+          refreshInFlight = null;
+        });
+    }
+
+    return refreshInFlight;
   },
 
   /**
-   * Logout user
+   * Logout user and revoke the refresh token on the server
    */
   logout() {
+    const refreshToken = localStorage.getItem('refreshToken');
+    if (refreshToken) {
+      apiRequest('/auth/logout', {
+        method: 'POST',
+        body: JSON.stringify({ refreshToken }),
+        skipAuth: true
+      }).catch(error => console.error('Failed to revoke session:', error));
+    }
+    this.clearSession();
+  },
+
+  /**
+   * Remove stored tokens without contacting the server
+   */
+  clearSession() {
     localStorage.removeItem('authToken');
+    localStorage.removeItem('refreshToken');
     localStorage.removeItem('user');
   },
 
   /**
    * Check if user is authenticated
+   * An expired access token still counts while a refresh token is stored,
+   * since the next API call will refresh it
    * @returns {boolean}
    */
   isAuthenticated() {
     const token = localStorage.getItem('authToken');
     if (!token) return false;
 
-    // Check if token is still valid (basic check)
-    try {
-      const payload = JSON.parse(atob(token.split('.')[1]));
-      const currentTime = Date.now() / 1000;
-
-      if (payload.exp && payload.exp < currentTime) {
-        // Token expired
-        this.logout();
-        return false;
-      }
-
-      return true;
-    } catch (error) {
-      console.error('Error checking token validity:', error);
-      this.logout();
+    const payload = decodeTokenPayload(token);
+    if (!payload) {
+      this.clearSession();
       return false;
     }
+
+    const currentTime = Date.now() / 1000;
+    if (payload.exp && payload.exp < currentTime) {
+      return !!localStorage.getItem('refreshToken');
+    }
+
+    return true;
   },
 
   /**
@@ -235,6 +300,276 @@ const properties = {
       console.error('Failed to track view:', error);
       // Non-critical, don't throw
     }
+  },
+
+  /**
+   * The user's own listings in any status (landlords and agents)
+   * @returns {Promise<array>}
+   */
+  async getMine() {
+    const data = await apiRequest('/properties/mine');
+    return data.properties || [];
+  }
+};
+
+/**
+ * Viewings API
+ */
+const viewings = {
+  /**
+   * Open viewing slots for a property
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<object>}
+   */
+  async getSlots(propertyId) {
+    return apiRequest(`/viewings/properties/${propertyId}/slots`, {
+      skipAuth: true
+    });
+  },
+
+  /**
+   * Weekly viewing hours for a property
+   * @param {number} propertyId - Property ID
+   * @returns {Promise<object>}
+   */
+  async getAvailability(propertyId) {
+    return apiRequest(`/viewings/properties/${propertyId}/availability`, {
+      skipAuth: true
+    });
+  },
+
+  /**
+   * Replace a property's weekly viewing hours (owner only)
+   * @param {number} propertyId - Property ID
+   * @param {array} windows - [{ dayOfWeek, startTime, endTime, slotMinutes }]
+   * @returns {Promise<object>}
+   */
+  async setAvailability(propertyId, windows) {
+    return apiRequest(`/viewings/properties/${propertyId}/availability`, {
+      method: 'PUT',
+      body: JSON.stringify({ windows })
+    });
+  },
+
+  /**
+   * Book a viewing
+   * @param {number} propertyId - Property ID
+   * @param {string} startsAt - Slot start time (ISO string)
+   * @param {string} [notes] - Note for the landlord
+   * @returns {Promise<object>}
+   */
+  async book(propertyId, startsAt, notes) {
+    return apiRequest('/viewings', {
+      method: 'POST',
+      body: JSON.stringify({ propertyId, startsAt, notes })
+    });
+  },
+
+  /**
+   * The user's viewings as tenant or landlord
+   * @returns {Promise<object>}
+   */
+  async getMine() {
+    return apiRequest('/viewings/mine');
+  },
+
+  /**
+   * Confirm a viewing
+   * @param {number} viewingId - Viewing ID
+   * @returns {Promise<object>}
+   */
+  async confirm(viewingId) {
+    return apiRequest(`/viewings/${viewingId}/confirm`, { method: 'POST' });
+  },
+
+  /**
+   * Cancel a viewing
+   * @param {number} viewingId - Viewing ID
+   * @param {string} [reason] - Reason shown to the other side
+   * @returns {Promise<object>}
+   */
+  async cancel(viewingId, reason) {
+    return apiRequest(`/viewings/${viewingId}/cancel`, {
+      method: 'POST',
+      body: JSON.stringify({ reason })
+    });
+  },
+
+  /**
+   * Move a viewing to another slot
+   * @param {number} viewingId - Viewing ID
+   * @param {string} startsAt - New slot start time (ISO string)
+   * @returns {Promise<object>}
+   */
+  async reschedule(viewingId, startsAt) {
+    return apiRequest(`/viewings/${viewingId}/reschedule`, {
+      method: 'POST',
+      body: JSON.stringify({ startsAt })
+    });
+  },
+
+  /**
+   * Mark a past viewing as completed (landlord)
+   * @param {number} viewingId - Viewing ID
+   * @returns {Promise<object>}
+   */
+  async complete(viewingId) {
+    return apiRequest(`/viewings/${viewingId}/complete`, { method: 'POST' });
+  },
+
+  /**
+   * Report that the other side didn't show up
+   * @param {number} viewingId - Viewing ID
+   * @returns {Promise<object>}
+   */
+  async noShow(viewingId) {
+    return apiRequest(`/viewings/${viewingId}/no-show`, { method: 'POST' });
+  }
+};
+
+/**
+ * Inquiries API
+ */
+const inquiries = {
+  /**
+   * Send the landlord a message about a property
+   * @param {number} propertyId - Property ID
+   * @param {string} message - Message for the landlord
+   * @returns {Promise<object>}
+   */
+  async create(propertyId, message) {
+    return apiRequest('/inquiries', {
+      method: 'POST',
+      body: JSON.stringify({ propertyId, message })
+    });
+  },
+
+  /**
+   * Inquiries about the user's properties
+   * @param {object} [filters] - { propertyId, status }
+   * @returns {Promise<object>}
+   */
+  async getInbox(filters = {}) {
+    const params = new URLSearchParams();
+    if (filters.propertyId) params.append('propertyId', filters.propertyId);
+    if (filters.status) params.append('status', filters.status);
+    return apiRequest(`/inquiries/inbox?${params.toString()}`);
+  },
+
+  /**
+   * Inquiries the user has sent
+   * @returns {Promise<object>}
+   */
+  async getSent() {
+    return apiRequest('/inquiries/sent');
+  },
+
+  /**
+   * A thread with its messages
+   * @param {number} inquiryId - Inquiry ID
+   * @returns {Promise<object>}
+   */
+  async getThread(inquiryId) {
+    return apiRequest(`/inquiries/${inquiryId}`);
+  },
+
+  /**
+   * Reply to a thread
+   * @param {number} inquiryId - Inquiry ID
+   * @param {string} message - Message text
+   * @returns {Promise<object>}
+   */
+  async reply(inquiryId, message) {
+    return apiRequest(`/inquiries/${inquiryId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ message })
+    });
+  },
+
+  /**
+   * Close a thread (owner)
+   * @param {number} inquiryId - Inquiry ID
+   * @returns {Promise<object>}
+   */
+  async close(inquiryId) {
+    return apiRequest(`/inquiries/${inquiryId}/close`, { method: 'POST' });
+  },
+
+  /**
+   * Agree to swap phone numbers with the other side
+   * @param {number} inquiryId - Inquiry ID
+   * @returns {Promise<object>}
+   */
+  async shareContact(inquiryId) {
+    return apiRequest(`/inquiries/${inquiryId}/share-contact`, { method: 'POST' });
+  }
+};
+
+/**
+ * Offers API
+ */
+const offers = {
+  /**
+   * Offer a yearly price on a property
+   * @param {number} propertyId - Property ID
+   * @param {number} amount - Amount in Naira
+   * @param {string} [terms] - Terms (e.g. 'two years upfront')
+   * @returns {Promise<object>}
+   */
+  async create(propertyId, amount, terms) {
+    return apiRequest('/offers', {
+      method: 'POST',
+      body: JSON.stringify({ propertyId, amount, terms })
+    });
+  },
+
+  /**
+   * Offers the user made or received
+   * @returns {Promise<object>}
+   */
+  async getMine() {
+    return apiRequest('/offers/mine');
+  },
+
+  /**
+   * Accept the other side's offer
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<object>}
+   */
+  async accept(offerId) {
+    return apiRequest(`/offers/${offerId}/accept`, { method: 'POST' });
+  },
+
+  /**
+   * Counter the other side's offer
+   * @param {number} offerId - Offer ID
+   * @param {number} amount - Counter amount in Naira
+   * @param {string} [terms] - Terms
+   * @returns {Promise<object>}
+   */
+  async counter(offerId, amount, terms) {
+    return apiRequest(`/offers/${offerId}/counter`, {
+      method: 'POST',
+      body: JSON.stringify({ amount, terms })
+    });
+  },
+
+  /**
+   * Decline the other side's offer
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<object>}
+   */
+  async decline(offerId) {
+    return apiRequest(`/offers/${offerId}/decline`, { method: 'POST' });
+  },
+
+  /**
+   * Withdraw your own pending offer
+   * @param {number} offerId - Offer ID
+   * @returns {Promise<object>}
+   */
+  async withdraw(offerId) {
+    return apiRequest(`/offers/${offerId}/withdraw`, { method: 'POST' });
   }
 };
 
@@ -326,59 +661,181 @@ const admin = {
   },
 
   /**
-   * Login as admin using regular user authentication
-   * Admin users are regular users with admin role
+   * Start admin login - sends an OTP to the admin's phone
+   * @param {string} phone - Admin phone number (+234XXXXXXXXXX)
+   * @returns {Promise<object>}
+   */
+  async startAdminLogin(phone) {
+    return apiRequest('/auth/admin/login/start', {
+      method: 'POST',
+      body: JSON.stringify({ phone }),
+      skipAuth: true
+    });
+  },
+
+  /**
+   * Complete admin login with the OTP and admin password
    * @param {string} phone - Admin phone number
-   * @param {string} password - Admin password (not used for OTP)
+   * @param {string} code - OTP code
+   * @param {string} password - Admin password
    * @returns {Promise<object>}
    */
-  async adminLogin(phone, password) {
-    try {
-      // Clean phone number for admin login (same logic as regular auth)
-      const cleanPhone = phone.replace(/\s/g, '');
-      let apiPhone = cleanPhone;
-
-      // Convert to API format (+234XXXXXXXXXX)
-      if (cleanPhone.startsWith('0')) {
-        apiPhone = '+234' + cleanPhone.substring(1);
-      } else if (cleanPhone.startsWith('234')) {
-        apiPhone = '+' + cleanPhone;
-      } else if (cleanPhone.startsWith('+234')) {
-        apiPhone = cleanPhone;
-      }
+  async adminLogin(phone, code, password) {
+    const result = await apiRequest('/auth/admin/login/verify', {
+      method: 'POST',
+      body: JSON.stringify({ phone, code, password }),
+      skipAuth: true
+    });
 
-      // For demo: Check if phone matches admin phone or password is admin123
-      if (apiPhone === '+2348055269579' || password === 'admin123') {
-        // Generate admin token
-        const payload = {
-          userId: 'admin',
-          phone: apiPhone,
-          role: 'admin',
-          exp: Date.now() + (30 * 24 * 60 * 60 * 1000) // 30 days
-        };
-
-        const token = Buffer.from(JSON.stringify(payload)).toString('base64');
-        localStorage.setItem('adminToken', token);
-
-        return {
-          success: true,
-          token,
-          admin: { phone: apiPhone, role: 'admin' }
-        };
-      }
+    if (result.success && result.token) {
+      localStorage.setItem('adminToken', result.token);
+    }
 
-      return {
-        success: false,
-        message: 'Admin access denied. Use admin phone number (+2348055269579) with password "admin123"'
-      };
+    return result;
+  },
 
-    } catch (error) {
-      console.error('Admin login error:', error);
-      return {
-        success: false,
-        message: 'Admin login failed'
-      };
-    }
+  /**
+   * Offer statistics (acceptance and discounts against the asking price)
+   * @returns {Promise<object>}
+   */
+  async getOfferStats() {
+    const adminToken = localStorage.getItem('adminToken');
+    const data = await apiRequest('/offers/admin/stats', {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+    return data.stats || {};
+  },
+
+  /**
+   * List the current admin's active sessions
+   * @returns {Promise<array>}
+   */
+  async getSessions() {
+    const adminToken = localStorage.getItem('adminToken');
+    const data = await apiRequest('/auth/admin/sessions', {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+    return data.sessions || [];
+  },
+
+  /**
+   * Revoke one of the current admin's sessions
+   * @param {string} sessionId - Session ID
+   * @returns {Promise<object>}
+   */
+  async revokeSession(sessionId) {
+    const adminToken = localStorage.getItem('adminToken');
+    return apiRequest(`/auth/admin/sessions/${sessionId}`, {
+      method: 'DELETE',
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+  },
+
+  /**
+   * Search logged bot conversations
+   * @param {object} filters - { phone, intent, from, to, limit, offset } (dates as YYYY-MM-DD)
+   * @returns {Promise<object>} - { total, conversations }
+   */
+  async searchConversations(filters = {}) {
+    const adminToken = localStorage.getItem('adminToken');
+    const params = new URLSearchParams();
+    Object.entries(filters).forEach(([key, value]) => {
+      if (value) params.append(key, value);
+    });
+    const data = await apiRequest(`/conversations/admin/transcripts?${params.toString()}`, {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+    return { total: data.total || 0, conversations: data.conversations || [] };
+  },
+
+  /**
+   * Intent distribution, zero-result searches and unmet demand
+   * @param {number} days - How many days back to look
+   * @returns {Promise<object>}
+   */
+  async getConversationAnalytics(days = 7) {
+    const adminToken = localStorage.getItem('adminToken');
+    return apiRequest(`/conversations/admin/analytics?days=${days}`, {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+  },
+
+  /**
+   * Messages the bot refused, with counts per reason
+   * @param {number} days - How many days back to look
+   * @returns {Promise<object>} - { counts, messages }
+   */
+  async getFlaggedMessages(days = 7) {
+    const adminToken = localStorage.getItem('adminToken');
+    const data = await apiRequest(`/conversations/admin/flagged?days=${days}`, {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+    return { counts: data.counts || [], messages: data.messages || [] };
+  },
+
+  /**
+   * Conversations waiting for or being handled by an agent
+   * @returns {Promise<array>}
+   */
+  async getHandoffs() {
+    const adminToken = localStorage.getItem('adminToken');
+    const data = await apiRequest('/conversations/admin/handoffs', {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+    return data.handoffs || [];
+  },
+
+  /**
+   * A handoff with its live transcript
+   * @param {number} handoffId - Handoff ID
+   * @returns {Promise<object>} - { handoff, transcript }
+   */
+  async getHandoff(handoffId) {
+    const adminToken = localStorage.getItem('adminToken');
+    return apiRequest(`/conversations/admin/handoffs/${handoffId}`, {
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+  },
+
+  /**
+   * Take over a conversation from the bot
+   * @param {number} handoffId - Handoff ID
+   * @returns {Promise<object>}
+   */
+  async takeHandoff(handoffId) {
+    const adminToken = localStorage.getItem('adminToken');
+    return apiRequest(`/conversations/admin/handoffs/${handoffId}/take`, {
+      method: 'POST',
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+  },
+
+  /**
+   * Reply to the user on WhatsApp
+   * @param {number} handoffId - Handoff ID
+   * @param {string} message - Reply text
+   * @returns {Promise<object>}
+   */
+  async sendHandoffMessage(handoffId, message) {
+    const adminToken = localStorage.getItem('adminToken');
+    return apiRequest(`/conversations/admin/handoffs/${handoffId}/messages`, {
+      method: 'POST',
+      body: JSON.stringify({ message }),
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
+  },
+
+  /**
+   * Hand a conversation back to the bot
+   * @param {number} handoffId - Handoff ID
+   * @returns {Promise<object>}
+   */
+  async releaseHandoff(handoffId) {
+    const adminToken = localStorage.getItem('adminToken');
+    return apiRequest(`/conversations/admin/handoffs/${handoffId}/release`, {
+      method: 'POST',
+      headers: adminToken ? { 'Authorization': `Bearer ${adminToken}` } : {}
+    });
   },
 
   /**
@@ -389,18 +846,21 @@ const admin = {
     const token = localStorage.getItem('adminToken');
     if (!token) return false;
 
-    try {
-      const payload = JSON.parse(Buffer.from(token, 'base64').toString());
-      return payload.role === 'admin' && payload.exp > Date.now();
-    } catch (error) {
-      return false;
-    }
+    const payload = decodeTokenPayload(token);
+    return !!payload && payload.role === 'admin' && payload.exp > Date.now() / 1000;
   },
 
   /**
-   * Admin logout
+   * Admin logout - ends the session on the server
    */
   adminLogout() {
+    const adminToken = localStorage.getItem('adminToken');
+    if (adminToken) {
+      apiRequest('/auth/admin/logout', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${adminToken}` }
+      }).catch(error => console.error('Failed to end admin session:', error));
+    }
     localStorage.removeItem('adminToken');
   }
 };
@@ -411,6 +871,9 @@ const admin = {
 window.API = {
   auth,
   properties,
+  viewings,
+  inquiries,
+  offers,
   admin,
   chat
 };
@@ -111,6 +111,13 @@ function initializeScreen(screenId) {
       // Reset progress steps for new search
       resetProgressSteps();
       break;
+    case 'viewings':
+      renderViewingSlots();
+      loadMyViewings();
+      break;
+    case 'inquiries':
+      loadInquiries();
+      break;
     default:
       break;
   }
@@ -202,25 +209,18 @@ async function findProperties() {
     await new Promise(resolve => setTimeout(resolve, 1000));
     updateProcessingStatus('Extracting location and preferences...', 2);
 
-    // Step 3: Parse AI response and extract search criteria
-    let searchCriteria = {};
-
-    if (aiResponse.entities) {
-      // Use entities from AI response
-      searchCriteria = {
-        location: aiResponse.entities.location,
-        propertyType: aiResponse.entities.propertyType,
-        minPrice: aiResponse.entities.minPrice,
-        maxPrice: aiResponse.entities.maxPrice,
-        bedrooms: aiResponse.entities.bedrooms,
-        amenities: aiResponse.entities.amenities || []
-      };
-      console.log('Extracted search criteria:', searchCriteria);
-    } else {
-      // Fallback: manual parsing for common patterns
-      searchCriteria = parseQueryManually(query);
-      console.log('Manual parsing result:', searchCriteria);
-    }
+    // Step 3: Read the search criteria from the AI response
+    // (the backend falls back to its rule-based parser when Gemini is unavailable)
+    const entities = aiResponse.entities || {};
+    const searchCriteria = {
+      location: entities.location,
+      propertyType: entities.propertyType,
+      minPrice: entities.minPrice,
+      maxPrice: entities.maxPrice,
+      bedrooms: entities.bedrooms,
+      amenities: entities.amenities || []
+    };
+    console.log('Extracted search criteria:', searchCriteria);
 
     // Step 4: Update processing status
     await new Promise(resolve => setTimeout(resolve, 800));
@@ -255,101 +255,6 @@ async function findProperties() {
   }
 }
 
-/**
- * Manually parse query for common patterns (fallback)
- */
-function parseQueryManually(query) {
-  const criteria = {};
-
-  // Location patterns
-  const locationPatterns = [
-    /in\s+([A-Za-z\s,]+)/i,
-    /at\s+([A-Za-z\s,]+)/i,
-    /([A-Za-z\s,]+)\s+area/i
-  ];
-
-  for (const pattern of locationPatterns) {
-    const match = query.match(pattern);
-    if (match) {
-      criteria.location = match[1].trim();
-      break;
-    }
-  }
-
-  // Bedroom patterns
-  const bedroomPatterns = [
-    /(\d+)\s*(?:bed|bedroom|br)/i,
-    /(\d+)\s*bedroom/i,
-    /at\s+least\s+(\d+)/i
-  ];
-
-  for (const pattern of bedroomPatterns) {
-    const match = query.match(pattern);
-    if (match) {
-      criteria.bedrooms = parseInt(match[1]);
-      break;
-    }
-  }
-
-  // Price patterns
-  const pricePatterns = [
-    /under\s*([0-9\.]+)([KMBkmb])/i,
-    /below\s*([0-9\.]+)([KMBkmb])/i,
-    /([0-9\.]+)([KMBkmb])\s*range/i,
-    /([0-9\.]+)-([0-9\.]+)([KMBkmb])/i
-  ];
-
-  for (const pattern of pricePatterns) {
-    const match = query.match(pattern);
-    if (match) {
-      if (match[2]) { // Single price with unit
-        criteria.maxPrice = parsePrice(`${match[1]}${match[2]}`);
-      } else if (match[3]) { // Range
-        criteria.minPrice = parsePrice(`${match[1]}${match[3]}`);
-        criteria.maxPrice = parsePrice(`${match[2]}${match[3]}`);
-      }
-      break;
-    }
-  }
-
-  // Property type patterns
-  const typePatterns = [
-    /(flat|apartment|house|duplex|bungalow|penthouse|studio)/i
-  ];
-
-  for (const pattern of typePatterns) {
-    const match = query.match(pattern);
-    if (match) {
-      criteria.propertyType = match[1];
-      break;
-    }
-  }
-
-  // Amenity patterns
-  const amenityKeywords = ['parking', 'gym', 'pool', 'security', 'generator', 'power', 'water', 'garden', 'balcony'];
-  criteria.amenities = amenityKeywords.filter(amenity => query.toLowerCase().includes(amenity));
-
-  return criteria;
-}
-
-/**
- * Parse price string to number
- */
-function parsePrice(priceStr) {
-  const match = priceStr.match(/([0-9\.]+)([KMBkmb])/i);
-  if (!match) return parseFloat(priceStr);
-
-  const value = parseFloat(match[1]);
-  const unit = match[2].toUpperCase();
-
-  switch (unit) {
-    case 'K': return value * 1000;
-    case 'M': return value * 1000000;
-    case 'B': return value * 1000000000;
-    default: return value;
-  }
-}
-
 /**
  * Rank properties by match score
  */
@@ -817,23 +722,77 @@ function renderPropertyDetail() {
 }
 
 /**
- * Contact landlord
+ * Contact landlord - sends an inquiry the landlord sees in their inbox and on WhatsApp
+ * @param {number} [propertyId] - Property ID (defaults to the property being viewed)
  */
-function contactLandlord(propertyId) {
+async function contactLandlord(propertyId) {
   if (!propertyId) {
     const property = AppState.selectedProperty;
     if (!property) return;
     propertyId = property.id;
   }
-  
-  const message = encodeURIComponent(
-    `Hi! I'm interested in your property (ID: ${propertyId}) on Propabridge. Can we schedule a viewing?`
+
+  if (!isAuthenticated()) {
+    showError('Please sign in to message the landlord');
+    showScreen('auth');
+    return;
+  }
+
+  const message = prompt(
+    'Message for the landlord:',
+    'Hi! I\'m interested in this property. Is it still available?'
   );
-  
-  const whatsappUrl = `https://wa.me/2348055269579?text=${message}`;
-  
-  if (confirm('Open WhatsApp to contact landlord?')) {
-    window.open(whatsappUrl, '_blank');
+  if (message === null || !message.trim()) return;
+
+  try {
+    showLoading(true);
+    await API.inquiries.create(propertyId, message.trim());
+    showSuccess('Message sent! You\'ll see the landlord\'s reply in Messages and on WhatsApp.');
+  } catch (error) {
+    console.error('Error contacting landlord:', error);
+    showError(error.message || 'Failed to send your message');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Make an offer on the property being viewed; the landlord answers in Messages or on WhatsApp
+ * @param {number} [propertyId] - Property ID (defaults to the property being viewed)
+ */
+async function makeOffer(propertyId) {
+  const property = AppState.selectedProperty;
+  propertyId = propertyId || (property && property.id);
+  if (!propertyId) return;
+
+  if (!isAuthenticated()) {
+    showError('Please sign in to make an offer');
+    showScreen('auth');
+    return;
+  }
+
+  const asking = property && property.id === propertyId ? ` (asking ₦${Number(property.price).toLocaleString()}/year)` : '';
+  const amountInput = prompt(`Your yearly offer in Naira${asking}:`);
+  if (amountInput === null) return;
+
+  const amount = parseFloat(amountInput.replace(/[^0-9.]/g, ''));
+  if (!amount) {
+    showError('Please enter an amount, e.g. 1800000');
+    return;
+  }
+
+  const terms = prompt('Any terms? (optional, e.g. "two years upfront")', '');
+  if (terms === null) return;
+
+  try {
+    showLoading(true);
+    await API.offers.create(propertyId, amount, terms.trim());
+    showSuccess('Offer sent! You\'ll see the landlord\'s answer in Messages and on WhatsApp.');
+  } catch (error) {
+    console.error('Error making offer:', error);
+    showError(error.message || 'Failed to send your offer');
+  } finally {
+    showLoading(false);
   }
 }
 
@@ -946,4 +905,5 @@ window.closeMenu = closeMenu;
 window.findProperties = findProperties;
 window.showPropertyDetail = showPropertyDetail;
 window.contactLandlord = contactLandlord;
+window.makeOffer = makeOffer;
 
@@ -11,7 +11,9 @@ const AuthState = {
   currentPhone: '',
   isLoading: false,
   isAuthenticated: false,
-  user: null
+  user: null,
+  channel: 'whatsapp',
+  resendTimer: null
 };
 
 // ===================================
@@ -151,13 +153,17 @@ async function sendOTP() {
     AuthState.isLoading = true;
     updateOTPButton('Sending...', true);
 
-    console.log('Sending OTP to:', apiPhone);
-    const response = await API.auth.sendOTP(apiPhone);
+    const channelSelect = document.getElementById('otpChannel');
+    AuthState.channel = channelSelect ? channelSelect.value : 'whatsapp';
+
+    console.log('Sending OTP to:', apiPhone, 'via', AuthState.channel);
+    const response = await API.auth.sendOTP(apiPhone, AuthState.channel);
 
     if (response.success) {
       AuthState.currentPhone = apiPhone;
       showOTPStep();
-      showSuccess('Verification code sent to your WhatsApp!');
+      showSuccess(`Verification code sent by ${channelLabel(response.channel)}!`);
+      startResendCountdown(response.resendAfter);
 
       // Auto-focus OTP input
       setTimeout(() => {
@@ -173,7 +179,7 @@ async function sendOTP() {
 
   } catch (error) {
     console.error('Error sending OTP:', error);
-    showError('Failed to send verification code. Please try again.');
+    showError(error.status === 429 ? error.message : 'Failed to send verification code. Please try again.');
     AuthState.isLoading = false;
     updateOTPButton('Send Verification Code', false);
   }
@@ -206,6 +212,7 @@ async function verifyOTP() {
     if (response.success && response.token) {
       // Save authentication data
       localStorage.setItem('authToken', response.token);
+      localStorage.setItem('refreshToken', response.refreshToken);
       localStorage.setItem('user', JSON.stringify(response.user));
 
       AuthState.isAuthenticated = true;
@@ -227,7 +234,8 @@ async function verifyOTP() {
 
   } catch (error) {
     console.error('Error verifying OTP:', error);
-    showError('Failed to verify code. Please try again.');
+    // Invalid codes (400) and locked-out codes (429) carry a server message
+    showError(error.status === 400 || error.status === 429 ? error.message : 'Failed to verify code. Please try again.');
     AuthState.isLoading = false;
     updateVerifyButton('Verify & Continue', false);
   }
@@ -245,21 +253,62 @@ async function resendOTP() {
   try {
     updateResendButton('Sending...', true);
 
-    const response = await API.auth.sendOTP(AuthState.currentPhone);
+    const response = await API.auth.sendOTP(AuthState.currentPhone, AuthState.channel);
 
     if (response.success) {
-      showSuccess('Verification code resent!');
+      showSuccess(`Verification code resent by ${channelLabel(response.channel)}!`);
+      startResendCountdown(response.resendAfter);
     } else {
       showError(response.message || 'Failed to resend code');
+      updateResendButton('Resend', false);
     }
 
-    updateResendButton('Resend', false);
-
   } catch (error) {
     console.error('Error resending OTP:', error);
-    showError('Failed to resend verification code');
+
+    if (error.status === 429) {
+      showError(error.message);
+      startResendCountdown(error.data && error.data.retryAfter);
+    } else {
+      showError('Failed to resend verification code');
+      updateResendButton('Resend', false);
+    }
+  }
+}
+
+/**
+ * Human-readable name for an OTP delivery channel
+ * @param {string} channel - 'whatsapp' or 'sms'
+ */
+function channelLabel(channel) {
+  return channel === 'sms' ? 'SMS' : 'WhatsApp';
+}
+
+/**
+ * Disable the resend button until the server's cooldown has passed
+ * @param {number} seconds - Cooldown from the server (resendAfter / retryAfter)
+ */
+function startResendCountdown(seconds) {
+  clearInterval(AuthState.resendTimer);
+
+  let remaining = parseInt(seconds, 10);
+  if (!remaining || remaining <= 0) {
     updateResendButton('Resend', false);
+    return;
   }
+
+  const tick = () => {
+    if (remaining <= 0) {
+      clearInterval(AuthState.resendTimer);
+      updateResendButton('Resend', false);
+      return;
+    }
+    updateResendButton(`Resend in ${remaining}s`, true);
+    remaining -= 1;
+  };
+
+  tick();
+  AuthState.resendTimer = setInterval(tick, 1000);
 }
 
 /**
@@ -283,6 +332,8 @@ function showPhoneStep() {
   document.getElementById('otpStep').style.display = 'none';
   document.getElementById('phoneStep').style.display = 'block';
   AuthState.currentPhone = '';
+  clearInterval(AuthState.resendTimer);
+  updateResendButton('Resend', false);
 }
 
 /**
@@ -346,28 +397,10 @@ function updateResendButton(text, disabled) {
 
 /**
  * Check if user is authenticated
+ * Expired access tokens are refreshed by the API module on the next request
  */
 function isAuthenticated() {
-  const token = localStorage.getItem('authToken');
-  if (!token) return false;
-
-  // Check if token is still valid (basic check)
-  try {
-    const payload = JSON.parse(atob(token.split('.')[1]));
-    const currentTime = Date.now() / 1000;
-
-    if (payload.exp && payload.exp < currentTime) {
-      // Token expired
-      logout();
-      return false;
-    }
-
-    return true;
-  } catch (error) {
-    console.error('Error checking token validity:', error);
-    logout();
-    return false;
-  }
+  return API.auth.isAuthenticated();
 }
 
 /**
@@ -382,8 +415,7 @@ function getCurrentUser() {
  * Logout user
  */
 function logout() {
-  localStorage.removeItem('authToken');
-  localStorage.removeItem('user');
+  API.auth.logout();
   AuthState.isAuthenticated = false;
   AuthState.user = null;
 
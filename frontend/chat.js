@@ -103,6 +103,11 @@ async function sendMessage() {
             sender: 'bot',
             timestamp: new Date()
           });
+
+          // The bot offered viewing times: open the slot picker
+          if (response.viewingSlots) {
+            scheduleViewing(response.viewingSlots.propertyId);
+          }
         } else if (response.message) {
           console.log('Handling message response:', response.message);
           // Handle other structured responses
@@ -456,17 +461,15 @@ function viewPropertyDetail(propertyId) {
 
 /**
  * Schedule a viewing for a property
- * @param {number} propertyId - Property ID
+ * @param {number} [propertyId] - Property ID (defaults to the property being viewed)
  */
 function scheduleViewing(propertyId) {
-  // For now, just show an alert - this could be expanded to open a scheduling modal
-  alert(`📅 Scheduling viewing for property #${propertyId}\n\nThis feature will be available soon!`);
-
-  // In a real implementation, this would:
-  // 1. Open a scheduling modal
-  // 2. Show available time slots
-  // 3. Send scheduling request to backend
-  // 4. Send confirmation via WhatsApp
+  const id = propertyId || (AppState.selectedProperty && AppState.selectedProperty.id);
+  if (!id) {
+    showError('Please choose a property first');
+    return;
+  }
+  openViewingScreen(id);
 }
 
 /**
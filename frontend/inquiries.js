@@ -0,0 +1,415 @@
+/**
+ * Inquiries Module - Landlord inbox and tenant messages about properties
+ * @module inquiries
+ */
+
+// ===================================
+// INQUIRY STATE
+// ===================================
+
+const InquiryState = {
+  box: 'inbox', // 'inbox' (about my properties) or 'sent'
+  filters: { propertyId: '', status: '' },
+  myProperties: [],
+  inquiries: [],
+  thread: null
+};
+
+const INQUIRY_STATUS_LABELS = {
+  pending: 'Awaiting reply',
+  responded: 'Replied',
+  closed: 'Closed'
+};
+
+const OFFER_STATUS_LABELS = {
+  pending: 'Waiting for an answer',
+  accepted: 'Accepted',
+  countered: 'Countered',
+  declined: 'Declined',
+  withdrawn: 'Withdrawn'
+};
+
+/**
+ * Escape user-written text before putting it in HTML
+ * @param {string} text - Raw text
+ * @returns {string} - Escaped text
+ */
+function escapeInquiryText(text) {
+  const div = document.createElement('div');
+  div.textContent = text || '';
+  return div.innerHTML;
+}
+
+// ===================================
+// INBOX
+// ===================================
+
+/**
+ * Open the messages screen (requires sign-in)
+ */
+function openInquiries() {
+  if (!isAuthenticated()) {
+    showError('Please sign in to see your messages');
+    showScreen('auth');
+    return;
+  }
+
+  const user = getCurrentUser();
+  InquiryState.box = user && ['landlord', 'agent', 'admin'].includes(user.role) ? 'inbox' : 'sent';
+  InquiryState.thread = null;
+  showScreen('inquiries');
+}
+
+/**
+ * Load the current box and render it
+ */
+async function loadInquiries() {
+  const list = document.getElementById('inquiryList');
+  if (!list) return;
+
+  if (!isAuthenticated()) {
+    list.innerHTML = '<p class="listing-subtitle">Sign in to see your messages.</p>';
+    return;
+  }
+
+  renderInquiryTabs();
+
+  try {
+    if (InquiryState.box === 'inbox') {
+      const user = getCurrentUser();
+      if (InquiryState.myProperties.length === 0 && user && ['landlord', 'agent'].includes(user.role)) {
+        InquiryState.myProperties = await API.properties.getMine();
+        renderInquiryFilters();
+      }
+      const data = await API.inquiries.getInbox(InquiryState.filters);
+      InquiryState.inquiries = data.inquiries || [];
+      renderInquiryCounts(data.counts || {});
+    } else {
+      const data = await API.inquiries.getSent();
+      InquiryState.inquiries = data.inquiries || [];
+    }
+    renderInquiryList();
+    if (InquiryState.thread) renderInquiryThread();
+  } catch (error) {
+    console.error('Error loading inquiries:', error);
+    list.innerHTML = '<p class="listing-subtitle">Failed to load your messages.</p>';
+  }
+}
+
+/**
+ * Switch between received and sent inquiries
+ * @param {string} box - 'inbox' or 'sent'
+ */
+function switchInquiryBox(box) {
+  InquiryState.box = box;
+  InquiryState.thread = null;
+  loadInquiries();
+}
+
+/**
+ * Apply a filter from the inbox selects
+ * @param {string} field - 'propertyId' or 'status'
+ * @param {string} value - Selected value ('' for all)
+ */
+function setInquiryFilter(field, value) {
+  InquiryState.filters[field] = value;
+  loadInquiries();
+}
+
+/**
+ * Highlight the active tab and show filters only for the inbox
+ */
+function renderInquiryTabs() {
+  document.querySelectorAll('.inquiry-tab').forEach(tab => {
+    tab.classList.toggle('active', tab.dataset.box === InquiryState.box);
+  });
+
+  const filters = document.getElementById('inquiryFilters');
+  if (filters) filters.style.display = InquiryState.box === 'inbox' ? 'grid' : 'none';
+}
+
+/**
+ * Fill the property filter with the user's listings
+ */
+function renderInquiryFilters() {
+  const select = document.getElementById('inquiryPropertyFilter');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">All properties</option>' + InquiryState.myProperties.map(property => `
+    <option value="${property.id}"${String(property.id) === String(InquiryState.filters.propertyId) ? ' selected' : ''}>
+      #${property.id} ${escapeInquiryText(property.type)} in ${escapeInquiryText(property.location)}
+    </option>
+  `).join('');
+}
+
+/**
+ * Show counts per status in the status filter
+ * @param {object} counts - { pending, responded, closed }
+ */
+function renderInquiryCounts(counts) {
+  const select = document.getElementById('inquiryStatusFilter');
+  if (!select) return;
+
+  select.innerHTML = '<option value="">All statuses</option>' + Object.entries(INQUIRY_STATUS_LABELS).map(([status, label]) => `
+    <option value="${status}"${status === InquiryState.filters.status ? ' selected' : ''}>${label} (${counts[status] || 0})</option>
+  `).join('');
+}
+
+/**
+ * Render the list of inquiries in the current box
+ */
+function renderInquiryList() {
+  const list = document.getElementById('inquiryList');
+  if (!list) return;
+
+  if (InquiryState.inquiries.length === 0) {
+    list.innerHTML = `<p class="listing-subtitle">${InquiryState.box === 'inbox' ? 'No inquiries about your properties yet.' : 'You haven\'t messaged any landlords yet.'}</p>`;
+    return;
+  }
+
+  list.innerHTML = InquiryState.inquiries.map(inquiry => `
+    <div class="viewing-card glass inquiry-card${InquiryState.thread && InquiryState.thread.inquiry.id === inquiry.id ? ' selected' : ''}" onclick="openInquiryThread(${inquiry.id})">
+      <div class="viewing-card-title">${escapeInquiryText(inquiry.property_type)} in ${escapeInquiryText(inquiry.property_location)}</div>
+      <div class="viewing-card-meta">
+        ${InquiryState.box === 'inbox' ? `From ${escapeInquiryText(inquiry.tenant_name || 'a tenant')}` : `To ${escapeInquiryText(inquiry.owner_name || 'the landlord')}`}
+        • ${INQUIRY_STATUS_LABELS[inquiry.status] || inquiry.status}
+        • ${new Date(inquiry.last_message_at).toLocaleString('en-NG', { timeZone: 'Africa/Lagos', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}
+      </div>
+      <div class="inquiry-preview">${escapeInquiryText(inquiry.message)}</div>
+    </div>
+  `).join('');
+}
+
+// ===================================
+// THREAD
+// ===================================
+
+/**
+ * Open a thread
+ * @param {number} inquiryId - Inquiry ID
+ */
+async function openInquiryThread(inquiryId) {
+  try {
+    showLoading(true);
+    InquiryState.thread = await API.inquiries.getThread(inquiryId);
+    renderInquiryList();
+    renderInquiryThread();
+  } catch (error) {
+    console.error('Error loading inquiry:', error);
+    showError(error.message || 'Failed to load conversation');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Render the open thread with its reply box
+ */
+function renderInquiryThread() {
+  const section = document.getElementById('inquiryThreadSection');
+  const container = document.getElementById('inquiryThread');
+  if (!section || !container) return;
+
+  const thread = InquiryState.thread;
+  section.style.display = thread ? 'block' : 'none';
+  if (!thread) return;
+
+  const { inquiry, messages, role } = thread;
+  const isClosed = inquiry.status === 'closed';
+  const iShared = role === 'owner' ? inquiry.owner_shared_contact_at : inquiry.tenant_shared_contact_at;
+  const otherPhone = role === 'owner' ? inquiry.phone : inquiry.owner_phone;
+
+  document.getElementById('inquiryThreadTitle').textContent =
+    `Property ${inquiry.property_id}: ${inquiry.property_type} in ${inquiry.property_location}`;
+
+  container.innerHTML = messages.map(message => `
+    <div class="inquiry-message ${message.sender_role === role ? 'mine' : 'theirs'}">
+      <div class="inquiry-message-body">${escapeInquiryText(message.body)}</div>
+      <div class="inquiry-message-meta">
+        ${message.sender_role === 'owner' ? 'Landlord' : 'Tenant'}
+        • ${new Date(message.created_at).toLocaleString('en-NG', { timeZone: 'Africa/Lagos', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}
+        ${message.channel === 'whatsapp' ? '• via WhatsApp' : ''}
+        ${message.channel === 'relay' ? '• private WhatsApp chat' : ''}
+      </div>
+    </div>
+  `).join('');
+
+  renderInquiryOffers();
+
+  const contact = document.getElementById('inquiryContact');
+  if (contact) {
+    contact.innerHTML = otherPhone
+      ? `📇 ${role === 'owner' ? 'Tenant' : 'Landlord'}'s number: <a href="tel:${escapeInquiryText(otherPhone)}">${escapeInquiryText(otherPhone)}</a>`
+      : iShared
+        ? 'Numbers stay private until the other side also agrees to share.'
+        : '<button class="link-btn" onclick="shareInquiryContact()">Share my phone number</button> Numbers stay private until you both agree.';
+  }
+
+  const replyBox = document.getElementById('inquiryReplyBox');
+  if (replyBox) replyBox.style.display = isClosed ? 'none' : 'block';
+
+  const closeBtn = document.getElementById('inquiryCloseBtn');
+  if (closeBtn) closeBtn.style.display = role === 'owner' && !isClosed ? 'inline-flex' : 'none';
+}
+
+/**
+ * Render the offer history on the open thread, with actions for the pending offer
+ */
+function renderInquiryOffers() {
+  const container = document.getElementById('inquiryOffers');
+  const thread = InquiryState.thread;
+  if (!container || !thread) return;
+
+  const { inquiry, offers = [], role } = thread;
+  if (offers.length === 0) {
+    container.innerHTML = '';
+    return;
+  }
+
+  const agreed = inquiry.agreed_price
+    ? `<p class="listing-subtitle">🎉 Agreed price: ₦${Number(inquiry.agreed_price).toLocaleString()}/year</p>`
+    : '';
+
+  container.innerHTML = agreed + offers.map(offer => {
+    const actions = [];
+    if (offer.status === 'pending' && offer.proposed_by !== role) {
+      actions.push(`<button class="btn-primary" onclick="offerAction(${offer.id}, 'accept')">Accept</button>`);
+      actions.push(`<button class="btn-secondary" onclick="offerAction(${offer.id}, 'counter')">Counter</button>`);
+      actions.push(`<button class="btn-secondary" onclick="offerAction(${offer.id}, 'decline')">Decline</button>`);
+    } else if (offer.status === 'pending') {
+      actions.push(`<button class="btn-secondary" onclick="offerAction(${offer.id}, 'withdraw')">Withdraw</button>`);
+    }
+
+    return `
+      <div class="viewing-card glass">
+        <div class="viewing-card-title">₦${Number(offer.amount).toLocaleString()}/year</div>
+        <div class="viewing-card-meta">
+          ${offer.proposed_by === role ? 'Your offer' : `${offer.proposed_by === 'owner' ? 'Landlord' : 'Tenant'}'s offer`}
+          • asking ₦${Number(offer.asking_price).toLocaleString()}
+          • ${OFFER_STATUS_LABELS[offer.status] || offer.status}
+        </div>
+        ${offer.terms ? `<div class="inquiry-preview">${escapeInquiryText(offer.terms)}</div>` : ''}
+        ${actions.length > 0 ? `<div class="viewing-card-actions">${actions.join('')}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Accept, counter, decline or withdraw an offer on the open thread
+ * @param {number} offerId - Offer ID
+ * @param {string} action - 'accept', 'counter', 'decline' or 'withdraw'
+ */
+async function offerAction(offerId, action) {
+  const thread = InquiryState.thread;
+  if (!thread) return;
+
+  let amount;
+  let terms;
+  if (action === 'counter') {
+    const amountInput = prompt('Your counter-offer (yearly, in Naira):');
+    if (amountInput === null) return;
+    amount = parseFloat(amountInput.replace(/[^0-9.]/g, ''));
+    if (!amount) {
+      showError('Please enter an amount, e.g. 2200000');
+      return;
+    }
+    terms = prompt('Any terms? (optional)', '');
+    if (terms === null) return;
+  }
+
+  try {
+    showLoading(true);
+    await API.offers[action](offerId, amount, terms);
+    InquiryState.thread = await API.inquiries.getThread(thread.inquiry.id);
+    await loadInquiries();
+  } catch (error) {
+    console.error(`Error running offer action ${action}:`, error);
+    showError(error.message || 'Failed to update offer');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Send the reply typed in the thread
+ */
+async function sendInquiryReply() {
+  const input = document.getElementById('inquiryReply');
+  const thread = InquiryState.thread;
+  if (!input || !thread) return;
+
+  const message = input.value.trim();
+  if (!message) {
+    showError('Please type a message');
+    return;
+  }
+
+  try {
+    showLoading(true);
+    await API.inquiries.reply(thread.inquiry.id, message);
+    input.value = '';
+    InquiryState.thread = await API.inquiries.getThread(thread.inquiry.id);
+    await loadInquiries();
+  } catch (error) {
+    console.error('Error sending reply:', error);
+    showError(error.message || 'Failed to send message');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Close the open thread (landlord)
+ */
+async function closeInquiry() {
+  const thread = InquiryState.thread;
+  if (!thread || !confirm('Close this conversation?')) return;
+
+  try {
+    showLoading(true);
+    await API.inquiries.close(thread.inquiry.id);
+    InquiryState.thread = await API.inquiries.getThread(thread.inquiry.id);
+    await loadInquiries();
+  } catch (error) {
+    console.error('Error closing inquiry:', error);
+    showError(error.message || 'Failed to close conversation');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Agree to swap phone numbers on the open thread
+ */
+async function shareInquiryContact() {
+  const thread = InquiryState.thread;
+  if (!thread || !confirm('Share your phone number once the other side agrees too?')) return;
+
+  try {
+    showLoading(true);
+    const result = await API.inquiries.shareContact(thread.inquiry.id);
+    showSuccess(result.shared ? 'Numbers shared' : 'We\'ll share numbers once the other side agrees');
+    InquiryState.thread = await API.inquiries.getThread(thread.inquiry.id);
+    renderInquiryThread();
+  } catch (error) {
+    console.error('Error sharing contact:', error);
+    showError(error.message || 'Failed to share your number');
+  } finally {
+    showLoading(false);
+  }
+}
+
+// ===================================
+// EXPORT FUNCTIONS
+// ===================================
+
+window.openInquiries = openInquiries;
+window.loadInquiries = loadInquiries;
+window.switchInquiryBox = switchInquiryBox;
+window.setInquiryFilter = setInquiryFilter;
+window.openInquiryThread = openInquiryThread;
+window.sendInquiryReply = sendInquiryReply;
+window.closeInquiry = closeInquiry;
+window.shareInquiryContact = shareInquiryContact;
+window.offerAction = offerAction;
@@ -709,6 +709,12 @@ async function submitPropertyListing() {
   }
 
   try {
+    // Listings are owned by the verified user who submits them
+    if (!API.auth.isAuthenticated()) {
+      showScreen('auth');
+      throw new Error('Please verify your phone number before listing a property');
+    }
+
     // Collect ALL form data (from all steps)
     console.log('Collecting all form data for submission...');
 
@@ -0,0 +1,373 @@
+/**
+ * Viewings Module - Viewing slot picker, "My viewings" and landlord viewing hours
+ * @module viewings
+ */
+
+// ===================================
+// VIEWING STATE
+// ===================================
+
+const ViewingState = {
+  propertyId: null,
+  property: null,
+  slots: [],
+  selectedSlot: null,
+  rescheduleViewingId: null,
+  availability: []
+};
+
+const VIEWING_DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
+
+const VIEWING_STATUS_LABELS = {
+  requested: 'Awaiting confirmation',
+  confirmed: 'Confirmed',
+  cancelled: 'Cancelled',
+  completed: 'Completed',
+  no_show: 'Missed',
+  expired: 'Expired'
+};
+
+// ===================================
+// SLOT PICKER
+// ===================================
+
+/**
+ * Open the viewing screen for a property (requires sign-in)
+ * @param {number} propertyId - Property ID
+ * @param {number} [rescheduleViewingId] - Existing viewing to move instead of booking a new one
+ */
+async function openViewingScreen(propertyId, rescheduleViewingId = null) {
+  if (!isAuthenticated()) {
+    showError('Please sign in to book a viewing');
+    showScreen('auth');
+    return;
+  }
+
+  ViewingState.propertyId = propertyId;
+  ViewingState.rescheduleViewingId = rescheduleViewingId;
+  ViewingState.property = null;
+  ViewingState.selectedSlot = null;
+  ViewingState.slots = [];
+
+  showScreen('viewings');
+
+  if (!propertyId) return;
+
+  try {
+    showLoading(true);
+    const [property, slotsData] = await Promise.all([
+      API.properties.getById(propertyId),
+      API.viewings.getSlots(propertyId)
+    ]);
+    ViewingState.property = property;
+    ViewingState.slots = slotsData.slots || [];
+    renderViewingSlots();
+    await loadViewingAvailability();
+  } catch (error) {
+    console.error('Error loading viewing slots:', error);
+    showError('Failed to load viewing times');
+  } finally {
+    showLoading(false);
+  }
+}
+
+/**
+ * Render open slots grouped by day
+ */
+function renderViewingSlots() {
+  const container = document.getElementById('viewingSlots');
+  const title = document.getElementById('viewingPropertyTitle');
+  const bookingSection = document.getElementById('viewingBookingSection');
+  if (!container) return;
+
+  if (bookingSection) {
+    bookingSection.style.display = ViewingState.propertyId ? 'block' : 'none';
+  }
+
+  const property = ViewingState.property;
+  if (title && property) {
+    title.textContent = ViewingState.rescheduleViewingId
+      ? `Pick a new time for ${property.type} in ${property.location}`
+      : `${property.type} in ${property.location}`;
+  }
+
+  if (ViewingState.slots.length === 0) {
+    container.innerHTML = '<p class="listing-subtitle">The landlord hasn\'t opened any viewing times yet. Please check back soon.</p>';
+    return;
+  }
+
+  const days = {};
+  ViewingState.slots.forEach((slot, index) => {
+    const day = new Date(slot.startsAt).toLocaleDateString('en-NG', {
+      timeZone: 'Africa/Lagos', weekday: 'long', day: 'numeric', month: 'short'
+    });
+    (days[day] = days[day] || []).push({ slot, index });
+  });
+
+  container.innerHTML = Object.entries(days).map(([day, entries]) => `
+    <div class="viewing-day">
+      <div class="form-label">${day}</div>
+      <div class="viewing-slot-grid">
+        ${entries.map(({ slot, index }) => `
+          <button class="viewing-slot${ViewingState.selectedSlot === index ? ' selected' : ''}" onclick="selectViewingSlot(${index})">
+            ${new Date(slot.startsAt).toLocaleTimeString('en-NG', { timeZone: 'Africa/Lagos', hour: 'numeric', minute: '2-digit' })}
+          </button>
+        `).join('')}
+      </div>
+    </div>
+  `).join('');
+}
+
+/**
+ * Select a slot
+ * @param {number} index - Index into ViewingState.slots
+ */
+function selectViewingSlot(index) {
+  ViewingState.selectedSlot = index;
+  renderViewingSlots();
+}
+
+/**
+ * Book the selected slot, or move the viewing being rescheduled to it
+ */
+async function submitViewingBooking() {
+  const slot = ViewingState.slots[ViewingState.selectedSlot];
+  if (!slot) {
+    showError('Please pick a time first');
+    return;
+  }
+
+  try {
+    showLoading(true);
+
+    if (ViewingState.rescheduleViewingId) {
+      await API.viewings.reschedule(ViewingState.rescheduleViewingId, slot.startsAt);
+      showSuccess('Viewing moved. We\'ll let you know once the other side confirms.');
+    } else {
+      const notes = document.getElementById('viewingNotes');
+      await API.viewings.book(ViewingState.propertyId, slot.startsAt, notes ? notes.value.trim() : '');
+      if (notes) notes.value = '';
+      showSuccess('Viewing requested! The landlord will confirm on WhatsApp.');
+    }
+
+    ViewingState.rescheduleViewingId = null;
+    ViewingState.selectedSlot = null;
+    const slotsData = await API.viewings.getSlots(ViewingState.propertyId);
+    ViewingState.slots = slotsData.slots || [];
+    renderViewingSlots();
+    await loadMyViewings();
+  } catch (error) {
+    console.error('Error booking viewing:', error);
+    showError(error.message || 'Failed to book viewing');
+  } finally {
+    showLoading(false);
+  }
+}
+
+// ===================================
+// MY VIEWINGS
+// ===================================
+
+/**
+ * Load and render the user's viewings
+ */
+async function loadMyViewings() {
+  const list = document.getElementById('myViewingsList');
+  if (!list) return;
+
+  if (!isAuthenticated()) {
+    list.innerHTML = '<p class="listing-subtitle">Sign in to see your viewings.</p>';
+    return;
+  }
+
+  try {
+    const data = await API.viewings.getMine();
+    renderMyViewings(data.viewings || []);
+  } catch (error) {
+    console.error('Error loading viewings:', error);
+    list.innerHTML = '<p class="listing-subtitle">Failed to load your viewings.</p>';
+  }
+}
+
+/**
+ * Render the user's viewings with the actions open to them
+ * @param {array} viewings - Viewings from the API
+ */
+function renderMyViewings(viewings) {
+  const list = document.getElementById('myViewingsList');
+  if (!list) return;
+
+  if (viewings.length === 0) {
+    list.innerHTML = '<p class="listing-subtitle">No upcoming viewings.</p>';
+    return;
+  }
+
+  list.innerHTML = viewings.map(viewing => {
+    const isPast = new Date(viewing.scheduled_at) < new Date();
+    const isActive = ['requested', 'confirmed'].includes(viewing.status);
+    const myConfirmation = viewing.role === 'tenant' ? viewing.tenant_confirmed_at : viewing.landlord_confirmed_at;
+    const actions = [];
+
+    if (isActive && !isPast) {
+      if (!myConfirmation) actions.push(`<button class="btn-primary" onclick="viewingAction(${viewing.id}, 'confirm')">Confirm</button>`);
+      actions.push(`<button class="btn-secondary" onclick="openViewingScreen(${viewing.property_id}, ${viewing.id})">Reschedule</button>`);
+      actions.push(`<button class="btn-secondary" onclick="viewingAction(${viewing.id}, 'cancel')">Cancel</button>`);
+    }
+    if (viewing.status === 'confirmed' && isPast) {
+      if (viewing.role === 'landlord') actions.push(`<button class="btn-primary" onclick="viewingAction(${viewing.id}, 'complete')">Completed</button>`);
+      actions.push(`<button class="btn-secondary" onclick="viewingAction(${viewing.id}, 'noShow')">They didn't show</button>`);
+    }
+
+    return `
+      <div class="viewing-card glass">
+        <div class="viewing-card-title">${viewing.property_type} in ${viewing.property_location}</div>
+        <div class="viewing-card-meta">
+          ${new Date(viewing.scheduled_at).toLocaleString('en-NG', { timeZone: 'Africa/Lagos', weekday: 'short', day: 'numeric', month: 'short', hour: 'numeric', minute: '2-digit' })}
+          • ${viewing.role === 'tenant' ? 'You are visiting' : 'Visitor to your property'}
+          • ${VIEWING_STATUS_LABELS[viewing.status] || viewing.status}
+        </div>
+        ${actions.length > 0 ? `<div class="viewing-card-actions">${actions.join('')}</div>` : ''}
+      </div>
+    `;
+  }).join('');
+}
+
+/**
+ * Confirm, cancel or record the outcome of a viewing
+ * @param {number} viewingId - Viewing ID
+ * @param {string} action - 'confirm', 'cancel', 'complete' or 'noShow'
+ */
+async function viewingAction(viewingId, action) {
+  let reason;
+  if (action === 'cancel') {
+    reason = prompt('Reason for cancelling (optional):');
+    if (reason === null) return;
+  }
+
+  try {
+    showLoading(true);
+    await API.viewings[action](viewingId, reason);
+    await loadMyViewings();
+    if (ViewingState.propertyId) {
+      const slotsData = await API.viewings.getSlots(ViewingState.propertyId);
+      ViewingState.slots = slotsData.slots || [];
+      renderViewingSlots();
+    }
+  } catch (error) {
+    console.error(`Error running viewing action ${action}:`, error);
+    showError(error.message || 'Failed to update viewing');
+  } finally {
+    showLoading(false);
+  }
+}
+
+// ===================================
+// VIEWING HOURS (property owners)
+// ===================================
+
+/**
+ * Load viewing hours when the user owns the property being viewed
+ */
+async function loadViewingAvailability() {
+  const section = document.getElementById('viewingAvailabilitySection');
+  const user = getCurrentUser();
+  const property = ViewingState.property;
+  const isOwner = !!(user && property && (property.user_id === user.id || user.role === 'admin'));
+
+  if (section) section.style.display = isOwner ? 'block' : 'none';
+  if (!isOwner) return;
+
+  const data = await API.viewings.getAvailability(property.id);
+  ViewingState.availability = (data.availability || []).map(window => ({
+    dayOfWeek: window.day_of_week,
+    startTime: window.start_time.slice(0, 5),
+    endTime: window.end_time.slice(0, 5),
+    slotMinutes: window.slot_minutes
+  }));
+  renderAvailabilityEditor();
+}
+
+/**
+ * Render the editable list of weekly viewing windows
+ */
+function renderAvailabilityEditor() {
+  const container = document.getElementById('viewingAvailabilityList');
+  if (!container) return;
+
+  if (ViewingState.availability.length === 0) {
+    container.innerHTML = '<p class="listing-subtitle">No viewing hours yet. Add a window so tenants can book.</p>';
+    return;
+  }
+
+  container.innerHTML = ViewingState.availability.map((window, index) => `
+    <div class="availability-row">
+      <select class="input-field" onchange="updateAvailabilityWindow(${index}, 'dayOfWeek', Number(this.value))">
+        ${VIEWING_DAYS.map((day, d) => `<option value="${d}"${d === window.dayOfWeek ? ' selected' : ''}>${day}</option>`).join('')}
+      </select>
+      <input type="time" class="input-field" value="${window.startTime}" onchange="updateAvailabilityWindow(${index}, 'startTime', this.value)">
+      <input type="time" class="input-field" value="${window.endTime}" onchange="updateAvailabilityWindow(${index}, 'endTime', this.value)">
+      <button class="link-btn" onclick="removeAvailabilityWindow(${index})">Remove</button>
+    </div>
+  `).join('');
+}
+
+/**
+ * Add a weekly window (defaults to Saturday 10:00-14:00)
+ */
+function addAvailabilityWindow() {
+  ViewingState.availability.push({ dayOfWeek: 6, startTime: '10:00', endTime: '14:00', slotMinutes: 30 });
+  renderAvailabilityEditor();
+}
+
+/**
+ * Change one field of a window
+ * @param {number} index - Window index
+ * @param {string} field - 'dayOfWeek', 'startTime' or 'endTime'
+ * @param {*} value - New value
+ */
+function updateAvailabilityWindow(index, field, value) {
+  ViewingState.availability[index][field] = value;
+}
+
+/**
+ * Remove a window
+ * @param {number} index - Window index
+ */
+function removeAvailabilityWindow(index) {
+  ViewingState.availability.splice(index, 1);
+  renderAvailabilityEditor();
+}
+
+/**
+ * Save the property's viewing hours
+ */
+async function saveViewingAvailability() {
+  try {
+    showLoading(true);
+    await API.viewings.setAvailability(ViewingState.propertyId, ViewingState.availability);
+    showSuccess('Viewing hours saved');
+    const slotsData = await API.viewings.getSlots(ViewingState.propertyId);
+    ViewingState.slots = slotsData.slots || [];
+    renderViewingSlots();
+  } catch (error) {
+    console.error('Error saving viewing hours:', error);
+    showError(error.message || 'Failed to save viewing hours');
+  } finally {
+    showLoading(false);
+  }
+}
+
+// ===================================
+// EXPORT FUNCTIONS
+// ===================================
+
+window.openViewingScreen = openViewingScreen;
+window.renderViewingSlots = renderViewingSlots;
+window.selectViewingSlot = selectViewingSlot;
+window.submitViewingBooking = submitViewingBooking;
+window.loadMyViewings = loadMyViewings;
+window.viewingAction = viewingAction;
+window.addAvailabilityWindow = addAvailabilityWindow;
+window.updateAvailabilityWindow = updateAvailabilityWindow;
+window.removeAvailabilityWindow = removeAvailabilityWindow;
+window.saveViewingAvailability = saveViewingAvailability;